@@ -0,0 +1,26 @@
+const express = require('express');
+const { buildCalendarFeed } = require('../services/calendar.service');
+
+const router = express.Router();
+
+// GET /calendar/:token.ics - Personal meeting feed for calendar apps (the token is the only credential)
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const ics = await buildCalendarFeed({ token: req.params.token });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="meetings.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (err) {
+    if (err.message === 'CALENDAR_NOT_FOUND') {
+      return res.status(404).send('Calendar not found');
+    }
+    console.error('Error in GET /calendar/:token.ics:', err);
+    res.status(500).send('Internal server error');
+  }
+});
+
+module.exports = {
+  calendarFeedRouter: router,
+};
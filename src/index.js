@@ -11,64 +11,21 @@ const cors = require('cors');
 const path = require('path');
 const { Server } = require('socket.io');
 const { twaApiRouter } = require('./twa-api/routes');
+const { webappApiRouter } = require('./webapp-api');
+const { initTwaSocket } = require('./webapp-api/socket');
 
 const { validateEnvironment } = require('./lib/env-validation');
 
-/**
- * Schedule job to check for meetings that are starting and notify participants
- */
-function startMeetingNotificationScheduler() {
-  const { notifyMeetingStarting } = require('./services/meeting.service');
-  const { Meeting } = require('./models/meeting');
-
-  // Check every minute for meetings that are starting
-  setInterval(async () => {
-    try {
-      // Get current time - Date objects in JavaScript are always in UTC internally
-      // MongoDB stores dates in UTC, and Date.getTime() returns milliseconds since epoch (UTC)
-      // So comparisons using getTime() are timezone-independent
-      const now = new Date();
-      const oneMinuteAgo = new Date(now.getTime() - 1 * 60 * 1000);
-      const oneMinuteFromNow = new Date(now.getTime() + 1 * 60 * 1000);
-
-      // Find meetings that are starting now (within 1 minute window to avoid duplicates)
-      // MongoDB stores dates in UTC, so proposedTime is in UTC
-      const startingMeetings = await Meeting.find({
-        status: 'accepted',
-        proposedTime: {
-          $gte: oneMinuteAgo,
-          $lte: oneMinuteFromNow,
-        },
-        // Add a flag to track if notification was sent (optional - for now we rely on time window)
-      })
-        .populate('requester', 'firstName lastName telegramId')
-        .populate('recipient', 'firstName lastName telegramId');
-
-      for (const meeting of startingMeetings) {
-        // Notify if meeting time is within 1 minute of now (just started or about to start)
-        // getTime() returns milliseconds since epoch (UTC), so comparison is timezone-independent
-        const timeUntilMeeting = meeting.proposedTime.getTime() - now.getTime();
-        const serverTZ = Intl.DateTimeFormat().resolvedOptions().timeZone;
-        console.log(`[Meeting Scheduler] Meeting time: ${meeting.proposedTime.toISOString()} (${meeting.proposedTime.toLocaleString('ru-RU', { timeZone: serverTZ })}), Now: ${now.toISOString()} (${now.toLocaleString('ru-RU', { timeZone: serverTZ })}), Diff: ${Math.round(timeUntilMeeting / 1000 / 60)} minutes`);
-        if (Math.abs(timeUntilMeeting) <= 1 * 60 * 1000) {
-          await notifyMeetingStarting({ meeting });
-        }
-      }
-    } catch (err) {
-      console.error('Error in meeting notification scheduler:', err);
-    }
-  }, 60 * 1000); // Check every minute
-
-  console.log('✅ Meeting notification scheduler started');
-}
 const { initBot } = require('./telegram/bot');
 const { connectMongo } = require('./lib/mongo');
 const { secondScreenRouter } = require('./second-screen/routes');
 const { initSecondScreenSocket } = require('./second-screen/socket');
+const { startViewerSampler } = require('./second-screen/viewers');
 const { requireSecondScreenKey } = require('./second-screen/ss-middleware');
 const { secondScreenPageRouter } = require('./second-screen/page');
 const { initMeetingChatSocket } = require('./meeting-chat/socket');
 const { meetingChatPageRouter } = require('./meeting-chat/page');
+const { calendarFeedRouter } = require('./calendar/routes');
 const { organizerDashboardPageRouter } = require('./organizer-dashboard/page');
 const { organizerAdminPageRouter } = require('./organizer-dashboard/admin');
 const { organizerApiRouter } = require('./organizer-dashboard/api');
@@ -86,12 +43,26 @@ async function bootstrap() {
   const { ensureDefaultTariffPlans } = require('./services/limit.service');
   await ensureDefaultTariffPlans();
 
-  // Start meeting notification scheduler
-  startMeetingNotificationScheduler();
+  // Start meeting reminder scheduler (lease-protected, safe with several instances)
+  const { startMeetingReminderScheduler } = require('./services/meetingReminder.service');
+  startMeetingReminderScheduler();
+
+  // Start morning "My day" digest scheduler (lease-protected as well)
+  const { startDailyDigestScheduler } = require('./services/myDay.service');
+  startDailyDigestScheduler();
+
+  // Start subscription lifecycle scheduler: trials, expiry warnings, downgrades (lease-protected)
+  const { startSubscriptionLifecycleScheduler } = require('./services/subscription.service');
+  startSubscriptionLifecycleScheduler();
 
   const app = express();
   app.use(cors());
-  app.use(express.json());
+  // Raw body is kept for payment webhook signatures
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }));
   app.use(morgan('dev'));
 
   // Health check
@@ -105,6 +76,9 @@ async function bootstrap() {
   // Meeting chat HTML (protected via ?token=...)
   app.use(meetingChatPageRouter);
 
+  // Calendar subscription feeds (protected via the token in the URL)
+  app.use(calendarFeedRouter);
+
   // Organizer dashboard HTML - Reports only (protected via ?key=...&telegramId=...)
   app.use(organizerDashboardPageRouter);
 
@@ -117,6 +91,9 @@ async function bootstrap() {
   // TWA API
   app.use('/twa-api', twaApiRouter);
 
+  // Web app API (initData auth, payments)
+  app.use('/api', webappApiRouter);
+
   // Serve TWA frontend (built files)
   app.use('/app', express.static(path.join(__dirname, '../webapp/dist')));
   app.get('/app*', (req, res) => {
@@ -137,7 +114,9 @@ async function bootstrap() {
   });
 
   initSecondScreenSocket(io);
+  startViewerSampler();
   initMeetingChatSocket(io);
+  initTwaSocket(io);
   setIO(io);
 
   // Telegram bot
@@ -35,6 +35,14 @@ function validateEnvironment() {
     warnings.push(`NODE_ENV="${nodeEnv}" is not one of: ${validEnvs.join(', ')}. Defaulting to "development".`);
   }
 
+  // Validate BOT_SESSION_STORE
+  const validSessionStores = ['mongo', 'memory'];
+  if (process.env.BOT_SESSION_STORE && !validSessionStores.includes(process.env.BOT_SESSION_STORE)) {
+    warnings.push(`BOT_SESSION_STORE="${process.env.BOT_SESSION_STORE}" is not one of: ${validSessionStores.join(', ')}. Defaulting to "mongo".`);
+  } else if (process.env.BOT_SESSION_STORE === 'memory' && nodeEnv === 'production') {
+    warnings.push('BOT_SESSION_STORE=memory in production: unfinished bot flows will be lost on restart and are not shared between instances.');
+  }
+
   // Validate SECOND_SCREEN_API_KEY strength (if set)
   if (process.env.SECOND_SCREEN_API_KEY) {
     const key = process.env.SECOND_SCREEN_API_KEY;
@@ -43,6 +51,11 @@ function validateEnvironment() {
     }
   }
 
+  // Mini app access tokens fall back to a key derived from the bot token
+  if (!process.env.TWA_TOKEN_SECRET && nodeEnv === 'production') {
+    warnings.push('TWA_TOKEN_SECRET is not set. Mini app access tokens are signed with a key derived from TELEGRAM_BOT_TOKEN.');
+  }
+
   // Display warnings
   if (warnings.length > 0) {
     console.warn('\n⚠️  Environment Configuration Warnings:');
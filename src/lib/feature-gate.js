@@ -0,0 +1,206 @@
+/**
+ * Plan-aware feature gating, keyed by the feature flags in TariffPlan.limits.
+ * One check (isFeatureEnabled, cached in limit.service) behind three adapters:
+ * - requireFeature: Express middleware
+ * - requireBotFeature: Telegraf middleware
+ * - guardSocketFeature: Socket.IO event handler guard
+ * All of them report FEATURE_NOT_AVAILABLE with the current plan and the plans that include the feature.
+ */
+
+const { getConferenceIdByCode } = require('./conference-helper');
+
+const FEATURES = {
+  pollsEnabled: 'Опросы',
+  secondScreenEnabled: 'Второй экран',
+  organizerDashboardEnabled: 'Веб-панель организатора',
+  exportCsvEnabled: 'Экспорт CSV',
+  exportPdfEnabled: 'Экспорт PDF',
+  customBranding: 'Собственный брендинг',
+  apiAccess: 'Доступ к API',
+};
+
+function assertKnownFeature(feature) {
+  if (!FEATURES[feature]) {
+    throw new Error(`Unknown feature: ${feature}`);
+  }
+}
+
+/**
+ * Enabled state of every gated feature of a conference, e.g. for building menus
+ */
+async function getFeatureMap(conferenceId) {
+  const { getLimits } = require('../services/limit.service');
+  const limits = await getLimits(null, conferenceId);
+
+  const features = {};
+  for (const feature of Object.keys(FEATURES)) {
+    features[feature] = limits[feature] === true;
+  }
+  return features;
+}
+
+/**
+ * Upgrade hint for a disabled feature: { feature, title, currentPlan, upgradeTo }
+ */
+async function getUpgradeHint(feature, conferenceId) {
+  const { TariffPlan } = require('../models/tariffPlan');
+  const { getConferenceSubscription } = require('../services/limit.service');
+
+  const [subscription, plans] = await Promise.all([
+    getConferenceSubscription(conferenceId),
+    TariffPlan.find({ isActive: true, [`limits.${feature}`]: true }).sort({ pricePerMonth: 1 }),
+  ]);
+  const currentPlan = subscription && subscription.tariffPlan ? subscription.tariffPlan : null;
+
+  return {
+    feature,
+    title: FEATURES[feature],
+    currentPlan: currentPlan ? { name: currentPlan.name, displayName: currentPlan.displayName } : null,
+    upgradeTo: plans.map((p) => ({
+      id: p._id,
+      name: p.name,
+      displayName: p.displayName,
+      pricePerMonth: p.pricePerMonth,
+      currency: p.currency,
+    })),
+  };
+}
+
+/**
+ * Throw FEATURE_NOT_AVAILABLE (err.details = upgrade hint) if the conference plan lacks the feature
+ */
+async function assertFeatureEnabled(feature, conferenceId) {
+  assertKnownFeature(feature);
+  const { isFeatureEnabled } = require('../services/limit.service');
+
+  if (await isFeatureEnabled(feature, conferenceId)) return;
+
+  const err = new Error('FEATURE_NOT_AVAILABLE');
+  err.details = await getUpgradeHint(feature, conferenceId);
+  throw err;
+}
+
+/**
+ * Human-readable (Russian) explanation of a FEATURE_NOT_AVAILABLE error
+ */
+function formatFeatureNotAvailable(details) {
+  const lines = [];
+  lines.push(details.currentPlan
+    ? `🔒 «${details.title}» недоступно на тарифе «${details.currentPlan.displayName}».`
+    : `🔒 «${details.title}» недоступно на текущем тарифе.`);
+  if (details.upgradeTo && details.upgradeTo.length) {
+    lines.push(`Доступно на тарифах: ${details.upgradeTo.map((p) => p.displayName).join(', ')}.`);
+  }
+  lines.push('Сменить тариф можно в веб-панели организатора (раздел «Тариф»).');
+  return lines.join('\n');
+}
+
+/**
+ * JSON body of a FEATURE_NOT_AVAILABLE response
+ */
+function featureErrorBody(details) {
+  return {
+    error: 'FEATURE_NOT_AVAILABLE',
+    message: formatFeatureNotAvailable(details),
+    feature: details.feature,
+    currentPlan: details.currentPlan,
+    upgradeTo: details.upgradeTo,
+  };
+}
+
+function defaultRequestConferenceId(req) {
+  if (req.conference) return req.conference._id;
+  return getConferenceIdByCode(req.params.code);
+}
+
+/**
+ * Express middleware: 403 FEATURE_NOT_AVAILABLE unless the conference plan has `feature`.
+ * The conference is req.conference (set by earlier middleware) or looked up by req.params.code;
+ * pass `getConferenceId(req)` for other routes. Browsers asking for HTML get a plain text page.
+ */
+function requireFeature(feature, { getConferenceId = defaultRequestConferenceId } = {}) {
+  assertKnownFeature(feature);
+
+  return async (req, res, next) => {
+    try {
+      const conferenceId = await getConferenceId(req);
+      await assertFeatureEnabled(feature, conferenceId);
+      next();
+    } catch (err) {
+      if (err.message === 'FEATURE_NOT_AVAILABLE') {
+        if (req.accepts(['json', 'html']) === 'html') {
+          return res.status(403).type('text/plain').send(formatFeatureNotAvailable(err.details));
+        }
+        return res.status(403).json(featureErrorBody(err.details));
+      }
+      if (err.message === 'CONFERENCE_NOT_FOUND' || err.message === 'CONFERENCE_CODE_REQUIRED') {
+        return res.status(404).json({ error: 'Conference not found' });
+      }
+      console.error(`Error in requireFeature(${feature}):`, err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Telegraf middleware for conference-scoped actions, e.g.
+ *   bot.action(/^admin:polls:(.+)$/, requireBotFeature('pollsEnabled'), handler)
+ * The conference code is ctx.match[1] unless `getConferenceCode(ctx)` says otherwise.
+ * Blocked callbacks get an alert with the upgrade hint, messages get a reply.
+ */
+function requireBotFeature(feature, { getConferenceCode = (ctx) => ctx.match && ctx.match[1] } = {}) {
+  assertKnownFeature(feature);
+
+  return async (ctx, next) => {
+    try {
+      const conferenceId = await getConferenceIdByCode(getConferenceCode(ctx));
+      await assertFeatureEnabled(feature, conferenceId);
+    } catch (err) {
+      if (err.message !== 'FEATURE_NOT_AVAILABLE') {
+        // Let the handler report missing conferences etc. the usual way
+        return next();
+      }
+      const text = formatFeatureNotAvailable(err.details);
+      if (ctx.callbackQuery) {
+        // Alerts are limited to 200 characters
+        return ctx.answerCbQuery(text.length > 200 ? `${text.slice(0, 197)}...` : text, { show_alert: true });
+      }
+      return ctx.reply(text);
+    }
+    return next();
+  };
+}
+
+/**
+ * Socket.IO guard: wraps an event handler whose payload carries the conference code
+ * (payload.code unless `getConferenceCode(payload)` says otherwise). A blocked event gets
+ * an 'error' with the FEATURE_NOT_AVAILABLE body instead of running the handler.
+ */
+function guardSocketFeature(socket, feature, handler, { getConferenceCode = (payload) => payload && payload.code } = {}) {
+  assertKnownFeature(feature);
+
+  return async (payload, ...rest) => {
+    try {
+      const conferenceId = await getConferenceIdByCode(getConferenceCode(payload));
+      await assertFeatureEnabled(feature, conferenceId);
+    } catch (err) {
+      if (err.message === 'FEATURE_NOT_AVAILABLE') {
+        socket.emit('error', featureErrorBody(err.details));
+        return;
+      }
+      // Missing or unknown conference: the handler reports it
+    }
+    return handler(payload, ...rest);
+  };
+}
+
+module.exports = {
+  FEATURES,
+  getFeatureMap,
+  assertFeatureEnabled,
+  formatFeatureNotAvailable,
+  featureErrorBody,
+  requireFeature,
+  requireBotFeature,
+  guardSocketFeature,
+};
@@ -0,0 +1,92 @@
+/**
+ * Minimal GraphML writer for exporting undirected graphs to tools like Gephi, yEd or Cytoscape.
+ *
+ * Attributes are declared once per name (<key>) and typed from the first non-null value:
+ * numbers become "double" (or "int" when all integers), booleans "boolean", the rest "string".
+ * Array values are written as comma-separated strings.
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Characters not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function normalizeValue(value) {
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+function attributeType(values) {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  if (!present.length) return 'string';
+  if (present.every((v) => typeof v === 'boolean')) return 'boolean';
+  if (present.every((v) => typeof v === 'number')) {
+    return present.every(Number.isInteger) ? 'int' : 'double';
+  }
+  return 'string';
+}
+
+/**
+ * Declare a <key> for every attribute used by the items (nodes or edges)
+ */
+function collectKeys(items, domain, prefix) {
+  const names = [];
+  for (const item of items) {
+    for (const name of Object.keys(item.attributes || {})) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return names.map((name, i) => ({
+    id: `${prefix}${i}`,
+    name,
+    domain,
+    type: attributeType(items.map((item) => normalizeValue(item.attributes?.[name]))),
+  }));
+}
+
+function dataLines(attributes, keys, indent) {
+  return keys
+    .filter((key) => attributes && attributes[key.name] !== null && attributes[key.name] !== undefined)
+    .map((key) => `${indent}<data key="${key.id}">${escapeXml(normalizeValue(attributes[key.name]))}</data>`);
+}
+
+/**
+ * Build a GraphML document.
+ * nodes: [{ id, attributes }], edges: [{ source, target, attributes }]
+ */
+function buildGraphml({ nodes, edges, graphId = 'G', directed = false }) {
+  const nodeKeys = collectKeys(nodes, 'node', 'n');
+  const edgeKeys = collectKeys(edges, 'edge', 'e');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+  ];
+  for (const key of [...nodeKeys, ...edgeKeys]) {
+    lines.push(`  <key id="${key.id}" for="${key.domain}" attr.name="${escapeXml(key.name)}" attr.type="${key.type}"/>`);
+  }
+
+  lines.push(`  <graph id="${escapeXml(graphId)}" edgedefault="${directed ? 'directed' : 'undirected'}">`);
+  for (const node of nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(...dataLines(node.attributes, nodeKeys, '      '));
+    lines.push('    </node>');
+  }
+  edges.forEach((edge, i) => {
+    lines.push(`    <edge id="e${i}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+    lines.push(...dataLines(edge.attributes, edgeKeys, '      '));
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>');
+  lines.push('</graphml>');
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  buildGraphml,
+};
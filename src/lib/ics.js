@@ -0,0 +1,184 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for meeting exports and subscription feeds.
+ *
+ * Events are written in the conference timezone (DTSTART;TZID=...), with a generated
+ * VTIMEZONE for every timezone used. Clients replace an event with the same UID when its
+ * SEQUENCE grows, and remove it from the calendar when STATUS:CANCELLED arrives.
+ */
+
+const { formatInTimeZone } = require('date-fns-tz');
+
+const PRODUCT_ID = '-//Conference Networking Bot//Meetings//RU';
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeText(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a content line into 75-octet chunks without breaking UTF-8 characters
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatLocal(date, timezone) {
+  return formatInTimeZone(date, timezone, "yyyyMMdd'T'HHmmss");
+}
+
+function formatOffset(offsetMs) {
+  const sign = offsetMs < 0 ? '-' : '+';
+  const minutes = Math.abs(offsetMs) / 60000;
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * UTC offset (ms) of a timezone at a moment
+ */
+function getOffsetAt(timezone, date) {
+  const [, sign, hours, minutes] = formatInTimeZone(date, timezone, 'xxx').match(/^([+-])(\d{2}):(\d{2})$/);
+  return (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60000;
+}
+
+/**
+ * UTC offset changes of a timezone in [from, to): [{ at: Date, offsetFrom, offsetTo }]
+ */
+function findOffsetTransitions(timezone, from, to) {
+  const transitions = [];
+  let prevTime = from.getTime();
+  let prevOffset = getOffsetAt(timezone, from);
+
+  for (let t = prevTime + DAY_MS; t <= to.getTime(); t += DAY_MS) {
+    const offset = getOffsetAt(timezone, new Date(t));
+    if (offset !== prevOffset) {
+      // Narrow the change down to the minute
+      let low = prevTime;
+      let high = t;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (getOffsetAt(timezone, new Date(mid)) === prevOffset) low = mid;
+        else high = mid;
+      }
+      transitions.push({ at: new Date(high), offsetFrom: prevOffset, offsetTo: offset });
+      prevOffset = offset;
+    }
+    prevTime = t;
+  }
+  return transitions;
+}
+
+/**
+ * VTIMEZONE covering the years of the given events
+ */
+function buildTimezone(timezone, dates) {
+  const years = dates.map((d) => new Date(d).getUTCFullYear());
+  const from = new Date(Date.UTC(Math.min(...years), 0, 1));
+  const to = new Date(Date.UTC(Math.max(...years) + 1, 0, 1));
+
+  const initialOffset = getOffsetAt(timezone, from);
+  const transitions = findOffsetTransitions(timezone, from, to);
+
+  const observance = (type, start, offsetFrom, offsetTo) => [
+    `BEGIN:${type}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${type}`,
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  // Offset in effect from the start of the covered range: the opposite of what the first change switches to
+  const startsInDaylight = transitions.length > 0 && transitions[0].offsetTo < transitions[0].offsetFrom;
+  const rangeStart = formatUtc(new Date(from.getTime() + initialOffset)).replace('Z', '');
+  lines.push(...observance(startsInDaylight ? 'DAYLIGHT' : 'STANDARD', rangeStart, initialOffset, initialOffset));
+  for (const tr of transitions) {
+    // DTSTART is the local time of the change, expressed in the offset before it
+    const start = formatUtc(new Date(tr.at.getTime() + tr.offsetFrom)).replace('Z', '');
+    lines.push(...observance(tr.offsetTo > tr.offsetFrom ? 'DAYLIGHT' : 'STANDARD', start, tr.offsetFrom, tr.offsetTo));
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * One VEVENT.
+ * event: { uid, start, end, timezone, summary, description, location, url, status, sequence, lastModified }
+ */
+function buildEvent(event, now = new Date()) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART;TZID=${event.timezone}:${formatLocal(event.start, event.timezone)}`,
+    `DTEND;TZID=${event.timezone}:${formatLocal(event.end, event.timezone)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Full VCALENDAR document.
+ * - name: calendar name shown by subscribing clients
+ * - method: 'PUBLISH' for single-event attachments, omitted for feeds
+ * - refreshMinutes: how often subscribing clients should re-fetch a feed
+ */
+function buildCalendar({ name = null, method = null, refreshMinutes = null, events = [] }) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  const timezones = [...new Set(events.map((e) => e.timezone))];
+  for (const timezone of timezones) {
+    const dates = events.filter((e) => e.timezone === timezone).flatMap((e) => [e.start, e.end]);
+    lines.push(...buildTimezone(timezone, dates));
+  }
+
+  const now = new Date();
+  for (const event of events) {
+    lines.push(...buildEvent(event, now));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  buildCalendar,
+};
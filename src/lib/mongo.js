@@ -18,8 +18,45 @@ async function connectMongo() {
   console.log('Connected to MongoDB');
 }
 
+// Unknown until the first attempt; standalone servers (local development) have no transactions
+let transactionsSupported = null;
+
+function isTransactionNotSupportedError(err) {
+  return err && (err.code === 20 || /Transaction numbers are only allowed/i.test(err.message || ''));
+}
+
+/**
+ * Run `fn(session)` in a transaction. On a standalone MongoDB (no replica set) the writes
+ * cannot be transactional, so `fn(null)` runs without a session instead.
+ *
+ * Creating a poll, question, meeting, conference or participant goes through here, so the resource
+ * and its usage counters (limit.service, subscription.service) are saved or rolled back together
+ * and a counter never drifts from what was actually created.
+ */
+async function withTransaction(fn) {
+  if (transactionsSupported === false) {
+    return fn(null);
+  }
+
+  try {
+    // Connection#transaction() also resets document state (isNew etc.) when a transaction is retried
+    const result = await mongoose.connection.transaction((session) => fn(session));
+    transactionsSupported = true;
+    return result;
+  } catch (err) {
+    if (transactionsSupported === null && isTransactionNotSupportedError(err)) {
+      // The first write failed, so nothing was committed and it is safe to run again
+      transactionsSupported = false;
+      console.warn('MongoDB transactions are not supported (standalone server), writing without them');
+      return fn(null);
+    }
+    throw err;
+  }
+}
+
 module.exports = {
   connectMongo,
+  withTransaction,
 };
 
 
@@ -0,0 +1,224 @@
+/**
+ * Per-conference networking hours: when 1:1 meetings can take place.
+ *
+ * A conference may configure (conference.networking):
+ * - windows: day ranges with daily hours, e.g. { from: '2025-06-10', to: '2025-06-11', start: '10:00', end: '19:00' }
+ * - breaks: excluded intervals, every day or a single date, e.g. { start: '13:00', end: '14:00' }
+ * - slotMinutes: slot length (also the default meeting duration)
+ * - bufferMinutes: free time kept between two meetings of the same person
+ * All dates and times are wall-clock values in conference.timezone (IANA name).
+ *
+ * Without configured windows the legacy behaviour is kept: 9:00-18:00 every day,
+ * limited to the conference startsAt/endsAt when those are set.
+ */
+
+const { fromZonedTime, formatInTimeZone } = require('date-fns-tz');
+
+const DEFAULT_DAY_START = '09:00';
+const DEFAULT_DAY_END = '18:00';
+const DEFAULT_SLOT_MINUTES = 30;
+// Upper bound for expanding day ranges, protects against a misconfigured multi-year range
+const MAX_NETWORKING_DAYS = 60;
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function getServerTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * IANA timezone of the conference (server timezone if not configured)
+ */
+function getConferenceTimezone(conference) {
+  return conference && isValidTimezone(conference.timezone) ? conference.timezone : getServerTimezone();
+}
+
+/**
+ * Calendar day ('YYYY-MM-DD') of a moment in the given timezone
+ */
+function toDayKey(date, timezone) {
+  return formatInTimeZone(date, timezone, 'yyyy-MM-dd');
+}
+
+/**
+ * Moment for a wall-clock time ('HH:mm') on a day in the given timezone
+ */
+function zonedTime(dayKey, time, timezone) {
+  return fromZonedTime(`${dayKey}T${time}:00`, timezone);
+}
+
+function addDays(dayKey, days) {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function formatTime(date, timezone) {
+  return formatInTimeZone(date, timezone, 'HH:mm');
+}
+
+function formatDayKey(dayKey) {
+  const [year, month, day] = dayKey.split('-');
+  return `${day}.${month}.${year}`;
+}
+
+/**
+ * Normalized networking settings of a conference
+ */
+function getNetworkingSettings(conference) {
+  const networking = (conference && conference.networking) || {};
+  const windows = (networking.windows || []).filter((w) => w && DAY_KEY_PATTERN.test(w.from || ''));
+  return {
+    timezone: getConferenceTimezone(conference),
+    slotMinutes: networking.slotMinutes || DEFAULT_SLOT_MINUTES,
+    bufferMinutes: networking.bufferMinutes || 0,
+    windows,
+    breaks: networking.breaks || [],
+    isConfigured: windows.length > 0,
+  };
+}
+
+/**
+ * Remove [cutStart, cutEnd) from every range
+ */
+function subtractInterval(ranges, cutStart, cutEnd) {
+  const result = [];
+  for (const range of ranges) {
+    if (cutEnd <= range.start || cutStart >= range.end) {
+      result.push(range);
+      continue;
+    }
+    if (cutStart > range.start) result.push({ start: range.start, end: cutStart });
+    if (cutEnd < range.end) result.push({ start: cutEnd, end: range.end });
+  }
+  return result;
+}
+
+/**
+ * Networking intervals of one day: [{ start: Date, end: Date }], breaks excluded
+ */
+function getDayWindows(conference, dayKey) {
+  const settings = getNetworkingSettings(conference);
+  const { timezone } = settings;
+
+  let ranges;
+  if (settings.isConfigured) {
+    ranges = settings.windows
+      .filter((w) => w.from <= dayKey && dayKey <= (w.to || w.from))
+      .map((w) => ({ start: zonedTime(dayKey, w.start, timezone), end: zonedTime(dayKey, w.end, timezone) }));
+  } else {
+    ranges = [{ start: zonedTime(dayKey, DEFAULT_DAY_START, timezone), end: zonedTime(dayKey, DEFAULT_DAY_END, timezone) }];
+  }
+
+  // Never outside of the conference itself
+  ranges = ranges
+    .map((r) => ({
+      start: conference.startsAt && conference.startsAt > r.start ? new Date(conference.startsAt) : r.start,
+      end: conference.endsAt && conference.endsAt < r.end ? new Date(conference.endsAt) : r.end,
+    }))
+    .filter((r) => r.end > r.start);
+
+  for (const b of settings.breaks) {
+    if (b.date && b.date !== dayKey) continue;
+    ranges = subtractInterval(ranges, zonedTime(dayKey, b.start, timezone), zonedTime(dayKey, b.end, timezone));
+  }
+
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Upcoming days ('YYYY-MM-DD') that still have networking time left after `from`
+ */
+function getNetworkingDays(conference, { from = new Date(), limit = 7 } = {}) {
+  const settings = getNetworkingSettings(conference);
+  const { timezone } = settings;
+  const today = toDayKey(from, timezone);
+
+  let candidates = [];
+  if (settings.isConfigured) {
+    for (const w of settings.windows) {
+      let day = w.from < today ? today : w.from;
+      const last = w.to || w.from;
+      for (let i = 0; day <= last && i < MAX_NETWORKING_DAYS; i += 1) {
+        candidates.push(day);
+        day = addDays(day, 1);
+      }
+    }
+    candidates = [...new Set(candidates)].sort();
+  } else {
+    let day = today;
+    if (conference.startsAt) {
+      const firstDay = toDayKey(conference.startsAt, timezone);
+      if (firstDay > day) day = firstDay;
+    }
+    const lastDay = conference.endsAt ? toDayKey(conference.endsAt, timezone) : null;
+    for (let i = 0; i < MAX_NETWORKING_DAYS && (!lastDay || day <= lastDay); i += 1) {
+      candidates.push(day);
+      if (!lastDay && candidates.length >= limit) break;
+      day = addDays(day, 1);
+    }
+  }
+
+  const result = [];
+  for (const day of candidates) {
+    if (getDayWindows(conference, day).some((w) => w.end > from)) {
+      result.push(day);
+      if (result.length >= limit) break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Slot start times of a day. A slot fits completely into one networking interval.
+ */
+function getDaySlots(conference, dayKey, durationMinutes = null) {
+  const { slotMinutes } = getNetworkingSettings(conference);
+  const lengthMs = (durationMinutes || slotMinutes) * 60 * 1000;
+  const stepMs = slotMinutes * 60 * 1000;
+
+  const slots = [];
+  for (const w of getDayWindows(conference, dayKey)) {
+    for (let t = w.start.getTime(); t + lengthMs <= w.end.getTime(); t += stepMs) {
+      slots.push(new Date(t));
+    }
+  }
+  return slots;
+}
+
+/**
+ * Whether a meeting [start, start + duration) lies inside one networking interval
+ */
+function isWithinNetworkingHours(conference, start, durationMinutes) {
+  const { timezone } = getNetworkingSettings(conference);
+  const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+  return getDayWindows(conference, toDayKey(start, timezone)).some((w) => start >= w.start && end <= w.end);
+}
+
+module.exports = {
+  DAY_KEY_PATTERN,
+  TIME_PATTERN,
+  isValidTimezone,
+  getConferenceTimezone,
+  getNetworkingSettings,
+  getDayWindows,
+  getNetworkingDays,
+  getDaySlots,
+  isWithinNetworkingHours,
+  toDayKey,
+  addDays,
+  zonedTime,
+  formatTime,
+  formatDayKey,
+};
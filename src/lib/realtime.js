@@ -1,5 +1,8 @@
 let ioInstance = null;
 
+// Namespace of the mini app (see src/webapp-api/socket.js); every user has a room there
+const TWA_NAMESPACE = '/twa';
+
 function setIO(io) {
   ioInstance = io;
 }
@@ -10,9 +13,46 @@ function emitToConference(conferenceId, event, payload) {
   ioInstance.to(room).emit(event, payload);
 }
 
+function userRoom(telegramId) {
+  return `user-${telegramId}`;
+}
+
+// Connections authenticated with an access token also join the room of their session
+function sessionRoom(sessionId) {
+  return `session-${sessionId}`;
+}
+
+/**
+ * Push an event to every mini app connection of a user
+ */
+function emitToUser(telegramId, event, payload) {
+  if (!ioInstance || !telegramId) return;
+  ioInstance.of(TWA_NAMESPACE).to(userRoom(String(telegramId))).emit(event, payload);
+}
+
+/**
+ * Close every mini app connection of a user (ban, logout everywhere)
+ */
+function disconnectUser(telegramId) {
+  if (!ioInstance || !telegramId) return;
+  ioInstance.of(TWA_NAMESPACE).in(userRoom(String(telegramId))).disconnectSockets(true);
+}
+
+/**
+ * Close the mini app connections opened with one session (logout)
+ */
+function disconnectSession(sessionId) {
+  if (!ioInstance || !sessionId) return;
+  ioInstance.of(TWA_NAMESPACE).in(sessionRoom(String(sessionId))).disconnectSockets(true);
+}
+
 module.exports = {
+  TWA_NAMESPACE,
   setIO,
   emitToConference,
+  userRoom,
+  sessionRoom,
+  emitToUser,
+  disconnectUser,
+  disconnectSession,
 };
-
-
@@ -0,0 +1,238 @@
+/**
+ * PDF rendering of the organizer report (see generateOrganizerReport in report.service.js).
+ *
+ * Rendered in-process with pdfkit; charts are drawn as vector shapes. Standard PDF fonts have
+ * no Cyrillic, so a TTF is embedded: DejaVu Sans from the dejavu-fonts-ttf package, or the
+ * files in PDF_FONT_PATH / PDF_FONT_BOLD_PATH.
+ */
+
+const PDFDocument = require('pdfkit');
+const { formatInTimeZone } = require('date-fns-tz');
+
+const MARGIN = 50;
+const COLORS = {
+  text: '#1f2933',
+  muted: '#7b8794',
+  grid: '#e4e7eb',
+  bars: ['#3e7bfa', '#2bb673', '#f5a623', '#e5484d', '#8e6cef', '#14a3b8'],
+};
+const LABEL_WIDTH = 170;
+const BAR_HEIGHT = 14;
+const BAR_GAP = 8;
+
+function getFontPaths() {
+  return {
+    regular: process.env.PDF_FONT_PATH || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+    bold: process.env.PDF_FONT_BOLD_PATH || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'),
+  };
+}
+
+function formatDate(date, timezone) {
+  return formatInTimeZone(new Date(date), timezone, 'dd.MM.yyyy HH:mm');
+}
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+/**
+ * Start a new page if less than `height` points are left on the current one
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+}
+
+function sectionTitle(doc, title) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8);
+  doc.font('bold').fontSize(14).fillColor(COLORS.text).text(title, MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + contentWidth(doc), y).lineWidth(0.5).strokeColor(COLORS.grid).stroke();
+  doc.y = y + 8;
+}
+
+function keyValues(doc, rows) {
+  doc.font('regular').fontSize(10).fillColor(COLORS.text);
+  for (const [label, value] of rows) {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    doc.fillColor(COLORS.muted).text(label, MARGIN, y, { width: LABEL_WIDTH });
+    doc.fillColor(COLORS.text).text(String(value), MARGIN + LABEL_WIDTH, y);
+    doc.y = Math.max(doc.y, y + 14);
+  }
+}
+
+/**
+ * Horizontal bar chart: rows of { label, value, caption? }, bars scaled to `max` (default: largest value)
+ */
+function barChart(doc, rows, { max = null } = {}) {
+  const scale = max || Math.max(1, ...rows.map((r) => r.value));
+  const barAreaWidth = contentWidth(doc) - LABEL_WIDTH - 70;
+
+  rows.forEach((row, i) => {
+    doc.font('regular').fontSize(9);
+    const labelHeight = doc.heightOfString(row.label, { width: LABEL_WIDTH - 10 });
+    const rowHeight = Math.max(BAR_HEIGHT, labelHeight);
+    ensureSpace(doc, rowHeight + BAR_GAP);
+
+    const y = doc.y;
+    doc.fillColor(COLORS.text).text(row.label, MARGIN, y + 2, { width: LABEL_WIDTH - 10 });
+
+    const x = MARGIN + LABEL_WIDTH;
+    doc.rect(x, y, barAreaWidth, BAR_HEIGHT).fill(COLORS.grid);
+    const width = Math.round((Math.min(row.value, scale) / scale) * barAreaWidth);
+    if (width > 0) {
+      doc.rect(x, y, width, BAR_HEIGHT).fill(COLORS.bars[i % COLORS.bars.length]);
+    }
+
+    doc.fillColor(COLORS.text).text(row.caption ?? String(row.value), x + barAreaWidth + 8, y + 2, { width: 62 });
+    doc.y = y + rowHeight + BAR_GAP;
+  });
+}
+
+function percentRow(label, percent) {
+  return { label, value: percent || 0, caption: `${percent || 0}%` };
+}
+
+function renderHeader(doc, report, generatedAt) {
+  const { conference } = report;
+  doc.font('bold').fontSize(20).fillColor(COLORS.text).text('Отчёт организатора', MARGIN);
+  doc.moveDown(0.3);
+  doc.font('regular').fontSize(13).text(conference.title);
+  doc.moveDown(0.5);
+
+  const rows = [
+    ['Код', conference.conferenceCode],
+    ['Статус', conference.status],
+  ];
+  if (conference.startsAt) rows.push(['Начало', formatDate(conference.startsAt, conference.timezone)]);
+  if (conference.endsAt) rows.push(['Конец', formatDate(conference.endsAt, conference.timezone)]);
+  rows.push(['Сформирован', `${formatDate(generatedAt, conference.timezone)} (${conference.timezone})`]);
+  keyValues(doc, rows);
+}
+
+function renderParticipants(doc, { participants }) {
+  sectionTitle(doc, 'Участники');
+  keyValues(doc, [
+    ['Всего', participants.total],
+    ['Завершили онбординг', `${participants.onboardingCompleted} (${participants.onboardingRate}%)`],
+  ]);
+  doc.moveDown(0.5);
+  barChart(doc, [
+    { label: 'Спикеры', value: participants.speakers },
+    { label: 'Инвесторы', value: participants.investors },
+    { label: 'Организаторы', value: participants.organizers },
+    { label: 'Обычные участники', value: participants.regular },
+  ]);
+}
+
+function renderQuestions(doc, { questions }) {
+  sectionTitle(doc, 'Вопросы');
+  keyValues(doc, [['Всего', questions.total]]);
+  doc.moveDown(0.5);
+  barChart(doc, [
+    { label: 'Одобрено', value: questions.approved },
+    { label: 'На модерации', value: questions.pending },
+    { label: 'Отклонено', value: questions.rejected },
+  ], { max: Math.max(1, questions.total) });
+}
+
+function renderPolls(doc, { polls }) {
+  sectionTitle(doc, 'Опросы');
+  keyValues(doc, [
+    ['Всего', polls.total],
+    ['Активных', polls.active],
+    ['Всего голосов', polls.totalVotes],
+  ]);
+
+  for (const poll of polls.items || []) {
+    ensureSpace(doc, 40 + poll.options.length * (BAR_HEIGHT + BAR_GAP));
+    doc.moveDown(0.6);
+    doc.font('bold').fontSize(11).fillColor(COLORS.text).text(poll.question, MARGIN);
+    doc.font('regular').fontSize(9).fillColor(COLORS.muted)
+      .text(`${poll.isActive ? 'Активен' : 'Завершён'} · голосов: ${poll.totalVotes}`, MARGIN);
+    doc.moveDown(0.3);
+    barChart(doc, poll.options.map((o) => ({
+      label: o.text,
+      value: o.votes,
+      caption: `${o.votes} (${o.percent}%)`,
+    })), { max: Math.max(1, poll.totalVotes) });
+  }
+}
+
+function renderMeetings(doc, { meetings }) {
+  sectionTitle(doc, 'Встречи 1:1');
+  const { funnel } = meetings;
+  const share = (n) => (funnel.requested > 0 ? Math.round((n / funnel.requested) * 1000) / 10 : 0);
+  barChart(doc, [
+    { label: 'Запрошено', value: funnel.requested, caption: String(funnel.requested) },
+    { label: 'Принято', value: funnel.accepted, caption: `${funnel.accepted} (${share(funnel.accepted)}%)` },
+    { label: 'Состоялось', value: funnel.completed, caption: `${funnel.completed} (${share(funnel.completed)}%)` },
+  ], { max: Math.max(1, funnel.requested) });
+  doc.moveDown(0.3);
+  keyValues(doc, [
+    ['Ожидают ответа', meetings.pending],
+    ['Отклонено', meetings.rejected],
+    ['Отменено', meetings.cancelled],
+    ['Истекло', meetings.expired],
+  ]);
+}
+
+function renderEngagement(doc, { engagement, onboarding }) {
+  sectionTitle(doc, 'Вовлечённость и онбординг');
+  keyValues(doc, [
+    ['Активных участников', engagement.engagedParticipants],
+    ['Начали онбординг', onboarding.totalStarted],
+    ['Завершили онбординг', onboarding.totalCompleted],
+    ['Среднее время онбординга', `${onboarding.avgCompletionTimeMinutes} мин`],
+  ]);
+  doc.moveDown(0.5);
+  barChart(doc, [
+    percentRow('Вовлечённость', engagement.engagementRate),
+    percentRow('Завершение онбординга', onboarding.completionRate),
+    percentRow('Отказ от онбординга', onboarding.abandonmentRate),
+  ], { max: 100 });
+}
+
+/**
+ * Render a report as a PDF document. Resolves with the file contents.
+ */
+function renderReportPdf(report, { generatedAt = new Date() } = {}) {
+  return new Promise((resolve, reject) => {
+    const fonts = getFontPaths();
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      info: {
+        Title: `Отчёт организатора: ${report.conference.title}`,
+        Creator: 'Conference Networking Bot',
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      doc.registerFont('regular', fonts.regular);
+      doc.registerFont('bold', fonts.bold);
+
+      renderHeader(doc, report, generatedAt);
+      renderParticipants(doc, report);
+      renderQuestions(doc, report);
+      renderPolls(doc, report);
+      renderMeetings(doc, report);
+      renderEngagement(doc, report);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = {
+  renderReportPdf,
+};
@@ -0,0 +1,86 @@
+/**
+ * Background jobs that are safe to run on several instances.
+ * Each tick first takes a lease in MongoDB (SchedulerLock); only the lease holder runs the job.
+ * If the holder dies, the lease expires and another instance takes over on its next tick.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { SchedulerLock } = require('../models/schedulerLock');
+
+// Unique per process, so two instances on one host don't share a lease
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Take or renew a named lease. Returns true if this instance holds it.
+ */
+async function acquireLease(name, leaseMs) {
+  const now = new Date();
+  try {
+    const lock = await SchedulerLock.findOneAndUpdate(
+      {
+        name,
+        $or: [{ owner: INSTANCE_ID }, { leaseUntil: { $lte: now } }],
+      },
+      { $set: { owner: INSTANCE_ID, leaseUntil: new Date(now.getTime() + leaseMs) } },
+      { upsert: true, new: true }
+    );
+    return lock.owner === INSTANCE_ID;
+  } catch (err) {
+    // Duplicate key on upsert: the lease exists and is held by another instance
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Give up a lease early (e.g. on shutdown), so another instance can take over immediately
+ */
+async function releaseLease(name) {
+  await SchedulerLock.updateOne(
+    { name, owner: INSTANCE_ID },
+    { $set: { leaseUntil: new Date(0) } }
+  );
+}
+
+/**
+ * Run `run()` every intervalMs on the instance that holds the lease.
+ * Ticks never overlap: a slow tick delays the next one instead of running concurrently.
+ */
+function startLeasedJob({ name, intervalMs, leaseMs = intervalMs * 3, run }) {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    try {
+      if (await acquireLease(name, leaseMs)) {
+        await run();
+      }
+    } catch (err) {
+      console.error(`Error in scheduled job "${name}":`, err);
+    } finally {
+      if (!stopped) {
+        timer = setTimeout(tick, intervalMs);
+      }
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await releaseLease(name);
+    },
+  };
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLease,
+  releaseLease,
+  startLeasedJob,
+};
@@ -0,0 +1,158 @@
+/**
+ * Authentication of mini app requests (TWA API and web app API).
+ *
+ * Clients sign in once with Telegram initData and then send `Authorization: Bearer <access token>`
+ * (see src/services/authSession.service.js). Sending raw initData with every request
+ * (X-Telegram-Init-Data) is still accepted while clients move to tokens.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_INIT_DATA_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// Auth error code -> [HTTP status, message]
+const AUTH_ERRORS = {
+  AUTH_REQUIRED: [401, 'Authentication required'],
+  INVALID_TOKEN: [401, 'Invalid access token'],
+  TOKEN_EXPIRED: [401, 'Access token expired'],
+  SESSION_REVOKED: [401, 'Session was revoked'],
+  INVALID_REFRESH_TOKEN: [401, 'Invalid or expired refresh token'],
+  INIT_DATA_INVALID: [401, 'Invalid Telegram auth data'],
+  INIT_DATA_EXPIRED: [401, 'Telegram auth data is too old'],
+  USER_BANNED: [403, 'User is banned'],
+};
+
+/**
+ * How old initData may be (auth_date), TWA_INIT_DATA_MAX_AGE_SECONDS, default one day
+ */
+function getInitDataMaxAgeSeconds() {
+  const value = parseInt(process.env.TWA_INIT_DATA_MAX_AGE_SECONDS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_INIT_DATA_MAX_AGE_SECONDS;
+}
+
+/**
+ * Verify Telegram Mini App initData (https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app).
+ * Returns the Telegram user object. Throws INIT_DATA_INVALID when the signature or payload is wrong
+ * and INIT_DATA_EXPIRED when auth_date is older than `maxAgeSeconds`.
+ */
+function verifyInitData(initData, botToken, { maxAgeSeconds = getInitDataMaxAgeSeconds() } = {}) {
+  if (!initData || !botToken) {
+    throw new Error('INIT_DATA_INVALID');
+  }
+
+  const urlParams = new URLSearchParams(initData);
+  const hash = urlParams.get('hash') || '';
+  urlParams.delete('hash');
+
+  const dataCheckString = Array.from(urlParams.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const calculatedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  if (hash.length !== calculatedHash.length
+    || !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(calculatedHash))) {
+    throw new Error('INIT_DATA_INVALID');
+  }
+
+  const authDate = parseInt(urlParams.get('auth_date'), 10);
+  if (!Number.isInteger(authDate)) {
+    throw new Error('INIT_DATA_INVALID');
+  }
+  if (Date.now() / 1000 - authDate > maxAgeSeconds) {
+    throw new Error('INIT_DATA_EXPIRED');
+  }
+
+  let user;
+  try {
+    user = JSON.parse(urlParams.get('user'));
+  } catch (e) {
+    throw new Error('INIT_DATA_INVALID');
+  }
+  if (!user || !user.id) {
+    throw new Error('INIT_DATA_INVALID');
+  }
+  return user;
+}
+
+async function assertNotBanned(telegramId) {
+  const { User } = require('../models/user');
+  if (await User.exists({ telegramId, isBanned: true })) {
+    throw new Error('USER_BANNED');
+  }
+}
+
+/**
+ * Check the credentials of a request or socket: an access token, raw initData (legacy)
+ * or, in development, a bare Telegram ID. Returns { telegramId, telegramUser, sessionId, expiresAt };
+ * telegramUser is only known from initData, sessionId and expiresAt only from an access token.
+ */
+async function authenticateCredentials({ accessToken = null, initData = null, devTelegramId = null }) {
+  if (accessToken) {
+    const { verifyAccessToken } = require('../services/authSession.service');
+    const { telegramId, sessionId, expiresAt } = await verifyAccessToken(accessToken);
+    return { telegramId, telegramUser: null, sessionId, expiresAt };
+  }
+
+  if (initData) {
+    const telegramUser = verifyInitData(initData, process.env.TELEGRAM_BOT_TOKEN);
+    const telegramId = String(telegramUser.id);
+    await assertNotBanned(telegramId);
+    return { telegramId, telegramUser, sessionId: null, expiresAt: null };
+  }
+
+  if (process.env.NODE_ENV === 'development' && devTelegramId) {
+    return { telegramId: String(devTelegramId), telegramUser: null, sessionId: null, expiresAt: null };
+  }
+
+  throw new Error('AUTH_REQUIRED');
+}
+
+/**
+ * Who sent the HTTP request (Authorization: Bearer, X-Telegram-Init-Data or X-Telegram-Id)
+ */
+function authenticateRequest(req) {
+  const authorization = req.headers.authorization || '';
+  return authenticateCredentials({
+    accessToken: authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : null,
+    initData: req.headers['x-telegram-init-data'],
+    devTelegramId: req.headers['x-telegram-id'],
+  });
+}
+
+/**
+ * Send the HTTP response for an auth error; other errors are logged and become 500
+ */
+function sendAuthError(res, err) {
+  const known = AUTH_ERRORS[err.message];
+  if (known) {
+    const [status, message] = known;
+    return res.status(status).json({ error: message, code: err.message });
+  }
+
+  console.error('TWA auth error:', err);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+/**
+ * Express middleware: sets req.user ({ telegramId, telegramUser, sessionId }) or answers 401/403
+ */
+async function twaAuthMiddleware(req, res, next) {
+  try {
+    req.user = await authenticateRequest(req);
+  } catch (err) {
+    return sendAuthError(res, err);
+  }
+  next();
+}
+
+module.exports = {
+  AUTH_ERRORS,
+  verifyInitData,
+  authenticateCredentials,
+  authenticateRequest,
+  sendAuthError,
+  twaAuthMiddleware,
+};
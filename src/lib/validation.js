@@ -1,7 +1,13 @@
 const Joi = require('joi');
+const { DAY_KEY_PATTERN, TIME_PATTERN, isValidTimezone } = require('./networking-hours');
 
 // Validation schemas per P1.2 requirements
 
+// MongoDB ObjectId passed as a string (IDs of related documents)
+const objectIdSchema = Joi.string().trim().pattern(/^[0-9a-fA-F]{24}$/).messages({
+  'string.pattern.base': 'Некорректный идентификатор',
+});
+
 // User profile validation
 const MAX_NAME_LENGTH = 100;
 const MAX_INTERESTS_COUNT = 20;
@@ -102,6 +108,7 @@ const questionTextSchema = Joi.string()
 const questionSchema = Joi.object({
   text: questionTextSchema.required(),
   conferenceCode: Joi.string().trim().min(1).required(),
+  sessionId: objectIdSchema.optional().allow(null, ''),
 });
 
 // Poll validation
@@ -144,11 +151,13 @@ const pollSchema = Joi.object({
       'array.max': `Опрос не может содержать более ${MAX_OPTIONS_COUNT} вариантов ответа`,
     }),
   conferenceCode: Joi.string().trim().min(1).required(),
+  sessionId: objectIdSchema.optional().allow(null, ''),
 });
 
 // Conference validation
 const MAX_TITLE_LENGTH = 200;
 const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_CONFERENCE_TAGS = 10;
 
 const conferenceSchema = Joi.object({
   title: Joi.string()
@@ -166,6 +175,17 @@ const conferenceSchema = Joi.object({
   endsAt: Joi.date().greater(Joi.ref('startsAt')).optional().messages({
     'date.greater': 'Дата окончания должна быть позже даты начала',
   }),
+  // Listing details shown in the web app
+  location: Joi.string().trim().max(200).optional().allow(''),
+  coverImage: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).optional().allow('').messages({
+    'string.uri': 'Обложка должна быть валидным HTTP/HTTPS адресом',
+  }),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(MAX_CONFERENCE_TAGS).optional().messages({
+    'array.max': `Можно указать максимум ${MAX_CONFERENCE_TAGS} тегов`,
+  }),
+  day: Joi.string().trim().max(50).optional().allow(''),
+  duration: Joi.string().trim().max(50).optional().allow(''),
+  repeat: Joi.string().trim().max(50).optional().allow(''),
 });
 
 // Slide validation
@@ -185,6 +205,88 @@ const slideSchema = Joi.object({
   conferenceCode: Joi.string().trim().min(1).required(),
 });
 
+// Access code validation
+const MAX_ACCESS_CODES_PER_BATCH = 500;
+
+const accessCodeBatchSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(MAX_ACCESS_CODES_PER_BATCH).default(1).messages({
+    'number.min': 'Количество кодов должно быть не меньше 1',
+    'number.max': `За один раз можно создать не более ${MAX_ACCESS_CODES_PER_BATCH} кодов`,
+  }),
+  maxUses: Joi.number().integer().min(1).optional().allow(null).messages({
+    'number.min': 'Лимит использований должен быть не меньше 1',
+  }),
+  expiresAt: Joi.date().greater('now').optional().allow(null).messages({
+    'date.greater': 'Срок действия кода должен быть в будущем',
+  }),
+});
+
+// Networking hours validation (times are 'HH:mm', days 'YYYY-MM-DD' in the conference timezone)
+const dayKeySchema = Joi.string().pattern(DAY_KEY_PATTERN).messages({
+  'string.pattern.base': 'Дата должна быть в формате ГГГГ-ММ-ДД',
+});
+const timeOfDaySchema = Joi.string().pattern(TIME_PATTERN).messages({
+  'string.pattern.base': 'Время должно быть в формате ЧЧ:ММ',
+});
+
+const networkingSettingsSchema = Joi.object({
+  timezone: Joi.string().trim().custom((value, helpers) => (
+    isValidTimezone(value) ? value : helpers.error('any.invalid')
+  )).optional().allow(null, '').messages({
+    'any.invalid': 'Неизвестный часовой пояс (используйте IANA, например Europe/Moscow)',
+  }),
+  windows: Joi.array().max(31).items(Joi.object({
+    from: dayKeySchema.required(),
+    to: dayKeySchema.optional().allow(null),
+    start: timeOfDaySchema.required(),
+    end: timeOfDaySchema.required(),
+  }).custom((value, helpers) => {
+    if (value.end <= value.start || (value.to && value.to < value.from)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  }).messages({
+    'any.invalid': 'Окно нетворкинга: окончание должно быть позже начала',
+  })).optional(),
+  breaks: Joi.array().max(20).items(Joi.object({
+    date: dayKeySchema.optional().allow(null),
+    start: timeOfDaySchema.required(),
+    end: timeOfDaySchema.required(),
+    title: Joi.string().trim().max(100).optional().allow(''),
+  }).custom((value, helpers) => (value.end <= value.start ? helpers.error('any.invalid') : value)).messages({
+    'any.invalid': 'Перерыв: окончание должно быть позже начала',
+  })).optional(),
+  slotMinutes: Joi.number().integer().min(5).max(120).optional(),
+  bufferMinutes: Joi.number().integer().min(0).max(60).optional(),
+});
+
+const sessionSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).messages({
+    'string.empty': 'Название сессии не может быть пустым',
+    'string.max': 'Название сессии не может быть длиннее 200 символов',
+  }),
+  description: Joi.string().trim().max(2000).optional().allow(''),
+  track: Joi.string().trim().max(100).optional().allow(''),
+  room: Joi.string().trim().max(100).optional().allow(''),
+  startsAt: Joi.date(),
+  endsAt: Joi.date(),
+  speakerProfileIds: Joi.array().max(20).items(objectIdSchema),
+});
+
+const meetingLocationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).messages({
+    'string.empty': 'Название локации не может быть пустым',
+    'string.max': 'Название локации не может быть длиннее 100 символов',
+  }),
+  description: Joi.string().trim().max(300).optional().allow(''),
+  capacity: Joi.number().integer().min(1).max(100).messages({
+    'number.min': 'Вместимость должна быть не меньше 1',
+    'number.max': 'Вместимость не может быть больше 100',
+  }),
+  sortOrder: Joi.number().integer().min(0).max(10000),
+  isActive: Joi.boolean(),
+});
+
 // Validation helper functions
 function validate(data, schema) {
   const { error, value } = schema.validate(data, {
@@ -266,6 +368,10 @@ module.exports = {
   pollSchema,
   conferenceSchema,
   slideSchema,
+  accessCodeBatchSchema,
+  networkingSettingsSchema,
+  meetingLocationSchema,
+  sessionSchema,
   // Export individual schemas for reuse
   nameSchema,
   interestsSchema,
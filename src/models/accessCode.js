@@ -9,14 +9,17 @@ const accessCodeSchema = new Schema(
     maxUses: { type: Number },
     usedCount: { type: Number, default: 0 },
     expiresAt: { type: Date },
+    revokedAt: { type: Date },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
   },
   { timestamps: true }
 );
 
+accessCodeSchema.index({ conference: 1, createdAt: -1 });
+
 const AccessCode = mongoose.model('AccessCode', accessCodeSchema);
 
 module.exports = {
   AccessCode,
 };
 
-
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Login session of the mini app (TWA API and web app API). Access tokens carry the session id
+ * and stop working as soon as the session is revoked (logout, ban).
+ * Only a hash of the current refresh token is stored; it changes on every refresh.
+ */
+const authSessionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    telegramId: { type: String, required: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true }, // Refresh token expiry
+    lastUsedAt: { type: Date },
+    userAgent: { type: String, maxlength: 500 },
+    revokedAt: { type: Date },
+    revokeReason: {
+      type: String,
+      enum: ['logout', 'ban'],
+    },
+  },
+  { timestamps: true }
+);
+
+authSessionSchema.index({ telegramId: 1, revokedAt: 1 }); // For revoking all sessions of a user
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+module.exports = {
+  AuthSession,
+};
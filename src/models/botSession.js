@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const botSessionSchema = new Schema(
+  {
+    telegramId: { type: String, required: true, unique: true },
+    // Current multi-step flow, e.g. { flow: 'create_poll', step: 'enter_options', ... }
+    state: { type: Schema.Types.Mixed, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, minimize: false }
+);
+
+botSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+const BotSession = mongoose.model('BotSession', botSessionSchema);
+
+module.exports = {
+  BotSession,
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Direct message between two participants of a conference.
+ * Only participants with an accepted connection (contact exchange) can write to each other.
+ * A deleted message stays as a tombstone: deletedAt is set and the text is cleared.
+ */
+const chatMessageSchema = new Schema(
+  {
+    conference: { type: Schema.Types.ObjectId, ref: 'Conference', required: true },
+    from: { type: Schema.Types.ObjectId, ref: 'UserProfile', required: true },
+    to: { type: Schema.Types.ObjectId, ref: 'UserProfile', required: true },
+    text: {
+      type: String,
+      required() {
+        return !this.deletedAt;
+      },
+      maxlength: 4000,
+    },
+    replyTo: { type: Schema.Types.ObjectId, ref: 'ChatMessage' },
+    editedAt: { type: Date },
+    deletedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+/**
+ * How far `reader` has read the conversation with `peer`: every message from the peer
+ * up to lastReadAt (the time of lastReadMessage) is read.
+ */
+const chatReadMarkerSchema = new Schema(
+  {
+    conference: { type: Schema.Types.ObjectId, ref: 'Conference', required: true },
+    reader: { type: Schema.Types.ObjectId, ref: 'UserProfile', required: true },
+    peer: { type: Schema.Types.ObjectId, ref: 'UserProfile', required: true },
+    lastReadMessage: { type: Schema.Types.ObjectId, ref: 'ChatMessage', required: true },
+    lastReadAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+chatMessageSchema.index({ from: 1, to: 1, createdAt: -1 }); // For loading a conversation and unread counters
+chatReadMarkerSchema.index({ reader: 1, peer: 1 }, { unique: true });
+
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+const ChatReadMarker = mongoose.model('ChatReadMarker', chatReadMarkerSchema);
+
+module.exports = {
+  ChatMessage,
+  ChatReadMarker,
+};
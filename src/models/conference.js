@@ -14,6 +14,38 @@ const conferenceSchema = new Schema(
     },
     startsAt: { type: Date },
     endsAt: { type: Date },
+    // Listing details shown in the web app
+    location: { type: String, maxlength: 200 },
+    coverImage: { type: String, maxlength: 2048 },
+    tags: [{ type: String, maxlength: 50 }],
+    day: { type: String, maxlength: 50 }, // Free-form schedule labels, e.g. 'Mon', '2h', 'weekly'
+    duration: { type: String, maxlength: 50 },
+    repeat: { type: String, maxlength: 50 },
+    // IANA timezone for meeting hours, e.g. 'Europe/Moscow' (server timezone if not set)
+    timezone: { type: String },
+    // Networking hours for 1:1 meetings (see src/lib/networking-hours.js); all times are 'HH:mm' in `timezone`
+    networking: {
+      windows: [
+        {
+          _id: false,
+          from: { type: String, required: true }, // 'YYYY-MM-DD'
+          to: { type: String }, // 'YYYY-MM-DD', same as `from` if not set
+          start: { type: String, required: true },
+          end: { type: String, required: true },
+        },
+      ],
+      breaks: [
+        {
+          _id: false,
+          date: { type: String }, // 'YYYY-MM-DD'; every day if not set
+          start: { type: String, required: true },
+          end: { type: String, required: true },
+          title: { type: String, maxlength: 100 },
+        },
+      ],
+      slotMinutes: { type: Number, default: 30, min: 5, max: 120 },
+      bufferMinutes: { type: Number, default: 0, min: 0, max: 60 },
+    },
     isActive: { type: Boolean, default: true }, // used as "not ended / active"
     isEnded: { type: Boolean, default: false },
     admins: [{ type: Schema.Types.ObjectId, ref: 'UserProfile' }],
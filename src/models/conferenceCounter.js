@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Current resource counts of a conference, so limit checks don't count documents on every request.
+ * Incremented together with the created resource; limit.service recounts it from the collections
+ * when it is older than its resync interval, which also corrects deletions.
+ */
+const conferenceCounterSchema = new Schema(
+  {
+    conference: { type: Schema.Types.ObjectId, ref: 'Conference', required: true, unique: true },
+    participants: { type: Number, default: 0 }, // Active participants
+    polls: { type: Number, default: 0 },
+    questions: { type: Number, default: 0 },
+    meetings: { type: Number, default: 0 },
+    syncedAt: { type: Date }, // Last full recount
+  },
+  { timestamps: true }
+);
+
+const ConferenceCounter = mongoose.model('ConferenceCounter', conferenceCounterSchema);
+
+module.exports = {
+  ConferenceCounter,
+};
@@ -12,6 +12,8 @@ const connectionSchema = new Schema(
       enum: ['pending', 'accepted', 'rejected'],
       default: 'pending',
     },
+    message: { type: String, maxlength: 500 }, // Optional note from the requester
+    pairKey: { type: String }, // Both profile ids, sorted: one connection per pair whoever asked first
   },
   { timestamps: true }
 );
@@ -19,6 +21,13 @@ const connectionSchema = new Schema(
 connectionSchema.index({ user1: 1 });
 connectionSchema.index({ user2: 1 });
 connectionSchema.index({ conference: 1 });
+// Connections stored before pairKey get it on their next save
+connectionSchema.index({ pairKey: 1 }, { unique: true, partialFilterExpression: { pairKey: { $type: 'string' } } });
+
+connectionSchema.pre('validate', function (next) {
+  this.pairKey = [this.user1, this.user2].map(String).sort().join(':');
+  next();
+});
 
 const Connection = mongoose.model('Connection', connectionSchema);
 
@@ -9,6 +9,18 @@ const globalUserProfileSchema = new Schema(
     lastName: { type: String },
     username: { type: String },
     photoUrl: { type: String },
+    // Profile details edited in the web app
+    bio: { type: String, maxlength: 500 },
+    about: { type: String, maxlength: 1000 },
+    company: { type: String, maxlength: 200 },
+    position: { type: String, maxlength: 200 },
+    country: { type: String, maxlength: 100 },
+    region: { type: String, maxlength: 100 },
+    city: { type: String, maxlength: 100 },
+    email: { type: String, maxlength: 200 },
+    phone: { type: String, maxlength: 50 },
+    telegram: { type: String, maxlength: 100 },
+    whatsapp: { type: String, maxlength: 50 },
     interests: [{ type: String }],
     offerings: [{ type: String }],
     lookingFor: [{ type: String }],
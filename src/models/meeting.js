@@ -2,6 +2,27 @@ const mongoose = require('mongoose');
 
 const { Schema } = mongoose;
 
+// One round of time negotiation: the initial request, a counter-offer or a reschedule of an accepted meeting
+const meetingProposalSchema = new Schema(
+  {
+    proposedBy: { type: Schema.Types.ObjectId, ref: 'UserProfile', required: true },
+    kind: { type: String, enum: ['initial', 'counter', 'reschedule'], required: true },
+    proposedTime: { type: Date, required: true },
+    durationMinutes: { type: Number, min: 5, max: 120 },
+    meetingLocation: { type: String, maxlength: 200 },
+    location: { type: Schema.Types.ObjectId, ref: 'MeetingLocation' },
+    message: { type: String, maxlength: 500 },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'superseded'],
+      default: 'pending',
+    },
+    respondedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
 const meetingSchema = new Schema(
   {
     conference: { type: Schema.Types.ObjectId, ref: 'Conference', required: true, index: true },
@@ -9,7 +30,7 @@ const meetingSchema = new Schema(
     recipient: { type: Schema.Types.ObjectId, ref: 'UserProfile', required: true, index: true },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'rejected', 'cancelled', 'completed'],
+      enum: ['pending', 'accepted', 'rejected', 'cancelled', 'completed', 'expired'],
       default: 'pending',
       index: true,
     },
@@ -17,12 +38,48 @@ const meetingSchema = new Schema(
     durationMinutes: { type: Number, default: 30, min: 5, max: 120 },
     message: { type: String, maxlength: 500 },
     meetingLocation: { type: String, maxlength: 200 },
+    // Bookable spot of the conference (meetingLocation then holds its name)
+    location: { type: Schema.Types.ObjectId, ref: 'MeetingLocation' },
+    // Negotiation history, oldest first. At most one proposal is 'pending' at a time.
+    proposals: [meetingProposalSchema],
+    // Reminders already delivered by the reminder scheduler (e.g. 'before_15', 'start', 'follow_up')
+    sentReminders: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        sentAt: { type: Date, default: Date.now },
+      },
+    ],
+    // iCalendar SEQUENCE: grows with every change calendar clients should pick up
+    calendarSequence: { type: Number, default: 0 },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
+// Changes calendar clients must see; each one bumps calendarSequence
+const CALENDAR_FIELDS = ['status', 'proposedTime', 'durationMinutes', 'meetingLocation'];
+
+meetingSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified(CALENDAR_FIELDS)) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
+  next();
+});
+
+// Query updates (e.g. expiring pending meetings) skip the save hook
+meetingSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function (next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return next();
+
+  const changed = [update, update.$set, update.$unset].some((fields) => fields && CALENDAR_FIELDS.some((f) => f in fields));
+  if (changed) {
+    this.setUpdate({ ...update, $inc: { ...update.$inc, calendarSequence: 1 } });
+  }
+  next();
+});
+
 // Indexes for performance
 meetingSchema.index({ conference: 1, status: 1 });
 meetingSchema.index({ requester: 1, status: 1 });
@@ -33,6 +90,9 @@ meetingSchema.index({ conference: 1, requester: 1, recipient: 1 }); // For confl
 // Compound index for finding active meetings at a time
 meetingSchema.index({ conference: 1, proposedTime: 1, status: 1 });
 
+// Location occupancy lookups
+meetingSchema.index({ location: 1, proposedTime: 1 });
+
 const Meeting = mongoose.model('Meeting', meetingSchema);
 
 module.exports = {
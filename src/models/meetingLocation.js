@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// A physical networking spot (table, lounge, booth) where 1:1 meetings take place
+const meetingLocationSchema = new Schema(
+  {
+    conference: { type: Schema.Types.ObjectId, ref: 'Conference', required: true, index: true },
+    name: { type: String, required: true, maxlength: 100 },
+    description: { type: String, maxlength: 300 },
+    // How many meetings can take place here at the same time
+    capacity: { type: Number, default: 1, min: 1, max: 100 },
+    sortOrder: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true },
+    // Bumped by every booking, so concurrent bookings of this spot conflict (see assignMeetingLocation)
+    bookingVersion: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+meetingLocationSchema.index({ conference: 1, isActive: 1, sortOrder: 1 });
+
+const MeetingLocation = mongoose.model('MeetingLocation', meetingLocationSchema);
+
+module.exports = {
+  MeetingLocation,
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * In-app notification shown in the web app (the bot sends its own Telegram messages)
+ */
+const notificationSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    type: {
+      type: String,
+      enum: ['chat_request', 'request_accepted', 'request_rejected', 'new_message', 'poll_started', 'conference_ending'],
+      required: true,
+    },
+    title: { type: String, required: true },
+    body: { type: String },
+    data: { type: Schema.Types.Mixed }, // e.g. { connectionId, conferenceCode }
+    isRead: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = {
+  Notification,
+};
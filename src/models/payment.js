@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Allowed status changes. Anything else (e.g. a late "failed" webhook after "succeeded")
+ * is rejected, so the order of provider notifications cannot corrupt the payment.
+ * A refund the provider cancels gives its amount back, so the refund statuses can step back.
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['succeeded', 'failed', 'cancelled'],
+  succeeded: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded', 'succeeded'],
+  failed: [],
+  cancelled: [],
+  refunded: ['partially_refunded', 'succeeded'],
+};
+
+const statusChangeSchema = new Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  source: { type: String }, // 'webhook', 'sync', 'initiate', ...
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const refundSchema = new Schema({
+  providerRefundId: { type: String },
+  amount: { type: Number, required: true }, // In currency minor unit, like Payment.amount
+  reason: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'cancelled'],
+    default: 'pending',
+  },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' }, // Admin who issued the refund
+  accessRevoked: { type: Boolean, default: false }, // Paid access was taken back with this refund
+  createdAt: { type: Date, default: Date.now },
+});
+
+/**
+ * Stores a payment order for post-conference access (249₽ tier).
+ */
+const paymentSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  conference: { type: Schema.Types.ObjectId, ref: 'Conference' },
+  amount: { type: Number, required: true }, // In currency minor unit (kopecks for RUB)
+  currency: { type: String, default: 'RUB' },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'pending',
+  },
+  provider: { type: String, default: 'fake' }, // Payment provider adapter name, see src/payments
+  providerOrderId: { type: String }, // External payment provider's order ID
+  providerPaymentUrl: { type: String }, // Redirect URL from provider
+  paidAt: { type: Date },
+  failureReason: { type: String },
+  statusHistory: [statusChangeSchema],
+  refunds: [refundSchema],
+  refundedAmount: { type: Number, default: 0 }, // Sum of refunds that were not cancelled
+}, { timestamps: true });
+
+paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ conference: 1, createdAt: -1 });
+
+paymentSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true, sparse: true });
+
+paymentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+paymentSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Remember the stored status, so save() can check the transition
+paymentSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+paymentSchema.pre('save', function(next) {
+  const from = this.$locals.storedStatus;
+  if (!this.isNew && this.isModified('status') && from !== this.status
+    && !STATUS_TRANSITIONS[from].includes(this.status)) {
+    return next(new Error(`ILLEGAL_PAYMENT_TRANSITION: ${from} -> ${this.status}`));
+  }
+  next();
+});
+
+paymentSchema.post('save', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+/**
+ * Move the payment to a new status.
+ * Returns false if it already is in that status (repeated notification), throws on an illegal transition.
+ */
+paymentSchema.methods.transitionTo = function(status, { source = null, reason = null } = {}) {
+  if (this.status === status) return false;
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    throw new Error(`ILLEGAL_PAYMENT_TRANSITION: ${this.status} -> ${status}`);
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, source });
+  this.status = status;
+  if (status === 'succeeded' && !this.paidAt) this.paidAt = new Date();
+  if (reason) this.failureReason = reason;
+  return true;
+};
+
+/**
+ * Amount that can still be refunded
+ */
+paymentSchema.methods.getRefundableAmount = function() {
+  if (!['succeeded', 'partially_refunded'].includes(this.status)) return 0;
+  return Math.max(0, this.amount - (this.refundedAmount || 0));
+};
+
+/**
+ * Status that follows from the refunded sum, for a payment that was paid
+ */
+paymentSchema.methods.getStatusForRefunds = function() {
+  const refunded = this.refundedAmount || 0;
+  if (refunded <= 0) return 'succeeded';
+  return refunded >= this.amount ? 'refunded' : 'partially_refunded';
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = {
+  Payment,
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * A webhook event received from a payment provider.
+ * The unique (provider, eventId) pair makes webhook handling idempotent: providers retry
+ * deliveries, and a repeated event must not grant access or change the payment twice.
+ */
+const paymentEventSchema = new Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  payment: { type: Schema.Types.ObjectId, ref: 'Payment' },
+  providerOrderId: { type: String },
+  status: { type: String }, // Payment status reported by the event
+  outcome: {
+    type: String,
+    enum: ['received', 'applied', 'ignored'],
+    default: 'received',
+  },
+  note: { type: String }, // Why the event was ignored
+  processedAt: { type: Date },
+}, { timestamps: true });
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = {
+  PaymentEvent,
+};
@@ -14,7 +14,17 @@ const pollSchema = new Schema(
         voters: [{ type: Schema.Types.ObjectId, ref: 'UserProfile' }],
       },
     ],
+    // When each vote was cast, for activity over time. Results are counted from options.voters.
+    votes: [
+      {
+        _id: false,
+        profile: { type: Schema.Types.ObjectId, ref: 'UserProfile', required: true },
+        optionId: { type: Number, required: true },
+        votedAt: { type: Date, default: Date.now },
+      },
+    ],
     isActive: { type: Boolean, default: true },
+    session: { type: Schema.Types.ObjectId, ref: 'Session' }, // Agenda session the poll belongs to, null = whole conference
   },
   { timestamps: true }
 );
@@ -22,6 +32,7 @@ const pollSchema = new Schema(
 // Performance indexes for 500-2000 users
 pollSchema.index({ conference: 1, isActive: 1 }); // For finding active polls in conference
 pollSchema.index({ conference: 1, createdAt: -1 }); // For sorting polls by creation date
+pollSchema.index({ conference: 1, session: 1, isActive: 1 }); // For the second screen of a running session
 
 const Poll = mongoose.model('Poll', pollSchema);
 
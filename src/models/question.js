@@ -17,6 +17,7 @@ const questionSchema = new Schema(
     answeredBy: { type: Schema.Types.ObjectId, ref: 'UserProfile' }, // Speaker who answered
     targetSpeaker: { type: Schema.Types.ObjectId, ref: 'UserProfile' }, // Specific speaker or null for all
     upvoters: [{ type: Schema.Types.ObjectId, ref: 'UserProfile' }],
+    session: { type: Schema.Types.ObjectId, ref: 'Session' }, // Agenda session the question belongs to, null = whole conference
   },
   { timestamps: true }
 );
@@ -27,6 +28,7 @@ questionSchema.index({ conference: 1, isAnswered: 1 }); // For finding unanswere
 questionSchema.index({ conference: 1, status: 1, createdAt: 1 }); // For sorting approved questions
 questionSchema.index({ targetSpeaker: 1, status: 1 }); // For finding questions for specific speaker
 questionSchema.index({ author: 1 }); // For finding questions by author
+questionSchema.index({ conference: 1, session: 1, status: 1 }); // For the second screen of a running session
 
 const Question = mongoose.model('Question', questionSchema);
 
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Lease for background jobs: only the instance holding an unexpired lease runs the job
+const schedulerLockSchema = new Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    owner: { type: String, required: true },
+    leaseUntil: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+const SchedulerLock = mongoose.model('SchedulerLock', schedulerLockSchema);
+
+module.exports = {
+  SchedulerLock,
+};
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Peak number of second screens connected to one instance during one minute.
+ * Every instance writes its own samples; viewers of a minute are the sum over instances.
+ */
+const screenViewerSampleSchema = new Schema(
+  {
+    conference: { type: Schema.Types.ObjectId, ref: 'Conference', required: true },
+    minute: { type: Date, required: true }, // Start of the minute
+    instance: { type: String, required: true },
+    viewers: { type: Number, default: 0 },
+  },
+  { timestamps: false }
+);
+
+screenViewerSampleSchema.index({ conference: 1, minute: 1, instance: 1 }, { unique: true });
+
+const ScreenViewerSample = mongoose.model('ScreenViewerSample', screenViewerSampleSchema);
+
+module.exports = {
+  ScreenViewerSample,
+};
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// One item of the conference agenda (talk, panel, workshop)
+const sessionSchema = new Schema(
+  {
+    conference: { type: Schema.Types.ObjectId, ref: 'Conference', required: true },
+    title: { type: String, required: true, maxlength: 200 },
+    description: { type: String, maxlength: 2000 },
+    track: { type: String, maxlength: 100 },
+    room: { type: String, maxlength: 100 },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    speakers: [{ type: Schema.Types.ObjectId, ref: 'UserProfile' }],
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ conference: 1, startsAt: 1 }); // Agenda order, now/next lookups
+sessionSchema.index({ speakers: 1 }); // Sessions of a speaker
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = {
+  Session,
+};
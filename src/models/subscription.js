@@ -29,6 +29,19 @@ const subscriptionSchema = new Schema(
     lastPaymentAt: { type: Date },
     nextPaymentAt: { type: Date },
     
+    // Lifecycle (see src/services/subscription.service.js)
+    expiredAt: { type: Date },
+    // Set on the default-plan subscription created when this one expired
+    downgradedFrom: { type: Schema.Types.ObjectId, ref: 'Subscription' },
+    // Expiry warnings already sent, key = '<days>d:<end timestamp>' so a renewed subscription is warned again
+    sentWarnings: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        sentAt: { type: Date, default: Date.now },
+      },
+    ],
+
     // Usage tracking (for billing/quota management)
     usage: {
       conferencesCreated: { type: Number, default: 0 },
@@ -45,6 +58,7 @@ const subscriptionSchema = new Schema(
 subscriptionSchema.index({ userId: 1, status: 1 });
 subscriptionSchema.index({ conferenceId: 1, status: 1 });
 subscriptionSchema.index({ status: 1, endsAt: 1 }); // For finding expired subscriptions
+subscriptionSchema.index({ status: 1, trialEndsAt: 1 }); // For ending trials
 
 // Validation: at least one of userId or conferenceId must be set
 subscriptionSchema.pre('validate', function(next) {
@@ -14,6 +14,14 @@ const userSchema = new Schema(
       enum: ['main_admin', 'conference_admin', 'user'],
       default: 'user',
     },
+    // Secret part of the personal calendar feed URL (/calendar/<token>.ics)
+    calendarToken: { type: String, index: { unique: true, sparse: true } },
+    // Paid access bought in the web app (see src/payments); counts for every conference
+    hasPaidAccess: { type: Boolean, default: false },
+    paidAccessUntil: { type: Date },
+    // Banned users cannot sign in to the mini app; their sessions are revoked
+    isBanned: { type: Boolean, default: false },
+    bannedAt: { type: Date },
   },
   { timestamps: true }
 );
@@ -27,6 +27,16 @@ const userProfileSchema = new Schema(
       default: 'pending',
     },
     paidAt: { type: Date },
+    // Opt-in morning "My day" summary, sent in the conference timezone
+    dailyDigestEnabled: { type: Boolean, default: false },
+    dailyDigestLastSentDay: { type: String }, // 'YYYY-MM-DD' of the last digest, at most one per day
+    // Personal time not available for meetings (a talk to attend, a call); no slots are offered there
+    blockedTimes: [
+      {
+        startsAt: { type: Date, required: true },
+        endsAt: { type: Date, required: true },
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -37,6 +47,7 @@ userProfileSchema.index({ telegramId: 1 }); // Already exists via unique, but ex
 userProfileSchema.index({ conference: 1, telegramId: 1 }); // For finding user's profile in specific conference
 userProfileSchema.index({ conference: 1, 'roles': 1 }); // For filtering by role in conference
 userProfileSchema.index({ conference: 1, onboardingCompleted: 1 }); // For filtering completed profiles
+userProfileSchema.index({ dailyDigestEnabled: 1, isActive: 1 }); // For the morning digest job
 
 const UserProfile = mongoose.model('UserProfile', userProfileSchema);
 
@@ -322,6 +322,9 @@ router.get('/organizer-admin/:code', async (req, res) => {
         if (tabName === 'questions') loadQuestions();
         if (tabName === 'meetings') loadMeetings();
         if (tabName === 'slides') loadSlides();
+        if (tabName === 'access-codes') loadAccessCodes();
+        if (tabName === 'locations') loadLocations();
+        if (tabName === 'sessions') loadSessions();
         if (tabName === 'tariff') loadTariffInfo();
       }
 
@@ -457,7 +460,7 @@ router.get('/organizer-admin/:code', async (req, res) => {
         });
         if (!response.ok) {
           const error = await response.json();
-          throw new Error(error.error || 'API error');
+          throw new Error(error.message || error.error || 'API error');
         }
         return response.json();
       }
@@ -695,7 +698,9 @@ router.get('/organizer-admin/:code', async (req, res) => {
             const safeId = String(p.id || '');
             
             row.innerHTML = 
-              '<td>' + safeQuestion + '</td>' +
+              '<td>' + safeQuestion +
+              (p.session ? '<br><span style="font-size: 12px; color: #718096;">📅 ' + escapeHtml(p.session.title) + '</span>' : '') +
+              '</td>' +
               '<td>' + (p.totalVotes || 0) + '</td>' +
               '<td><span class="badge ' + (p.isActive ? 'badge-success' : 'badge-warning') + '">' + (p.isActive ? 'Активен' : 'Неактивен') + '</span></td>' +
               '<td>' +
@@ -823,6 +828,7 @@ router.get('/organizer-admin/:code', async (req, res) => {
               'rejected': { text: 'Отклонено', class: 'badge-danger' },
               'cancelled': { text: 'Отменено', class: 'badge-secondary' },
               'completed': { text: 'Завершено', class: 'badge-info' },
+              'expired': { text: 'Истекло', class: 'badge-secondary' },
             };
             const statusInfo = statusMap[m.status] || { text: m.status, class: 'badge-secondary' };
             
@@ -874,6 +880,266 @@ router.get('/organizer-admin/:code', async (req, res) => {
         window.location.href = url;
       }
 
+      async function loadAccessCodes() {
+        try {
+          const data = await apiCall('/organizer-api/' + CONFERENCE_CODE + '/access-codes');
+          const tbody = document.getElementById('access-codes-tbody');
+          if (!tbody) return;
+
+          if (!data.items || data.items.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 20px;">Кодов доступа пока нет</td></tr>';
+            return;
+          }
+
+          const statusMap = {
+            'active': { text: 'Активен', class: 'badge-success' },
+            'revoked': { text: 'Отозван', class: 'badge-danger' },
+            'expired': { text: 'Истёк', class: 'badge-secondary' },
+            'exhausted': { text: 'Исчерпан', class: 'badge-warning' },
+          };
+
+          tbody.innerHTML = data.items.map(c => {
+            const safeId = JSON.stringify(c.id);
+            const statusInfo = statusMap[c.status] || { text: c.status, class: 'badge-secondary' };
+            const uses = (c.usedCount || 0) + ' / ' + (c.maxUses || '∞');
+            const expiresAt = c.expiresAt ? new Date(c.expiresAt).toLocaleString('ru-RU') : 'Бессрочно';
+            const link = c.deepLink ? '<br><a href="' + escapeHtml(c.deepLink) + '" target="_blank" style="font-size: 12px;">' + escapeHtml(c.deepLink) + '</a>' : '';
+            return '<tr>' +
+              '<td><code>' + escapeHtml(c.code) + '</code>' + link + '</td>' +
+              '<td><span class="badge ' + statusInfo.class + '">' + statusInfo.text + '</span></td>' +
+              '<td>' + uses + '</td>' +
+              '<td>' + expiresAt + '</td>' +
+              '<td>' + new Date(c.createdAt).toLocaleString('ru-RU') + '</td>' +
+              '<td>' +
+              (c.status === 'active' ?
+                '<button class="btn btn-danger btn-sm" onclick="revokeAccessCode(' + safeId + ')">🚫 Отозвать</button>' :
+                '<span style="color: #718096; font-size: 13px;">—</span>'
+              ) +
+              '</td>' +
+              '</tr>';
+          }).join('');
+        } catch (err) {
+          alert('Ошибка загрузки кодов доступа: ' + err.message);
+        }
+      }
+
+      async function generateAccessCodesSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const count = parseInt(form.count.value, 10) || 1;
+        const maxUses = form.maxUses.value ? parseInt(form.maxUses.value, 10) : null;
+        const expiresAt = form.expiresAt.value ? new Date(form.expiresAt.value).toISOString() : null;
+
+        try {
+          const data = await apiCall('/organizer-api/' + CONFERENCE_CODE + '/access-codes', {
+            method: 'POST',
+            body: JSON.stringify({ count, maxUses, expiresAt }),
+          });
+          alert('Создано кодов: ' + data.total);
+          form.reset();
+          loadAccessCodes();
+        } catch (err) {
+          alert('Ошибка создания кодов доступа: ' + err.message);
+        }
+      }
+
+      async function revokeAccessCode(accessCodeId) {
+        if (!confirm('Отозвать код доступа? Участники, уже присоединившиеся по нему, сохранят доступ.')) {
+          return;
+        }
+
+        try {
+          await apiCall('/organizer-api/' + CONFERENCE_CODE + '/access-codes/' + accessCodeId, {
+            method: 'DELETE',
+          });
+          loadAccessCodes();
+        } catch (err) {
+          alert('Ошибка отзыва кода доступа: ' + err.message);
+        }
+      }
+
+      function exportAccessCodes() {
+        const url = '/organizer-api/' + CONFERENCE_CODE + '/access-codes/export?key=' + encodeURIComponent(API_KEY) + '&telegramId=' + encodeURIComponent(TELEGRAM_ID);
+        window.location.href = url;
+      }
+
+      async function loadLocations() {
+        try {
+          const data = await apiCall('/organizer-api/' + CONFERENCE_CODE + '/locations');
+          const tbody = document.getElementById('locations-tbody');
+          if (!tbody) return;
+
+          if (!data.items || data.items.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 20px;">Локаций пока нет — участники указывают место встречи текстом</td></tr>';
+            return;
+          }
+
+          tbody.innerHTML = data.items.map(l => {
+            const safeId = JSON.stringify(l.id);
+            return '<tr>' +
+              '<td><strong>' + escapeHtml(l.name) + '</strong>' +
+              (l.description ? '<br><span style="font-size: 12px; color: #718096;">' + escapeHtml(l.description) + '</span>' : '') +
+              '</td>' +
+              '<td><input type="number" min="1" max="100" value="' + l.capacity + '" style="width: 70px;" onchange="updateLocation(' + safeId + ', { capacity: parseInt(this.value, 10) })" /></td>' +
+              '<td><input type="number" min="0" value="' + (l.sortOrder || 0) + '" style="width: 70px;" onchange="updateLocation(' + safeId + ', { sortOrder: parseInt(this.value, 10) })" /></td>' +
+              '<td>' + (l.isActive ?
+                '<span class="badge badge-success">Доступна</span>' :
+                '<span class="badge badge-danger">Отключена</span>') +
+              '</td>' +
+              '<td>' + (l.isActive ?
+                '<button class="btn btn-danger btn-sm" onclick="deleteLocation(' + safeId + ')">🚫 Отключить</button>' :
+                '<button class="btn btn-success btn-sm" onclick="updateLocation(' + safeId + ', { isActive: true })">✅ Включить</button>') +
+              '</td>' +
+              '</tr>';
+          }).join('');
+        } catch (err) {
+          alert('Ошибка загрузки локаций: ' + err.message);
+        }
+      }
+
+      async function createLocationSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const payload = {
+          name: form.name.value,
+          capacity: parseInt(form.capacity.value, 10) || 1,
+          description: form.description.value,
+        };
+
+        try {
+          await apiCall('/organizer-api/' + CONFERENCE_CODE + '/locations', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+          });
+          form.reset();
+          loadLocations();
+        } catch (err) {
+          alert('Ошибка создания локации: ' + err.message);
+        }
+      }
+
+      async function updateLocation(locationId, changes) {
+        try {
+          await apiCall('/organizer-api/' + CONFERENCE_CODE + '/locations/' + locationId, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+          });
+          loadLocations();
+        } catch (err) {
+          alert('Ошибка: ' + err.message);
+        }
+      }
+
+      async function deleteLocation(locationId) {
+        if (!confirm('Отключить локацию? Уже назначенные встречи останутся на ней, новые туда не попадут.')) {
+          return;
+        }
+
+        try {
+          await apiCall('/organizer-api/' + CONFERENCE_CODE + '/locations/' + locationId, {
+            method: 'DELETE',
+          });
+          loadLocations();
+        } catch (err) {
+          alert('Ошибка отключения локации: ' + err.message);
+        }
+      }
+
+      async function loadSessions() {
+        try {
+          const data = await apiCall('/organizer-api/' + CONFERENCE_CODE + '/sessions');
+          const tbody = document.getElementById('sessions-tbody');
+          if (!tbody) return;
+
+          if (!data.items || data.items.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 20px;">Программа пока пуста</td></tr>';
+            return;
+          }
+
+          const now = Date.now();
+          tbody.innerHTML = data.items.map(s => {
+            const safeId = JSON.stringify(s.id);
+            const isRunning = new Date(s.startsAt).getTime() <= now && new Date(s.endsAt).getTime() > now;
+            const speakers = (s.speakers || []).map(p => ((p.firstName || '') + ' ' + (p.lastName || '')).trim()).join(', ');
+            return '<tr>' +
+              '<td>' + new Date(s.startsAt).toLocaleString('ru-RU') + ' — ' + new Date(s.endsAt).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' }) +
+              (isRunning ? '<br><span class="badge badge-success">Идёт сейчас</span>' : '') +
+              '</td>' +
+              '<td><strong>' + escapeHtml(s.title) + '</strong>' +
+              (speakers ? '<br><span style="font-size: 12px; color: #718096;">' + escapeHtml(speakers) + '</span>' : '') +
+              '</td>' +
+              '<td>' + escapeHtml(s.track || '—') + '</td>' +
+              '<td>' + escapeHtml(s.room || '—') + '</td>' +
+              '<td><button class="btn btn-danger btn-sm" onclick="deleteSession(' + safeId + ')">🗑️ Удалить</button></td>' +
+              '</tr>';
+          }).join('');
+        } catch (err) {
+          alert('Ошибка загрузки программы: ' + err.message);
+        }
+      }
+
+      async function createSessionSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        if (!form.startsAt.value || !form.endsAt.value) {
+          alert('Укажите время начала и окончания');
+          return;
+        }
+        const payload = {
+          title: form.title.value,
+          track: form.track.value,
+          room: form.room.value,
+          // datetime-local values are in the browser timezone
+          startsAt: new Date(form.startsAt.value).toISOString(),
+          endsAt: new Date(form.endsAt.value).toISOString(),
+        };
+
+        try {
+          await apiCall('/organizer-api/' + CONFERENCE_CODE + '/sessions', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+          });
+          form.reset();
+          loadSessions();
+        } catch (err) {
+          alert('Ошибка создания сессии: ' + err.message);
+        }
+      }
+
+      async function deleteSession(sessionId) {
+        if (!confirm('Удалить сессию? Её вопросы и опросы останутся в конференции.')) {
+          return;
+        }
+
+        try {
+          await apiCall('/organizer-api/' + CONFERENCE_CODE + '/sessions/' + sessionId, {
+            method: 'DELETE',
+          });
+          loadSessions();
+        } catch (err) {
+          alert('Ошибка удаления сессии: ' + err.message);
+        }
+      }
+
+      async function loadPollSessionOptions(selectedId) {
+        const select = document.querySelector('#poll-form select[name="sessionId"]');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Вся конференция</option>';
+        try {
+          const data = await apiCall('/organizer-api/' + CONFERENCE_CODE + '/sessions');
+          (data.items || []).forEach(s => {
+            const option = document.createElement('option');
+            option.value = s.id;
+            option.textContent = new Date(s.startsAt).toLocaleString('ru-RU') + ' — ' + s.title;
+            select.appendChild(option);
+          });
+          select.value = selectedId || '';
+        } catch (err) {
+          console.error('Error loading sessions:', err);
+        }
+      }
+
       function showCreatePollModal() {
         currentEditingPollId = null;
         const modal = document.getElementById('create-poll-modal');
@@ -883,12 +1149,14 @@ router.get('/organizer-admin/:code', async (req, res) => {
         if (form) form.reset();
         if (modalTitle) modalTitle.textContent = 'Создать опрос';
         if (modal) modal.classList.add('active');
+        loadPollSessionOptions('');
       }
 
       async function createPoll(e) {
         e.preventDefault();
         const formData = new FormData(e.target);
         const question = (formData.get('question') || '').trim();
+        const sessionId = formData.get('sessionId') || null;
         const options = [
           formData.get('option1'),
           formData.get('option2'),
@@ -911,7 +1179,7 @@ router.get('/organizer-admin/:code', async (req, res) => {
             // Update existing poll
             await apiCall('/organizer-api/' + CONFERENCE_CODE + '/polls/' + encodeURIComponent(currentEditingPollId), {
               method: 'PUT',
-              body: JSON.stringify({ question, options }),
+              body: JSON.stringify({ question, options, sessionId }),
             });
             alert('Опрос успешно обновлён');
             currentEditingPollId = null;
@@ -919,7 +1187,7 @@ router.get('/organizer-admin/:code', async (req, res) => {
             // Create new poll
             await apiCall('/organizer-api/' + CONFERENCE_CODE + '/polls', {
               method: 'POST',
-              body: JSON.stringify({ question, options }),
+              body: JSON.stringify({ question, options, sessionId }),
             });
             alert('Опрос успешно создан');
           }
@@ -1135,6 +1403,7 @@ router.get('/organizer-admin/:code', async (req, res) => {
           
           // Show modal
           if (modal) modal.classList.add('active');
+          loadPollSessionOptions(poll.session ? poll.session.id : '');
           
         } catch (err) {
           alert('Ошибка загрузки данных опроса: ' + err.message);
@@ -1193,6 +1462,9 @@ router.get('/organizer-admin/:code', async (req, res) => {
           <button class="tab" data-tab="questions" onclick="showTab('questions')">❓ Вопросы</button>
           <button class="tab" data-tab="meetings" onclick="showTab('meetings')">🤝 Встречи</button>
           <button class="tab" data-tab="slides" onclick="showTab('slides')">🖼️ Слайды</button>
+          <button class="tab" data-tab="access-codes" onclick="showTab('access-codes')">🔑 Коды доступа</button>
+          <button class="tab" data-tab="locations" onclick="showTab('locations')">📍 Локации</button>
+          <button class="tab" data-tab="sessions" onclick="showTab('sessions')">📅 Программа</button>
           <button class="tab" data-tab="tariff" onclick="showTab('tariff')">💳 Тариф</button>
         </div>
 
@@ -1325,6 +1597,7 @@ router.get('/organizer-admin/:code', async (req, res) => {
                 <option value="rejected">Отклонено</option>
                 <option value="cancelled">Отменено</option>
                 <option value="completed">Завершено</option>
+                <option value="expired">Истекло</option>
               </select>
             </div>
             <div class="filter-group">
@@ -1369,6 +1642,138 @@ router.get('/organizer-admin/:code', async (req, res) => {
           </div>
         </div>
 
+        <div id="tab-access-codes" class="tab-content">
+          <form id="access-codes-form" onsubmit="generateAccessCodesSubmit(event)">
+            <div class="filter-row">
+              <div class="filter-group">
+                <label>Количество кодов:</label>
+                <input type="number" name="count" min="1" max="500" value="1" />
+              </div>
+              <div class="filter-group">
+                <label>Лимит использований (пусто — без лимита):</label>
+                <input type="number" name="maxUses" min="1" placeholder="∞" />
+              </div>
+              <div class="filter-group">
+                <label>Действует до:</label>
+                <input type="datetime-local" name="expiresAt" />
+              </div>
+            </div>
+            <div class="action-buttons">
+              <button type="submit" class="btn btn-success">➕ Создать коды</button>
+              <button type="button" class="btn" onclick="loadAccessCodes()">🔄 Обновить список</button>
+              <button type="button" class="btn" onclick="exportAccessCodes()">📥 Экспорт в CSV</button>
+            </div>
+          </form>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Код</th>
+                <th>Статус</th>
+                <th>Использований</th>
+                <th>Действует до</th>
+                <th>Создан</th>
+                <th>Действия</th>
+              </tr>
+            </thead>
+            <tbody id="access-codes-tbody">
+              <tr><td colspan="6" style="text-align: center; padding: 20px;">Нажмите "Обновить список" для загрузки данных</td></tr>
+            </tbody>
+          </table>
+          <div style="margin-top: 20px; padding: 16px; background: #f7fafc; border-radius: 8px;">
+            <p><strong>💡 Подсказка:</strong> Коды доступа нужны для приватных конференций. Участник вводит код после кода конференции в боте или открывает ссылку-приглашение.</p>
+          </div>
+        </div>
+
+        <div id="tab-locations" class="tab-content">
+          <form id="locations-form" onsubmit="createLocationSubmit(event)">
+            <div class="filter-row">
+              <div class="filter-group">
+                <label>Название:</label>
+                <input type="text" name="name" maxlength="100" placeholder="Стол 1" required />
+              </div>
+              <div class="filter-group">
+                <label>Встреч одновременно:</label>
+                <input type="number" name="capacity" min="1" max="100" value="1" />
+              </div>
+              <div class="filter-group">
+                <label>Описание (необязательно):</label>
+                <input type="text" name="description" maxlength="300" placeholder="У входа в зал B" />
+              </div>
+            </div>
+            <div class="action-buttons">
+              <button type="submit" class="btn btn-success">➕ Добавить локацию</button>
+              <button type="button" class="btn" onclick="loadLocations()">🔄 Обновить список</button>
+            </div>
+          </form>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Локация</th>
+                <th>Вместимость</th>
+                <th>Порядок</th>
+                <th>Статус</th>
+                <th>Действия</th>
+              </tr>
+            </thead>
+            <tbody id="locations-tbody">
+              <tr><td colspan="5" style="text-align: center; padding: 20px;">Нажмите "Обновить список" для загрузки данных</td></tr>
+            </tbody>
+          </table>
+          <div style="margin-top: 20px; padding: 16px; background: #f7fafc; border-radius: 8px;">
+            <p><strong>💡 Подсказка:</strong> Если локации заданы, бот сам назначает встрече свободное место (или участник выбирает его), а при полной занятости предлагает другое время. Расписание по локациям — на дашборде организатора.</p>
+          </div>
+        </div>
+
+        <div id="tab-sessions" class="tab-content">
+          <form id="sessions-form" onsubmit="createSessionSubmit(event)">
+            <div class="filter-row">
+              <div class="filter-group">
+                <label>Название:</label>
+                <input type="text" name="title" maxlength="200" placeholder="Открытие конференции" required />
+              </div>
+              <div class="filter-group">
+                <label>Трек:</label>
+                <input type="text" name="track" maxlength="100" placeholder="Основной" />
+              </div>
+              <div class="filter-group">
+                <label>Зал:</label>
+                <input type="text" name="room" maxlength="100" placeholder="Зал A" />
+              </div>
+            </div>
+            <div class="filter-row">
+              <div class="filter-group">
+                <label>Начало:</label>
+                <input type="datetime-local" name="startsAt" required />
+              </div>
+              <div class="filter-group">
+                <label>Окончание:</label>
+                <input type="datetime-local" name="endsAt" required />
+              </div>
+            </div>
+            <div class="action-buttons">
+              <button type="submit" class="btn btn-success">➕ Добавить сессию</button>
+              <button type="button" class="btn" onclick="loadSessions()">🔄 Обновить список</button>
+            </div>
+          </form>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Время</th>
+                <th>Сессия</th>
+                <th>Трек</th>
+                <th>Зал</th>
+                <th>Действия</th>
+              </tr>
+            </thead>
+            <tbody id="sessions-tbody">
+              <tr><td colspan="5" style="text-align: center; padding: 20px;">Нажмите "Обновить список" для загрузки данных</td></tr>
+            </tbody>
+          </table>
+          <div style="margin-top: 20px; padding: 16px; background: #f7fafc; border-radius: 8px;">
+            <p><strong>💡 Подсказка:</strong> Участники видят программу в боте (📅 Программа) и могут задать вопрос к идущей сессии. Второй экран показывает вопросы и опросы текущей сессии; для экрана в конкретном зале добавьте к ссылке параметр room.</p>
+          </div>
+        </div>
+
         <div id="tab-tariff" class="tab-content">
           <div class="action-buttons">
             <button class="btn" onclick="loadTariffInfo()">🔄 Обновить информацию</button>
@@ -1459,6 +1864,12 @@ router.get('/organizer-admin/:code', async (req, res) => {
               <label>Вариант ответа 4 (необязательно):</label>
               <input type="text" name="option4" />
             </div>
+            <div class="form-group">
+              <label>Сессия программы:</label>
+              <select name="sessionId">
+                <option value="">Вся конференция</option>
+              </select>
+            </div>
             <div class="action-buttons">
               <button type="submit" class="btn btn-success">Создать опрос</button>
               <button type="button" class="btn btn-secondary" onclick="hideCreatePollModal()">Отмена</button>
@@ -8,6 +8,7 @@ const { ensureUserFromTelegram, userIsMainAdmin, isConferenceAdminFor, updateCon
 const { setSlide, clearSlide } = require('../services/slide.service');
 const { getConferenceIdByCode } = require('../lib/conference-helper');
 const { requireSecondScreenKey } = require('../second-screen/ss-middleware');
+const { requireFeature } = require('../lib/feature-gate');
 
 const router = express.Router();
 
@@ -126,6 +127,8 @@ router.post('/user/conferences', async (req, res) => {
 
     conference.admins.push(profile._id);
     await conference.save();
+    const { invalidateLimitsCache } = require('../services/limit.service');
+    invalidateLimitsCache({ conferenceId: conference._id });
 
     res.status(201).json({
       id: conference._id,
@@ -151,6 +154,22 @@ router.post('/user/conferences', async (req, res) => {
 // Routes that require conference code and admin access
 router.use('/:code', requireConferenceAdmin);
 
+// Plan routes stay open without the dashboard feature, so organizers can see their plan and upgrade
+const PLAN_ROUTES = ['GET /conference', 'GET /limits', 'GET /tariffs', 'PUT /subscription'];
+const requireDashboardFeature = requireFeature('organizerDashboardEnabled');
+router.use('/:code', (req, res, next) => {
+  if (PLAN_ROUTES.includes(`${req.method} ${req.path}`)) return next();
+  return requireDashboardFeature(req, res, next);
+});
+
+// API clients send the key in the X-SECOND-SCREEN-KEY header (the dashboard page passes it as ?key=);
+// their access to conference routes is the apiAccess plan feature
+const requireApiAccessFeature = requireFeature('apiAccess');
+router.use('/:code', (req, res, next) => {
+  if (!req.header('X-SECOND-SCREEN-KEY')) return next();
+  return requireApiAccessFeature(req, res, next);
+});
+
 // GET /organizer-api/:code/conference - Get conference details
 router.get('/:code/conference', async (req, res) => {
   try {
@@ -169,6 +188,7 @@ router.get('/:code/conference', async (req, res) => {
       access: conference.access,
       startsAt: conference.startsAt,
       endsAt: conference.endsAt,
+      timezone: conference.timezone || null,
       isActive: conference.isActive,
       isEnded: conference.isEnded,
       admins: conference.admins,
@@ -189,6 +209,18 @@ router.get('/:code/conference', async (req, res) => {
   }
 });
 
+// GET /organizer-api/:code/limits - Plan limits with current usage and remaining quotas
+router.get('/:code/limits', async (req, res) => {
+  try {
+    const { getLimitsSnapshot } = require('../services/limit.service');
+    const snapshot = await getLimitsSnapshot({ conferenceId: req.conference._id });
+    res.json(snapshot);
+  } catch (err) {
+    console.error('Error in GET /limits:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // PUT /organizer-api/:code/conference - Update conference settings
 router.put('/:code/conference', async (req, res) => {
   try {
@@ -315,6 +347,55 @@ router.put('/:code/conference/code', async (req, res) => {
   }
 });
 
+function mapNetworkingSettings(conference) {
+  const { getNetworkingSettings, getNetworkingDays } = require('../lib/networking-hours');
+  const settings = getNetworkingSettings(conference);
+  return {
+    timezone: settings.timezone,
+    windows: settings.windows,
+    breaks: settings.breaks,
+    slotMinutes: settings.slotMinutes,
+    bufferMinutes: settings.bufferMinutes,
+    isConfigured: settings.isConfigured,
+    upcomingDays: getNetworkingDays(conference),
+  };
+}
+
+// GET /organizer-api/:code/networking-hours - Get meeting hours settings
+router.get('/:code/networking-hours', async (req, res) => {
+  try {
+    res.json(mapNetworkingSettings(req.conference));
+  } catch (err) {
+    console.error('Error in GET /networking-hours:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /organizer-api/:code/networking-hours - Update meeting hours settings
+router.put('/:code/networking-hours', async (req, res) => {
+  try {
+    const { updateNetworkingSettings } = require('../services/conference.service');
+    const updated = await updateNetworkingSettings({
+      conferenceCode: req.params.code,
+      requestedByUser: req.user,
+      payload: req.body,
+    });
+    res.json(mapNetworkingSettings(updated));
+  } catch (err) {
+    if (err.message === 'CONFERENCE_NOT_FOUND') {
+      return res.status(404).json({ error: 'Conference not found' });
+    }
+    if (err.message === 'ACCESS_DENIED') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (err.message && err.message.startsWith('VALIDATION_ERROR')) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error in PUT /networking-hours:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /organizer-api/:code/slides - Get current slide
 router.get('/:code/slides', async (req, res) => {
   try {
@@ -330,7 +411,7 @@ router.get('/:code/slides', async (req, res) => {
 });
 
 // POST /organizer-api/:code/slides - Set slide
-router.post('/:code/slides', async (req, res) => {
+router.post('/:code/slides', requireFeature('customBranding'), async (req, res) => {
   try {
     const { code } = req.params;
     const { url, title } = req.body;
@@ -505,7 +586,8 @@ router.get('/:code/polls', async (req, res) => {
     
     const polls = await Poll.find({ conference: conferenceId })
       .sort({ createdAt: -1 })
-      .populate('options.voters', 'firstName lastName telegramId');
+      .populate('options.voters', 'firstName lastName telegramId')
+      .populate('session', 'title');
 
     res.json({
       items: polls.map(p => ({
@@ -517,6 +599,7 @@ router.get('/:code/polls', async (req, res) => {
           voteCount: opt.voters ? opt.voters.length : 0,
         })),
         isActive: p.isActive,
+        session: p.session ? { id: p.session._id.toString(), title: p.session.title } : null,
         createdAt: p.createdAt,
         totalVotes: p.options.reduce((sum, opt) => sum + (opt.voters ? opt.voters.length : 0), 0),
       })),
@@ -529,27 +612,18 @@ router.get('/:code/polls', async (req, res) => {
 });
 
 // POST /organizer-api/:code/polls - Create poll
-router.post('/:code/polls', async (req, res) => {
+router.post('/:code/polls', requireFeature('pollsEnabled'), async (req, res) => {
   try {
     const { conference } = req;
     const conferenceId = conference._id;
-    const { question, options } = req.body;
+    const { question, options, sessionId } = req.body;
 
     if (!question || !options || !Array.isArray(options) || options.length < 2) {
       return res.status(400).json({ error: 'Question and at least 2 options are required' });
     }
 
-    // Check if polls feature is enabled
-    const { isFeatureEnabled, canCreatePoll } = require('../services/limit.service');
-    const pollsEnabled = await isFeatureEnabled('pollsEnabled', conferenceId);
-    
-    if (!pollsEnabled) {
-      return res.status(403).json({ 
-        error: 'Polls feature is not available on your current plan. Please upgrade to enable this feature.' 
-      });
-    }
-    
     // Check poll limit
+    const { canCreatePoll } = require('../services/limit.service');
     const limitCheck = await canCreatePoll(conferenceId);
     if (!limitCheck.allowed) {
       return res.status(403).json({ 
@@ -557,6 +631,10 @@ router.post('/:code/polls', async (req, res) => {
       });
     }
 
+    // Optional agenda session the poll is shown for on the second screen
+    const { resolveConferenceSessionId } = require('../services/session.service');
+    const session = await resolveConferenceSessionId(conferenceId, sessionId);
+
     const poll = new Poll({
       conference: conferenceId,
       question,
@@ -566,18 +644,30 @@ router.post('/:code/polls', async (req, res) => {
         voters: [],
       })),
       isActive: true,
+      session,
     });
 
-    await poll.save();
+    const { withTransaction } = require('../lib/mongo');
+    const { incrementUsage } = require('../services/subscription.service');
+    const { incrementConferenceCounter } = require('../services/limit.service');
+    await withTransaction(async (dbSession) => {
+      await poll.save({ session: dbSession });
+      await incrementConferenceCounter({ conferenceId, counter: 'polls', session: dbSession });
+      await incrementUsage({ counter: 'pollsCreated', conferenceId, session: dbSession });
+    });
 
     res.status(201).json({
       id: poll._id,
       question: poll.question,
       options: poll.options,
       isActive: poll.isActive,
+      session: poll.session || null,
       createdAt: poll.createdAt,
     });
   } catch (err) {
+    if (err.message === 'SESSION_NOT_FOUND') {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     console.error('Error in POST /polls:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -587,7 +677,7 @@ router.post('/:code/polls', async (req, res) => {
 router.put('/:code/polls/:pollId', async (req, res) => {
   try {
     const { pollId } = req.params;
-    const { question, options, isActive } = req.body;
+    const { question, options, isActive, sessionId } = req.body;
 
     const poll = await Poll.findById(pollId);
     if (!poll) {
@@ -607,6 +697,10 @@ router.put('/:code/polls/:pollId', async (req, res) => {
       }));
     }
     if (isActive !== undefined) poll.isActive = isActive;
+    if (sessionId !== undefined) {
+      const { resolveConferenceSessionId } = require('../services/session.service');
+      poll.session = await resolveConferenceSessionId(req.conference._id, sessionId);
+    }
 
     await poll.save();
 
@@ -615,8 +709,12 @@ router.put('/:code/polls/:pollId', async (req, res) => {
       question: poll.question,
       options: poll.options,
       isActive: poll.isActive,
+      session: poll.session || null,
     });
   } catch (err) {
+    if (err.message === 'SESSION_NOT_FOUND') {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     console.error('Error in PUT /polls/:pollId:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -659,6 +757,7 @@ router.get('/:code/questions', async (req, res) => {
     const questions = await Question.find(query)
       .populate('author', 'firstName lastName telegramId')
       .populate('targetSpeaker', 'firstName lastName telegramId')
+      .populate('session', 'title')
       .sort({ createdAt: -1 });
 
     res.json({
@@ -677,6 +776,7 @@ router.get('/:code/questions', async (req, res) => {
           firstName: q.targetSpeaker.firstName,
           lastName: q.targetSpeaker.lastName,
         } : null,
+        session: q.session ? { id: q.session._id.toString(), title: q.session.title } : null,
         isAnswered: q.isAnswered,
         answer: q.answer,
         upvoters: q.upvoters || [],
@@ -751,7 +851,7 @@ router.get('/:code/meetings', async (req, res) => {
     const { status } = req.query;
     
     const query = { conference: conferenceId };
-    if (status && ['pending', 'accepted', 'rejected', 'cancelled', 'completed'].includes(status)) {
+    if (status && ['pending', 'accepted', 'rejected', 'cancelled', 'completed', 'expired'].includes(status)) {
       query.status = status;
     }
 
@@ -793,7 +893,7 @@ router.put('/:code/meetings/:meetingId', async (req, res) => {
     const { meetingId } = req.params;
     const { status } = req.body;
 
-    if (!status || !['pending', 'accepted', 'rejected', 'cancelled', 'completed'].includes(status)) {
+    if (!status || !['pending', 'accepted', 'rejected', 'cancelled', 'completed', 'expired'].includes(status)) {
       return res.status(400).json({ error: 'Valid status is required' });
     }
 
@@ -834,23 +934,410 @@ router.put('/:code/meetings/:meetingId', async (req, res) => {
   }
 });
 
+function mapAccessCode(c) {
+  const { getAccessCodeStatus, getAccessCodeDeepLink } = require('../services/accessCode.service');
+  return {
+    id: c._id.toString(),
+    code: c.code,
+    status: getAccessCodeStatus(c),
+    usedCount: c.usedCount || 0,
+    maxUses: c.maxUses || null,
+    expiresAt: c.expiresAt || null,
+    revokedAt: c.revokedAt || null,
+    deepLink: getAccessCodeDeepLink(c.code),
+    createdAt: c.createdAt,
+  };
+}
+
+function sendAccessCodeError(res, err, route) {
+  if (err.message === 'CONFERENCE_NOT_FOUND') {
+    return res.status(404).json({ error: 'Conference not found' });
+  }
+  if (err.message === 'ACCESS_CODE_NOT_FOUND') {
+    return res.status(404).json({ error: 'Access code not found' });
+  }
+  if (err.message === 'ACCESS_DENIED') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (err.message && err.message.startsWith('VALIDATION_ERROR')) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`Error in ${route}:`, err);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+// GET /organizer-api/:code/analytics/timeseries?from=ISO&to=ISO&bucket=15|30|60|180|360|1440
+// Activity over time: joins, questions, votes, meeting requests/acceptance, peak second screen viewers
+router.get('/:code/analytics/timeseries', async (req, res) => {
+  try {
+    const { getEngagementTimeSeries } = require('../services/analytics.service');
+    const { from, to, bucket } = req.query;
+    const series = await getEngagementTimeSeries({
+      conferenceId: req.conference._id,
+      from: from || null,
+      to: to || null,
+      bucketMinutes: bucket || null,
+    });
+    res.json(series);
+  } catch (err) {
+    if (err.message && err.message.startsWith('VALIDATION_ERROR')) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error in GET /analytics/timeseries:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /organizer-api/:code/analytics/network?includeRequests=true&top=10
+// Who connected with whom: density, top connectors, isolated participants, role-to-role matrix
+router.get('/:code/analytics/network', async (req, res) => {
+  try {
+    const { buildNetworkGraph, analyzeNetworkGraph } = require('../services/network.service');
+    const includeRequests = req.query.includeRequests === 'true' || req.query.includeRequests === '1';
+    const top = Math.min(Math.max(parseInt(req.query.top, 10) || 10, 1), 100);
+
+    const graph = await buildNetworkGraph({ conferenceId: req.conference._id, includeRequests });
+    res.json({
+      includeRequests,
+      ...analyzeNetworkGraph(graph, { top }),
+    });
+  } catch (err) {
+    console.error('Error in GET /analytics/network:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /organizer-api/:code/analytics/network/export?format=graphml|json&includeRequests=true
+router.get('/:code/analytics/network/export', async (req, res) => {
+  try {
+    const { buildNetworkGraph, exportNetworkGraph } = require('../services/network.service');
+    const format = req.query.format || 'graphml';
+    if (!['graphml', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be graphml or json' });
+    }
+    const includeRequests = req.query.includeRequests === 'true' || req.query.includeRequests === '1';
+
+    const { conference } = req;
+    const graph = await buildNetworkGraph({ conferenceId: conference._id, includeRequests });
+    const filename = `network-${conference.conferenceCode}-${Date.now()}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'graphml') {
+      res.setHeader('Content-Type', 'application/graphml+xml; charset=utf-8');
+      return res.send(exportNetworkGraph(graph, 'graphml'));
+    }
+    res.json(exportNetworkGraph(graph, 'json'));
+  } catch (err) {
+    console.error('Error in GET /analytics/network/export:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /organizer-api/:code/access-codes - List access codes
+router.get('/:code/access-codes', async (req, res) => {
+  try {
+    const { listAccessCodes } = require('../services/accessCode.service');
+    const codes = await listAccessCodes({ moderatorUser: req.user, conferenceCode: req.params.code });
+    res.json({ items: codes.map(mapAccessCode), total: codes.length });
+  } catch (err) {
+    sendAccessCodeError(res, err, 'GET /access-codes');
+  }
+});
+
+// POST /organizer-api/:code/access-codes - Generate access codes
+// Body: { count?: number, maxUses?: number|null, expiresAt?: ISO date|null }
+router.post('/:code/access-codes', async (req, res) => {
+  try {
+    const { generateAccessCodes } = require('../services/accessCode.service');
+    const { count, maxUses, expiresAt } = req.body;
+    const codes = await generateAccessCodes({
+      moderatorUser: req.user,
+      conferenceCode: req.params.code,
+      count,
+      maxUses,
+      expiresAt,
+    });
+    res.status(201).json({ items: codes.map(mapAccessCode), total: codes.length });
+  } catch (err) {
+    sendAccessCodeError(res, err, 'POST /access-codes');
+  }
+});
+
+// GET /organizer-api/:code/access-codes/export - Bulk export access codes as CSV
+router.get('/:code/access-codes/export', async (req, res) => {
+  try {
+    const { listAccessCodes, buildAccessCodesCsv } = require('../services/accessCode.service');
+    const codes = await listAccessCodes({ moderatorUser: req.user, conferenceCode: req.params.code });
+    const filename = `access-codes-${req.conference.conferenceCode}-${Date.now()}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buildAccessCodesCsv(codes));
+  } catch (err) {
+    sendAccessCodeError(res, err, 'GET /access-codes/export');
+  }
+});
+
+// DELETE /organizer-api/:code/access-codes/:accessCodeId - Revoke access code
+router.delete('/:code/access-codes/:accessCodeId', async (req, res) => {
+  try {
+    const { revokeAccessCode } = require('../services/accessCode.service');
+    const accessCode = await revokeAccessCode({
+      moderatorUser: req.user,
+      conferenceCode: req.params.code,
+      accessCodeId: req.params.accessCodeId,
+    });
+    res.json(mapAccessCode(accessCode));
+  } catch (err) {
+    sendAccessCodeError(res, err, 'DELETE /access-codes/:accessCodeId');
+  }
+});
+
+function mapMeetingLocation(l) {
+  return {
+    id: l._id.toString(),
+    name: l.name,
+    description: l.description || null,
+    capacity: l.capacity,
+    sortOrder: l.sortOrder || 0,
+    isActive: l.isActive,
+    createdAt: l.createdAt,
+  };
+}
+
+function sendMeetingLocationError(res, err, route) {
+  if (err.message === 'CONFERENCE_NOT_FOUND') {
+    return res.status(404).json({ error: 'Conference not found' });
+  }
+  if (err.message === 'LOCATION_NOT_FOUND') {
+    return res.status(404).json({ error: 'Location not found' });
+  }
+  if (err.message === 'ACCESS_DENIED') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (err.message && err.message.startsWith('VALIDATION_ERROR')) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`Error in ${route}:`, err);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+// GET /organizer-api/:code/locations - List bookable meeting locations
+router.get('/:code/locations', async (req, res) => {
+  try {
+    const { listMeetingLocations } = require('../services/meetingLocation.service');
+    const locations = await listMeetingLocations({ moderatorUser: req.user, conferenceCode: req.params.code });
+    res.json({ items: locations.map(mapMeetingLocation), total: locations.length });
+  } catch (err) {
+    sendMeetingLocationError(res, err, 'GET /locations');
+  }
+});
+
+// POST /organizer-api/:code/locations - Add a location
+// Body: { name: string, description?: string, capacity?: number, sortOrder?: number }
+router.post('/:code/locations', async (req, res) => {
+  try {
+    const { createMeetingLocation } = require('../services/meetingLocation.service');
+    const location = await createMeetingLocation({
+      moderatorUser: req.user,
+      conferenceCode: req.params.code,
+      payload: req.body,
+    });
+    res.status(201).json(mapMeetingLocation(location));
+  } catch (err) {
+    sendMeetingLocationError(res, err, 'POST /locations');
+  }
+});
+
+// GET /organizer-api/:code/locations/schedule?day=YYYY-MM-DD - Per-location schedule grid of a day
+router.get('/:code/locations/schedule', async (req, res) => {
+  try {
+    const { getLocationSchedule } = require('../services/meetingLocation.service');
+    const { DAY_KEY_PATTERN, getNetworkingDays, getConferenceTimezone, toDayKey } = require('../lib/networking-hours');
+    const { conference } = req;
+
+    let { day } = req.query;
+    if (day && !DAY_KEY_PATTERN.test(day)) {
+      return res.status(400).json({ error: 'day must be YYYY-MM-DD' });
+    }
+    if (!day) {
+      day = getNetworkingDays(conference, { limit: 1 })[0] || toDayKey(new Date(), getConferenceTimezone(conference));
+    }
+
+    const schedule = await getLocationSchedule({ conference, day });
+    res.json({
+      day: schedule.day,
+      timezone: schedule.timezone,
+      slotMinutes: schedule.slotMinutes,
+      locations: schedule.locations.map(mapMeetingLocation),
+      rows: schedule.rows.map((row) => ({
+        time: row.time,
+        cells: row.cells.map((cell) => ({
+          free: cell.free,
+          meetings: cell.meetings.map((m) => ({
+            id: m._id.toString(),
+            status: m.status,
+            proposedTime: m.proposedTime,
+            durationMinutes: m.durationMinutes,
+            requester: m.requester ? `${m.requester.firstName || ''} ${m.requester.lastName || ''}`.trim() : null,
+            recipient: m.recipient ? `${m.recipient.firstName || ''} ${m.recipient.lastName || ''}`.trim() : null,
+          })),
+        })),
+      })),
+    });
+  } catch (err) {
+    sendMeetingLocationError(res, err, 'GET /locations/schedule');
+  }
+});
+
+// PUT /organizer-api/:code/locations/:locationId - Update a location
+router.put('/:code/locations/:locationId', async (req, res) => {
+  try {
+    const { updateMeetingLocation } = require('../services/meetingLocation.service');
+    const location = await updateMeetingLocation({
+      moderatorUser: req.user,
+      conferenceCode: req.params.code,
+      locationId: req.params.locationId,
+      payload: req.body,
+    });
+    res.json(mapMeetingLocation(location));
+  } catch (err) {
+    sendMeetingLocationError(res, err, 'PUT /locations/:locationId');
+  }
+});
+
+// DELETE /organizer-api/:code/locations/:locationId - Deactivate a location (booked meetings keep it)
+router.delete('/:code/locations/:locationId', async (req, res) => {
+  try {
+    const { deleteMeetingLocation } = require('../services/meetingLocation.service');
+    const location = await deleteMeetingLocation({
+      moderatorUser: req.user,
+      conferenceCode: req.params.code,
+      locationId: req.params.locationId,
+    });
+    res.json(mapMeetingLocation(location));
+  } catch (err) {
+    sendMeetingLocationError(res, err, 'DELETE /locations/:locationId');
+  }
+});
+
+function mapSession(s) {
+  return {
+    id: s._id.toString(),
+    title: s.title,
+    description: s.description || null,
+    track: s.track || null,
+    room: s.room || null,
+    startsAt: s.startsAt,
+    endsAt: s.endsAt,
+    speakers: (s.speakers || []).map((p) => ({
+      id: p._id.toString(),
+      firstName: p.firstName,
+      lastName: p.lastName,
+    })),
+    createdAt: s.createdAt,
+  };
+}
+
+function sendSessionError(res, err, route) {
+  if (err.message === 'CONFERENCE_NOT_FOUND') {
+    return res.status(404).json({ error: 'Conference not found' });
+  }
+  if (err.message === 'SESSION_NOT_FOUND') {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (err.message === 'SPEAKER_NOT_FOUND') {
+    return res.status(400).json({ error: 'Speaker is not a participant of this conference' });
+  }
+  if (err.message === 'ACCESS_DENIED') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (err.message && err.message.startsWith('VALIDATION_ERROR')) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`Error in ${route}:`, err);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+// GET /organizer-api/:code/sessions - Conference agenda
+router.get('/:code/sessions', async (req, res) => {
+  try {
+    const { listSessions } = require('../services/session.service');
+    const { sessions } = await listSessions({ conferenceCode: req.params.code });
+    res.json({ items: sessions.map(mapSession), total: sessions.length });
+  } catch (err) {
+    sendSessionError(res, err, 'GET /sessions');
+  }
+});
+
+// POST /organizer-api/:code/sessions - Add a session
+// Body: { title, startsAt, endsAt, description?, track?, room?, speakerProfileIds? }
+router.post('/:code/sessions', async (req, res) => {
+  try {
+    const { createSession } = require('../services/session.service');
+    const session = await createSession({ moderatorUser: req.user, conferenceCode: req.params.code, payload: req.body });
+    res.status(201).json(mapSession(session));
+  } catch (err) {
+    sendSessionError(res, err, 'POST /sessions');
+  }
+});
+
+// PUT /organizer-api/:code/sessions/:sessionId - Update a session
+router.put('/:code/sessions/:sessionId', async (req, res) => {
+  try {
+    const { updateSession } = require('../services/session.service');
+    const session = await updateSession({
+      moderatorUser: req.user,
+      conferenceCode: req.params.code,
+      sessionId: req.params.sessionId,
+      payload: req.body,
+    });
+    res.json(mapSession(session));
+  } catch (err) {
+    sendSessionError(res, err, 'PUT /sessions/:sessionId');
+  }
+});
+
+// DELETE /organizer-api/:code/sessions/:sessionId - Remove a session (its questions and polls stay)
+router.delete('/:code/sessions/:sessionId', async (req, res) => {
+  try {
+    const { deleteSession } = require('../services/session.service');
+    await deleteSession({ moderatorUser: req.user, conferenceCode: req.params.code, sessionId: req.params.sessionId });
+    res.json({ success: true });
+  } catch (err) {
+    sendSessionError(res, err, 'DELETE /sessions/:sessionId');
+  }
+});
+
+// GET /organizer-api/:code/export/report.pdf - Full organizer report as PDF (before the CSV route, which would match it)
+router.get('/:code/export/report.pdf', requireFeature('exportPdfEnabled'), async (req, res) => {
+  try {
+    const { conference, user } = req;
+    const { generateOrganizerReport } = require('../services/report.service');
+    const { renderReportPdf } = require('../lib/report-pdf');
+
+    const report = await generateOrganizerReport({
+      telegramUser: { id: user.telegramId },
+      conferenceCode: conference.conferenceCode,
+    });
+    const pdf = await renderReportPdf(report);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="report-${conference.conferenceCode}-${Date.now()}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    console.error('Error in GET /export/report.pdf:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /organizer-api/:code/export/:type - Export data as CSV
-router.get('/:code/export/:type', async (req, res) => {
+router.get('/:code/export/:type', requireFeature('exportCsvEnabled'), async (req, res) => {
   try {
     const { conference } = req;
     const { type } = req.params;
     const conferenceId = conference._id;
     
-    // Check if CSV export is enabled
-    const { isFeatureEnabled } = require('../services/limit.service');
-    const csvEnabled = await isFeatureEnabled('exportCsvEnabled', conferenceId);
-    
-    if (!csvEnabled) {
-      return res.status(403).json({ 
-        error: 'CSV export is not available on your current plan. Please upgrade to enable this feature.' 
-      });
-    }
-
     let csv = '';
     let filename = '';
 
@@ -1013,8 +1500,11 @@ router.put('/:code/subscription', async (req, res) => {
       return res.status(404).json({ error: 'Tariff plan not found' });
     }
     
-    // Find or create subscription
-    let subscription = await Subscription.findOne({ conferenceId: conference._id });
+    // Find or create subscription (the current one; expired subscriptions are kept as history)
+    let subscription = await Subscription.findOne({
+      conferenceId: conference._id,
+      status: { $in: ['active', 'trial'] },
+    }).sort({ createdAt: -1 });
     
     if (subscription) {
       // Update existing subscription
@@ -1035,6 +1525,9 @@ router.put('/:code/subscription', async (req, res) => {
     }
     
     await subscription.populate('tariffPlan');
+
+    const { invalidateLimitsCache } = require('../services/limit.service');
+    invalidateLimitsCache({ conferenceId: conference._id });
     
     res.json({
       id: subscription._id.toString(),
@@ -31,6 +31,14 @@ router.get('/organizer-dashboard/:code', async (req, res) => {
       return res.status(404).send('Conference not found.');
     }
 
+    const { assertFeatureEnabled, formatFeatureNotAvailable } = require('../lib/feature-gate');
+    try {
+      await assertFeatureEnabled('organizerDashboardEnabled', conference._id);
+    } catch (err) {
+      if (err.message !== 'FEATURE_NOT_AVAILABLE') throw err;
+      return res.status(403).type('text/plain').send(formatFeatureNotAvailable(err.details));
+    }
+
     // Get user and generate report
     const user = await ensureUserFromTelegram({ id: parseInt(telegramId) });
     const report = await generateOrganizerReport({ telegramUser: { id: parseInt(telegramId) }, conferenceCode: code });
@@ -53,6 +61,55 @@ router.get('/organizer-dashboard/:code', async (req, res) => {
       return Math.min(100, Math.round((value / total) * 100));
     };
 
+    const escapeHtml = (value) => String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    // Per-location schedule grid (only when the conference has bookable locations)
+    const { getLocationSchedule } = require('../services/meetingLocation.service');
+    const { DAY_KEY_PATTERN, getNetworkingDays, getConferenceTimezone, toDayKey, formatTime, formatDayKey } = require('../lib/networking-hours');
+    const networkingDays = getNetworkingDays(conference);
+    const scheduleDay = DAY_KEY_PATTERN.test(req.query.day || '')
+      ? req.query.day
+      : (networkingDays[0] || toDayKey(new Date(), getConferenceTimezone(conference)));
+    const schedule = await getLocationSchedule({ conference, day: scheduleDay });
+    const dayLink = (day) => `/organizer-dashboard/${encodeURIComponent(code)}?key=${encodeURIComponent(providedKey)}&telegramId=${encodeURIComponent(telegramId)}&day=${day}`;
+    const meetingStatusIcons = { pending: '⏳', accepted: '✅', completed: '🏁' };
+
+    const locationScheduleHtml = schedule.locations.length === 0 ? '' : `
+      <div class="section">
+        <h2>📍 Расписание локаций — ${formatDayKey(schedule.day)}</h2>
+        <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 16px;">
+          ${networkingDays.map((day) => `<a href="${dayLink(day)}" class="btn${day === schedule.day ? ' btn-success' : ''}">${formatDayKey(day)}</a>`).join('')}
+        </div>
+        ${schedule.rows.length === 0 ? `
+        <div class="stat-row"><span class="stat-label">В этот день нет времени для встреч.</span></div>
+        ` : `
+        <div style="overflow-x: auto;">
+          <table class="location-grid">
+            <thead>
+              <tr>
+                <th>${escapeHtml(schedule.timezone)}</th>
+                ${schedule.locations.map((l) => `<th>${escapeHtml(l.name)}<br><span class="location-capacity">${l.isActive ? `мест: ${l.capacity}` : 'отключена'}</span></th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${schedule.rows.map((row) => `
+              <tr>
+                <td class="location-time">${formatTime(row.time, schedule.timezone)}</td>
+                ${row.cells.map((cell) => `
+                <td class="${cell.meetings.length === 0 ? 'location-free' : (cell.free === 0 ? 'location-full' : 'location-busy')}">
+                  ${cell.meetings.map((m) => `<div>${meetingStatusIcons[m.status] || ''} ${escapeHtml(m.requester ? `${m.requester.firstName || ''} ${m.requester.lastName || ''}`.trim() : '—')} ↔ ${escapeHtml(m.recipient ? `${m.recipient.firstName || ''} ${m.recipient.lastName || ''}`.trim() : '—')}</div>`).join('')}
+                </td>`).join('')}
+              </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+        `}
+      </div>`;
+
     const html = `
 <!DOCTYPE html>
 <html lang="ru">
@@ -164,6 +221,76 @@ router.get('/organizer-dashboard/:code', async (req, res) => {
         padding-bottom: 12px;
         border-bottom: 2px solid #e2e8f0;
       }
+      .timeseries-controls {
+        display: flex;
+        gap: 12px;
+        flex-wrap: wrap;
+        align-items: flex-end;
+        margin-bottom: 16px;
+      }
+      .timeseries-controls .form-group {
+        margin-bottom: 0;
+        min-width: 180px;
+      }
+      .timeseries-totals {
+        display: flex;
+        gap: 20px;
+        flex-wrap: wrap;
+        margin-bottom: 16px;
+        font-size: 14px;
+        color: #4a5568;
+      }
+      .timeseries-chart {
+        margin-bottom: 24px;
+      }
+      .timeseries-chart h3 {
+        font-size: 15px;
+        color: #2d3748;
+        margin-bottom: 6px;
+      }
+      .timeseries-legend {
+        font-size: 12px;
+        color: #718096;
+        margin-bottom: 4px;
+      }
+      .timeseries-legend span {
+        margin-right: 14px;
+      }
+      .timeseries-chart svg {
+        width: 100%;
+        height: 180px;
+        display: block;
+      }
+      .location-grid {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 13px;
+      }
+      .location-grid th,
+      .location-grid td {
+        border: 1px solid #e2e8f0;
+        padding: 6px 8px;
+        text-align: left;
+        vertical-align: top;
+        min-width: 120px;
+      }
+      .location-grid th {
+        background: #f7fafc;
+        color: #2d3748;
+      }
+      .location-grid .location-time {
+        min-width: 60px;
+        font-weight: 600;
+        color: #4a5568;
+      }
+      .location-capacity {
+        font-size: 11px;
+        font-weight: 400;
+        color: #a0aec0;
+      }
+      .location-free { background: #f0fff4; }
+      .location-busy { background: #fffaf0; }
+      .location-full { background: #fff5f5; }
       .stat-row {
         display: flex;
         justify-content: space-between;
@@ -584,6 +711,8 @@ router.get('/organizer-dashboard/:code', async (req, res) => {
         ` : ''}
       </div>
 
+      ${locationScheduleHtml}
+
       <div class="section">
         <h2>📊 Детали по онбордингу</h2>
         <div class="stat-row">
@@ -617,6 +746,49 @@ router.get('/organizer-dashboard/:code', async (req, res) => {
         `}
       </div>
 
+      <div class="section">
+        <h2>📈 Активность во времени</h2>
+        <form class="timeseries-controls" onsubmit="loadTimeSeries(event)">
+          <div class="form-group">
+            <label>С</label>
+            <input type="datetime-local" id="ts-from" />
+          </div>
+          <div class="form-group">
+            <label>По</label>
+            <input type="datetime-local" id="ts-to" />
+          </div>
+          <div class="form-group">
+            <label>Интервал</label>
+            <select id="ts-bucket">
+              <option value="15">15 минут</option>
+              <option value="30">30 минут</option>
+              <option value="60" selected>1 час</option>
+              <option value="180">3 часа</option>
+              <option value="360">6 часов</option>
+              <option value="1440">1 день</option>
+            </select>
+          </div>
+          <button type="submit" class="btn">Показать</button>
+        </form>
+        <div id="ts-status" class="metric-label"></div>
+        <div id="ts-totals" class="timeseries-totals"></div>
+        <div id="ts-charts"></div>
+      </div>
+
+      <div class="section">
+        <h2>🕸️ Сеть знакомств</h2>
+        <div class="timeseries-controls">
+          <label style="font-size: 14px; color: #4a5568;">
+            <input type="checkbox" id="network-requests" onchange="loadNetwork()" />
+            Учитывать неотвеченные запросы
+          </label>
+          <button type="button" class="btn btn-secondary" onclick="exportNetwork('graphml')">📥 GraphML</button>
+          <button type="button" class="btn btn-secondary" onclick="exportNetwork('json')">📥 JSON</button>
+        </div>
+        <div id="network-status" class="metric-label"></div>
+        <div id="network-content"></div>
+      </div>
+
       <div class="section">
         <h2>📥 Экспорт данных</h2>
         <div style="display: flex; gap: 12px; flex-wrap: wrap;">
@@ -624,6 +796,7 @@ router.get('/organizer-dashboard/:code', async (req, res) => {
           <button class="btn" onclick="exportCSV('questions')">📥 Экспорт вопросов (CSV)</button>
           <button class="btn" onclick="exportCSV('polls')">📥 Экспорт опросов (CSV)</button>
           <button class="btn" onclick="exportCSV('meetings')">📥 Экспорт встреч (CSV)</button>
+          <button class="btn" onclick="exportCSV('report.pdf')">📄 Полный отчёт (PDF)</button>
         </div>
         <div style="margin-top: 16px;">
           <a href="/organizer-admin/${code}?key=${encodeURIComponent(providedKey)}&telegramId=${telegramId}" class="btn btn-success">🔧 Перейти к управлению конференцией</a>
@@ -670,6 +843,212 @@ router.get('/organizer-dashboard/:code', async (req, res) => {
         <p>Отчёт сгенерирован: ${new Date().toLocaleString('ru-RU')}</p>
       </div>
     </div>
+    <script>
+      const CONFERENCE_TIMEZONE = ${JSON.stringify(report.conference.timezone)};
+      const TS_CHARTS = [
+        { title: '👥 Присоединения', series: [{ key: 'joins', label: 'Участники', color: '#667eea' }] },
+        {
+          title: '❓ Вопросы и 🗳️ голоса',
+          series: [
+            { key: 'questions', label: 'Вопросы', color: '#ed8936' },
+            { key: 'votes', label: 'Голоса', color: '#38a169' },
+          ],
+        },
+        {
+          title: '🤝 Запросы встреч',
+          series: [
+            { key: 'meetingRequests', label: 'Запрошено', color: '#3182ce' },
+            { key: 'meetingsAccepted', label: 'Принято', color: '#38a169' },
+          ],
+        },
+        { title: '✅ Доля принятых встреч, %', max: 100, series: [{ key: 'acceptanceRate', label: '%', color: '#805ad5' }] },
+        { title: '📺 Пик зрителей второго экрана', series: [{ key: 'peakViewers', label: 'Зрители', color: '#e53e3e' }] },
+      ];
+
+      function escapeHtmlText(value) {
+        return String(value).replace(/[&<>"]/g, function (c) {
+          return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+        });
+      }
+
+      function formatBucketTime(date, bucketMinutes) {
+        const options = { timeZone: CONFERENCE_TIMEZONE, day: '2-digit', month: '2-digit' };
+        if (bucketMinutes < 1440) {
+          options.hour = '2-digit';
+          options.minute = '2-digit';
+        }
+        return new Date(date).toLocaleString('ru-RU', options);
+      }
+
+      function toLocalInputValue(date) {
+        const d = new Date(date);
+        d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+        return d.toISOString().slice(0, 16);
+      }
+
+      // Line chart as inline SVG: one polyline per series, scaled to the largest value
+      function renderTimeChart(chart, data) {
+        const width = 800;
+        const height = 180;
+        const pad = { left: 40, right: 10, top: 10, bottom: 24 };
+        const buckets = data.buckets;
+        let max = chart.max || 0;
+        chart.series.forEach(function (s) {
+          buckets.forEach(function (b) { max = Math.max(max, b[s.key]); });
+        });
+        max = max || 1;
+
+        const step = buckets.length > 1 ? (width - pad.left - pad.right) / (buckets.length - 1) : 0;
+        const x = function (i) { return pad.left + i * step; };
+        const y = function (v) { return pad.top + (height - pad.top - pad.bottom) * (1 - v / max); };
+
+        let svg = '<svg viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="none">';
+        [0, 0.5, 1].forEach(function (f) {
+          const v = Math.round(max * f * 10) / 10;
+          svg += '<line x1="' + pad.left + '" x2="' + (width - pad.right) + '" y1="' + y(v) + '" y2="' + y(v) + '" stroke="#e2e8f0" />';
+          svg += '<text x="' + (pad.left - 6) + '" y="' + (y(v) + 4) + '" font-size="11" fill="#a0aec0" text-anchor="end">' + v + '</text>';
+        });
+
+        const labelEvery = Math.max(1, Math.ceil(buckets.length / 8));
+        buckets.forEach(function (b, i) {
+          if (i % labelEvery === 0) {
+            svg += '<text x="' + x(i) + '" y="' + (height - 6) + '" font-size="11" fill="#a0aec0" text-anchor="middle">' +
+              escapeHtmlText(formatBucketTime(b.start, data.bucketMinutes)) + '</text>';
+          }
+        });
+
+        chart.series.forEach(function (s) {
+          const points = buckets.map(function (b, i) { return x(i) + ',' + y(b[s.key]); }).join(' ');
+          svg += '<polyline fill="none" stroke="' + s.color + '" stroke-width="2" points="' + points + '" />';
+          buckets.forEach(function (b, i) {
+            svg += '<circle cx="' + x(i) + '" cy="' + y(b[s.key]) + '" r="2.5" fill="' + s.color + '"><title>' +
+              escapeHtmlText(formatBucketTime(b.start, data.bucketMinutes) + ' — ' + s.label + ': ' + b[s.key]) + '</title></circle>';
+          });
+        });
+        svg += '</svg>';
+
+        const legend = chart.series.map(function (s) {
+          return '<span style="color: ' + s.color + ';">● ' + escapeHtmlText(s.label) + '</span>';
+        }).join('');
+
+        return '<div class="timeseries-chart"><h3>' + escapeHtmlText(chart.title) + '</h3>' +
+          '<div class="timeseries-legend">' + legend + '</div>' + svg + '</div>';
+      }
+
+      function renderTimeSeries(data) {
+        const t = data.totals;
+        document.getElementById('ts-totals').innerHTML = [
+          '👥 Присоединились: <strong>' + t.joins + '</strong>',
+          '❓ Вопросов: <strong>' + t.questions + '</strong>',
+          '🗳️ Голосов: <strong>' + t.votes + '</strong>',
+          '🤝 Запросов встреч: <strong>' + t.meetingRequests + '</strong> (принято ' + t.acceptanceRate + '%)',
+          '📺 Пик зрителей: <strong>' + t.peakViewers + '</strong>',
+        ].map(function (item) { return '<span>' + item + '</span>'; }).join('');
+
+        document.getElementById('ts-charts').innerHTML = TS_CHARTS.map(function (chart) {
+          return renderTimeChart(chart, data);
+        }).join('');
+      }
+
+      async function loadTimeSeries(event) {
+        if (event) event.preventDefault();
+        const status = document.getElementById('ts-status');
+        const params = new URLSearchParams({ key: API_KEY, telegramId: TELEGRAM_ID });
+        const from = document.getElementById('ts-from').value;
+        const to = document.getElementById('ts-to').value;
+        if (from) params.set('from', new Date(from).toISOString());
+        if (to) params.set('to', new Date(to).toISOString());
+        params.set('bucket', document.getElementById('ts-bucket').value);
+
+        status.textContent = 'Загрузка...';
+        try {
+          const response = await fetch('/organizer-api/' + encodeURIComponent(CONFERENCE_CODE) + '/analytics/timeseries?' + params.toString());
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.message || data.error || 'API error');
+          }
+          document.getElementById('ts-from').value = toLocalInputValue(data.from);
+          document.getElementById('ts-to').value = toLocalInputValue(data.to);
+          status.textContent = '';
+          renderTimeSeries(data);
+        } catch (err) {
+          status.textContent = '❌ ' + err.message;
+        }
+      }
+
+      loadTimeSeries();
+
+      const ROLE_TITLES = { speaker: '🎤 Спикеры', investor: '💰 Инвесторы', organizer: '📋 Организаторы', participant: '👤 Участники' };
+
+      function networkParams() {
+        const params = new URLSearchParams({ key: API_KEY, telegramId: TELEGRAM_ID });
+        if (document.getElementById('network-requests').checked) params.set('includeRequests', 'true');
+        return params;
+      }
+
+      function exportNetwork(format) {
+        const params = networkParams();
+        params.set('format', format);
+        window.location.href = '/organizer-api/' + encodeURIComponent(CONFERENCE_CODE) + '/analytics/network/export?' + params.toString();
+      }
+
+      function personLabel(p) {
+        return escapeHtmlText(p.name) + (p.username ? ' <span class="metric-label">@' + escapeHtmlText(p.username) + '</span>' : '');
+      }
+
+      function renderNetwork(data) {
+        const st = data.stats;
+        let html = '<div class="timeseries-totals">' + [
+          '🔗 Связей: <strong>' + st.links + '</strong>',
+          '📐 Плотность: <strong>' + st.density + '</strong>',
+          '👥 В среднем контактов: <strong>' + st.averageDegree + '</strong>',
+          '🧩 Групп: <strong>' + st.components + '</strong> (крупнейшая: ' + st.largestComponent + ')',
+          '🏝️ Без контактов: <strong>' + st.isolatedParticipants + '</strong> из ' + st.participants,
+        ].map(function (item) { return '<span>' + item + '</span>'; }).join('') + '</div>';
+
+        html += '<h3 style="font-size: 15px; margin: 12px 0 6px;">⭐ Самые активные в нетворкинге</h3>';
+        html += data.topConnectors.length
+          ? '<table class="location-grid"><thead><tr><th>Участник</th><th>Контактов</th><th>Взаимодействий</th></tr></thead><tbody>' +
+            data.topConnectors.map(function (p) {
+              return '<tr><td>' + personLabel(p) + '</td><td>' + p.degree + '</td><td>' + p.weight + '</td></tr>';
+            }).join('') + '</tbody></table>'
+          : '<div class="metric-label">Пока никто не познакомился.</div>';
+
+        const roles = data.roleMatrix.roles;
+        html += '<h3 style="font-size: 15px; margin: 16px 0 6px;">🔀 Кто с кем взаимодействует</h3>';
+        html += '<table class="location-grid"><thead><tr><th></th>' +
+          roles.map(function (r) { return '<th>' + ROLE_TITLES[r] + '</th>'; }).join('') + '</tr></thead><tbody>' +
+          roles.map(function (r) {
+            return '<tr><th>' + ROLE_TITLES[r] + ' (' + data.roleMatrix.participants[r] + ')</th>' +
+              roles.map(function (c) { return '<td>' + data.roleMatrix.links[r][c] + '</td>'; }).join('') + '</tr>';
+          }).join('') + '</tbody></table>';
+
+        if (data.isolated.length) {
+          html += '<h3 style="font-size: 15px; margin: 16px 0 6px;">🏝️ Участники без контактов (' + data.isolated.length + ')</h3>';
+          html += '<div class="metric-label" style="color: #4a5568;">' + data.isolated.map(personLabel).join(', ') + '</div>';
+        }
+
+        document.getElementById('network-content').innerHTML = html;
+      }
+
+      async function loadNetwork() {
+        const status = document.getElementById('network-status');
+        status.textContent = 'Загрузка...';
+        try {
+          const response = await fetch('/organizer-api/' + encodeURIComponent(CONFERENCE_CODE) + '/analytics/network?' + networkParams().toString());
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.message || data.error || 'API error');
+          }
+          status.textContent = '';
+          renderNetwork(data);
+        } catch (err) {
+          status.textContent = '❌ ' + err.message;
+        }
+      }
+
+      loadNetwork();
+    </script>
   </body>
 </html>
     `;
@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const { Payment } = require('../models/payment');
+const { PaymentEvent } = require('../models/paymentEvent');
+const { User } = require('../models/user');
+const { withTransaction } = require('../lib/mongo');
+const { createYooKassaProvider } = require('./providers/yookassa');
+const { createFakeProvider } = require('./providers/fake');
+
+/**
+ * Payment provider layer.
+ *
+ * Every adapter implements:
+ *   name
+ *   createPayment({ orderId, amount, currency, description, returnUrl, metadata })
+ *     -> { providerOrderId, paymentUrl, status }
+ *   verifyWebhook(req) -> { eventId, providerOrderId, status, refundId?, refundStatus? }
+ *     throws INVALID_WEBHOOK_SIGNATURE / INVALID_WEBHOOK_PAYLOAD; status is null for events
+ *     that do not change the payment status (e.g. refund events)
+ *   fetchPaymentStatus(providerOrderId) -> { status }
+ *   refund({ providerOrderId, amount, currency, reason, idempotenceKey })
+ *     -> { refundId, status: pending|succeeded|cancelled }; a repeated call with the same key is one refund
+ *
+ * Amounts are in minor units, statuses are already mapped to Payment statuses.
+ */
+
+const PAID_ACCESS_YEARS = 1;
+
+// A webhook event stuck in "received" (the handler crashed) may be picked up again after this
+const STALE_EVENT_MS = 60 * 1000;
+
+const providers = new Map();
+
+function getDefaultProviderName() {
+  return process.env.PAYMENT_PROVIDER || 'yookassa';
+}
+
+function createProvider(name) {
+  switch (name) {
+    case 'yookassa':
+      return createYooKassaProvider({
+        shopId: process.env.PAYMENT_SHOP_ID,
+        secretKey: process.env.PAYMENT_API_KEY,
+        apiUrl: process.env.PAYMENT_API_URL || undefined,
+      });
+    case 'fake':
+      // Self-signed "payments": only when chosen explicitly (never as a fallback), never in production.
+      // Otherwise /callback/fake would accept webhooks anyone can sign.
+      if (process.env.PAYMENT_PROVIDER !== 'fake' || process.env.NODE_ENV === 'production') {
+        throw new Error('UNKNOWN_PAYMENT_PROVIDER');
+      }
+      return createFakeProvider({
+        secret: process.env.FAKE_PAYMENT_SECRET,
+        paymentUrl: process.env.PAYMENT_REDIRECT_URL || 'https://payment.example.com',
+      });
+    default:
+      throw new Error('UNKNOWN_PAYMENT_PROVIDER');
+  }
+}
+
+/**
+ * Provider adapter by name (default: PAYMENT_PROVIDER, or YooKassa)
+ */
+function getPaymentProvider(name = null) {
+  const providerName = name || getDefaultProviderName();
+  if (!providers.has(providerName)) {
+    providers.set(providerName, createProvider(providerName));
+  }
+  return providers.get(providerName);
+}
+
+/**
+ * Grant 365 days of paid access from `paidAt`. Idempotent: granting the same payment again
+ * changes nothing, and a later end date of another payment is kept.
+ */
+async function grantPaidAccess(userId, { paidAt = new Date(), session = null } = {}) {
+  const paidUntil = new Date(paidAt);
+  paidUntil.setFullYear(paidUntil.getFullYear() + PAID_ACCESS_YEARS);
+
+  return User.findByIdAndUpdate(userId, {
+    $set: { hasPaidAccess: true },
+    $max: { paidAccessUntil: paidUntil },
+  }, { new: true, session });
+}
+
+/**
+ * Take back paid access after a refund. Access bought with another (not refunded) payment is kept.
+ */
+async function revokePaidAccess(userId, { exceptPaymentId }) {
+  const other = await Payment.findOne({
+    _id: { $ne: exceptPaymentId },
+    user: userId,
+    status: { $in: ['succeeded', 'partially_refunded'] },
+    paidAt: { $exists: true },
+  }).sort({ paidAt: -1 });
+
+  let paidUntil = null;
+  if (other) {
+    paidUntil = new Date(other.paidAt);
+    paidUntil.setFullYear(paidUntil.getFullYear() + PAID_ACCESS_YEARS);
+  }
+
+  if (paidUntil && paidUntil > new Date()) {
+    return User.findByIdAndUpdate(userId, { hasPaidAccess: true, paidAccessUntil: paidUntil }, { new: true });
+  }
+  return User.findByIdAndUpdate(userId, { hasPaidAccess: false, paidAccessUntil: null }, { new: true });
+}
+
+/**
+ * Move a payment to the status reported by its provider and apply the side effects.
+ * Provider payment statuses only settle a pending payment; after that the status follows refunds.
+ * Returns true if the status changed; throws ILLEGAL_PAYMENT_TRANSITION.
+ */
+async function applyPaymentStatus(payment, status, { source, reason = null } = {}) {
+  if (payment.status !== 'pending' && payment.status !== status) {
+    throw new Error(`ILLEGAL_PAYMENT_TRANSITION: ${payment.status} -> ${status}`);
+  }
+
+  const changed = payment.transitionTo(status, { source, reason });
+  if (!changed) {
+    // Without transactions (standalone MongoDB) a crash may have stopped the grant after
+    // "succeeded" was stored, so a repeated notification grants again
+    if (status === 'succeeded') {
+      await grantPaidAccess(payment.user, { paidAt: payment.paidAt });
+    }
+    return false;
+  }
+
+  const user = await withTransaction(async (session) => {
+    await payment.save({ session });
+    return status === 'succeeded' ? grantPaidAccess(payment.user, { paidAt: payment.paidAt, session }) : null;
+  });
+
+  if (user) {
+    console.log(`✅ Payment succeeded for user ${user.telegramId}`);
+  }
+  return true;
+}
+
+/**
+ * Record the event, or return null if another delivery of it was already handled (or is being handled)
+ */
+async function claimEvent({ provider, eventId, providerOrderId, status }) {
+  try {
+    return await PaymentEvent.create({ provider, eventId, providerOrderId, status });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  return PaymentEvent.findOneAndUpdate(
+    { provider, eventId, outcome: 'received', updatedAt: { $lt: new Date(Date.now() - STALE_EVENT_MS) } },
+    { $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Update a refund record from a provider refund event. A cancelled refund gives the amount back:
+ * the payment status follows the refunded sum again, and access taken with the refund is restored.
+ */
+async function applyRefundEvent(payment, { refundId, refundStatus }, finish) {
+  const refund = payment.refunds.find((r) => r.providerRefundId === refundId);
+  if (!refund) {
+    return finish('ignored', 'Refund not found');
+  }
+  if (!refundStatus || refund.status === refundStatus || refund.status !== 'pending') {
+    return finish('ignored', `Refund already ${refund.status}`);
+  }
+
+  const update = { $set: { 'refunds.$.status': refundStatus } };
+  if (refundStatus === 'cancelled') {
+    update.$inc = { refundedAmount: -refund.amount };
+  }
+  const result = await Payment.updateOne(
+    { _id: payment._id, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } },
+    update
+  );
+  if (!result.modifiedCount) {
+    return finish('ignored', 'Refund already updated');
+  }
+  if (refundStatus !== 'cancelled') {
+    return finish('applied');
+  }
+
+  const updated = await syncRefundStatus(payment._id, { source: 'refund_cancelled' });
+  const stillRevoked = updated.refunds.some((r) => r.accessRevoked && r.status !== 'cancelled');
+  const paidUntil = new Date(updated.paidAt);
+  paidUntil.setFullYear(paidUntil.getFullYear() + PAID_ACCESS_YEARS);
+  if (refund.accessRevoked && !stillRevoked && updated.status !== 'refunded' && paidUntil > new Date()) {
+    await grantPaidAccess(updated.user, { paidAt: updated.paidAt });
+  }
+  return finish('applied', 'Refund cancelled by provider');
+}
+
+/**
+ * Verify and apply a provider webhook. Each provider event is applied at most once.
+ * Returns { duplicate } or { event } with the stored outcome.
+ */
+async function handleWebhook({ providerName, req }) {
+  const provider = getPaymentProvider(providerName);
+  const { eventId, providerOrderId, status, refundId, refundStatus } = await provider.verifyWebhook(req);
+
+  const event = await claimEvent({ provider: provider.name, eventId, providerOrderId, status });
+  if (!event) {
+    return { duplicate: true };
+  }
+
+  const finish = async (outcome, note = null) => {
+    event.outcome = outcome;
+    event.note = note || undefined;
+    event.processedAt = new Date();
+    await event.save();
+    return { duplicate: false, event };
+  };
+
+  const payment = await Payment.findOne({ provider: provider.name, providerOrderId });
+  if (!payment) {
+    return finish('ignored', 'Payment not found');
+  }
+  event.payment = payment._id;
+
+  if (refundId) {
+    return applyRefundEvent(payment, { refundId, refundStatus }, finish);
+  }
+
+  if (!status) {
+    return finish('ignored', 'Event does not change the payment status');
+  }
+
+  try {
+    const changed = await applyPaymentStatus(payment, status, { source: 'webhook' });
+    return finish(changed ? 'applied' : 'ignored', changed ? null : `Already ${status}`);
+  } catch (err) {
+    // Out-of-order or bogus notifications must not be retried forever
+    if (err.message.startsWith('ILLEGAL_PAYMENT_TRANSITION')) {
+      return finish('ignored', err.message);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Re-read a pending payment from its provider (e.g. when the user returns from the payment page
+ * before the webhook arrived)
+ */
+async function syncPaymentStatus(payment) {
+  if (payment.status !== 'pending' || !payment.providerOrderId) {
+    return payment;
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const { status } = await provider.fetchPaymentStatus(payment.providerOrderId);
+  if (status !== payment.status) {
+    await applyPaymentStatus(payment, status, { source: 'sync' });
+  }
+  return payment;
+}
+
+/**
+ * Set the payment status that follows from its refunded sum and return the fresh payment.
+ * The update only applies while refundedAmount is what was read; a concurrent refund
+ * changing it runs this again afterwards.
+ */
+async function syncRefundStatus(paymentId, { source }) {
+  const payment = await Payment.findById(paymentId);
+  const status = payment.getStatusForRefunds();
+  const from = payment.status;
+  if (status === from || !['succeeded', 'partially_refunded', 'refunded'].includes(from)) {
+    return payment;
+  }
+
+  // Checked against the status machine like any other change, then stored conditionally
+  payment.transitionTo(status, { source });
+  await Payment.updateOne(
+    { _id: payment._id, status: from, refundedAmount: payment.refundedAmount },
+    { $set: { status }, $push: { statusHistory: payment.statusHistory[payment.statusHistory.length - 1] } }
+  );
+  return Payment.findById(paymentId);
+}
+
+/**
+ * Refund a payment fully (amount omitted) or partially through its provider.
+ * Access is revoked on a full refund unless `revokeAccess` says otherwise.
+ *
+ * The amount is reserved (a pending refund record) before the provider is called, so concurrent
+ * refunds cannot both pass the refundable check and a paid-out refund is never unrecorded.
+ * If the provider refuses, the reservation is released; if its answer is lost (network error),
+ * the refund stays pending for a manual check.
+ * Returns { payment, refund, accessRevoked }; throws REFUND_CONFLICT when another refund got there first.
+ */
+async function refundPayment({ payment, amount = null, reason = null, adminUser, revokeAccess = null }) {
+  const refundable = payment.getRefundableAmount();
+  if (!refundable) {
+    throw new Error('PAYMENT_NOT_REFUNDABLE');
+  }
+
+  const refundAmount = amount ?? refundable;
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw new Error('INVALID_REFUND_AMOUNT');
+  }
+
+  const readRefunded = payment.refundedAmount || 0;
+  const refundRecordId = new mongoose.Types.ObjectId();
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['succeeded', 'partially_refunded'] },
+      refundedAmount: readRefunded === 0 ? { $in: [0, null] } : readRefunded,
+    },
+    {
+      $inc: { refundedAmount: refundAmount },
+      $push: {
+        refunds: {
+          _id: refundRecordId,
+          amount: refundAmount,
+          reason: reason || undefined,
+          status: 'pending',
+          createdBy: adminUser._id,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new Error('REFUND_CONFLICT');
+  }
+
+  const refundIndex = reserved.refunds.findIndex((r) => r._id.equals(refundRecordId));
+  const provider = getPaymentProvider(payment.provider);
+  let result;
+  try {
+    result = await provider.refund({
+      providerOrderId: payment.providerOrderId,
+      amount: refundAmount,
+      currency: payment.currency,
+      reason,
+      idempotenceKey: `${payment._id}:${refundIndex}`,
+    });
+  } catch (err) {
+    // The provider refused (4xx): nothing was paid out
+    if (err.details && err.details.status >= 400 && err.details.status < 500) {
+      await Payment.updateOne(
+        { _id: payment._id, 'refunds._id': refundRecordId },
+        { $inc: { refundedAmount: -refundAmount }, $set: { 'refunds.$.status': 'cancelled' } }
+      );
+    }
+    throw err;
+  }
+
+  const accessRevoked = result.status !== 'cancelled' && (revokeAccess ?? reserved.refundedAmount >= reserved.amount);
+  const recorded = {
+    $set: {
+      'refunds.$.providerRefundId': result.refundId,
+      'refunds.$.status': result.status,
+      'refunds.$.accessRevoked': accessRevoked,
+    },
+  };
+  if (result.status === 'cancelled') {
+    recorded.$inc = { refundedAmount: -refundAmount };
+  }
+  await Payment.updateOne({ _id: payment._id, 'refunds._id': refundRecordId }, recorded);
+
+  const updated = await syncRefundStatus(payment._id, { source: 'refund' });
+  if (accessRevoked) {
+    await revokePaidAccess(payment.user, { exceptPaymentId: payment._id });
+  }
+
+  console.log(`↩️ Refunded ${refundAmount} ${payment.currency} of payment ${payment._id} by ${adminUser.telegramId}`);
+  return { payment: updated, refund: updated.refunds.id(refundRecordId), accessRevoked };
+}
+
+module.exports = {
+  getPaymentProvider,
+  grantPaidAccess,
+  revokePaidAccess,
+  refundPayment,
+  applyPaymentStatus,
+  handleWebhook,
+  syncPaymentStatus,
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+const STATUSES = ['pending', 'succeeded', 'failed', 'cancelled'];
+const REFUND_STATUSES = ['pending', 'succeeded', 'cancelled'];
+
+/**
+ * Local payment provider for development and tests. No money moves.
+ *
+ * Webhooks are signed like real providers do: the X-Fake-Signature header is the hex
+ * HMAC-SHA256 of the raw request body with FAKE_PAYMENT_SECRET.
+ * Body: { eventId, orderId (providerOrderId), status } or, for refunds,
+ * { eventId, orderId, refundId, refundStatus }
+ */
+function createFakeProvider({ secret, paymentUrl }) {
+  if (!secret) {
+    throw new Error('Fake payment provider requires FAKE_PAYMENT_SECRET');
+  }
+
+  // Provider-side state, so status sync behaves like a real API within one process
+  const payments = new Map();
+
+  function sign(rawBody) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  }
+
+  return {
+    name: 'fake',
+
+    async createPayment({ orderId }) {
+      const providerOrderId = `fake_${crypto.randomUUID()}`;
+      payments.set(providerOrderId, 'pending');
+      const url = new URL(paymentUrl);
+      url.searchParams.set('orderId', String(orderId));
+      url.searchParams.set('providerOrderId', providerOrderId);
+      return { providerOrderId, paymentUrl: url.toString(), status: 'pending' };
+    },
+
+    async verifyWebhook(req) {
+      const signature = String(req.headers[SIGNATURE_HEADER] || '');
+      const expected = sign(req.rawBody || Buffer.alloc(0));
+      if (signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('INVALID_WEBHOOK_SIGNATURE');
+      }
+
+      const { eventId, orderId, status, refundId, refundStatus } = req.body || {};
+      if (!eventId || !orderId) {
+        throw new Error('INVALID_WEBHOOK_PAYLOAD');
+      }
+      if (refundId) {
+        if (!REFUND_STATUSES.includes(refundStatus)) throw new Error('INVALID_WEBHOOK_PAYLOAD');
+        return {
+          eventId: String(eventId),
+          providerOrderId: String(orderId),
+          status: null,
+          refundId: String(refundId),
+          refundStatus,
+        };
+      }
+      if (!STATUSES.includes(status)) {
+        throw new Error('INVALID_WEBHOOK_PAYLOAD');
+      }
+      payments.set(orderId, status);
+      return { eventId: String(eventId), providerOrderId: String(orderId), status };
+    },
+
+    async fetchPaymentStatus(providerOrderId) {
+      return { status: payments.get(providerOrderId) || 'pending' };
+    },
+
+    async refund() {
+      // Refunds complete immediately; a payment with refunds stays "succeeded" on the provider side
+      return { refundId: `fake_refund_${crypto.randomUUID()}`, status: 'succeeded' };
+    },
+
+    /**
+     * Build a signed webhook request, e.g. for scripts simulating a completed payment
+     */
+    buildWebhook({ providerOrderId, status, refundId, refundStatus, eventId = crypto.randomUUID() }) {
+      const body = JSON.stringify({ eventId, orderId: providerOrderId, status, refundId, refundStatus });
+      return { body, headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(body) } };
+    },
+  };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,121 @@
+const DEFAULT_API_URL = 'https://api.yookassa.ru/v3';
+
+// YooKassa payment statuses -> Payment statuses
+const STATUS_MAP = {
+  pending: 'pending',
+  waiting_for_capture: 'pending',
+  succeeded: 'succeeded',
+  canceled: 'cancelled',
+};
+
+// YooKassa refund statuses -> Payment refund record statuses
+const REFUND_STATUS_MAP = {
+  pending: 'pending',
+  succeeded: 'succeeded',
+  canceled: 'cancelled',
+};
+
+function toMajorUnits(amount) {
+  return (amount / 100).toFixed(2);
+}
+
+/**
+ * YooKassa adapter (REST API v3).
+ *
+ * YooKassa notifications are not signed. Instead of trusting the body, the adapter
+ * re-reads the payment (or refund) from the API with the shop credentials and only
+ * uses the status returned there; a forged notification can at most trigger a status sync.
+ */
+function createYooKassaProvider({ shopId, secretKey, apiUrl = DEFAULT_API_URL }) {
+  if (!shopId || !secretKey) {
+    throw new Error('YooKassa provider requires PAYMENT_SHOP_ID and PAYMENT_API_KEY');
+  }
+
+  const authHeader = 'Basic ' + Buffer.from(`${shopId}:${secretKey}`).toString('base64');
+
+  async function request(method, path, { body = null, idempotenceKey = null } = {}) {
+    const headers = { Authorization: authHeader, 'Content-Type': 'application/json' };
+    if (idempotenceKey) headers['Idempotence-Key'] = idempotenceKey;
+
+    const res = await fetch(`${apiUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error('PAYMENT_PROVIDER_ERROR');
+      err.details = { status: res.status, code: data.code, description: data.description };
+      throw err;
+    }
+    return data;
+  }
+
+  return {
+    name: 'yookassa',
+
+    async createPayment({ orderId, amount, currency, description, returnUrl, metadata = {} }) {
+      const payment = await request('POST', '/payments', {
+        // The local order ID keeps retries of the same order from creating a second payment
+        idempotenceKey: String(orderId),
+        body: {
+          amount: { value: toMajorUnits(amount), currency },
+          confirmation: { type: 'redirect', return_url: returnUrl },
+          capture: true,
+          description: description ? description.slice(0, 128) : undefined,
+          metadata: { ...metadata, orderId: String(orderId) },
+        },
+      });
+
+      return {
+        providerOrderId: payment.id,
+        paymentUrl: payment.confirmation?.confirmation_url || null,
+        status: STATUS_MAP[payment.status] || 'pending',
+      };
+    },
+
+    async verifyWebhook(req) {
+      const { type, event, object } = req.body || {};
+      if (type !== 'notification' || !event || !object?.id) {
+        throw new Error('INVALID_WEBHOOK_PAYLOAD');
+      }
+
+      if (event.startsWith('refund.')) {
+        const refund = await request('GET', `/refunds/${encodeURIComponent(object.id)}`);
+        return {
+          eventId: `${event}:${refund.id}`,
+          providerOrderId: refund.payment_id,
+          status: null,
+          refundId: refund.id,
+          refundStatus: REFUND_STATUS_MAP[refund.status] || null,
+        };
+      }
+
+      const payment = await request('GET', `/payments/${encodeURIComponent(object.id)}`);
+      return {
+        eventId: `${event}:${payment.id}`,
+        providerOrderId: payment.id,
+        status: STATUS_MAP[payment.status] || null,
+      };
+    },
+
+    async fetchPaymentStatus(providerOrderId) {
+      const payment = await request('GET', `/payments/${encodeURIComponent(providerOrderId)}`);
+      return { status: STATUS_MAP[payment.status] || 'pending' };
+    },
+
+    async refund({ providerOrderId, amount, currency, reason = null, idempotenceKey }) {
+      const refund = await request('POST', '/refunds', {
+        idempotenceKey,
+        body: {
+          payment_id: providerOrderId,
+          amount: { value: toMajorUnits(amount), currency },
+          description: reason ? reason.slice(0, 250) : undefined,
+        },
+      });
+      return { refundId: refund.id, status: REFUND_STATUS_MAP[refund.status] || 'pending' };
+    },
+  };
+}
+
+module.exports = { createYooKassaProvider };
@@ -0,0 +1,488 @@
+/**
+ * One-off migration of the former twa-backend database into the main service.
+ *
+ *   TWA_MONGO_URI=mongodb://.../twa MONGODB_URI=mongodb://.../main npm run migrate:twa
+ *
+ * The twa-backend database is only read. The script can be re-run: users, profiles, participants,
+ * access codes, connections and payments are matched by their natural keys, other documents
+ * through the twa_migration_map collection of the main database.
+ */
+
+const nodeEnv = process.env.NODE_ENV || 'development';
+require('dotenv').config({ path: `.env.${nodeEnv}` });
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connectMongo } = require('../lib/mongo');
+const { User } = require('../models/user');
+const { GlobalUserProfile } = require('../models/globalUserProfile');
+const { Conference } = require('../models/conference');
+const { UserProfile } = require('../models/userProfile');
+const { AccessCode } = require('../models/accessCode');
+const { Question } = require('../models/question');
+const { Poll } = require('../models/poll');
+const { Connection } = require('../models/connection');
+const { ChatMessage, ChatReadMarker } = require('../models/chatMessage');
+const { Notification } = require('../models/notification');
+const { Payment } = require('../models/payment');
+const { PaymentEvent } = require('../models/paymentEvent');
+const { PROFILE_TEXT_FIELDS } = require('../webapp-api/helpers');
+
+const MAP_COLLECTION = 'twa_migration_map';
+
+// twa-backend participant roles were free text ("Speaker", "Investor", ...)
+const KNOWN_ROLES = ['speaker', 'investor', 'organizer'];
+
+const stats = {};
+
+function count(key, amount = 1) {
+  stats[key] = (stats[key] || 0) + amount;
+}
+
+function splitLookingFor(value) {
+  if (!value) return [];
+  return String(value).split('\n').map((x) => x.trim()).filter(Boolean);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Save a new document keeping the source timestamps
+ */
+async function saveWithTimestamps(Model, data, source) {
+  const doc = new Model({ ...data, createdAt: source.createdAt, updatedAt: source.updatedAt || source.createdAt });
+  await doc.save({ timestamps: false });
+  return doc;
+}
+
+function createIdMap(target) {
+  const collection = target.collection(MAP_COLLECTION);
+
+  return {
+    async get(kind, sourceId) {
+      const entry = await collection.findOne({ _id: `${kind}:${sourceId}` });
+      return entry ? entry.targetId : null;
+    },
+    async set(kind, sourceId, targetId) {
+      await collection.updateOne({ _id: `${kind}:${sourceId}` }, { $set: { targetId } }, { upsert: true });
+    },
+  };
+}
+
+async function migrateUsers(source) {
+  const users = new Map(); // twa user id -> { user, telegramId }
+
+  for await (const src of source.collection('users').find()) {
+    const telegramId = String(src.telegramId);
+
+    let user = await User.findOne({ telegramId });
+    if (!user) {
+      user = await saveWithTimestamps(User, {
+        telegramId,
+        username: src.username,
+        firstName: src.firstName,
+        lastName: src.lastName,
+      }, src);
+      count('users created');
+    }
+
+    // Keep the longer paid access
+    if (src.hasPaidAccess && src.paidAccessUntil
+      && (!user.hasPaidAccess || !user.paidAccessUntil || user.paidAccessUntil < src.paidAccessUntil)) {
+      user.hasPaidAccess = true;
+      user.paidAccessUntil = src.paidAccessUntil;
+      await user.save();
+      count('paid access copied');
+    }
+
+    let profile = await GlobalUserProfile.findOne({ telegramId });
+    if (!profile) {
+      profile = new GlobalUserProfile({ telegramId });
+      count('global profiles created');
+    }
+
+    // Only fill what the bot profile does not have yet
+    const values = {
+      firstName: src.firstName,
+      lastName: src.lastName,
+      username: src.username,
+      photoUrl: src.avatarUrl,
+      interests: src.interests,
+      lookingFor: splitLookingFor(src.lookingFor),
+    };
+    for (const field of PROFILE_TEXT_FIELDS) {
+      values[field] = src[field];
+    }
+    for (const [field, value] of Object.entries(values)) {
+      if (isEmpty(profile[field]) && !isEmpty(value)) {
+        profile[field] = value;
+      }
+    }
+    if (src.onboardingCompleted) {
+      profile.onboardingCompleted = true;
+    }
+    await profile.save();
+
+    users.set(src._id.toString(), { user, telegramId, source: src });
+  }
+
+  return users;
+}
+
+async function uniqueConferenceCode(code) {
+  const base = String(code).trim().toLowerCase();
+  if (!(await Conference.exists({ conferenceCode: base }))) return base;
+
+  const fallback = `${base}-twa`;
+  if (!(await Conference.exists({ conferenceCode: fallback }))) {
+    console.warn(`Conference code ${base} is taken, using ${fallback}`);
+    return fallback;
+  }
+  throw new Error(`Conference codes ${base} and ${fallback} are both taken`);
+}
+
+async function migrateConferences(source, ids) {
+  const conferences = new Map(); // twa conference id -> { conferenceId, organizer }
+
+  for await (const src of source.collection('conferences').find()) {
+    const sourceId = src._id.toString();
+    let conferenceId = await ids.get('conference', sourceId);
+
+    if (!conferenceId) {
+      const conference = await saveWithTimestamps(Conference, {
+        title: src.name,
+        description: src.description,
+        conferenceCode: await uniqueConferenceCode(src.code),
+        access: src.isPrivate ? 'private' : 'public',
+        startsAt: src.startsAt,
+        endsAt: src.endsAt,
+        location: src.location,
+        coverImage: src.coverImage,
+        tags: src.tags,
+        day: src.day,
+        duration: src.duration,
+        repeat: src.repeat,
+        isActive: src.isActive !== false,
+      }, src);
+      conferenceId = conference._id;
+      await ids.set('conference', sourceId, conferenceId);
+      count('conferences created');
+    }
+
+    conferences.set(sourceId, { conferenceId, organizer: src.organizer ? src.organizer.toString() : null });
+  }
+
+  return conferences;
+}
+
+function mapRole(role) {
+  const value = String(role || '').trim().toLowerCase();
+  return KNOWN_ROLES.includes(value) ? [value] : ['participant'];
+}
+
+async function migrateParticipants(source, users, conferences) {
+  const profiles = new Map(); // `${twa user id}:${twa conference id}` -> UserProfile id
+
+  for await (const src of source.collection('participants').find()) {
+    const owner = users.get(src.user.toString());
+    const conference = conferences.get(src.conference.toString());
+    if (!owner || !conference) {
+      count('participants skipped (missing user or conference)');
+      continue;
+    }
+
+    let profile = await UserProfile.findOne({ telegramId: owner.telegramId, conference: conference.conferenceId });
+    if (!profile) {
+      const user = owner.source;
+      profile = await saveWithTimestamps(UserProfile, {
+        telegramId: owner.telegramId,
+        conference: conference.conferenceId,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        username: user.username,
+        photoUrl: src.avatarUrl || user.avatarUrl,
+        interests: src.interests && src.interests.length ? src.interests : user.interests,
+        lookingFor: splitLookingFor(user.lookingFor),
+        roles: mapRole(src.role),
+        onboardingCompleted: Boolean(user.onboardingCompleted),
+      }, { createdAt: src.joinedAt || src.createdAt, updatedAt: src.updatedAt });
+      count('participants created');
+      if (src.isVisible === false) {
+        // The main service has no hidden participants
+        count('hidden participants made visible');
+      }
+    }
+
+    profiles.set(`${src.user}:${src.conference}`, profile._id);
+  }
+
+  // Organizers become conference admins
+  for (const [sourceId, conference] of conferences) {
+    const adminProfileId = conference.organizer && profiles.get(`${conference.organizer}:${sourceId}`);
+    if (adminProfileId) {
+      await Conference.updateOne({ _id: conference.conferenceId }, { $addToSet: { admins: adminProfileId } });
+      await UserProfile.updateOne({ _id: adminProfileId }, { $addToSet: { roles: 'organizer' } });
+    }
+  }
+
+  return profiles;
+}
+
+async function migrateAccessCodes(source, users, conferences) {
+  for await (const src of source.collection('accesscodes').find()) {
+    const conference = conferences.get(src.conference.toString());
+    if (!conference) continue;
+    if (await AccessCode.exists({ code: src.code })) continue;
+
+    const creator = src.createdBy && users.get(src.createdBy.toString());
+    await saveWithTimestamps(AccessCode, {
+      conference: conference.conferenceId,
+      code: src.code,
+      maxUses: src.maxUses,
+      usedCount: src.usedCount || 0,
+      expiresAt: src.expiresAt,
+      revokedAt: src.revokedAt,
+      createdBy: creator ? creator.user._id : undefined,
+    }, src);
+    count('access codes created');
+  }
+}
+
+function profileIdsOf(userIds, conferenceSourceId, profiles) {
+  return (userIds || [])
+    .map((id) => profiles.get(`${id}:${conferenceSourceId}`))
+    .filter(Boolean);
+}
+
+async function migrateQuestions(source, ids, conferences, profiles) {
+  for await (const src of source.collection('questions').find()) {
+    const sourceId = src._id.toString();
+    const conferenceSourceId = src.conference.toString();
+    const conference = conferences.get(conferenceSourceId);
+    if (!conference || await ids.get('question', sourceId)) continue;
+
+    const question = await saveWithTimestamps(Question, {
+      conference: conference.conferenceId,
+      author: profiles.get(`${src.askedBy}:${conferenceSourceId}`),
+      text: src.text,
+      status: src.status,
+      upvoters: profileIdsOf(src.votes, conferenceSourceId, profiles),
+    }, src);
+    await ids.set('question', sourceId, question._id);
+    count('questions created');
+  }
+}
+
+async function migratePolls(source, ids, conferences, profiles) {
+  for await (const src of source.collection('polls').find()) {
+    const sourceId = src._id.toString();
+    const conferenceSourceId = src.conference.toString();
+    const conference = conferences.get(conferenceSourceId);
+    if (!conference || await ids.get('poll', sourceId)) continue;
+
+    // Options get numeric ids; the vote times were not stored, the last poll update is used
+    const votes = [];
+    const options = (src.options || []).map((option, index) => {
+      const voters = profileIdsOf(option.voters, conferenceSourceId, profiles);
+      for (const profile of voters) {
+        votes.push({ profile, optionId: index + 1, votedAt: src.updatedAt || src.createdAt });
+      }
+      return { id: index + 1, text: option.text, voters };
+    });
+
+    const poll = await saveWithTimestamps(Poll, {
+      conference: conference.conferenceId,
+      question: src.question,
+      options,
+      votes,
+      isActive: src.isActive !== false && !(src.endsAt && src.endsAt < new Date()),
+    }, src);
+    await ids.set('poll', sourceId, poll._id);
+    count('polls created');
+  }
+}
+
+async function migrateChatRequests(source, conferences, profiles) {
+  for await (const src of source.collection('chatrequests').find()) {
+    const conferenceSourceId = src.conference.toString();
+    const conference = conferences.get(conferenceSourceId);
+    const from = profiles.get(`${src.from}:${conferenceSourceId}`);
+    const to = profiles.get(`${src.to}:${conferenceSourceId}`);
+    if (!conference || !from || !to) {
+      count('chat requests skipped (missing participant)');
+      continue;
+    }
+
+    const existing = await Connection.exists({
+      $or: [{ user1: from, user2: to }, { user1: to, user2: from }],
+    });
+    if (existing) continue;
+
+    await saveWithTimestamps(Connection, {
+      conference: conference.conferenceId,
+      user1: from,
+      user2: to,
+      status: src.status,
+      message: src.message,
+    }, src);
+    count('connections created');
+  }
+}
+
+/**
+ * twa-backend kept an isRead flag per message; here each recipient gets a read marker
+ * at the latest message they had read
+ */
+async function migrateReadMarkers(lastRead) {
+  for (const { conference, reader, peer, message, createdAt } of lastRead.values()) {
+    try {
+      const result = await ChatReadMarker.updateOne(
+        { reader, peer, lastReadAt: { $lt: createdAt } },
+        { $set: { lastReadMessage: message, lastReadAt: createdAt }, $setOnInsert: { conference } },
+        { upsert: true }
+      );
+      if (result.upsertedCount || result.modifiedCount) count('read markers saved');
+    } catch (err) {
+      // A marker already at or past this message
+      if (err.code !== 11000) throw err;
+    }
+  }
+}
+
+async function migrateMessages(source, ids, conferences, profiles) {
+  const lastRead = new Map();
+
+  for await (const src of source.collection('messages').find()) {
+    const sourceId = src._id.toString();
+    const conferenceSourceId = src.conference.toString();
+    const conference = conferences.get(conferenceSourceId);
+    const from = profiles.get(`${src.from}:${conferenceSourceId}`);
+    const to = profiles.get(`${src.to}:${conferenceSourceId}`);
+    if (!conference || !from || !to) {
+      count('messages skipped (missing participant)');
+      continue;
+    }
+
+    let messageId = await ids.get('message', sourceId);
+    if (!messageId) {
+      const message = await saveWithTimestamps(ChatMessage, {
+        conference: conference.conferenceId,
+        from,
+        to,
+        text: src.text,
+      }, src);
+      messageId = message._id;
+      await ids.set('message', sourceId, messageId);
+      count('messages created');
+    }
+
+    const key = `${to}:${from}`;
+    if (src.isRead && (!lastRead.has(key) || lastRead.get(key).createdAt < src.createdAt)) {
+      lastRead.set(key, { conference: conference.conferenceId, reader: to, peer: from, message: messageId, createdAt: src.createdAt });
+    }
+  }
+
+  await migrateReadMarkers(lastRead);
+}
+
+async function migrateNotifications(source, ids, users) {
+  for await (const src of source.collection('notifications').find()) {
+    const sourceId = src._id.toString();
+    const owner = users.get(src.user.toString());
+    if (!owner || await ids.get('notification', sourceId)) continue;
+
+    const notification = await saveWithTimestamps(Notification, {
+      user: owner.user._id,
+      type: src.type,
+      title: src.title,
+      body: src.body,
+      data: src.data,
+      isRead: Boolean(src.isRead),
+    }, src);
+    await ids.set('notification', sourceId, notification._id);
+    count('notifications created');
+  }
+}
+
+/**
+ * Payments and their webhook events keep their ids: providers know the order id from the metadata.
+ */
+async function migratePayments(source, users, conferences) {
+  const mapUser = (id) => {
+    const owner = id && users.get(id.toString());
+    return owner ? owner.user._id : undefined;
+  };
+
+  for await (const src of source.collection('payments').find()) {
+    if (await Payment.exists({ _id: src._id })) continue;
+    const userId = mapUser(src.user);
+    if (!userId) {
+      count('payments skipped (missing user)');
+      continue;
+    }
+
+    const conference = src.conference && conferences.get(src.conference.toString());
+    await Payment.collection.insertOne({
+      ...src,
+      user: userId,
+      conference: conference ? conference.conferenceId : undefined,
+      refunds: (src.refunds || []).map((refund) => ({ ...refund, createdBy: mapUser(refund.createdBy) })),
+    });
+    count('payments copied');
+  }
+
+  for await (const src of source.collection('paymentevents').find()) {
+    if (await PaymentEvent.exists({ _id: src._id })) continue;
+    await PaymentEvent.collection.insertOne(src);
+    count('payment events copied');
+  }
+}
+
+async function main() {
+  const sourceUri = process.env.TWA_MONGO_URI;
+  if (!sourceUri) {
+    throw new Error('TWA_MONGO_URI is not set (twa-backend database to migrate from)');
+  }
+  if (sourceUri === process.env.MONGODB_URI) {
+    throw new Error('TWA_MONGO_URI must point to the twa-backend database, not to MONGODB_URI');
+  }
+
+  await connectMongo();
+  const source = await mongoose.createConnection(sourceUri).asPromise();
+  const target = mongoose.connection.db;
+  const ids = createIdMap(target);
+
+  try {
+    const users = await migrateUsers(source.db);
+    const conferences = await migrateConferences(source.db, ids);
+    const profiles = await migrateParticipants(source.db, users, conferences);
+    await migrateAccessCodes(source.db, users, conferences);
+    await migrateQuestions(source.db, ids, conferences, profiles);
+    await migratePolls(source.db, ids, conferences, profiles);
+    await migrateChatRequests(source.db, conferences, profiles);
+    await migrateMessages(source.db, ids, conferences, profiles);
+    await migrateNotifications(source.db, ids, users);
+    await migratePayments(source.db, users, conferences);
+
+    // Limit checks use per-conference counters
+    const { syncConferenceCounters } = require('../services/limit.service');
+    for (const { conferenceId } of conferences.values()) {
+      await syncConferenceCounters(conferenceId);
+    }
+  } finally {
+    await source.close();
+    await mongoose.disconnect();
+  }
+
+  console.log('twa-backend migration finished:');
+  for (const [key, value] of Object.entries(stats)) {
+    console.log(`  ${key}: ${value}`);
+  }
+}
+
+main().catch((err) => {
+  console.error('twa-backend migration failed:', err);
+  process.exit(1);
+});
@@ -3,7 +3,13 @@ const { Conference } = require('../models/conference');
 
 const router = express.Router();
 
-// GET /second-screen/:code?key=SECOND_SCREEN_API_KEY
+// JSON literal safe to embed into an inline <script>
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// GET /second-screen/:code?key=SECOND_SCREEN_API_KEY[&session=current|<sessionId>][&room=<room>]
+// Questions are limited to the given agenda session (by default the ones running now, in `room` if set)
 router.get('/second-screen/:code', async (req, res) => {
   try {
     const { code } = req.params;
@@ -25,12 +31,12 @@ router.get('/second-screen/:code', async (req, res) => {
     }
     
     // Check if second screen feature is enabled
-    const { isFeatureEnabled } = require('../services/limit.service');
-    const conferenceId = conference._id;
-    const secondScreenEnabled = await isFeatureEnabled('secondScreenEnabled', conferenceId);
-    
-    if (!secondScreenEnabled) {
-      return res.status(403).send('Second Screen feature is not available for this conference. Please upgrade your plan to enable this feature.');
+    const { assertFeatureEnabled, formatFeatureNotAvailable } = require('../lib/feature-gate');
+    try {
+      await assertFeatureEnabled('secondScreenEnabled', conference._id);
+    } catch (err) {
+      if (err.message !== 'FEATURE_NOT_AVAILABLE') throw err;
+      return res.status(403).type('text/plain').send(formatFeatureNotAvailable(err.details));
     }
 
     const html = `
@@ -277,6 +283,7 @@ router.get('/second-screen/:code', async (req, res) => {
         <div class="subtitle">
           Показываются только одобренные модераторами вопросы. Обновляется в реальном времени.
         </div>
+        <div class="subtitle" id="sessionLabel"></div>
         <ul id="questionsList" class="questions-list"></ul>
       </section>
       <section class="card">
@@ -312,6 +319,8 @@ router.get('/second-screen/:code', async (req, res) => {
       window.SECOND_SCREEN_CONFIG = {
         code: ${JSON.stringify(conference.conferenceCode)},
         apiKey: ${JSON.stringify(configuredKey)},
+        session: ${toScriptJson(req.query.session ? String(req.query.session) : 'current')},
+        room: ${toScriptJson(req.query.room ? String(req.query.room) : null)},
         socketUrl: window.location.origin
       };
     </script>
@@ -324,6 +333,21 @@ router.get('/second-screen/:code', async (req, res) => {
         const nowLabel = document.getElementById('nowLabel');
         const timeLeftEl = document.getElementById('timeLeft');
         const slideBody = document.getElementById('slideBody');
+        const sessionLabel = document.getElementById('sessionLabel');
+        // Sessions whose questions are shown; questions without a session are always shown
+        let allowedSessionIds = [];
+
+        function isInSessionScope(q) {
+          return !q.session || allowedSessionIds.indexOf(String(q.session)) !== -1;
+        }
+
+        function renderSessionLabel(sessions) {
+          if (!sessions || sessions.length === 0) {
+            sessionLabel.textContent = 'Сейчас перерыв — показываются общие вопросы конференции.';
+            return;
+          }
+          sessionLabel.textContent = '🎤 ' + sessions.map((s) => s.title + (s.room ? ' (' + s.room + ')' : '')).join(' · ');
+        }
 
         function setSocketStatus(online) {
           socketStatus.className = online ? 'online' : 'offline';
@@ -364,8 +388,8 @@ router.get('/second-screen/:code', async (req, res) => {
           
           let existing = questionsList.querySelector('[data-id="' + id + '"]');
           
-          // If question is not approved, remove it from the list
-          if (q.status !== 'approved') {
+          // If question is not approved or belongs to another session, remove it from the list
+          if (q.status !== 'approved' || !isInSessionScope(q)) {
             if (existing) {
               existing.remove();
             }
@@ -544,21 +568,35 @@ router.get('/second-screen/:code', async (req, res) => {
         setInterval(tickClock, 1000);
         tickClock();
 
-        // Initial fetch of approved questions
-        fetch('/conference/' + encodeURIComponent(cfg.code) + '/questions', {
-          headers: {
-            'X-SECOND-SCREEN-KEY': cfg.apiKey
+        // Approved questions of the current session scope
+        function loadQuestions() {
+          let url = '/conference/' + encodeURIComponent(cfg.code) + '/questions?session=' + encodeURIComponent(cfg.session);
+          if (cfg.room) {
+            url += '&room=' + encodeURIComponent(cfg.room);
           }
-        })
-          .then((r) => r.json())
-          .then((data) => {
-            if (data && Array.isArray(data.items)) {
-              renderQuestions(data.items);
+          return fetch(url, {
+            headers: {
+              'X-SECOND-SCREEN-KEY': cfg.apiKey
             }
           })
-          .catch((err) => {
-            console.error('Failed to load questions', err);
-          });
+            .then((r) => r.json())
+            .then((data) => {
+              if (data && Array.isArray(data.items)) {
+                allowedSessionIds = (data.sessions || []).map((s) => String(s.id));
+                renderSessionLabel(data.sessions);
+                renderQuestions(data.items);
+              } else if (data && data.error) {
+                sessionLabel.textContent = data.error;
+              }
+            })
+            .catch((err) => {
+              console.error('Failed to load questions', err);
+            });
+        }
+
+        loadQuestions();
+        // Sessions change over the day: switch the list when the next one starts
+        setInterval(loadQuestions, 60000);
 
         // Initial fetch of slide / stats
         fetch('/conference/' + encodeURIComponent(cfg.code) + '/stats', {
@@ -3,9 +3,42 @@ const { Poll } = require('../models/poll');
 const { Question } = require('../models/question');
 const { Conference } = require('../models/conference');
 const { getConferenceIdByCode } = require('../lib/conference-helper');
+const { requireFeature } = require('../lib/feature-gate');
 
 const router = express.Router();
 
+function mapSession(s) {
+  return {
+    id: s._id.toString(),
+    title: s.title,
+    track: s.track || null,
+    room: s.room || null,
+    startsAt: s.startsAt,
+    endsAt: s.endsAt,
+  };
+}
+
+/**
+ * Optional session scope of a list request:
+ * ?session=current (sessions running now, narrowed by ?room=) or ?session=<sessionId>.
+ * Returns null without ?session, otherwise { sessions, filter } where the filter keeps
+ * items of these sessions plus items not tied to any session.
+ */
+async function getSessionScope(conferenceId, query) {
+  if (!query.session) return null;
+
+  const { resolveSessionFilter } = require('../services/session.service');
+  const { sessions, sessionIds } = await resolveSessionFilter({
+    conferenceId,
+    session: String(query.session),
+    room: query.room ? String(query.room) : null,
+  });
+  return { sessions: sessions.map(mapSession), filter: { session: { $in: [...sessionIds, null] } } };
+}
+
+// The whole second screen API needs the plan feature
+router.use('/:code', requireFeature('secondScreenEnabled'));
+
 // GET /conference/:code/polls
 // Note: code is for UX only, internally we use conferenceId (ObjectId)
 router.get('/:code/polls', async (req, res) => {
@@ -14,30 +47,31 @@ router.get('/:code/polls', async (req, res) => {
     // Convert conferenceCode to conferenceId (ObjectId) for consistent DB queries
     const conferenceId = await getConferenceIdByCode(code);
 
-    // Check if second screen and polls features are enabled
+    // Polls are simply not shown if the plan has no polls
     const { isFeatureEnabled } = require('../services/limit.service');
-    const secondScreenEnabled = await isFeatureEnabled('secondScreenEnabled', conferenceId);
     const pollsEnabled = await isFeatureEnabled('pollsEnabled', conferenceId);
-    
-    if (!secondScreenEnabled) {
-      return res.status(403).json({ error: 'Second Screen feature is not available for this conference' });
-    }
-    
+
     if (!pollsEnabled) {
       return res.json({ items: [] }); // Return empty if polls disabled
     }
 
+    const scope = await getSessionScope(conferenceId, req.query);
+
     // Use conferenceId (ObjectId) for all database queries
     const polls = await Poll.find({
       conference: conferenceId,
       isActive: true,
+      ...(scope ? scope.filter : {}),
     });
 
-    res.json({ items: polls });
+    res.json(scope ? { items: polls, sessions: scope.sessions } : { items: polls });
   } catch (err) {
     if (err.message === 'CONFERENCE_NOT_FOUND') {
       return res.status(404).json({ error: 'Conference not found' });
     }
+    if (err.message === 'SESSION_NOT_FOUND') {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     console.error('Error in /conference/:code/polls', err);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -51,22 +85,51 @@ router.get('/:code/questions', async (req, res) => {
     // Convert conferenceCode to conferenceId (ObjectId) for consistent DB queries
     const conferenceId = await getConferenceIdByCode(code);
 
+    const scope = await getSessionScope(conferenceId, req.query);
+
     // Use conferenceId (ObjectId) for all database queries
     const questions = await Question.find({
       conference: conferenceId,
       status: 'approved',
+      ...(scope ? scope.filter : {}),
     }).sort({ createdAt: 1 });
 
-    res.json({ items: questions });
+    res.json(scope ? { items: questions, sessions: scope.sessions } : { items: questions });
   } catch (err) {
     if (err.message === 'CONFERENCE_NOT_FOUND') {
       return res.status(404).json({ error: 'Conference not found' });
     }
+    if (err.message === 'SESSION_NOT_FOUND') {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     console.error('Error in /conference/:code/questions', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// GET /conference/:code/sessions/current?room=
+// Sessions running now (optionally in one room) and the next one
+router.get('/:code/sessions/current', async (req, res) => {
+  try {
+    const { getNowAndNext } = require('../services/session.service');
+    const room = req.query.room ? String(req.query.room) : null;
+    const { current, next } = await getNowAndNext({ conferenceCode: req.params.code, limit: 10 });
+
+    const inRoom = (s) => !room || s.room === room;
+    const upcoming = next.find(inRoom);
+    res.json({
+      items: current.filter(inRoom).map(mapSession),
+      next: upcoming ? mapSession(upcoming) : null,
+    });
+  } catch (err) {
+    if (err.message === 'CONFERENCE_NOT_FOUND') {
+      return res.status(404).json({ error: 'Conference not found' });
+    }
+    console.error('Error in /conference/:code/sessions/current', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /conference/:code/stats
 // Note: code is for UX only, internally we use conferenceId (ObjectId)
 router.get('/:code/stats', async (req, res) => {
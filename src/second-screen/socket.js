@@ -1,5 +1,7 @@
 const { Conference } = require('../models/conference');
 const { getConferenceIdByCode } = require('../lib/conference-helper');
+const { guardSocketFeature } = require('../lib/feature-gate');
+const { trackViewer } = require('./viewers');
 
 function initSecondScreenSocket(io) {
   io.on('connection', (socket) => {
@@ -14,7 +16,7 @@ function initSecondScreenSocket(io) {
       return;
     }
 
-    socket.on('join-conference', async ({ code }) => {
+    socket.on('join-conference', guardSocketFeature(socket, 'secondScreenEnabled', async ({ code } = {}) => {
       try {
         if (!code) {
           socket.emit('error', 'Conference code is required');
@@ -27,6 +29,7 @@ function initSecondScreenSocket(io) {
         // Use conferenceId (ObjectId) for room naming
         const room = `conference-${conferenceId.toString()}`;
         socket.join(room);
+        trackViewer(socket, conferenceId);
         socket.emit('joined-conference', { room, conferenceId });
       } catch (err) {
         if (err.message === 'CONFERENCE_NOT_FOUND') {
@@ -36,7 +39,7 @@ function initSecondScreenSocket(io) {
         console.error('Error in join-conference socket handler', err);
         socket.emit('error', 'Internal server error');
       }
-    });
+    }));
   });
 }
 
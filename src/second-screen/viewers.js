@@ -0,0 +1,99 @@
+const { ScreenViewerSample } = require('../models/screenViewerSample');
+
+const SAMPLE_INTERVAL_MS = 60 * 1000;
+
+// conferenceId -> { current, peak } for second screens connected to this instance.
+// `peak` is the highest `current` since the last sample, so short visits are not lost.
+const viewers = new Map();
+
+function getCounter(conferenceId) {
+  const key = conferenceId.toString();
+  if (!viewers.has(key)) {
+    viewers.set(key, { current: 0, peak: 0 });
+  }
+  return viewers.get(key);
+}
+
+function leave(socket) {
+  const conferenceId = socket.data.viewerConferenceId;
+  if (!conferenceId) return;
+  socket.data.viewerConferenceId = null;
+  const counter = getCounter(conferenceId);
+  counter.current = Math.max(0, counter.current - 1);
+}
+
+/**
+ * Count a socket as a viewer of the conference until it disconnects or joins another conference
+ */
+function trackViewer(socket, conferenceId) {
+  if (socket.data.viewerConferenceId === conferenceId.toString()) return;
+  if (!socket.data.viewerConferenceId) {
+    socket.once('disconnect', () => leave(socket));
+  }
+  leave(socket);
+
+  socket.data.viewerConferenceId = conferenceId.toString();
+  const counter = getCounter(conferenceId);
+  counter.current += 1;
+  counter.peak = Math.max(counter.peak, counter.current);
+}
+
+/**
+ * Store the peak of the minute that just ended for every conference watched on this instance
+ */
+async function flushViewerSamples(now = new Date()) {
+  const { INSTANCE_ID } = require('../lib/scheduler');
+  const minute = new Date(Math.floor((now.getTime() - 1) / SAMPLE_INTERVAL_MS) * SAMPLE_INTERVAL_MS);
+
+  const ops = [];
+  for (const [conferenceId, counter] of viewers) {
+    if (counter.peak > 0) {
+      ops.push({
+        updateOne: {
+          filter: { conference: conferenceId, minute, instance: INSTANCE_ID },
+          update: { $max: { viewers: counter.peak } },
+          upsert: true,
+        },
+      });
+    }
+    if (counter.current === 0) {
+      viewers.delete(conferenceId);
+    } else {
+      counter.peak = counter.current;
+    }
+  }
+
+  if (ops.length) {
+    await ScreenViewerSample.bulkWrite(ops, { ordered: false });
+  }
+  return ops.length;
+}
+
+/**
+ * Sample second screen viewers once a minute. Runs on every instance: each one counts its own sockets.
+ */
+function startViewerSampler() {
+  const delay = SAMPLE_INTERVAL_MS - (Date.now() % SAMPLE_INTERVAL_MS);
+  let interval = null;
+
+  const tick = () => {
+    flushViewerSamples().catch((err) => console.error('Failed to store second screen viewer samples:', err));
+  };
+  const timeout = setTimeout(() => {
+    tick();
+    interval = setInterval(tick, SAMPLE_INTERVAL_MS);
+  }, delay);
+
+  return {
+    stop() {
+      clearTimeout(timeout);
+      if (interval) clearInterval(interval);
+    },
+  };
+}
+
+module.exports = {
+  trackViewer,
+  flushViewerSamples,
+  startViewerSampler,
+};
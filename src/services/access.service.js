@@ -17,9 +17,10 @@ const GRACE_PERIOD_MS = 2 * 60 * 60 * 1000;
  * Get current access phase for a user in a conference
  * @param {Object} conference - The conference document
  * @param {Object} userProfile - The user's profile in this conference
+ * @param {Object} [user] - The user, for paid access bought in the web app (valid for all conferences)
  * @returns {string} - The access phase from ACCESS_PHASES
  */
-function getAccessPhase(conference, userProfile) {
+function getAccessPhase(conference, userProfile, user = null) {
   // 1. If user is a conference admin or system admin, they always have full access
   // (This check should be done by the caller using roles)
 
@@ -27,6 +28,9 @@ function getAccessPhase(conference, userProfile) {
   if (userProfile && userProfile.paymentStatus === 'paid') {
     return ACCESS_PHASES.PAID;
   }
+  if (user && user.hasPaidAccess && user.paidAccessUntil && user.paidAccessUntil > new Date()) {
+    return ACCESS_PHASES.PAID;
+  }
 
   // 3. If conference is not ended and active, it's free
   if (!conference.isEnded && conference.isActive) {
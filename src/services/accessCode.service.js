@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { AccessCode } = require('../models/accessCode');
+const { Conference } = require('../models/conference');
+
+// No 0/O or 1/I so codes can be dictated and typed without confusion
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ACCESS_CODE_LENGTH = 8;
+
+// Deep link payload prefix: https://t.me/<bot>?start=ac_<CODE>
+const ACCESS_CODE_DEEP_LINK_PREFIX = 'ac_';
+
+function generateCodeValue() {
+  const bytes = crypto.randomBytes(ACCESS_CODE_LENGTH);
+  let value = '';
+  for (let i = 0; i < ACCESS_CODE_LENGTH; i += 1) {
+    value += ACCESS_CODE_ALPHABET[bytes[i] % ACCESS_CODE_ALPHABET.length];
+  }
+  return value;
+}
+
+function normalizeAccessCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Get a human-readable state of an access code
+ * @returns {'active'|'revoked'|'expired'|'exhausted'}
+ */
+function getAccessCodeStatus(accessCode) {
+  if (accessCode.revokedAt) return 'revoked';
+  if (accessCode.expiresAt && accessCode.expiresAt.getTime() <= Date.now()) return 'expired';
+  if (accessCode.maxUses && accessCode.usedCount >= accessCode.maxUses) return 'exhausted';
+  return 'active';
+}
+
+function getAccessCodeDeepLink(code, botUsername) {
+  const username = botUsername || process.env.TELEGRAM_BOT_USERNAME;
+  if (!username) return null;
+  return `https://t.me/${username.replace(/^@/, '')}?start=${ACCESS_CODE_DEEP_LINK_PREFIX}${code}`;
+}
+
+async function getConferenceForModerator({ moderatorUser, conferenceCode }) {
+  const { isConferenceAdminFor } = require('./conference.service');
+
+  const conference = await Conference.findOne({ conferenceCode });
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  const isAdmin = await isConferenceAdminFor({ user: moderatorUser, conference });
+  if (!isAdmin) {
+    throw new Error('ACCESS_DENIED');
+  }
+
+  return conference;
+}
+
+/**
+ * Generate a batch of access codes for a conference (conference admin or main admin)
+ */
+async function generateAccessCodes({ moderatorUser, conferenceCode, count, maxUses, expiresAt }) {
+  const { validate, accessCodeBatchSchema } = require('../lib/validation');
+
+  const validated = validate({ count, maxUses, expiresAt }, accessCodeBatchSchema);
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+
+  // Collect unique values, re-rolling the rare collisions with existing codes
+  const values = new Set();
+  while (values.size < validated.count) {
+    values.add(generateCodeValue());
+  }
+  let taken = await AccessCode.find({ code: { $in: [...values] } }).select('code');
+  while (taken.length > 0) {
+    taken.forEach((t) => values.delete(t.code));
+    const rerolled = [];
+    while (values.size + rerolled.length < validated.count) {
+      const value = generateCodeValue();
+      if (!values.has(value) && !rerolled.includes(value)) rerolled.push(value);
+    }
+    rerolled.forEach((v) => values.add(v));
+    taken = await AccessCode.find({ code: { $in: rerolled } }).select('code');
+  }
+
+  const docs = [...values].map((code) => ({
+    conference: conference._id,
+    code,
+    maxUses: validated.maxUses || undefined,
+    expiresAt: validated.expiresAt ? new Date(validated.expiresAt) : undefined,
+    createdBy: moderatorUser._id,
+  }));
+
+  return AccessCode.insertMany(docs);
+}
+
+/**
+ * List access codes of a conference, newest first
+ */
+async function listAccessCodes({ moderatorUser, conferenceCode }) {
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+  return AccessCode.find({ conference: conference._id }).sort({ createdAt: -1 });
+}
+
+/**
+ * Revoke an access code. Already joined participants keep their access.
+ */
+async function revokeAccessCode({ moderatorUser, conferenceCode, accessCodeId }) {
+  const { isValidObjectId } = require('../lib/conference-helper');
+
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+
+  if (!isValidObjectId(accessCodeId)) {
+    throw new Error('ACCESS_CODE_NOT_FOUND');
+  }
+
+  const accessCode = await AccessCode.findOne({ _id: accessCodeId, conference: conference._id });
+  if (!accessCode) {
+    throw new Error('ACCESS_CODE_NOT_FOUND');
+  }
+
+  if (!accessCode.revokedAt) {
+    accessCode.revokedAt = new Date();
+    await accessCode.save();
+  }
+
+  return accessCode;
+}
+
+/**
+ * Redeem an access code for a conference.
+ * The usage counter is incremented in a single conditional update, so concurrent
+ * joins can never push usedCount above maxUses.
+ */
+async function redeemAccessCode({ conferenceId, code }) {
+  const normalized = normalizeAccessCode(code);
+  if (!normalized) {
+    throw new Error('ACCESS_CODE_INVALID');
+  }
+
+  const now = new Date();
+  const accessCode = await AccessCode.findOneAndUpdate(
+    {
+      code: normalized,
+      conference: conferenceId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }] },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!accessCode) {
+    throw new Error('ACCESS_CODE_INVALID');
+  }
+
+  return accessCode;
+}
+
+/**
+ * Find the conference an access code belongs to (used by deep links,
+ * where the participant only knows the code)
+ */
+async function findConferenceByAccessCode(code) {
+  const accessCode = await AccessCode.findOne({ code: normalizeAccessCode(code) });
+  if (!accessCode) {
+    throw new Error('ACCESS_CODE_INVALID');
+  }
+
+  const conference = await Conference.findById(accessCode.conference);
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  return conference;
+}
+
+/**
+ * Build CSV for bulk export of access codes (with BOM for Excel UTF-8 support)
+ */
+function buildAccessCodesCsv(accessCodes, { botUsername } = {}) {
+  let csv = 'Code,Status,Used,Max Uses,Expires At,Deep Link,Created At\n';
+
+  accessCodes.forEach((c) => {
+    const row = [
+      c.code,
+      getAccessCodeStatus(c),
+      c.usedCount || 0,
+      c.maxUses || '',
+      c.expiresAt ? c.expiresAt.toISOString() : '',
+      getAccessCodeDeepLink(c.code, botUsername) || '',
+      c.createdAt.toISOString(),
+    ];
+    csv += row.map((field) => `"${String(field).replace(/"/g, '""')}"`).join(',') + '\n';
+  });
+
+  return '\uFEFF' + csv;
+}
+
+module.exports = {
+  ACCESS_CODE_DEEP_LINK_PREFIX,
+  normalizeAccessCode,
+  getAccessCodeStatus,
+  getAccessCodeDeepLink,
+  generateAccessCodes,
+  listAccessCodes,
+  revokeAccessCode,
+  redeemAccessCode,
+  findConferenceByAccessCode,
+  buildAccessCodesCsv,
+};
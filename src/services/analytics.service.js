@@ -0,0 +1,164 @@
+const { Conference } = require('../models/conference');
+const { UserProfile } = require('../models/userProfile');
+const { Question } = require('../models/question');
+const { Poll } = require('../models/poll');
+const { Meeting } = require('../models/meeting');
+const { ScreenViewerSample } = require('../models/screenViewerSample');
+
+const BUCKET_MINUTES = [15, 30, 60, 180, 360, 1440];
+const DEFAULT_BUCKET_MINUTES = 60;
+const MAX_BUCKETS = 2000;
+const MINUTE_MS = 60 * 1000;
+
+function rate(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Aggregation expression: start of the bucket `field` falls into, buckets aligned to `from`
+ */
+function bucketStart(field, from, bucketMs) {
+  return {
+    $subtract: [field, { $mod: [{ $subtract: [field, from] }, bucketMs] }],
+  };
+}
+
+/**
+ * Resolve and validate the requested range. Defaults to the conference dates, up to now.
+ */
+function resolveRange(conference, { from = null, to = null, bucketMinutes = null, now = new Date() }) {
+  const bucket = bucketMinutes == null ? DEFAULT_BUCKET_MINUTES : Number(bucketMinutes);
+  if (!BUCKET_MINUTES.includes(bucket)) {
+    throw new Error(`VALIDATION_ERROR: bucket must be one of ${BUCKET_MINUTES.join(', ')} minutes`);
+  }
+
+  const end = to ? new Date(to) : (conference.endsAt && conference.endsAt < now ? conference.endsAt : now);
+  const start = from ? new Date(from) : (conference.startsAt || conference.createdAt);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error('VALIDATION_ERROR: from and to must be ISO dates');
+  }
+  if (start >= end) {
+    throw new Error('VALIDATION_ERROR: from must be before to');
+  }
+
+  const bucketMs = bucket * MINUTE_MS;
+  // Align the range to whole minutes so buckets start at readable times
+  const alignedStart = new Date(Math.floor(start.getTime() / MINUTE_MS) * MINUTE_MS);
+  const count = Math.ceil((end.getTime() - alignedStart.getTime()) / bucketMs);
+  if (count > MAX_BUCKETS) {
+    throw new Error(`VALIDATION_ERROR: range is too long for ${bucket}-minute buckets (max ${MAX_BUCKETS} buckets)`);
+  }
+
+  return { from: alignedStart, to: end, bucketMinutes: bucket, bucketMs, count };
+}
+
+async function countByBucket(Model, { match, field, from, bucketMs }) {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: bucketStart(field, from, bucketMs), count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.getTime(), r.count]));
+}
+
+async function votesByBucket({ conferenceId, from, to, bucketMs }) {
+  const rows = await Poll.aggregate([
+    { $match: { conference: conferenceId, 'votes.votedAt': { $gte: from, $lt: to } } },
+    { $unwind: '$votes' },
+    { $match: { 'votes.votedAt': { $gte: from, $lt: to } } },
+    { $group: { _id: bucketStart('$votes.votedAt', from, bucketMs), count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.getTime(), r.count]));
+}
+
+/**
+ * Meeting requests made in each bucket, and how many of them were accepted (incl. already held)
+ */
+async function meetingsByBucket({ conferenceId, from, to, bucketMs }) {
+  const rows = await Meeting.aggregate([
+    { $match: { conference: conferenceId, createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: bucketStart('$createdAt', from, bucketMs),
+        requested: { $sum: 1 },
+        accepted: { $sum: { $cond: [{ $in: ['$status', ['accepted', 'completed']] }, 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [r._id.getTime(), r]));
+}
+
+/**
+ * Peak concurrent second screens per bucket: viewers of a minute are summed over instances,
+ * the bucket takes the busiest minute
+ */
+async function viewersByBucket({ conferenceId, from, to, bucketMs }) {
+  const rows = await ScreenViewerSample.aggregate([
+    { $match: { conference: conferenceId, minute: { $gte: from, $lt: to } } },
+    { $group: { _id: '$minute', viewers: { $sum: '$viewers' } } },
+    { $group: { _id: bucketStart('$_id', from, bucketMs), peak: { $max: '$viewers' } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.getTime(), r.peak]));
+}
+
+/**
+ * Activity of a conference over time: joins, questions, poll votes, meeting requests with their
+ * acceptance rate, and peak concurrent second screen viewers, per bucket of `bucketMinutes`.
+ * Votes cast before vote times were recorded are not included.
+ */
+async function getEngagementTimeSeries({ conferenceId, from = null, to = null, bucketMinutes = null }) {
+  const conference = await Conference.findById(conferenceId);
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  const range = resolveRange(conference, { from, to, bucketMinutes });
+  const params = { conferenceId: conference._id, from: range.from, to: range.to, bucketMs: range.bucketMs };
+  const createdInRange = { conference: conference._id, createdAt: { $gte: range.from, $lt: range.to } };
+
+  const [joins, questions, votes, meetings, viewers] = await Promise.all([
+    countByBucket(UserProfile, { match: createdInRange, field: '$createdAt', from: range.from, bucketMs: range.bucketMs }),
+    countByBucket(Question, { match: createdInRange, field: '$createdAt', from: range.from, bucketMs: range.bucketMs }),
+    votesByBucket(params),
+    meetingsByBucket(params),
+    viewersByBucket(params),
+  ]);
+
+  const buckets = [];
+  const totals = { joins: 0, questions: 0, votes: 0, meetingRequests: 0, meetingsAccepted: 0, peakViewers: 0 };
+  for (let i = 0; i < range.count; i += 1) {
+    const start = range.from.getTime() + i * range.bucketMs;
+    const meeting = meetings.get(start) || { requested: 0, accepted: 0 };
+    const bucket = {
+      start: new Date(start),
+      joins: joins.get(start) || 0,
+      questions: questions.get(start) || 0,
+      votes: votes.get(start) || 0,
+      meetingRequests: meeting.requested,
+      meetingsAccepted: meeting.accepted,
+      acceptanceRate: rate(meeting.accepted, meeting.requested),
+      peakViewers: viewers.get(start) || 0,
+    };
+    buckets.push(bucket);
+
+    totals.joins += bucket.joins;
+    totals.questions += bucket.questions;
+    totals.votes += bucket.votes;
+    totals.meetingRequests += bucket.meetingRequests;
+    totals.meetingsAccepted += bucket.meetingsAccepted;
+    totals.peakViewers = Math.max(totals.peakViewers, bucket.peakViewers);
+  }
+  totals.acceptanceRate = rate(totals.meetingsAccepted, totals.meetingRequests);
+
+  return {
+    from: range.from,
+    to: range.to,
+    bucketMinutes: range.bucketMinutes,
+    buckets,
+    totals,
+  };
+}
+
+module.exports = {
+  BUCKET_MINUTES,
+  getEngagementTimeSeries,
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { AuthSession } = require('../models/authSession');
+const { User } = require('../models/user');
+const { disconnectUser, disconnectSession } = require('../lib/realtime');
+
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+function positiveIntFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Access tokens are signed with TWA_TOKEN_SECRET, or with a key derived from the bot token when it is not set
+ */
+function getTokenSecret() {
+  if (process.env.TWA_TOKEN_SECRET) return process.env.TWA_TOKEN_SECRET;
+  return crypto.createHmac('sha256', 'TwaSessionToken').update(process.env.TELEGRAM_BOT_TOKEN || '').digest('hex');
+}
+
+// Access tokens are HS256 JWTs: { sub: telegramId, sid: session id, iat, exp }
+const TOKEN_HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+function signTokenData(data) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(data).digest('base64url');
+}
+
+function createAccessToken(session) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + positiveIntFromEnv('TWA_ACCESS_TOKEN_TTL_MINUTES', DEFAULT_ACCESS_TOKEN_TTL_MINUTES) * 60;
+  const payload = Buffer.from(JSON.stringify({
+    sub: session.telegramId,
+    sid: session._id.toString(),
+    iat: now,
+    exp,
+  })).toString('base64url');
+  const data = `${TOKEN_HEADER}.${payload}`;
+
+  return { accessToken: `${data}.${signTokenData(data)}`, accessTokenExpiresAt: new Date(exp * 1000) };
+}
+
+function decodeAccessToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_HEADER) {
+    throw new Error('INVALID_TOKEN');
+  }
+
+  const expected = signTokenData(`${parts[0]}.${parts[1]}`);
+  if (parts[2].length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(parts[2]), Buffer.from(expected))) {
+    throw new Error('INVALID_TOKEN');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error('INVALID_TOKEN');
+  }
+  if (!payload.sub || !payload.sid || !Number.isInteger(payload.exp)) {
+    throw new Error('INVALID_TOKEN');
+  }
+  if (payload.exp * 1000 <= Date.now()) {
+    throw new Error('TOKEN_EXPIRED');
+  }
+  return payload;
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function refreshTokenExpiry() {
+  const days = positiveIntFromEnv('TWA_REFRESH_TOKEN_TTL_DAYS', DEFAULT_REFRESH_TOKEN_TTL_DAYS);
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+function sessionTokens(session, refreshToken) {
+  return {
+    ...createAccessToken(session),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Start a session for a user whose Telegram initData was verified.
+ * Returns { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt }.
+ */
+async function createSession({ user, userAgent = null }) {
+  if (user.isBanned) {
+    throw new Error('USER_BANNED');
+  }
+
+  const refreshToken = generateRefreshToken();
+  const session = await AuthSession.create({
+    user: user._id,
+    telegramId: user.telegramId,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+    lastUsedAt: new Date(),
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined,
+  });
+
+  return sessionTokens(session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for new tokens. The refresh token is rotated: the old one stops working.
+ */
+async function refreshSession({ refreshToken }) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  // Atomic, so two refreshes with the same token cannot both succeed
+  const session = await AuthSession.findOneAndUpdate(
+    { refreshTokenHash: hashRefreshToken(refreshToken), revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashRefreshToken(nextRefreshToken),
+        expiresAt: refreshTokenExpiry(),
+        lastUsedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!session) {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  const user = await User.findById(session.user).select('isBanned');
+  if (!user || user.isBanned) {
+    await revokeSession({ sessionId: session._id, reason: 'ban' });
+    throw new Error('USER_BANNED');
+  }
+
+  return sessionTokens(session, nextRefreshToken);
+}
+
+/**
+ * Check an access token. Returns { telegramId, sessionId, expiresAt };
+ * throws INVALID_TOKEN, TOKEN_EXPIRED or SESSION_REVOKED.
+ */
+async function verifyAccessToken(token) {
+  const payload = decodeAccessToken(token);
+
+  const session = await AuthSession.findById(payload.sid).select('revokedAt').lean();
+  if (!session || session.revokedAt) {
+    throw new Error('SESSION_REVOKED');
+  }
+
+  return { telegramId: String(payload.sub), sessionId: payload.sid, expiresAt: new Date(payload.exp * 1000) };
+}
+
+/**
+ * Revoke one session, by id or by its refresh token, and close its socket connections.
+ * With telegramId, only a session of that user is revoked. Returns true if it was active.
+ */
+async function revokeSession({ sessionId = null, refreshToken = null, telegramId = null, reason = 'logout' }) {
+  const filter = { revokedAt: null };
+  if (telegramId) {
+    filter.telegramId = String(telegramId);
+  }
+  if (sessionId) {
+    filter._id = sessionId;
+  } else if (refreshToken) {
+    filter.refreshTokenHash = hashRefreshToken(String(refreshToken));
+  } else {
+    return false;
+  }
+
+  const session = await AuthSession.findOneAndUpdate(
+    filter,
+    { $set: { revokedAt: new Date(), revokeReason: reason } },
+    { projection: { _id: 1 } }
+  );
+  if (!session) {
+    return false;
+  }
+  disconnectSession(session._id);
+  return true;
+}
+
+/**
+ * Revoke every active session of a user and close all their socket connections.
+ * Returns the number of revoked sessions.
+ */
+async function revokeUserSessions({ telegramId, reason = 'logout' }) {
+  const result = await AuthSession.updateMany(
+    { telegramId: String(telegramId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokeReason: reason } }
+  );
+  disconnectUser(telegramId);
+  return result.modifiedCount;
+}
+
+/**
+ * Ban or unban a user in the mini app. Banning revokes all their sessions at once.
+ */
+async function setUserBanned({ telegramId, banned }) {
+  const update = banned
+    ? { $set: { isBanned: true, bannedAt: new Date() } }
+    : { $set: { isBanned: false }, $unset: { bannedAt: 1 } };
+
+  const user = await User.findOneAndUpdate({ telegramId: String(telegramId) }, update, { new: true });
+  if (!user) {
+    throw new Error('USER_NOT_FOUND');
+  }
+
+  const revokedSessions = banned ? await revokeUserSessions({ telegramId: user.telegramId, reason: 'ban' }) : 0;
+  return { user, revokedSessions };
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  setUserBanned,
+};
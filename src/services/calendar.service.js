@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { User } = require('../models/user');
+const { Conference } = require('../models/conference');
+const { ensureUserFromTelegram } = require('./conference.service');
+const { buildCalendar } = require('../lib/ics');
+const { getConferenceTimezone } = require('../lib/networking-hours');
+
+// Calendar apps re-fetch subscribed feeds roughly this often
+const FEED_REFRESH_MINUTES = 30;
+
+function getBaseUrl() {
+  return process.env.BASE_URL || process.env.SERVER_URL || 'http://localhost:3000';
+}
+
+function generateCalendarToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function getCalendarFeedUrl(token) {
+  return `${getBaseUrl()}/calendar/${token}.ics`;
+}
+
+/**
+ * Personal feed token of the user, created on first use
+ */
+async function getOrCreateCalendarToken({ telegramUser }) {
+  const user = await ensureUserFromTelegram(telegramUser);
+  if (!user.calendarToken) {
+    user.calendarToken = generateCalendarToken();
+    await user.save();
+  }
+  return user.calendarToken;
+}
+
+/**
+ * Replace the feed token, e.g. after the link leaked. The old URL stops working immediately.
+ */
+async function resetCalendarToken({ telegramUser }) {
+  const user = await ensureUserFromTelegram(telegramUser);
+  user.calendarToken = generateCalendarToken();
+  await user.save();
+  return user.calendarToken;
+}
+
+function getProfileName(profile) {
+  return profile ? `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || 'Участник' : 'Участник';
+}
+
+/**
+ * iCalendar event of a meeting as seen by one of its participants
+ * (requester/recipient must be populated, selfProfileIds are the viewer's profile IDs)
+ */
+function buildMeetingEvent({ meeting, conference, selfProfileIds }) {
+  const mine = selfProfileIds.map((id) => id.toString());
+  const other = meeting.requester && mine.includes(meeting.requester._id.toString()) ? meeting.recipient : meeting.requester;
+  const start = new Date(meeting.proposedTime);
+  const host = new URL(getBaseUrl()).hostname;
+
+  const description = [
+    conference ? `Конференция: ${conference.title}` : null,
+    meeting.message ? `Сообщение: ${meeting.message}` : null,
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `meeting-${meeting._id}@${host}`,
+    start,
+    end: new Date(start.getTime() + (meeting.durationMinutes || 30) * 60 * 1000),
+    timezone: getConferenceTimezone(conference),
+    summary: `🤝 Встреча: ${getProfileName(other)}`,
+    location: meeting.meetingLocation || null,
+    description,
+    status: meeting.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    sequence: meeting.calendarSequence || 0,
+    lastModified: meeting.updatedAt,
+  };
+}
+
+/**
+ * Single-meeting .ics file (attached to the acceptance notification)
+ */
+async function buildMeetingIcs({ meeting, forProfileId }) {
+  const conference = await Conference.findById(meeting.conference._id || meeting.conference);
+  const event = buildMeetingEvent({ meeting, conference, selfProfileIds: [forProfileId] });
+  return buildCalendar({ method: 'PUBLISH', events: [event] });
+}
+
+/**
+ * Subscription feed of a user: accepted and completed meetings across all conferences,
+ * plus cancelled ones that had been agreed, so calendar apps drop them.
+ */
+async function buildCalendarFeed({ token }) {
+  const { listMeetings } = require('./meeting.service');
+
+  if (!token) {
+    throw new Error('CALENDAR_NOT_FOUND');
+  }
+  const user = await User.findOne({ calendarToken: token });
+  if (!user) {
+    throw new Error('CALENDAR_NOT_FOUND');
+  }
+
+  const { meetings, profileIds } = await listMeetings({
+    // Same fields as in Telegram updates, so the stored name is not overwritten
+    telegramUser: { id: user.telegramId, username: user.username, first_name: user.firstName, last_name: user.lastName },
+    conferenceCode: null,
+    status: ['accepted', 'completed', 'cancelled'],
+  });
+
+  const agreed = meetings.filter((m) => m.status !== 'cancelled' ||
+    !m.proposals.length || m.proposals.some((p) => p.status === 'accepted'));
+
+  const conferenceIds = [...new Set(agreed.map((m) => m.conference.toString()))];
+  const conferences = await Conference.find({ _id: { $in: conferenceIds } });
+  const conferenceById = new Map(conferences.map((c) => [c._id.toString(), c]));
+
+  const events = agreed.map((meeting) => buildMeetingEvent({
+    meeting,
+    conference: conferenceById.get(meeting.conference.toString()),
+    selfProfileIds: profileIds,
+  }));
+
+  return buildCalendar({ name: 'Встречи на конференциях', refreshMinutes: FEED_REFRESH_MINUTES, events });
+}
+
+module.exports = {
+  getCalendarFeedUrl,
+  getOrCreateCalendarToken,
+  resetCalendarToken,
+  buildMeetingIcs,
+  buildCalendarFeed,
+};
@@ -0,0 +1,481 @@
+const { ChatMessage, ChatReadMarker } = require('../models/chatMessage');
+const { Conference } = require('../models/conference');
+const { UserProfile } = require('../models/userProfile');
+const { getConferenceIdByCode, isValidObjectId } = require('../lib/conference-helper');
+const { emitToUser } = require('../lib/realtime');
+const { ensureUserFromTelegram } = require('./conference.service');
+const { findConnectionBetween, listConnections } = require('./connection.service');
+
+const MAX_MESSAGE_LENGTH = 4000;
+const MESSAGES_PAGE_SIZE = 50;
+const MESSAGES_MAX_PAGE_SIZE = 200;
+const REPLY_PREVIEW_LENGTH = 200;
+const REPLY_FIELDS = 'from text deletedAt';
+const DEFAULT_EDIT_WINDOW_MINUTES = 60;
+
+/**
+ * How long after sending a message can be edited or deleted, CHAT_EDIT_WINDOW_MINUTES, default one hour
+ */
+function getEditWindowMs() {
+  const value = parseInt(process.env.CHAT_EDIT_WINDOW_MINUTES, 10);
+  return (Number.isInteger(value) && value > 0 ? value : DEFAULT_EDIT_WINDOW_MINUTES) * 60 * 1000;
+}
+
+function validateText(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    throw new Error('VALIDATION_ERROR: Сообщение не может быть пустым');
+  }
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`VALIDATION_ERROR: Сообщение не может быть длиннее ${MAX_MESSAGE_LENGTH} символов`);
+  }
+  return trimmed;
+}
+
+function conversationQuery(profileIdA, profileIdB) {
+  return {
+    $or: [
+      { from: profileIdA, to: profileIdB },
+      { from: profileIdB, to: profileIdA },
+    ],
+  };
+}
+
+/**
+ * Both sides of a direct chat in a conference. Writing is only allowed after
+ * the contact exchange between them was accepted.
+ */
+async function getChatParticipants({ telegramUser, conferenceCode, otherTelegramId }) {
+  const user = await ensureUserFromTelegram(telegramUser);
+  const conferenceId = await getConferenceIdByCode(conferenceCode);
+
+  const [myProfile, otherProfile] = await Promise.all([
+    UserProfile.findOne({ telegramId: user.telegramId, conference: conferenceId }),
+    UserProfile.findOne({ telegramId: String(otherTelegramId), conference: conferenceId }),
+  ]);
+  if (!myProfile) {
+    throw new Error('NOT_IN_CONFERENCE');
+  }
+  if (!otherProfile) {
+    throw new Error('TARGET_USER_NOT_FOUND');
+  }
+
+  const connection = await findConnectionBetween(myProfile._id, otherProfile._id);
+  if (!connection || connection.status !== 'accepted') {
+    throw new Error('NO_ACTIVE_CHAT');
+  }
+
+  return { conferenceId, myProfile, otherProfile, connection };
+}
+
+function mapReplyPreview(reply, profileId) {
+  if (!reply) return null;
+  // Not populated: only the id is known
+  if (!reply.from) return { id: reply };
+
+  const isDeleted = Boolean(reply.deletedAt);
+  return {
+    id: reply._id,
+    text: isDeleted ? null : reply.text.slice(0, REPLY_PREVIEW_LENGTH),
+    fromSelf: reply.from.equals(profileId),
+    isDeleted,
+  };
+}
+
+/**
+ * Message as one side of the chat sees it. `peerReadAt` is the read marker of the other side:
+ * own messages up to it are read. Deleted messages keep their place without the text.
+ */
+function mapMessageFor(message, profileId, { peerReadAt = null } = {}) {
+  const fromSelf = message.from.equals(profileId);
+  const isDeleted = Boolean(message.deletedAt);
+  return {
+    id: message._id,
+    text: isDeleted ? null : message.text,
+    fromSelf,
+    isRead: fromSelf ? Boolean(peerReadAt) && message.createdAt <= peerReadAt : undefined,
+    time: message.createdAt,
+    editedAt: message.editedAt || null,
+    isDeleted,
+    editableUntil: fromSelf && !isDeleted ? new Date(message.createdAt.getTime() + getEditWindowMs()) : undefined,
+    replyTo: isDeleted ? null : mapReplyPreview(message.replyTo, profileId),
+  };
+}
+
+/**
+ * Send a message event to both sides of the chat, each with its own view of the message
+ */
+function emitToChat(event, { conferenceCode, message, myProfile, otherProfile }) {
+  emitToUser(otherProfile.telegramId, event, {
+    conferenceCode,
+    withTelegramId: myProfile.telegramId,
+    message: mapMessageFor(message, otherProfile._id),
+  });
+  // The sender may have the chat open on another device
+  emitToUser(myProfile.telegramId, event, {
+    conferenceCode,
+    withTelegramId: otherProfile.telegramId,
+    message: mapMessageFor(message, myProfile._id),
+  });
+}
+
+function mapReadMarker(marker) {
+  return marker ? { messageId: marker.lastReadMessage, readAt: marker.lastReadAt } : null;
+}
+
+/**
+ * Read markers of the conversation: `mine` (how far I have read) and `theirs`
+ */
+async function getReadMarkers(myProfile, otherProfile) {
+  const [mine, theirs] = await Promise.all([
+    ChatReadMarker.findOne({ reader: myProfile._id, peer: otherProfile._id }).lean(),
+    ChatReadMarker.findOne({ reader: otherProfile._id, peer: myProfile._id }).lean(),
+  ]);
+  return { mine, theirs };
+}
+
+/**
+ * Move my read marker up to a message of the conversation (default: the latest message
+ * from the other side) and tell them (read receipt). The marker never moves back.
+ * Returns the marker, or null when it did not move.
+ */
+async function markMessagesRead({ conferenceId, conferenceCode, myProfile, otherProfile, upToMessageId = null }) {
+  let lastRead;
+  if (upToMessageId) {
+    lastRead = isValidObjectId(upToMessageId)
+      ? await ChatMessage.findOne({ _id: upToMessageId, ...conversationQuery(myProfile._id, otherProfile._id) })
+        .select('createdAt')
+      : null;
+    if (!lastRead) {
+      throw new Error('MESSAGE_NOT_FOUND');
+    }
+  } else {
+    lastRead = await ChatMessage.findOne({ from: otherProfile._id, to: myProfile._id })
+      .sort({ createdAt: -1 })
+      .select('createdAt');
+    if (!lastRead) return null;
+  }
+
+  let marker;
+  try {
+    marker = await ChatReadMarker.findOneAndUpdate(
+      { reader: myProfile._id, peer: otherProfile._id, lastReadAt: { $lt: lastRead.createdAt } },
+      {
+        $set: { lastReadMessage: lastRead._id, lastReadAt: lastRead.createdAt },
+        $setOnInsert: { conference: conferenceId },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // The marker exists and is already at or past this message
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  emitToUser(otherProfile.telegramId, 'chat:read', {
+    conferenceCode,
+    withTelegramId: myProfile.telegramId,
+    lastReadMessageId: marker.lastReadMessage,
+    readUpTo: marker.lastReadAt,
+  });
+  return marker;
+}
+
+/**
+ * Last message and unread count of every conversation between my profiles and the given
+ * other profiles, in one aggregation. Returns a Map by `${myProfileId}:${otherProfileId}`.
+ */
+async function getConversationSummaries(myProfileIds, otherProfileIds) {
+  const rows = await ChatMessage.aggregate([
+    {
+      $match: {
+        $or: [
+          { from: { $in: myProfileIds }, to: { $in: otherProfileIds } },
+          { from: { $in: otherProfileIds }, to: { $in: myProfileIds } },
+        ],
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: {
+          me: { $cond: [{ $in: ['$from', myProfileIds] }, '$from', '$to'] },
+          other: { $cond: [{ $in: ['$from', myProfileIds] }, '$to', '$from'] },
+        },
+        lastMessage: { $first: '$$ROOT' },
+      },
+    },
+    {
+      $lookup: {
+        from: ChatReadMarker.collection.name,
+        let: { me: '$_id.me', other: '$_id.other' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$reader', '$$me'] }, { $eq: ['$peer', '$$other'] }] } } },
+          { $project: { lastReadAt: 1 } },
+        ],
+        as: 'marker',
+      },
+    },
+    {
+      $lookup: {
+        from: ChatMessage.collection.name,
+        let: {
+          me: '$_id.me',
+          other: '$_id.other',
+          readAt: { $ifNull: [{ $arrayElemAt: ['$marker.lastReadAt', 0] }, new Date(0)] },
+        },
+        pipeline: [
+          {
+            $match: {
+              deletedAt: null,
+              $expr: {
+                $and: [
+                  { $eq: ['$from', '$$other'] },
+                  { $eq: ['$to', '$$me'] },
+                  { $gt: ['$createdAt', '$$readAt'] },
+                ],
+              },
+            },
+          },
+          { $count: 'count' },
+        ],
+        as: 'unread',
+      },
+    },
+    {
+      $project: {
+        lastMessage: 1,
+        unreadCount: { $ifNull: [{ $arrayElemAt: ['$unread.count', 0] }, 0] },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [`${row._id.me}:${row._id.other}`, row]));
+}
+
+/**
+ * Conversations of the current user: one per accepted connection, with the last message
+ * and the number of unread messages. Optionally limited to one conference.
+ */
+async function listChats({ telegramUser, conferenceCode = null }) {
+  const { contacts } = await listConnections({ telegramUser, conferenceCode });
+  if (!contacts.length) return [];
+
+  const pairs = contacts.map(({ connection, profile }) => ({
+    me: connection.user1._id.equals(profile._id) ? connection.user2 : connection.user1,
+    other: profile,
+  }));
+  const summaries = await getConversationSummaries(
+    pairs.map(({ me }) => me._id),
+    pairs.map(({ other }) => other._id)
+  );
+
+  return contacts.map(({ connection, profile, conference }, i) => {
+    const summary = summaries.get(`${pairs[i].me._id}:${profile._id}`);
+    return {
+      connection,
+      conference,
+      profile,
+      lastMessage: summary ? summary.lastMessage : null,
+      unreadCount: summary ? summary.unreadCount : 0,
+    };
+  });
+}
+
+/**
+ * Messages after (or before) a cursor message, in (createdAt, _id) order
+ */
+function cursorQuery(cursor, direction) {
+  const op = direction === 'after' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+    ],
+  };
+}
+
+/**
+ * One page of messages with another participant, oldest first, with the read markers of both sides.
+ * Without a cursor it is the latest page; `before` / `after` (message ids) page back and forth.
+ * Loading does not mark anything read: the client calls markChatRead for what it shows.
+ */
+async function getChatMessages({
+  telegramUser,
+  conferenceCode,
+  withTelegramId,
+  before = null,
+  after = null,
+  limit = MESSAGES_PAGE_SIZE,
+}) {
+  const { myProfile, otherProfile } = await getChatParticipants({
+    telegramUser,
+    conferenceCode,
+    otherTelegramId: withTelegramId,
+  });
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || MESSAGES_PAGE_SIZE, 1), MESSAGES_MAX_PAGE_SIZE);
+  const conversation = conversationQuery(myProfile._id, otherProfile._id);
+  const direction = after ? 'after' : 'before';
+  const cursorId = after || before;
+
+  const query = { $and: [conversation] };
+  if (cursorId) {
+    const cursor = isValidObjectId(cursorId)
+      ? await ChatMessage.findOne({ _id: cursorId, ...conversation }).select('createdAt')
+      : null;
+    if (!cursor) {
+      throw new Error('MESSAGE_NOT_FOUND');
+    }
+    query.$and.push(cursorQuery(cursor, direction));
+  }
+
+  // One extra message tells whether there is another page
+  const order = direction === 'after' ? 1 : -1;
+  const [found, readMarkers] = await Promise.all([
+    ChatMessage.find(query)
+      .sort({ createdAt: order, _id: order })
+      .limit(pageSize + 1)
+      .populate('replyTo', REPLY_FIELDS),
+    getReadMarkers(myProfile, otherProfile),
+  ]);
+
+  const hasMore = found.length > pageSize;
+  const page = found.slice(0, pageSize);
+  const messages = direction === 'after' ? page : page.reverse();
+
+  return {
+    messages,
+    readMarkers,
+    hasMoreBefore: direction === 'before' ? hasMore : true,
+    hasMoreAfter: direction === 'after' ? hasMore : Boolean(cursorId),
+    myProfile,
+    otherProfile,
+  };
+}
+
+/**
+ * Mark a conversation as read up to a message (default: all of it)
+ */
+async function markChatRead({ telegramUser, conferenceCode, withTelegramId, upToMessageId = null }) {
+  const { conferenceId, myProfile, otherProfile } = await getChatParticipants({
+    telegramUser,
+    conferenceCode,
+    otherTelegramId: withTelegramId,
+  });
+  return markMessagesRead({ conferenceId, conferenceCode, myProfile, otherProfile, upToMessageId });
+}
+
+async function sendChatMessage({ telegramUser, conferenceCode, toTelegramId, text, replyToId = null }) {
+  const trimmed = validateText(text);
+
+  const { conferenceId, myProfile, otherProfile } = await getChatParticipants({
+    telegramUser,
+    conferenceCode,
+    otherTelegramId: toTelegramId,
+  });
+
+  let replyTo = null;
+  if (replyToId) {
+    replyTo = isValidObjectId(replyToId)
+      ? await ChatMessage.findOne({ _id: replyToId, ...conversationQuery(myProfile._id, otherProfile._id) })
+        .select('deletedAt')
+      : null;
+    if (!replyTo || replyTo.deletedAt) {
+      throw new Error('VALIDATION_ERROR: Сообщение, на которое вы отвечаете, не найдено');
+    }
+  }
+
+  const message = await ChatMessage.create({
+    conference: conferenceId,
+    from: myProfile._id,
+    to: otherProfile._id,
+    text: trimmed,
+    replyTo: replyTo ? replyTo._id : undefined,
+  });
+  await message.populate('replyTo', REPLY_FIELDS);
+
+  emitToChat('chat:message', { conferenceCode, message, myProfile, otherProfile });
+
+  return { message, myProfile, otherProfile };
+}
+
+/**
+ * Own message of the current user that can still be changed (not deleted, within the edit window)
+ */
+async function getEditableMessage({ telegramUser, messageId }) {
+  if (!isValidObjectId(messageId)) {
+    throw new Error('MESSAGE_NOT_FOUND');
+  }
+
+  const user = await ensureUserFromTelegram(telegramUser);
+  const message = await ChatMessage.findById(messageId);
+  if (!message) {
+    throw new Error('MESSAGE_NOT_FOUND');
+  }
+
+  const [myProfile, otherProfile, conference] = await Promise.all([
+    UserProfile.findById(message.from),
+    UserProfile.findById(message.to),
+    Conference.findById(message.conference).select('conferenceCode'),
+  ]);
+  if (!myProfile || myProfile.telegramId !== user.telegramId) {
+    // The recipient may know the message, anyone else should not learn it exists
+    throw new Error(otherProfile && otherProfile.telegramId === user.telegramId ? 'MESSAGE_NOT_OWN' : 'MESSAGE_NOT_FOUND');
+  }
+  if (!otherProfile || !conference) {
+    throw new Error('MESSAGE_NOT_FOUND');
+  }
+  if (message.deletedAt) {
+    throw new Error('MESSAGE_DELETED');
+  }
+  if (Date.now() - message.createdAt.getTime() > getEditWindowMs()) {
+    throw new Error('EDIT_WINDOW_EXPIRED');
+  }
+
+  return { message, myProfile, otherProfile, conferenceCode: conference.conferenceCode };
+}
+
+/**
+ * Change the text of an own message within the edit window; it is shown as edited
+ */
+async function editChatMessage({ telegramUser, messageId, text }) {
+  const trimmed = validateText(text);
+  const { message, myProfile, otherProfile, conferenceCode } = await getEditableMessage({ telegramUser, messageId });
+
+  if (message.text !== trimmed) {
+    message.text = trimmed;
+    message.editedAt = new Date();
+    await message.save();
+  }
+  await message.populate('replyTo', REPLY_FIELDS);
+
+  emitToChat('chat:message-updated', { conferenceCode, message, myProfile, otherProfile });
+  return { message, myProfile, otherProfile };
+}
+
+/**
+ * Delete an own message within the edit window. It stays in the conversation as "deleted".
+ */
+async function deleteChatMessage({ telegramUser, messageId }) {
+  const { message, myProfile, otherProfile, conferenceCode } = await getEditableMessage({ telegramUser, messageId });
+
+  message.deletedAt = new Date();
+  message.text = undefined;
+  await message.save();
+
+  emitToChat('chat:message-updated', { conferenceCode, message, myProfile, otherProfile });
+  return { message, myProfile, otherProfile };
+}
+
+module.exports = {
+  getChatParticipants,
+  mapMessageFor,
+  mapReadMarker,
+  listChats,
+  getChatMessages,
+  markChatRead,
+  sendChatMessage,
+  editChatMessage,
+  deleteChatMessage,
+};
@@ -49,6 +49,9 @@ function userIsMainAdmin(user) {
   return mainAdminIds.includes(user.telegramId);
 }
 
+// Listing details shown in the web app, stored as given
+const LISTING_FIELDS = ['location', 'coverImage', 'tags', 'day', 'duration', 'repeat'];
+
 function generateConferenceCode(title) {
   const base =
     (title || 'conf')
@@ -91,14 +94,22 @@ async function createConference({ createdByUser, payload }) {
     endsAt: endsAt ? new Date(endsAt) : undefined,
     conferenceCode: code,
   });
+  for (const field of LISTING_FIELDS) {
+    if (validated[field] !== undefined) conference[field] = validated[field];
+  }
 
-  await conference.save();
+  const { withTransaction } = require('../lib/mongo');
+  const { incrementUsage } = require('./subscription.service');
+  await withTransaction(async (session) => {
+    await conference.save({ session });
+    await incrementUsage({ counter: 'conferencesCreated', userId: user._id, session });
+  });
 
   // Optionally auto-create profile + admin membership later
   return conference;
 }
 
-async function joinConference({ telegramUser, code }) {
+async function joinConference({ telegramUser, code, accessCode }) {
   const user = await ensureUserFromTelegram(telegramUser);
   const { canAddParticipant } = require('./limit.service');
 
@@ -111,18 +122,20 @@ async function joinConference({ telegramUser, code }) {
     throw new Error('CONFERENCE_NOT_FOUND');
   }
 
-  if (conference.access === 'private') {
-    // TODO: add access-code checking
-    // For now just disallow joining private conferences without extra logic
-    throw new Error('CONFERENCE_PRIVATE');
-  }
-
   // Check participant limit (only if user is not already a participant)
   const existingProfile = await UserProfile.findOne({
     telegramId: String(telegramUser.id),
     conference: conference._id,
   });
 
+  // Private conferences require an access code for new participants;
+  // those who already joined (and main admins) get back in without one
+  const requiresAccessCode =
+    conference.access === 'private' && !existingProfile && !userIsMainAdmin(user);
+  if (requiresAccessCode && !accessCode) {
+    throw new Error('CONFERENCE_PRIVATE');
+  }
+
   if (!existingProfile) {
     const limitCheck = await canAddParticipant(conference._id);
     if (!limitCheck.allowed) {
@@ -136,6 +149,12 @@ async function joinConference({ telegramUser, code }) {
     }
   }
 
+  // Redeem only after all other checks passed, so a failed join doesn't burn a use
+  if (requiresAccessCode) {
+    const { redeemAccessCode } = require('./accessCode.service');
+    await redeemAccessCode({ conferenceId: conference._id, code: accessCode });
+  }
+
   // Try to copy from global profile first
   const { copyGlobalProfileToConference } = require('./profile.service');
   let profile = await copyGlobalProfileToConference({
@@ -170,7 +189,22 @@ async function joinConference({ telegramUser, code }) {
   if (globalProfile && globalProfile.onboardingCompleted) {
     profile.onboardingCompleted = true;
   }
-  await profile.save();
+
+  if (existingProfile && existingProfile.isActive) {
+    await profile.save();
+  } else {
+    // Only a new (or returning) participant counts towards the participant limit
+    const { withTransaction } = require('../lib/mongo');
+    const { incrementUsage } = require('./subscription.service');
+    const { incrementConferenceCounter } = require('./limit.service');
+    await withTransaction(async (session) => {
+      await profile.save({ session });
+      await incrementConferenceCounter({ conferenceId: conference._id, counter: 'participants', session });
+      if (!existingProfile) {
+        await incrementUsage({ counter: 'participantsAdded', conferenceId: conference._id, session });
+      }
+    });
+  }
 
   return { conference, profile, user };
 }
@@ -296,6 +330,9 @@ async function assignConferenceAdmin({ mainAdminUser, conferenceCode, targetTele
   if (!adminIds.includes(profileIdStr)) {
     conference.admins.push(profile._id);
     await conference.save();
+    // The first admin's subscription may apply to the conference
+    const { invalidateLimitsCache } = require('./limit.service');
+    invalidateLimitsCache({ conferenceId: conference._id });
   }
 
   return { conference, profile, targetUser };
@@ -326,6 +363,8 @@ async function revokeConferenceAdmin({ mainAdminUser, conferenceCode, targetTele
     (id) => !profileIdsStr.includes(id.toString())
   );
   await conference.save();
+  const { invalidateLimitsCache } = require('./limit.service');
+  invalidateLimitsCache({ conferenceId: conference._id });
 
   // Optionally downgrade globalRole if user is no longer admin of any conference
   const targetUser = await User.findOne({ telegramId: targetTelegramId });
@@ -386,6 +425,40 @@ async function updateConference({ conferenceCode, requestedByUser, payload }) {
   if (validated.access) conference.access = validated.access;
   if (validated.startsAt !== undefined) conference.startsAt = validated.startsAt ? new Date(validated.startsAt) : undefined;
   if (validated.endsAt !== undefined) conference.endsAt = validated.endsAt ? new Date(validated.endsAt) : undefined;
+  for (const field of LISTING_FIELDS) {
+    if (validated[field] !== undefined) conference[field] = validated[field];
+  }
+
+  await conference.save();
+  return conference;
+}
+
+/**
+ * Update networking hours of a conference (timezone, day windows, breaks, slot length, buffer).
+ * Only the fields present in the payload are changed.
+ */
+async function updateNetworkingSettings({ conferenceCode, requestedByUser, payload }) {
+  const { validate, networkingSettingsSchema } = require('../lib/validation');
+
+  const conference = await Conference.findOne({ conferenceCode });
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  // Permission check
+  if (!userIsMainAdmin(requestedByUser)) {
+    const isAdmin = await isConferenceAdminFor({ user: requestedByUser, conference });
+    if (!isAdmin) {
+      throw new Error('ACCESS_DENIED');
+    }
+  }
+
+  const validated = validate(payload || {}, networkingSettingsSchema);
+  if (validated.timezone !== undefined) conference.timezone = validated.timezone || undefined;
+  if (validated.windows) conference.set('networking.windows', validated.windows);
+  if (validated.breaks) conference.set('networking.breaks', validated.breaks);
+  if (validated.slotMinutes !== undefined) conference.set('networking.slotMinutes', validated.slotMinutes);
+  if (validated.bufferMinutes !== undefined) conference.set('networking.bufferMinutes', validated.bufferMinutes);
 
   await conference.save();
   return conference;
@@ -550,6 +623,7 @@ module.exports = {
   revokeConferenceAdmin,
   isConferenceAdminFor,
   updateConference,
+  updateNetworkingSettings,
   startConference,
   stopConference,
   deleteConference,
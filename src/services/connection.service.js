@@ -0,0 +1,367 @@
+const { Connection } = require('../models/connection');
+const { UserProfile } = require('../models/userProfile');
+const { getConferenceIdByCode } = require('../lib/conference-helper');
+const { ensureUserFromTelegram } = require('./conference.service');
+const { emitToUser } = require('../lib/realtime');
+
+function getProfileName(profile) {
+  return `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || 'Участник';
+}
+
+function getProfileContact(profile) {
+  return profile.username ? `@${profile.username}` : 'username не указан в Telegram';
+}
+
+/**
+ * Find the connection between two profiles, regardless of who requested it
+ */
+async function findConnectionBetween(profileIdA, profileIdB) {
+  return Connection.findOne({
+    $or: [
+      { user1: profileIdA, user2: profileIdB },
+      { user1: profileIdB, user2: profileIdA },
+    ],
+  });
+}
+
+/**
+ * Request a contact exchange with another participant of the same conference.
+ * user1 is always the requester, user2 the recipient.
+ * If the recipient has already asked us, the pending request is accepted instead.
+ * An optional `message` is shown to the recipient with the request.
+ */
+async function requestConnection({ telegramUser, targetProfileId, message = null }) {
+  const { isValidObjectId } = require('../lib/conference-helper');
+  const user = await ensureUserFromTelegram(telegramUser);
+
+  if (!isValidObjectId(targetProfileId)) {
+    throw new Error('TARGET_USER_NOT_FOUND');
+  }
+
+  const targetProfile = await UserProfile.findById(targetProfileId);
+  if (!targetProfile || !targetProfile.isActive) {
+    throw new Error('TARGET_USER_NOT_FOUND');
+  }
+
+  const requesterProfile = await UserProfile.findOne({
+    telegramId: user.telegramId,
+    conference: targetProfile.conference,
+    isActive: true,
+  });
+  if (!requesterProfile) {
+    throw new Error('NOT_IN_CONFERENCE');
+  }
+
+  if (requesterProfile._id.toString() === targetProfile._id.toString()) {
+    throw new Error('CANNOT_CONNECT_YOURSELF');
+  }
+
+  const existing = await findConnectionBetween(requesterProfile._id, targetProfile._id);
+  if (existing) {
+    return answerExistingConnection({ existing, telegramUser, requesterProfile });
+  }
+
+  const connection = new Connection({
+    conference: targetProfile.conference,
+    user1: requesterProfile._id,
+    user2: targetProfile._id,
+    status: 'pending',
+    message: message ? String(message).trim().slice(0, 500) || undefined : undefined,
+  });
+  try {
+    await connection.save();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // A concurrent request for the same pair, from either side, was stored first
+    const stored = await findConnectionBetween(requesterProfile._id, targetProfile._id);
+    if (!stored) throw new Error('CONNECTION_ALREADY_REQUESTED');
+    return answerExistingConnection({ existing: stored, telegramUser, requesterProfile });
+  }
+
+  await notifyConnectionRequested({ connection, requesterProfile, targetProfile });
+  emitConnectionUpdated(connection, [requesterProfile.telegramId, targetProfile.telegramId]);
+
+  return { connection, requesterProfile, targetProfile };
+}
+
+/**
+ * A request for a pair that already has a connection
+ */
+async function answerExistingConnection({ existing, telegramUser, requesterProfile }) {
+  if (existing.status === 'accepted') {
+    throw new Error('CONNECTION_ALREADY_EXISTS');
+  }
+  if (existing.status === 'rejected') {
+    throw new Error('CONNECTION_REJECTED');
+  }
+  // Pending: a repeated request from us is a no-op, a counter-request means both want it
+  if (existing.user1.toString() === requesterProfile._id.toString()) {
+    throw new Error('CONNECTION_ALREADY_REQUESTED');
+  }
+  return acceptConnection({ telegramUser, connectionId: existing._id });
+}
+
+/**
+ * Tell open web apps that a request changed, so they reload requests and chats
+ */
+function emitConnectionUpdated(connection, telegramIds) {
+  for (const telegramId of telegramIds) {
+    emitToUser(telegramId, 'chat-request:updated', {
+      chatRequestId: connection._id,
+      status: connection.status,
+      conferenceId: connection.conference,
+    });
+  }
+}
+
+/**
+ * Load a pending connection addressed to the current user
+ */
+async function getIncomingConnection({ telegramUser, connectionId }) {
+  const { isValidObjectId } = require('../lib/conference-helper');
+  const user = await ensureUserFromTelegram(telegramUser);
+
+  if (!isValidObjectId(connectionId)) {
+    throw new Error('CONNECTION_NOT_FOUND');
+  }
+
+  const connection = await Connection.findById(connectionId).populate('user1 user2');
+  if (!connection || !connection.user1 || !connection.user2) {
+    throw new Error('CONNECTION_NOT_FOUND');
+  }
+
+  if (connection.user2.telegramId !== user.telegramId) {
+    throw new Error('ACCESS_DENIED');
+  }
+
+  if (connection.status !== 'pending') {
+    throw new Error('CONNECTION_ALREADY_PROCESSED');
+  }
+
+  return connection;
+}
+
+/**
+ * Accept a connection request. Both sides get each other's Telegram username.
+ */
+async function acceptConnection({ telegramUser, connectionId }) {
+  const connection = await getIncomingConnection({ telegramUser, connectionId });
+
+  connection.status = 'accepted';
+  await connection.save();
+
+  await notifyConnectionAccepted({ connection });
+  emitConnectionUpdated(connection, [connection.user1.telegramId, connection.user2.telegramId]);
+
+  return {
+    connection,
+    requesterProfile: connection.user1,
+    targetProfile: connection.user2,
+  };
+}
+
+/**
+ * Reject a connection request. The requester is not notified.
+ */
+async function rejectConnection({ telegramUser, connectionId }) {
+  const connection = await getIncomingConnection({ telegramUser, connectionId });
+
+  connection.status = 'rejected';
+  await connection.save();
+  // Only the recipient's own devices: the requester is not told about a rejection
+  emitConnectionUpdated(connection, [connection.user2.telegramId]);
+
+  return { connection };
+}
+
+/**
+ * List the current user's connections.
+ * Returns contacts (accepted, with the other side's profile) plus incoming and outgoing pending requests.
+ */
+async function listConnections({ telegramUser, conferenceCode = null }) {
+  const user = await ensureUserFromTelegram(telegramUser);
+
+  const profileQuery = { telegramId: user.telegramId };
+  if (conferenceCode) {
+    profileQuery.conference = await getConferenceIdByCode(conferenceCode);
+  }
+  const myProfiles = await UserProfile.find(profileQuery).select('_id');
+  const myProfileIds = myProfiles.map((p) => p._id.toString());
+
+  if (!myProfileIds.length) {
+    return { contacts: [], incoming: [], outgoing: [] };
+  }
+
+  const connections = await Connection.find({
+    status: { $in: ['pending', 'accepted'] },
+    $or: [{ user1: { $in: myProfileIds } }, { user2: { $in: myProfileIds } }],
+  })
+    .populate('user1 user2 conference')
+    .sort({ updatedAt: -1 });
+
+  const contacts = [];
+  const incoming = [];
+  const outgoing = [];
+
+  for (const c of connections) {
+    if (!c.user1 || !c.user2) continue;
+    const iAmRequester = myProfileIds.includes(c.user1._id.toString());
+    const other = iAmRequester ? c.user2 : c.user1;
+    const item = { connection: c, profile: other, conference: c.conference };
+
+    if (c.status === 'accepted') {
+      contacts.push(item);
+    } else if (iAmRequester) {
+      outgoing.push(item);
+    } else {
+      incoming.push(item);
+    }
+  }
+
+  return { contacts, incoming, outgoing };
+}
+
+/**
+ * Profile IDs the given profile has an accepted connection with (used to decide whose username can be shown)
+ */
+async function getConnectedProfileIds(profileId) {
+  const connections = await Connection.find({
+    status: 'accepted',
+    $or: [{ user1: profileId }, { user2: profileId }],
+  }).select('user1 user2');
+
+  const me = profileId.toString();
+  return new Set(
+    connections.map((c) => (c.user1.toString() === me ? c.user2.toString() : c.user1.toString()))
+  );
+}
+
+/**
+ * In-app notification for the web app; a failure must not stop the Telegram message
+ */
+async function createInAppNotification(notification) {
+  try {
+    const { createNotification } = require('./notification.service');
+    await createNotification(notification);
+  } catch (err) {
+    console.error(`Failed to create notification for ${notification.telegramId}:`, err.message);
+  }
+}
+
+/**
+ * Notify the recipient about a new connection request (Telegram message and in-app notification)
+ */
+async function notifyConnectionRequested({ connection, requesterProfile, targetProfile }) {
+  try {
+    const { getBotInstance } = require('../telegram/bot');
+    const { Conference } = require('../models/conference');
+    const conference = await Conference.findById(connection.conference);
+    if (!conference) return;
+
+    await createInAppNotification({
+      telegramId: targetProfile.telegramId,
+      type: 'chat_request',
+      title: 'Новый запрос на обмен контактами',
+      body: `${getProfileName(requesterProfile)} хочет обменяться контактами в конференции «${conference.title}»`,
+      data: { connectionId: connection._id, conferenceCode: conference.conferenceCode },
+    });
+
+    const bot = getBotInstance();
+    if (!bot) {
+      console.warn('Bot instance not available, skipping connection notification');
+      return;
+    }
+
+    const roles = requesterProfile.roles && requesterProfile.roles.length > 0 ? ` (${requesterProfile.roles.join(', ')})` : '';
+    const interests = requesterProfile.interests && requesterProfile.interests.length > 0
+      ? `\n🎯 Интересы: ${requesterProfile.interests.join(', ')}`
+      : '';
+    const note = connection.message ? `\n💬 «${connection.message}»` : '';
+
+    const notificationText = `👋 Запрос на обмен контактами\n\n` +
+      `📋 Конференция: ${conference.title}\n` +
+      `👤 От: ${getProfileName(requesterProfile)}${roles}` +
+      interests +
+      note +
+      `\n\nЕсли вы примете запрос, вы оба увидите Telegram-контакты друг друга.`;
+
+    const menu = {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '✅ Принять', callback_data: `conn:accept:${connection._id}` },
+            { text: '❌ Отклонить', callback_data: `conn:reject:${connection._id}` },
+          ],
+          [{ text: '📇 Мои контакты', callback_data: 'menu:contacts' }],
+        ],
+      },
+    };
+
+    try {
+      await bot.telegram.sendMessage(targetProfile.telegramId, notificationText, menu);
+    } catch (err) {
+      console.error(`Failed to send connection notification to ${targetProfile.telegramId}:`, err.message);
+    }
+  } catch (err) {
+    console.error('Error notifying about connection request:', err);
+    // Don't throw - notification failure shouldn't break the request
+  }
+}
+
+/**
+ * Send both sides each other's contact after a connection is accepted,
+ * and notify the requester in the web app
+ */
+async function notifyConnectionAccepted({ connection }) {
+  try {
+    const { getBotInstance } = require('../telegram/bot');
+    const { Conference } = require('../models/conference');
+    const requester = connection.user1;
+    const target = connection.user2;
+
+    const conference = await Conference.findById(connection.conference).select('title conferenceCode');
+    await createInAppNotification({
+      telegramId: requester.telegramId,
+      type: 'request_accepted',
+      title: 'Запрос принят!',
+      body: `${getProfileName(target)} принял(а) ваш запрос${conference ? ` в «${conference.title}»` : ''}`,
+      data: { connectionId: connection._id, conferenceCode: conference ? conference.conferenceCode : null },
+    });
+
+    const bot = getBotInstance();
+    if (!bot) {
+      console.warn('Bot instance not available, skipping connection notification');
+      return;
+    }
+
+    const pairs = [
+      { to: requester, other: target },
+      { to: target, other: requester },
+    ];
+
+    for (const { to, other } of pairs) {
+      const text = `🤝 Контакт установлен!\n\n` +
+        `👤 ${getProfileName(other)}\n` +
+        `💬 ${getProfileContact(other)}`;
+      try {
+        await bot.telegram.sendMessage(to.telegramId, text, {
+          reply_markup: { inline_keyboard: [[{ text: '📇 Мои контакты', callback_data: 'menu:contacts' }]] },
+        });
+      } catch (err) {
+        console.error(`Failed to send connection notification to ${to.telegramId}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('Error notifying about accepted connection:', err);
+  }
+}
+
+module.exports = {
+  findConnectionBetween,
+  requestConnection,
+  acceptConnection,
+  rejectConnection,
+  listConnections,
+  getConnectedProfileIds,
+  getProfileContact,
+};
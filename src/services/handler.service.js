@@ -13,6 +13,8 @@ function formatErrorMessage(error) {
   const errorMessages = {
     'CONFERENCE_NOT_FOUND': '❌ Конференция не найдена.',
     'CONFERENCE_PRIVATE': '❌ Эта конференция приватная. Для присоединения нужен специальный код доступа.',
+    'ACCESS_CODE_INVALID': '❌ Код доступа недействителен: он неверный, отозван, истёк или уже использован максимальное число раз.',
+    'ACCESS_CODE_NOT_FOUND': '❌ Код доступа не найден.',
     'NOT_IN_CONFERENCE': '❌ Вы не участвуете в этой конференции.',
     'ACCESS_DENIED': '❌ У вас нет прав для выполнения этого действия.',
     'QUESTION_NOT_FOUND': '❌ Вопрос не найден.',
@@ -26,6 +28,35 @@ function formatErrorMessage(error) {
     'TARGET_NOT_SPEAKER': '❌ Выбранный пользователь не является спикером.',
     'NOT_SPEAKER': '❌ У вас нет прав спикера в этой конференции.',
     'QUESTION_NOT_FOR_YOU': '❌ Этот вопрос адресован другому спикеру.',
+    'CONNECTION_NOT_FOUND': '❌ Запрос на обмен контактами не найден.',
+    'CONNECTION_ALREADY_EXISTS': '✅ Этот участник уже в ваших контактах.',
+    'CONNECTION_ALREADY_REQUESTED': '⏳ Вы уже отправили запрос этому участнику.',
+    'CONNECTION_ALREADY_PROCESSED': '❌ Этот запрос уже обработан.',
+    'CONNECTION_REJECTED': '❌ Участник отклонил запрос на обмен контактами.',
+    'CANNOT_CONNECT_YOURSELF': '❌ Нельзя отправить запрос самому себе.',
+    'MEETING_NOT_FOUND': '❌ Встреча не найдена.',
+    'MEETING_ALREADY_PROCESSED': '❌ Этот запрос на встречу уже обработан.',
+    'MEETING_ALREADY_STARTED': '❌ Встреча уже началась, перенести её нельзя.',
+    'NOT_RECIPIENT': '❌ Ответить на это предложение может только другой участник.',
+    'NOT_PARTICIPANT': '❌ Вы не участник этой встречи.',
+    'PROPOSAL_AWAITING_RESPONSE': '⏳ Ваше предложение ещё ждёт ответа другого участника.',
+    'RESCHEDULE_NOT_FOUND': '❌ Нет активного предложения о переносе встречи.',
+    'TIME_CONFLICT': '❌ У вас или у другого участника уже есть встреча в это время.',
+    'TIME_BLOCKED': '❌ У вас или у другого участника это время заблокировано для встреч.',
+    'BLOCKED_TIME_TOO_LONG': '❌ Заблокировать можно не больше 24 часов за раз.',
+    'TOO_MANY_BLOCKED_TIMES': '❌ Слишком много заблокированных интервалов. Снимите ненужные.',
+    'BLOCKED_TIME_NOT_FOUND': '❌ Заблокированное время не найдено.',
+    'INVALID_TIME': '❌ Неверная дата или время.',
+    'INVALID_TIME_PAST': '❌ Нельзя запланировать встречу в прошлом.',
+    'RECIPIENT_NOT_FOUND': '❌ Участник не найден.',
+    'CANNOT_MEET_YOURSELF': '❌ Нельзя назначить встречу самому себе.',
+    'OUTSIDE_NETWORKING_HOURS': '❌ Это время вне часов нетворкинга конференции. Выберите свободный слот в «⏰ Доступные слоты».',
+    'INVALID_DURATION': '❌ Длительность встречи должна быть от 5 до 120 минут.',
+    'LOCATION_NOT_FOUND': '❌ Место для встречи не найдено.',
+    'LOCATION_FULL': '❌ Это место уже занято на выбранное время. Выберите другое.',
+    'NO_LOCATION_AVAILABLE': '😔 На это время все места для встреч заняты. Выберите другое время.',
+    'SESSION_NOT_FOUND': '❌ Сессия программы не найдена.',
+    'SPEAKER_NOT_FOUND': '❌ Спикер не найден среди участников конференции.',
     'VALIDATION_ERROR': '❌ Ошибка валидации данных.',
   };
 
@@ -33,6 +64,12 @@ function formatErrorMessage(error) {
     return errorMessages[error.message];
   }
 
+  // Plan feature errors carry the upgrade hint
+  if (error.message === 'FEATURE_NOT_AVAILABLE' && error.details) {
+    const { formatFeatureNotAvailable } = require('../lib/feature-gate');
+    return formatFeatureNotAvailable(error.details);
+  }
+
   // Handle validation errors with details
   if (error.message && error.message.startsWith('VALIDATION_ERROR:')) {
     const details = error.message.replace('VALIDATION_ERROR: ', '');
@@ -209,13 +246,14 @@ async function formatConferencesListWithButtons(conferences, getSecondScreenUrl)
 }
 
 /**
- * Process search filter results and send notifications
+ * Format search results for the searcher.
+ * Telegram usernames are only shown for accepted connections; everyone else
+ * gets an "exchange contacts" button instead.
  */
-async function processSearchFilterResults({ profiles, conferenceCode, searcherTelegramId, getSearchFilterMenu }) {
-  const { ensureUserFromTelegram } = require('./conference.service');
+async function formatSearchResultsForSearcher({ profiles, conferenceCode, searcherTelegramId, getExtraText = null, startIndex = 0 }) {
   const { UserProfile } = require('../models/userProfile');
+  const { Connection } = require('../models/connection');
   const { getConferenceIdByCode } = require('../lib/conference-helper');
-  const { getBot } = require('../telegram/bot');
 
   const searcher = await ensureUserFromTelegram({ id: searcherTelegramId });
   const conferenceId = await getConferenceIdByCode(conferenceCode);
@@ -225,94 +263,118 @@ async function processSearchFilterResults({ profiles, conferenceCode, searcherTe
     isActive: true,
   });
 
+  // Connection status of the searcher with every profile in the results
+  const statusByProfileId = new Map();
+  if (searcherProfile) {
+    const connections = await Connection.find({
+      $or: [{ user1: searcherProfile._id }, { user2: searcherProfile._id }],
+    });
+    const me = searcherProfile._id.toString();
+    connections.forEach((c) => {
+      const outgoing = c.user1.toString() === me;
+      const otherId = outgoing ? c.user2.toString() : c.user1.toString();
+      statusByProfileId.set(otherId, c.status === 'pending' ? (outgoing ? 'outgoing' : 'incoming') : c.status);
+    });
+  }
+
   const resultText = [];
-  const profilesWithoutUsername = [];
+  const buttons = [];
 
   for (const p of profiles) {
+    const name = `${p.firstName || ''} ${p.lastName || ''}`.trim() || 'Участник';
+    const isSelf = p.telegramId === searcher.telegramId;
+    const status = statusByProfileId.get(p._id.toString());
+
     const roles = p.roles && p.roles.length > 0 ? ` (${p.roles.join(', ')})` : '';
     const interests = p.interests && p.interests.length > 0 ? `\n  Интересы: ${p.interests.join(', ')}` : '';
-    const username = p.user?.username ? `\n  @${p.user.username}` : '';
-    resultText.push(`${resultText.length + 1}. ${p.firstName || ''} ${p.lastName || ''}${username}${roles}${interests}`);
-    
-    if (!p.user?.username && p.telegramId !== searcher.telegramId) {
-      profilesWithoutUsername.push(p);
+    let contact = '';
+    if (isSelf) {
+      contact = '\n  (это вы)';
+    } else if (status === 'accepted') {
+      contact = p.username ? `\n  @${p.username}` : '\n  🤝 В контактах (username не указан)';
+    } else if (status === 'outgoing') {
+      contact = '\n  ⏳ Запрос на обмен контактами отправлен';
+    } else if (status === 'incoming') {
+      contact = '\n  📨 Хочет обменяться с вами контактами';
     }
-  }
+    const extra = getExtraText ? getExtraText(p) : '';
+    resultText.push(`${startIndex + resultText.length + 1}. ${name}${contact}${roles}${interests}${extra}`);
 
-  // Send notifications to users without username
-  if (profilesWithoutUsername.length > 0 && searcherProfile) {
-    const bot = getBot();
-    const searcherName = `${searcherProfile.firstName || ''} ${searcherProfile.lastName || ''}`.trim() || 'Участник';
-    const searcherUsername = searcherProfile.username ? `@${searcherProfile.username}` : null;
-    
-    for (const profile of profilesWithoutUsername) {
-      try {
-        const notificationText = `👋 ${searcherName}${searcherUsername ? ` (${searcherUsername})` : ''} ищет участников в конференции и хотел бы с вами связаться.\n\n` +
-          `💡 Добавьте username в свой профиль Telegram, чтобы другие участники могли с вами связаться напрямую.`;
-        await bot.telegram.sendMessage(profile.telegramId, notificationText);
-      } catch (err) {
-        console.error(`Error sending notification to ${profile.telegramId}:`, err);
-      }
+    if (searcherProfile && !isSelf && !status) {
+      buttons.push([{ text: `🤝 Обменяться контактами: ${name}`, callback_data: `conn:req:${p._id}` }]);
     }
   }
 
+  return { resultText, buttons };
+}
+
+function withButtons(menu, buttons) {
+  if (!buttons.length) return menu;
+  return {
+    ...menu,
+    reply_markup: {
+      ...menu.reply_markup,
+      inline_keyboard: [...buttons, ...menu.reply_markup.inline_keyboard],
+    },
+  };
+}
+
+/**
+ * Process search filter results
+ */
+async function processSearchFilterResults({ profiles, conferenceCode, searcherTelegramId, getSearchFilterMenu }) {
+  const { resultText, buttons } = await formatSearchResultsForSearcher({ profiles, conferenceCode, searcherTelegramId });
+
   return {
     text: `🔍 Найдено участников: ${profiles.length}\n\n${resultText.join('\n\n')}`,
-    menu: getSearchFilterMenu(conferenceCode),
+    menu: withButtons(getSearchFilterMenu(conferenceCode), buttons),
   };
 }
 
 /**
- * Process text search results and send notifications
+ * Process text search results
  */
 async function processTextSearchResults({ profiles, searchText, conferenceCode, searcherTelegramId, getSearchFilterMenu }) {
-  const { ensureUserFromTelegram } = require('./conference.service');
-  const { UserProfile } = require('../models/userProfile');
-  const { getConferenceIdByCode } = require('../lib/conference-helper');
-  const { getBot } = require('../telegram/bot');
+  const { resultText, buttons } = await formatSearchResultsForSearcher({ profiles, conferenceCode, searcherTelegramId });
 
-  const searcher = await ensureUserFromTelegram({ id: searcherTelegramId });
-  const conferenceId = await getConferenceIdByCode(conferenceCode);
-  const searcherProfile = await UserProfile.findOne({
-    telegramId: searcher.telegramId,
-    conference: conferenceId,
-    isActive: true,
-  });
+  return {
+    text: `🔍 Найдено участников по запросу "${searchText}": ${profiles.length}\n\n${resultText.join('\n\n')}`,
+    menu: withButtons(getSearchFilterMenu(conferenceCode), buttons),
+  };
+}
 
-  const resultText = [];
-  const profilesWithoutUsername = [];
+/**
+ * Process recommendation results ("Recommended for me") with the match explanation and pagination
+ */
+async function processRecommendationResults({ recommendation, conferenceCode, searcherTelegramId, getSearchFilterMenu }) {
+  const { items, total, page, pageSize, totalPages } = recommendation;
+  const reasonsByProfileId = new Map(items.map((item) => [item.profile._id.toString(), item.reasons]));
+
+  const { resultText, buttons } = await formatSearchResultsForSearcher({
+    profiles: items.map((item) => item.profile),
+    conferenceCode,
+    searcherTelegramId,
+    startIndex: (page - 1) * pageSize,
+    getExtraText: (p) => {
+      const reasons = reasonsByProfileId.get(p._id.toString()) || [];
+      return reasons.length ? `\n  💡 Почему вы подходите друг другу:\n${reasons.map((r) => `   • ${r}`).join('\n')}` : '';
+    },
+  });
 
-  for (const p of profiles) {
-    const roles = p.roles && p.roles.length > 0 ? ` (${p.roles.join(', ')})` : '';
-    const interests = p.interests && p.interests.length > 0 ? `\n  Интересы: ${p.interests.join(', ')}` : '';
-    const username = p.user?.username ? `\n  @${p.user.username}` : '';
-    resultText.push(`${resultText.length + 1}. ${p.firstName || ''} ${p.lastName || ''}${username}${roles}${interests}`);
-    
-    if (!p.user?.username && p.telegramId !== searcher.telegramId) {
-      profilesWithoutUsername.push(p);
-    }
+  const pagination = [];
+  if (page > 1) {
+    pagination.push({ text: '◀️ Назад', callback_data: `search:rec:${conferenceCode}:${page - 1}` });
   }
-
-  // Send notifications to users without username
-  if (profilesWithoutUsername.length > 0 && searcherProfile) {
-    const bot = getBot();
-    const searcherName = `${searcherProfile.firstName || ''} ${searcherProfile.lastName || ''}`.trim() || 'Участник';
-    const searcherUsername = searcherProfile.username ? `@${searcherProfile.username}` : null;
-    
-    for (const profile of profilesWithoutUsername) {
-      try {
-        const notificationText = `👋 ${searcherName}${searcherUsername ? ` (${searcherUsername})` : ''} ищет участников в конференции и хотел бы с вами связаться.\n\n` +
-          `💡 Добавьте username в свой профиль Telegram, чтобы другие участники могли с вами связаться напрямую.`;
-        await bot.telegram.sendMessage(profile.telegramId, notificationText);
-      } catch (err) {
-        console.error(`Error sending notification to ${profile.telegramId}:`, err);
-      }
-    }
+  if (page < totalPages) {
+    pagination.push({ text: 'Ещё ▶️', callback_data: `search:rec:${conferenceCode}:${page + 1}` });
+  }
+  if (pagination.length) {
+    buttons.push(pagination);
   }
 
   return {
-    text: `🔍 Найдено участников по запросу "${searchText}": ${profiles.length}\n\n${resultText.join('\n\n')}`,
-    menu: getSearchFilterMenu(conferenceCode),
+    text: `⭐ Рекомендовано для вас: ${total}\nСтраница ${page} из ${totalPages}\n\n${resultText.join('\n\n')}`,
+    menu: withButtons(getSearchFilterMenu(conferenceCode), buttons),
   };
 }
 
@@ -464,6 +526,7 @@ module.exports = {
   formatQuestionsList,
   getConferenceCodeFromPoll,
   processSearchFilterResults,
+  processRecommendationResults,
   processOnboardingStep,
   processTextSearchResults,
 };
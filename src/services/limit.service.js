@@ -6,23 +6,113 @@ const { UserProfile } = require('../models/userProfile');
 const { Poll } = require('../models/poll');
 const { Question } = require('../models/question');
 const { Meeting } = require('../models/meeting');
+const { ConferenceCounter } = require('../models/conferenceCounter');
+
+// Resolved plans are kept this long; changes made through this process invalidate them at once,
+// other instances pick them up when the entry expires
+const LIMITS_CACHE_TTL_MS = 60 * 1000;
+// Conference counters are recounted from the collections when older than this (corrects deletions)
+const COUNTER_RESYNC_MS = 10 * 60 * 1000;
+const COUNTER_FIELDS = ['participants', 'polls', 'questions', 'meetings'];
+
+// Very restrictive limits if no plan found
+const NO_PLAN_LIMITS = {
+  maxConferences: 0,
+  maxParticipantsPerConference: 0,
+  maxPollsPerConference: 0,
+  maxQuestionsPerConference: 0,
+  maxMeetingsPerConference: 0,
+  maxMeetingsPerUser: 0,
+  maxSpeakersPerConference: 0,
+  maxAdminsPerConference: 0,
+  pollsEnabled: false,
+  secondScreenEnabled: false,
+  organizerDashboardEnabled: false,
+  exportCsvEnabled: false,
+  exportPdfEnabled: false,
+  customBranding: false,
+  apiAccess: false,
+  prioritySupport: false,
+};
+
+// Conference limit -> usage counter shown next to it in snapshots
+const LIMIT_USAGE_KEYS = {
+  maxParticipantsPerConference: 'participants',
+  maxPollsPerConference: 'polls',
+  maxQuestionsPerConference: 'questions',
+  maxMeetingsPerConference: 'meetings',
+  maxSpeakersPerConference: 'speakers',
+  maxAdminsPerConference: 'admins',
+};
+
+// 'conf:<id>' / 'user:<id>' / 'default' -> { value: Promise, expiresAt }
+const limitsCache = new Map();
 
 /**
- * Get active subscription for a user
+ * Cached value of `key`. Concurrent callers share one pending resolution, so a burst of
+ * requests for the same conference (e.g. 2000 attendees voting) results in a single lookup.
  */
-async function getUserSubscription(userId) {
-  const subscription = await Subscription.findOne({
-    userId,
+function cached(key, resolve) {
+  const entry = limitsCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const value = resolve().catch((err) => {
+    if (limitsCache.get(key)?.value === value) limitsCache.delete(key);
+    throw err;
+  });
+  limitsCache.set(key, { value, expiresAt: Date.now() + LIMITS_CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Drop cached plans after a subscription, plan or conference admin change.
+ * - conferenceId: that conference
+ * - userId: that user and every conference (conferences fall back to their owner's subscription)
+ * - nothing: everything (e.g. a tariff plan changed)
+ */
+function invalidateLimitsCache({ conferenceId = null, userId = null } = {}) {
+  if (conferenceId && !userId) {
+    limitsCache.delete(`conf:${conferenceId}`);
+    return;
+  }
+  if (userId) {
+    limitsCache.delete(`user:${userId}`);
+    for (const key of limitsCache.keys()) {
+      if (key.startsWith('conf:')) limitsCache.delete(key);
+    }
+    return;
+  }
+  limitsCache.clear();
+}
+
+function getDefaultPlan() {
+  return cached('default', () => TariffPlan.findOne({ isDefault: true, isActive: true }));
+}
+
+function activeSubscriptionQuery() {
+  return {
     status: { $in: ['active', 'trial'] },
     $or: [
       { endsAt: null },
       { endsAt: { $gte: new Date() } },
     ],
+  };
+}
+
+/**
+ * Get active subscription for a user
+ */
+async function getUserSubscription(userId) {
+  const subscription = await Subscription.findOne({
+    userId,
+    ...activeSubscriptionQuery(),
   }).populate('tariffPlan');
 
   // If no subscription found, return default free plan
   if (!subscription) {
-    const defaultPlan = await TariffPlan.findOne({ isDefault: true, isActive: true });
+    const defaultPlan = await getDefaultPlan();
     if (defaultPlan) {
       return {
         tariffPlan: defaultPlan,
@@ -37,83 +127,141 @@ async function getUserSubscription(userId) {
   return subscription;
 }
 
+/**
+ * User behind the first admin profile of a conference (its owner for billing), null if none
+ */
+async function getConferenceOwnerUserId(conferenceId) {
+  const conference = await Conference.findById(conferenceId).select('admins').lean();
+  if (!conference || !conference.admins || !conference.admins.length) return null;
+
+  const adminProfile = await UserProfile.findById(conference.admins[0]).select('telegramId').lean();
+  if (!adminProfile) return null;
+
+  const user = await User.findOne({ telegramId: adminProfile.telegramId }).select('_id').lean();
+  return user ? user._id : null;
+}
+
 /**
  * Get active subscription for a conference
  */
 async function getConferenceSubscription(conferenceId) {
-  const subscription = await Subscription.findOne({
-    conferenceId,
-    status: { $in: ['active', 'trial'] },
-    $or: [
-      { endsAt: null },
-      { endsAt: { $gte: new Date() } },
-    ],
-  }).populate('tariffPlan');
+  // The conference's own subscription and its owner are looked up side by side
+  const [subscription, ownerUserId] = await Promise.all([
+    Subscription.findOne({ conferenceId, ...activeSubscriptionQuery() }).populate('tariffPlan'),
+    getConferenceOwnerUserId(conferenceId),
+  ]);
+  if (subscription) {
+    return subscription;
+  }
 
   // If no conference-specific subscription, try to get user subscription from conference creator/admin
-  if (!subscription) {
-    const conference = await Conference.findById(conferenceId);
-    if (conference && conference.admins && conference.admins.length > 0) {
-      const adminProfile = await UserProfile.findById(conference.admins[0]);
-      if (adminProfile) {
-        const user = await User.findOne({ telegramId: adminProfile.telegramId });
-        if (user) {
-          return getUserSubscription(user._id);
-        }
-      }
-    }
+  if (ownerUserId) {
+    return getUserSubscription(ownerUserId);
   }
 
   // Fallback to default plan
-  if (!subscription) {
-    const defaultPlan = await TariffPlan.findOne({ isDefault: true, isActive: true });
-    if (defaultPlan) {
-      return {
-        tariffPlan: defaultPlan,
-        status: 'active',
-        isDefault: true,
-      };
-    }
+  const defaultPlan = await getDefaultPlan();
+  if (defaultPlan) {
+    return {
+      tariffPlan: defaultPlan,
+      status: 'active',
+      isDefault: true,
+    };
   }
 
-  return subscription;
+  return null;
+}
+
+/**
+ * Plan in effect for a user or conference, cached: { subscription, limits }
+ * `subscription` is a plain summary (null if no plan at all).
+ */
+function resolvePlan(userId = null, conferenceId = null) {
+  if (!conferenceId && !userId) {
+    return Promise.resolve({ subscription: null, limits: NO_PLAN_LIMITS });
+  }
+
+  const key = conferenceId ? `conf:${conferenceId}` : `user:${userId}`;
+  return cached(key, async () => {
+    const subscription = conferenceId
+      ? await getConferenceSubscription(conferenceId)
+      : await getUserSubscription(userId);
+
+    if (!subscription || !subscription.tariffPlan) {
+      return { subscription: null, limits: NO_PLAN_LIMITS };
+    }
+
+    const plan = subscription.tariffPlan;
+    const limits = plan.limits && plan.limits.toObject ? plan.limits.toObject() : { ...plan.limits };
+    return {
+      subscription: {
+        id: subscription._id || null,
+        status: subscription.status,
+        endsAt: subscription.endsAt || null,
+        trialEndsAt: subscription.trialEndsAt || null,
+        isDefault: Boolean(subscription.isDefault),
+        planId: plan._id,
+        planName: plan.name,
+        planDisplayName: plan.displayName,
+      },
+      limits: Object.freeze(limits),
+    };
+  });
 }
 
 /**
  * Get limits for a user or conference
  */
 async function getLimits(userId = null, conferenceId = null) {
-  let subscription = null;
+  const { limits } = await resolvePlan(userId, conferenceId);
+  return limits;
+}
 
-  if (conferenceId) {
-    subscription = await getConferenceSubscription(conferenceId);
-  } else if (userId) {
-    subscription = await getUserSubscription(userId);
+/**
+ * Recount a conference's resources from the collections
+ */
+async function syncConferenceCounters(conferenceId) {
+  const [participants, polls, questions, meetings] = await Promise.all([
+    UserProfile.countDocuments({ conference: conferenceId, isActive: true }),
+    Poll.countDocuments({ conference: conferenceId }),
+    Question.countDocuments({ conference: conferenceId }),
+    Meeting.countDocuments({ conference: conferenceId }),
+  ]);
+
+  const update = { $set: { participants, polls, questions, meetings, syncedAt: new Date() } };
+  try {
+    return await ConferenceCounter.findOneAndUpdate({ conference: conferenceId }, update, { upsert: true, new: true }).lean();
+  } catch (err) {
+    // Two first-time recounts raced on the upsert; the other one created the document
+    if (err.code !== 11000) throw err;
+    return ConferenceCounter.findOneAndUpdate({ conference: conferenceId }, update, { new: true }).lean();
   }
+}
 
-  if (!subscription || !subscription.tariffPlan) {
-    // Return very restrictive limits if no plan found
-    return {
-      maxConferences: 0,
-      maxParticipantsPerConference: 0,
-      maxPollsPerConference: 0,
-      maxQuestionsPerConference: 0,
-      maxMeetingsPerConference: 0,
-      maxMeetingsPerUser: 0,
-      maxSpeakersPerConference: 0,
-      maxAdminsPerConference: 0,
-      pollsEnabled: false,
-      secondScreenEnabled: false,
-      organizerDashboardEnabled: false,
-      exportCsvEnabled: false,
-      exportPdfEnabled: false,
-      customBranding: false,
-      apiAccess: false,
-      prioritySupport: false,
-    };
+/**
+ * Current resource counts of a conference: { participants, polls, questions, meetings }
+ */
+async function getConferenceCounters(conferenceId) {
+  const counter = await ConferenceCounter.findOne({ conference: conferenceId }).lean();
+  if (counter && counter.syncedAt && Date.now() - counter.syncedAt.getTime() < COUNTER_RESYNC_MS) {
+    return counter;
   }
+  return syncConferenceCounters(conferenceId);
+}
 
-  return subscription.tariffPlan.limits;
+/**
+ * Count a created resource. Pass the `session` of the transaction that creates it.
+ * A conference without a counter document yet is counted in full on its next check.
+ */
+async function incrementConferenceCounter({ conferenceId, counter, amount = 1, session = null }) {
+  if (!COUNTER_FIELDS.includes(counter)) {
+    throw new Error(`Unknown conference counter: ${counter}`);
+  }
+  await ConferenceCounter.updateOne(
+    { conference: conferenceId },
+    { $inc: { [counter]: amount } },
+    { session }
+  );
 }
 
 /**
@@ -166,10 +314,7 @@ async function canCreateConference(userId) {
  * Check if a conference can add more participants
  */
 async function canAddParticipant(conferenceId) {
-  const participantCount = await UserProfile.countDocuments({
-    conference: conferenceId,
-    isActive: true,
-  });
+  const { participants: participantCount } = await getConferenceCounters(conferenceId);
 
   const result = await checkLimit('maxParticipantsPerConference', null, conferenceId, participantCount);
   return {
@@ -184,7 +329,7 @@ async function canAddParticipant(conferenceId) {
  * Check if a conference can create more polls
  */
 async function canCreatePoll(conferenceId) {
-  const pollCount = await Poll.countDocuments({ conference: conferenceId });
+  const { polls: pollCount } = await getConferenceCounters(conferenceId);
 
   const result = await checkLimit('maxPollsPerConference', null, conferenceId, pollCount);
   return {
@@ -199,7 +344,7 @@ async function canCreatePoll(conferenceId) {
  * Check if a conference can create more questions
  */
 async function canCreateQuestion(conferenceId) {
-  const questionCount = await Question.countDocuments({ conference: conferenceId });
+  const { questions: questionCount } = await getConferenceCounters(conferenceId);
 
   const result = await checkLimit('maxQuestionsPerConference', null, conferenceId, questionCount);
   return {
@@ -214,7 +359,7 @@ async function canCreateQuestion(conferenceId) {
  * Check if a conference can create more meetings (total limit)
  */
 async function canCreateMeeting(conferenceId) {
-  const meetingCount = await Meeting.countDocuments({ conference: conferenceId });
+  const { meetings: meetingCount } = await getConferenceCounters(conferenceId);
 
   const result = await checkLimit('maxMeetingsPerConference', null, conferenceId, meetingCount);
   return {
@@ -272,6 +417,43 @@ async function isFeatureEnabled(featureName, conferenceId, userId = null) {
   return limits[featureName] === true;
 }
 
+/**
+ * All limits of a conference with current usage, in one call (for dashboards):
+ * { subscription, limits, usage, quotas }, quotas[limitName] = { limit, current, remaining, allowed }
+ */
+async function getLimitsSnapshot({ conferenceId }) {
+  const [{ subscription, limits }, counters, conference, speakers] = await Promise.all([
+    resolvePlan(null, conferenceId),
+    getConferenceCounters(conferenceId),
+    Conference.findById(conferenceId).select('admins').lean(),
+    UserProfile.countDocuments({ conference: conferenceId, roles: 'speaker', isActive: true }),
+  ]);
+
+  const usage = {
+    participants: counters.participants,
+    polls: counters.polls,
+    questions: counters.questions,
+    meetings: counters.meetings,
+    speakers,
+    admins: conference && conference.admins ? conference.admins.length : 0,
+  };
+
+  const quotas = {};
+  for (const [limitName, usageKey] of Object.entries(LIMIT_USAGE_KEYS)) {
+    const limit = limits[limitName];
+    const current = usage[usageKey];
+    const unlimited = limit === -1 || limit === undefined || limit === null;
+    quotas[limitName] = {
+      limit: unlimited ? -1 : limit,
+      current,
+      remaining: unlimited ? null : Math.max(0, limit - current),
+      allowed: unlimited || current < limit,
+    };
+  }
+
+  return { subscription, limits, usage, quotas };
+}
+
 /**
  * Ensure default tariff plans exist (run on startup or migration)
  */
@@ -365,6 +547,7 @@ async function ensureDefaultTariffPlans() {
     );
   }
 
+  invalidateLimitsCache();
   console.log('✅ Default tariff plans ensured');
 }
 
@@ -372,6 +555,11 @@ module.exports = {
   getUserSubscription,
   getConferenceSubscription,
   getLimits,
+  getLimitsSnapshot,
+  invalidateLimitsCache,
+  getConferenceCounters,
+  syncConferenceCounters,
+  incrementConferenceCounter,
   checkLimit,
   canCreateConference,
   canAddParticipant,
@@ -1,13 +1,78 @@
 const { Conference } = require('../models/conference');
 const { UserProfile } = require('../models/userProfile');
 const { getConferenceIdByCode } = require('../lib/conference-helper');
+const { ensureUserFromTelegram } = require('./conference.service');
+
+// Recommendation weights: what the requester is looking for matters most
+const MATCH_WEIGHTS = {
+  theyOfferWhatYouSeek: 3,
+  youOfferWhatTheySeek: 2,
+  sharedInterest: 1,
+  complementaryRoles: 1,
+};
+
+// Roles that usually benefit from meeting each other
+const COMPLEMENTARY_ROLES = {
+  investor: ['participant', 'speaker'],
+  participant: ['investor', 'speaker'],
+  speaker: ['participant', 'investor', 'organizer'],
+  organizer: ['speaker'],
+};
+
+const ROLE_LABELS = {
+  speaker: 'спикер',
+  investor: 'инвестор',
+  participant: 'участник',
+  organizer: 'организатор',
+};
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeTerm(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function tokenize(text) {
+  return normalizeTerm(text)
+    .split(/[\s,;]+/)
+    .filter((t) => t.length > 0);
+}
+
+/**
+ * Two terms match if they are equal or one contains the other
+ * ("ai" vs "AI", "инвестиции" vs "инвестиции в стартапы"); very short terms must match exactly.
+ */
+function termsMatch(a, b) {
+  if (a === b) return true;
+  if (a.length < 3 || b.length < 3) return false;
+  return a.includes(b) || b.includes(a);
+}
+
+/**
+ * Items of `source` that match anything in `target` (original spelling from `source`)
+ */
+function intersectTerms(source, target) {
+  const normalizedTarget = (target || []).map(normalizeTerm).filter(Boolean);
+  const result = [];
+  for (const item of source || []) {
+    const term = normalizeTerm(item);
+    if (!term) continue;
+    if (normalizedTarget.some((t) => termsMatch(term, t)) && !result.includes(item)) {
+      result.push(item);
+    }
+  }
+  return result;
+}
 
 /**
  * Basic profile search / matching inside a conference.
  * Supports filters:
  * - role: 'speaker' | 'investor' | 'participant' | 'organizer'
- * - text: free-text match against interests / offerings / lookingFor
- * 
+ * - text: free-text match against interests / offerings / lookingFor;
+ *   every word is matched separately, profiles matching more words come first
+ *
  * Note: conferenceCode is for UX only, internally uses conferenceId (ObjectId)
  */
 async function searchProfiles({ conferenceCode, role, text, limit = 20 }) {
@@ -28,26 +93,127 @@ async function searchProfiles({ conferenceCode, role, text, limit = 20 }) {
     query.roles = role;
   }
 
-  // Use indexed query for performance
-  const profiles = await UserProfile.find(query).limit(limit);
+  const tokens = text ? tokenize(text) : [];
+  if (!tokens.length) {
+    // Use indexed query for performance
+    const profiles = await UserProfile.find(query).limit(limit);
+    return { conference, profiles };
+  }
+
+  // Filter in the database, so the limit is applied to matches and not to the whole conference
+  const pattern = tokens.map(escapeRegex).join('|');
+  const regex = new RegExp(pattern, 'i');
+  query.$or = [
+    { interests: regex },
+    { offerings: regex },
+    { lookingFor: regex },
+  ];
+
+  const candidates = await UserProfile.find(query);
+
+  const scored = candidates.map((p) => {
+    const fields = []
+      .concat(p.interests || [])
+      .concat(p.offerings || [])
+      .concat(p.lookingFor || [])
+      .map(normalizeTerm);
+    const matchedTokens = tokens.filter((t) => fields.some((val) => val.includes(t))).length;
+    return { profile: p, matchedTokens };
+  });
+  scored.sort((a, b) => b.matchedTokens - a.matchedTokens);
+
+  return { conference, profiles: scored.slice(0, limit).map((s) => s.profile) };
+}
+
+/**
+ * Score a candidate profile against the requester's profile.
+ * Returns the total score and human-readable reasons ("why you match").
+ */
+function scoreMatch(me, other) {
+  const reasons = [];
+  let score = 0;
+
+  const theyOffer = intersectTerms(other.offerings, me.lookingFor);
+  if (theyOffer.length) {
+    score += theyOffer.length * MATCH_WEIGHTS.theyOfferWhatYouSeek;
+    reasons.push(`Предлагает то, что вы ищете: ${theyOffer.join(', ')}`);
+  }
+
+  const youOffer = intersectTerms(other.lookingFor, me.offerings);
+  if (youOffer.length) {
+    score += youOffer.length * MATCH_WEIGHTS.youOfferWhatTheySeek;
+    reasons.push(`Ищет то, что вы предлагаете: ${youOffer.join(', ')}`);
+  }
+
+  const sharedInterests = intersectTerms(other.interests, me.interests);
+  if (sharedInterests.length) {
+    score += sharedInterests.length * MATCH_WEIGHTS.sharedInterest;
+    reasons.push(`Общие интересы: ${sharedInterests.join(', ')}`);
+  }
 
-  if (text && text.trim()) {
-    const t = text.trim().toLowerCase();
-    const filtered = profiles.filter((p) => {
-      const fields = []
-        .concat(p.interests || [])
-        .concat(p.offerings || [])
-        .concat(p.lookingFor || []);
-      return fields.some((val) => String(val).toLowerCase().includes(t));
-    });
-    return { conference, profiles: filtered };
+  const rolePairs = [];
+  for (const myRole of me.roles || []) {
+    for (const theirRole of other.roles || []) {
+      if ((COMPLEMENTARY_ROLES[myRole] || []).includes(theirRole)) {
+        rolePairs.push(`${ROLE_LABELS[myRole] || myRole} ↔ ${ROLE_LABELS[theirRole] || theirRole}`);
+      }
+    }
+  }
+  if (rolePairs.length) {
+    score += MATCH_WEIGHTS.complementaryRoles;
+    reasons.push(`Дополняющие роли: ${rolePairs.join(', ')}`);
   }
 
-  return { conference, profiles };
+  return { score, reasons };
+}
+
+/**
+ * Recommend participants for the requester inside a conference.
+ * Every active profile is scored (see scoreMatch); profiles without any overlap are skipped.
+ * Returns a ranked page: { conference, items: [{ profile, score, reasons }], total, page, pageSize, totalPages }
+ */
+async function recommendProfiles({ telegramUser, conferenceCode, page = 1, pageSize = 5 }) {
+  const user = await ensureUserFromTelegram(telegramUser);
+  const conferenceId = await getConferenceIdByCode(conferenceCode);
+  const conference = await Conference.findById(conferenceId).select('_id conferenceCode title');
+
+  const me = await UserProfile.findOne({
+    telegramId: user.telegramId,
+    conference: conferenceId,
+    isActive: true,
+  });
+  if (!me) {
+    throw new Error('NOT_IN_CONFERENCE');
+  }
+
+  const candidates = await UserProfile.find({
+    conference: conferenceId,
+    isActive: true,
+    _id: { $ne: me._id },
+  });
+
+  const ranked = candidates
+    .map((profile) => ({ profile, ...scoreMatch(me, profile) }))
+    .filter((item) => item.score > 0)
+    .sort((a, b) => b.score - a.score || b.reasons.length - a.reasons.length);
+
+  const total = ranked.length;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const currentPage = Math.min(Math.max(1, parseInt(page, 10) || 1), totalPages);
+  const start = (currentPage - 1) * pageSize;
+
+  return {
+    conference,
+    items: ranked.slice(start, start + pageSize),
+    total,
+    page: currentPage,
+    pageSize,
+    totalPages,
+  };
 }
 
 module.exports = {
   searchProfiles,
+  recommendProfiles,
+  scoreMatch,
 };
-
-
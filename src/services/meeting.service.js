@@ -3,12 +3,95 @@ const { Conference } = require('../models/conference');
 const { UserProfile } = require('../models/userProfile');
 const { getConferenceIdByCode } = require('../lib/conference-helper');
 const { ensureUserFromTelegram } = require('./conference.service');
+const {
+  getNetworkingSettings,
+  getDaySlots,
+  getDayWindows,
+  isWithinNetworkingHours,
+  toDayKey,
+} = require('../lib/networking-hours');
+
+const MAX_BLOCKED_TIMES = 50;
+const MAX_BLOCKED_TIME_HOURS = 24;
+
+function getParticipantName(profile) {
+  return `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || 'Участник';
+}
+
+/**
+ * Find pending/accepted meetings of the given participants that overlap the proposed time
+ * (widened by the conference buffer between meetings).
+ * Used for the initial request and again on every negotiation round.
+ */
+async function findTimeConflicts({ conferenceId, profileIds, proposedTime, durationMinutes, bufferMinutes = 0, excludeMeetingId = null }) {
+  const conflictWindowStart = new Date(proposedTime.getTime() - (durationMinutes + bufferMinutes) * 60 * 1000);
+  const conflictWindowEnd = new Date(proposedTime.getTime() + (durationMinutes + bufferMinutes) * 60 * 1000);
+
+  const query = {
+    conference: conferenceId,
+    status: { $in: ['pending', 'accepted'] },
+    $or: profileIds.flatMap((id) => [{ requester: id }, { recipient: id }]),
+    proposedTime: {
+      $gte: conflictWindowStart,
+      $lte: conflictWindowEnd,
+    },
+  };
+  if (excludeMeetingId) {
+    query._id = { $ne: excludeMeetingId };
+  }
+
+  return Meeting.find(query);
+}
+
+/**
+ * A meeting may not overlap the time any of the given participants blocked for themselves
+ */
+async function assertNotBlockedTime({ profileIds, proposedTime, durationMinutes }) {
+  const end = new Date(proposedTime.getTime() + durationMinutes * 60 * 1000);
+  const blocked = await UserProfile.exists({
+    _id: { $in: profileIds },
+    blockedTimes: { $elemMatch: { startsAt: { $lt: end }, endsAt: { $gt: proposedTime } } },
+  });
+  if (blocked) {
+    throw new Error('TIME_BLOCKED');
+  }
+}
+
+/**
+ * Meetings may only be placed inside the conference networking hours, once the organizer configured them
+ */
+function assertWithinNetworkingHours(conference, proposedTime, durationMinutes) {
+  if (getNetworkingSettings(conference).isConfigured && !isWithinNetworkingHours(conference, proposedTime, durationMinutes)) {
+    throw new Error('OUTSIDE_NETWORKING_HOURS');
+  }
+}
+
+/**
+ * The proposal currently waiting for an answer (initial request, counter-offer or reschedule), if any
+ */
+function getOpenProposal(meeting) {
+  const open = (meeting.proposals || []).filter((p) => p.status === 'pending');
+  return open.length ? open[open.length - 1] : null;
+}
+
+/**
+ * Participant who has to answer the open proposal (requester/recipient must be populated).
+ * Meetings created before proposals were tracked wait for the recipient while pending.
+ */
+function getAwaitingParticipant(meeting) {
+  const open = getOpenProposal(meeting);
+  if (!open) {
+    return meeting.status === 'pending' ? meeting.recipient : null;
+  }
+  return open.proposedBy.toString() === meeting.requester._id.toString() ? meeting.recipient : meeting.requester;
+}
 
 /**
  * Request a 1:1 meeting with another participant
  */
-async function requestMeeting({ telegramUser, conferenceCode, recipientProfileId, proposedTime, durationMinutes = 30, message = '' }) {
+async function requestMeeting({ telegramUser, conferenceCode, recipientProfileId, proposedTime, durationMinutes = null, message = '', locationId = null }) {
   const { canCreateMeeting, canUserCreateMeeting } = require('./limit.service');
+  const { assignMeetingLocation } = require('./meetingLocation.service');
   
   const user = await ensureUserFromTelegram(telegramUser);
   const conferenceId = await getConferenceIdByCode(conferenceCode);
@@ -69,28 +152,24 @@ async function requestMeeting({ telegramUser, conferenceCode, recipientProfileId
     throw new Error('INVALID_TIME_PAST');
   }
 
-  // Check for conflicts: requester or recipient already has a meeting at this time
-  const conflictWindowStart = new Date(proposedTime.getTime() - durationMinutes * 60 * 1000);
-  const conflictWindowEnd = new Date(proposedTime.getTime() + durationMinutes * 60 * 1000);
+  // Default duration is the conference slot length
+  const networking = getNetworkingSettings(conference);
+  durationMinutes = durationMinutes || networking.slotMinutes;
+  assertWithinNetworkingHours(conference, proposedTime, durationMinutes);
 
-  const conflicts = await Meeting.find({
-    conference: conferenceId,
-    status: { $in: ['pending', 'accepted'] },
-    $or: [
-      { requester: requesterProfile._id },
-      { recipient: requesterProfile._id },
-      { requester: recipientProfile._id },
-      { recipient: recipientProfile._id },
-    ],
-    proposedTime: {
-      $gte: conflictWindowStart,
-      $lte: conflictWindowEnd,
-    },
+  // Check for conflicts: requester or recipient already has a meeting at this time
+  const conflicts = await findTimeConflicts({
+    conferenceId,
+    profileIds: [requesterProfile._id, recipientProfile._id],
+    proposedTime,
+    durationMinutes,
+    bufferMinutes: networking.bufferMinutes,
   });
 
   if (conflicts.length > 0) {
     throw new Error('TIME_CONFLICT');
   }
+  await assertNotBlockedTime({ profileIds: [requesterProfile._id, recipientProfile._id], proposedTime, durationMinutes });
 
   // Create meeting request
   const meeting = new Meeting({
@@ -101,9 +180,30 @@ async function requestMeeting({ telegramUser, conferenceCode, recipientProfileId
     durationMinutes,
     message: message.trim(),
     status: 'pending',
+    proposals: [{
+      proposedBy: requesterProfile._id,
+      kind: 'initial',
+      proposedTime,
+      durationMinutes,
+      message: message.trim(),
+    }],
   });
 
-  await meeting.save();
+  const { withTransaction } = require('../lib/mongo');
+  const { incrementUsage } = require('./subscription.service');
+  const { incrementConferenceCounter } = require('./limit.service');
+  await withTransaction(async (session) => {
+    // Book a spot if the conference has bookable locations (the chosen one or the first free)
+    const location = await assignMeetingLocation({ conferenceId, proposedTime, durationMinutes, locationId, session });
+    meeting.location = location ? location._id : undefined;
+    meeting.meetingLocation = location ? location.name : undefined;
+    meeting.proposals[0].location = meeting.location;
+    meeting.proposals[0].meetingLocation = meeting.meetingLocation;
+
+    await meeting.save({ session });
+    await incrementConferenceCounter({ conferenceId, counter: 'meetings', session });
+    await incrementUsage({ counter: 'meetingsCreated', conferenceId, session });
+  });
 
   // Notify recipient about the meeting request
   await notifyMeetingCreated({ meeting, requesterProfile, recipientProfile });
@@ -112,7 +212,8 @@ async function requestMeeting({ telegramUser, conferenceCode, recipientProfileId
 }
 
 /**
- * Accept a meeting request
+ * Accept a meeting request or the counter-offer currently on the table.
+ * Only the participant the open proposal is addressed to can accept it.
  */
 async function acceptMeeting({ telegramUser, meetingId }) {
   const user = await ensureUserFromTelegram(telegramUser);
@@ -122,70 +223,321 @@ async function acceptMeeting({ telegramUser, meetingId }) {
     throw new Error('MEETING_NOT_FOUND');
   }
 
-  // Check if user is the recipient
-  if (meeting.recipient.telegramId !== user.telegramId) {
-    throw new Error('NOT_RECIPIENT');
-  }
-
   if (meeting.status !== 'pending') {
     throw new Error('MEETING_ALREADY_PROCESSED');
   }
 
-  // Check for conflicts again (in case recipient got another request)
-  const conflictWindowStart = new Date(meeting.proposedTime.getTime() - meeting.durationMinutes * 60 * 1000);
-  const conflictWindowEnd = new Date(meeting.proposedTime.getTime() + meeting.durationMinutes * 60 * 1000);
+  // Check that the user is the one the current proposal waits for
+  const awaiting = getAwaitingParticipant(meeting);
+  if (awaiting.telegramId !== user.telegramId) {
+    throw new Error('NOT_RECIPIENT');
+  }
 
-  const conflicts = await Meeting.find({
-    conference: meeting.conference._id,
-    status: { $in: ['pending', 'accepted'] },
-    _id: { $ne: meetingId },
-    $or: [
-      { requester: meeting.recipient._id },
-      { recipient: meeting.recipient._id },
-    ],
-    proposedTime: {
-      $gte: conflictWindowStart,
-      $lte: conflictWindowEnd,
-    },
+  // Check for conflicts again (either side may have booked something since the proposal)
+  const conflicts = await findTimeConflicts({
+    conferenceId: meeting.conference._id,
+    profileIds: [meeting.requester._id, meeting.recipient._id],
+    proposedTime: meeting.proposedTime,
+    durationMinutes: meeting.durationMinutes,
+    bufferMinutes: getNetworkingSettings(meeting.conference).bufferMinutes,
+    excludeMeetingId: meeting._id,
   });
 
   if (conflicts.length > 0) {
     throw new Error('TIME_CONFLICT');
   }
+  await assertNotBlockedTime({
+    profileIds: [meeting.requester._id, meeting.recipient._id],
+    proposedTime: meeting.proposedTime,
+    durationMinutes: meeting.durationMinutes,
+  });
+
+  const proposal = getOpenProposal(meeting);
+  if (proposal) {
+    proposal.status = 'accepted';
+    proposal.respondedAt = new Date();
+  }
 
   meeting.status = 'accepted';
   meeting.updatedAt = new Date();
-  await meeting.save();
+
+  const { withTransaction } = require('../lib/mongo');
+  const { assignMeetingLocation } = require('./meetingLocation.service');
+  await withTransaction(async (session) => {
+    // Keep the booked spot if it is still free, otherwise move the meeting to another one
+    const location = await assignMeetingLocation({
+      conferenceId: meeting.conference._id,
+      proposedTime: meeting.proposedTime,
+      durationMinutes: meeting.durationMinutes,
+      preferredLocationId: meeting.location,
+      excludeMeetingId: meeting._id,
+      session,
+    });
+    if (location) {
+      meeting.location = location._id;
+      meeting.meetingLocation = location.name;
+    }
+    await meeting.save({ session });
+  });
+
+  // The author of a counter-offer is waiting for an answer
+  if (proposal && proposal.kind !== 'initial') {
+    await notifyProposalAnswered({ meeting, proposal, accepted: true });
+  }
+  await notifyMeetingAccepted({ meeting });
 
   return { meeting };
 }
 
 /**
- * Reject a meeting request
+ * Reject a meeting request (or the counter-offer currently on the table)
  */
 async function rejectMeeting({ telegramUser, meetingId }) {
   const user = await ensureUserFromTelegram(telegramUser);
   
-  const meeting = await Meeting.findById(meetingId).populate('recipient');
+  const meeting = await Meeting.findById(meetingId).populate('requester recipient');
   if (!meeting) {
     throw new Error('MEETING_NOT_FOUND');
   }
 
-  if (meeting.recipient.telegramId !== user.telegramId) {
+  if (meeting.status !== 'pending') {
+    throw new Error('MEETING_ALREADY_PROCESSED');
+  }
+
+  const awaiting = getAwaitingParticipant(meeting);
+  if (awaiting.telegramId !== user.telegramId) {
     throw new Error('NOT_RECIPIENT');
   }
 
-  if (meeting.status !== 'pending') {
-    throw new Error('MEETING_ALREADY_PROCESSED');
+  const proposal = getOpenProposal(meeting);
+  if (proposal) {
+    proposal.status = 'declined';
+    proposal.respondedAt = new Date();
   }
 
   meeting.status = 'rejected';
   meeting.updatedAt = new Date();
   await meeting.save();
 
+  if (proposal && proposal.kind !== 'initial') {
+    await notifyProposalAnswered({ meeting, proposal, accepted: false });
+  }
+
   return { meeting };
 }
 
+/**
+ * Propose another time for a meeting.
+ * - pending meeting: a counter-offer by the participant who has to answer; it replaces the
+ *   offer on the table and the other side now answers (accept / counter / decline)
+ * - accepted meeting: a reschedule request; the meeting keeps its time until the other side confirms
+ */
+async function proposeMeetingTime({ telegramUser, meetingId, proposedTime, durationMinutes, meetingLocation, locationId = null, message = '' }) {
+  const { assignMeetingLocation } = require('./meetingLocation.service');
+  const user = await ensureUserFromTelegram(telegramUser);
+
+  const meeting = await Meeting.findById(meetingId).populate('requester recipient');
+  if (!meeting) {
+    throw new Error('MEETING_NOT_FOUND');
+  }
+
+  const isRequester = meeting.requester.telegramId === user.telegramId;
+  const isRecipient = meeting.recipient.telegramId === user.telegramId;
+  if (!isRequester && !isRecipient) {
+    throw new Error('NOT_PARTICIPANT');
+  }
+
+  const selfProfile = isRequester ? meeting.requester : meeting.recipient;
+  const otherProfile = isRequester ? meeting.recipient : meeting.requester;
+  const now = new Date();
+  const openProposal = getOpenProposal(meeting);
+
+  let kind;
+  if (meeting.status === 'pending') {
+    if (getAwaitingParticipant(meeting).telegramId !== user.telegramId) {
+      throw new Error('PROPOSAL_AWAITING_RESPONSE');
+    }
+    kind = 'counter';
+  } else if (meeting.status === 'accepted') {
+    if (meeting.proposedTime <= now) {
+      throw new Error('MEETING_ALREADY_STARTED');
+    }
+    if (openProposal && openProposal.proposedBy.toString() === selfProfile._id.toString()) {
+      throw new Error('PROPOSAL_AWAITING_RESPONSE');
+    }
+    kind = 'reschedule';
+  } else {
+    throw new Error('MEETING_ALREADY_PROCESSED');
+  }
+
+  const duration = durationMinutes || meeting.durationMinutes;
+  if (duration < 5 || duration > 120) {
+    throw new Error('INVALID_DURATION');
+  }
+
+  if (!(proposedTime instanceof Date) || isNaN(proposedTime.getTime())) {
+    throw new Error('INVALID_TIME');
+  }
+  if (proposedTime <= now) {
+    throw new Error('INVALID_TIME_PAST');
+  }
+
+  const conference = await Conference.findById(meeting.conference);
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+  assertWithinNetworkingHours(conference, proposedTime, duration);
+
+  const conflicts = await findTimeConflicts({
+    conferenceId: meeting.conference,
+    profileIds: [meeting.requester._id, meeting.recipient._id],
+    proposedTime,
+    durationMinutes: duration,
+    bufferMinutes: getNetworkingSettings(conference).bufferMinutes,
+    excludeMeetingId: meeting._id,
+  });
+
+  if (conflicts.length > 0) {
+    throw new Error('TIME_CONFLICT');
+  }
+  await assertNotBlockedTime({ profileIds: [meeting.requester._id, meeting.recipient._id], proposedTime, durationMinutes: duration });
+
+  const previousTime = meeting.proposedTime;
+  const previousLocationId = meeting.location;
+  const freeTextLocation = meetingLocation !== undefined ? meetingLocation : meeting.meetingLocation;
+
+  if (openProposal) {
+    openProposal.status = 'superseded';
+    openProposal.respondedAt = now;
+  }
+
+  meeting.proposals.push({
+    proposedBy: selfProfile._id,
+    kind,
+    proposedTime,
+    durationMinutes: duration,
+    message: message.trim() || undefined,
+  });
+  const proposal = meeting.proposals[meeting.proposals.length - 1];
+
+  // While negotiating, the meeting itself carries the offer on the table
+  if (kind === 'counter') {
+    meeting.proposedTime = proposedTime;
+    meeting.durationMinutes = duration;
+  }
+  meeting.updatedAt = now;
+
+  const { withTransaction } = require('../lib/mongo');
+  await withTransaction(async (session) => {
+    // With bookable locations the place is a spot (the chosen one, else the current one if free), not free text
+    const bookedLocation = await assignMeetingLocation({
+      conferenceId: meeting.conference,
+      proposedTime,
+      durationMinutes: duration,
+      locationId,
+      preferredLocationId: previousLocationId,
+      excludeMeetingId: meeting._id,
+      session,
+    });
+    const location = bookedLocation ? bookedLocation.name : freeTextLocation;
+
+    proposal.location = bookedLocation ? bookedLocation._id : undefined;
+    proposal.meetingLocation = location || undefined;
+    if (kind === 'counter') {
+      meeting.location = proposal.location;
+      meeting.meetingLocation = proposal.meetingLocation;
+    }
+    await meeting.save({ session });
+  });
+  await notifyMeetingProposal({ meeting, proposal, previousTime, fromProfile: selfProfile, toProfile: otherProfile });
+
+  return { meeting, proposal };
+}
+
+/**
+ * Confirm or decline a reschedule request for an accepted meeting.
+ * Only the participant who did not propose it can answer.
+ */
+async function respondToReschedule({ telegramUser, meetingId, accept }) {
+  const user = await ensureUserFromTelegram(telegramUser);
+
+  const meeting = await Meeting.findById(meetingId).populate('requester recipient');
+  if (!meeting) {
+    throw new Error('MEETING_NOT_FOUND');
+  }
+
+  const proposal = getOpenProposal(meeting);
+  if (meeting.status !== 'accepted' || !proposal || proposal.kind !== 'reschedule') {
+    throw new Error('RESCHEDULE_NOT_FOUND');
+  }
+
+  if (getAwaitingParticipant(meeting).telegramId !== user.telegramId) {
+    throw new Error('NOT_RECIPIENT');
+  }
+
+  const now = new Date();
+
+  if (accept) {
+    if (proposal.proposedTime <= now) {
+      throw new Error('INVALID_TIME_PAST');
+    }
+
+    const conference = await Conference.findById(meeting.conference);
+    const conflicts = await findTimeConflicts({
+      conferenceId: meeting.conference,
+      profileIds: [meeting.requester._id, meeting.recipient._id],
+      proposedTime: proposal.proposedTime,
+      durationMinutes: proposal.durationMinutes || meeting.durationMinutes,
+      bufferMinutes: getNetworkingSettings(conference).bufferMinutes,
+      excludeMeetingId: meeting._id,
+    });
+
+    if (conflicts.length > 0) {
+      throw new Error('TIME_CONFLICT');
+    }
+    await assertNotBlockedTime({
+      profileIds: [meeting.requester._id, meeting.recipient._id],
+      proposedTime: proposal.proposedTime,
+      durationMinutes: proposal.durationMinutes || meeting.durationMinutes,
+    });
+
+    meeting.proposedTime = proposal.proposedTime;
+    meeting.durationMinutes = proposal.durationMinutes || meeting.durationMinutes;
+    // Reminders for the old time no longer apply
+    meeting.sentReminders = [];
+  }
+
+  proposal.status = accept ? 'accepted' : 'declined';
+  proposal.respondedAt = now;
+  meeting.updatedAt = now;
+
+  const { withTransaction } = require('../lib/mongo');
+  const { assignMeetingLocation } = require('./meetingLocation.service');
+  await withTransaction(async (session) => {
+    if (accept) {
+      // The spot offered with the proposal may have been booked by someone else meanwhile
+      const location = await assignMeetingLocation({
+        conferenceId: meeting.conference,
+        proposedTime: proposal.proposedTime,
+        durationMinutes: proposal.durationMinutes || meeting.durationMinutes,
+        preferredLocationId: proposal.location,
+        excludeMeetingId: meeting._id,
+        session,
+      });
+      meeting.location = location ? location._id : undefined;
+      meeting.meetingLocation = location ? location.name : (proposal.meetingLocation || undefined);
+    }
+    await meeting.save({ session });
+  });
+
+  await notifyProposalAnswered({ meeting, proposal, accepted: accept });
+  if (accept) {
+    await notifyMeetingAccepted({ meeting });
+  }
+
+  return { meeting, proposal };
+}
+
 /**
  * Cancel a meeting (by requester or recipient)
  */
@@ -219,32 +571,44 @@ async function cancelMeeting({ telegramUser, meetingId }) {
 }
 
 /**
- * List meetings for a user in a conference
+ * List meetings for a user in a conference, or across all their conferences when conferenceCode is null.
+ * status may be a single status or a list of them.
  */
 async function listMeetings({ telegramUser, conferenceCode, status = null }) {
   const user = await ensureUserFromTelegram(telegramUser);
-  const conferenceId = await getConferenceIdByCode(conferenceCode);
 
-  const profile = await UserProfile.findOne({
-    telegramId: user.telegramId,
-    conference: conferenceId,
-    isActive: true,
-  });
-
-  if (!profile) {
-    throw new Error('NOT_IN_CONFERENCE');
+  let profile = null;
+  let profileIds;
+  if (conferenceCode) {
+    const conferenceId = await getConferenceIdByCode(conferenceCode);
+    profile = await UserProfile.findOne({
+      telegramId: user.telegramId,
+      conference: conferenceId,
+      isActive: true,
+    });
+
+    if (!profile) {
+      throw new Error('NOT_IN_CONFERENCE');
+    }
+    profileIds = [profile._id];
+  } else {
+    const profiles = await UserProfile.find({ telegramId: user.telegramId, isActive: true }).select('_id');
+    profileIds = profiles.map((p) => p._id);
   }
 
   const query = {
-    conference: conferenceId,
     $or: [
-      { requester: profile._id },
-      { recipient: profile._id },
+      { requester: { $in: profileIds } },
+      { recipient: { $in: profileIds } },
     ],
   };
 
+  if (profile) {
+    query.conference = profile.conference;
+  }
+
   if (status) {
-    query.status = status;
+    query.status = Array.isArray(status) ? { $in: status } : status;
   }
 
   const meetings = await Meeting.find(query)
@@ -252,11 +616,62 @@ async function listMeetings({ telegramUser, conferenceCode, status = null }) {
     .populate('recipient', 'firstName lastName roles')
     .sort({ proposedTime: 1 });
 
-  return { meetings, profile };
+  return { meetings, profile, profileIds };
 }
 
 /**
- * Get available time slots for a user (times when they don't have meetings)
+ * Free slots of one day for all given profiles at once.
+ * Busy time: their pending/accepted meetings widened by the conference buffer, and the time
+ * they blocked for themselves; breaks and time outside the networking hours never produce slots.
+ */
+async function findFreeSlots({ conference, profileIds, day }) {
+  const { slotMinutes, bufferMinutes } = getNetworkingSettings(conference);
+  const windows = getDayWindows(conference, day);
+  if (!windows.length) {
+    return { slots: [], meetings: [] };
+  }
+
+  // Get all accepted/pending meetings of these participants around the networking hours of the day
+  const rangeStart = new Date(windows[0].start.getTime() - (120 + bufferMinutes) * 60 * 1000);
+  const rangeEnd = new Date(windows[windows.length - 1].end.getTime() + bufferMinutes * 60 * 1000);
+
+  const meetings = await Meeting.find({
+    conference: conference._id,
+    $or: profileIds.flatMap((id) => [{ requester: id }, { recipient: id }]),
+    status: { $in: ['pending', 'accepted'] },
+    proposedTime: {
+      $gte: rangeStart,
+      $lte: rangeEnd,
+    },
+  }).sort({ proposedTime: 1 });
+
+  const profiles = await UserProfile.find({ _id: { $in: profileIds } }).select('blockedTimes');
+  const blockedTimes = profiles.flatMap((p) => p.blockedTimes || []);
+
+  const now = new Date();
+  const bufferMs = bufferMinutes * 60 * 1000;
+  const slots = getDaySlots(conference, day).filter((slotTime) => {
+    if (slotTime < now) {
+      return false; // Skip past times
+    }
+
+    // Check if this slot (plus the buffer around meetings) overlaps any meeting
+    const slotEnd = new Date(slotTime.getTime() + slotMinutes * 60 * 1000);
+    const hasMeeting = meetings.some((meeting) => {
+      const meetingStart = new Date(meeting.proposedTime.getTime() - bufferMs);
+      const meetingEnd = new Date(meeting.proposedTime.getTime() + meeting.durationMinutes * 60 * 1000 + bufferMs);
+      return slotTime < meetingEnd && slotEnd > meetingStart;
+    });
+    return !hasMeeting && !blockedTimes.some((b) => slotTime < b.endsAt && slotEnd > b.startsAt);
+  });
+
+  return { slots, meetings };
+}
+
+/**
+ * Get available time slots for a user (times when they don't have meetings) on one day.
+ * Slots come from the conference networking hours (timezone, windows, breaks, slot length);
+ * `date` is a Date or a 'YYYY-MM-DD' day in the conference timezone.
  */
 async function getAvailableTimeSlots({ telegramUser, conferenceCode, date }) {
   const user = await ensureUserFromTelegram(telegramUser);
@@ -277,63 +692,140 @@ async function getAvailableTimeSlots({ telegramUser, conferenceCode, date }) {
     throw new Error('CONFERENCE_NOT_FOUND');
   }
 
+  const { timezone } = getNetworkingSettings(conference);
+
   // If date is not provided, use today
-  if (!date) {
-    date = new Date();
+  const day = typeof date === 'string' ? date : toDayKey(date || new Date(), timezone);
+  const { slots, meetings } = await findFreeSlots({ conference, profileIds: [profile._id], day });
+
+  return { slots, meetings, day, timezone };
+}
+
+/**
+ * Slots that are free for both the requester and the recipient, so a request can't hit TIME_CONFLICT.
+ * `date` ('YYYY-MM-DD' or Date) limits the result to one day, otherwise the next `days` networking days are used.
+ * Returns { timezone, slotMinutes, recipientProfile, days: [{ day, slots }] }
+ */
+async function getMutualAvailability({ telegramUser, conferenceCode, recipientProfileId, date = null, days = 3 }) {
+  const { isValidObjectId } = require('../lib/conference-helper');
+  const { getNetworkingDays } = require('../lib/networking-hours');
+
+  const user = await ensureUserFromTelegram(telegramUser);
+  const conferenceId = await getConferenceIdByCode(conferenceCode);
+
+  const conference = await Conference.findById(conferenceId);
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
   }
-  
-  // Get all accepted/pending meetings for this user on this date
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
 
-  const meetings = await Meeting.find({
+  const requesterProfile = await UserProfile.findOne({
+    telegramId: user.telegramId,
     conference: conferenceId,
-    $or: [
-      { requester: profile._id },
-      { recipient: profile._id },
-    ],
-    status: { $in: ['pending', 'accepted'] },
-    proposedTime: {
-      $gte: startOfDay,
-      $lte: endOfDay,
-    },
-  }).sort({ proposedTime: 1 });
+    isActive: true,
+  });
 
-  // Generate available slots (every 30 minutes from 9:00 to 18:00)
-  const slots = [];
-  const startHour = 9;
-  const endHour = 18;
-  const slotDuration = 30; // minutes
-
-  for (let hour = startHour; hour < endHour; hour++) {
-    for (let minute = 0; minute < 60; minute += slotDuration) {
-      const slotTime = new Date(date);
-      slotTime.setHours(hour, minute, 0, 0);
-      
-      if (slotTime < new Date()) {
-        continue; // Skip past times
-      }
+  if (!requesterProfile) {
+    throw new Error('NOT_IN_CONFERENCE');
+  }
 
-      // Check if this slot conflicts with any meeting
-      const hasConflict = meetings.some((meeting) => {
-        const meetingStart = new Date(meeting.proposedTime);
-        const meetingEnd = new Date(meetingStart.getTime() + meeting.durationMinutes * 60 * 1000);
-        const slotEnd = new Date(slotTime.getTime() + slotDuration * 60 * 1000);
-        
-        return (slotTime >= meetingStart && slotTime < meetingEnd) ||
-               (slotEnd > meetingStart && slotEnd <= meetingEnd) ||
-               (slotTime <= meetingStart && slotEnd >= meetingEnd);
-      });
+  const recipientProfile = isValidObjectId(recipientProfileId) ? await UserProfile.findById(recipientProfileId) : null;
+  if (!recipientProfile || !recipientProfile.isActive || recipientProfile.conference.toString() !== conferenceId.toString()) {
+    throw new Error('RECIPIENT_NOT_FOUND');
+  }
 
-      if (!hasConflict) {
-        slots.push(slotTime);
-      }
-    }
+  if (requesterProfile._id.toString() === recipientProfile._id.toString()) {
+    throw new Error('CANNOT_MEET_YOURSELF');
   }
 
-  return { slots, meetings };
+  const { timezone, slotMinutes } = getNetworkingSettings(conference);
+  let dayKeys;
+  if (date) {
+    dayKeys = [typeof date === 'string' ? date : toDayKey(date, timezone)];
+  } else {
+    dayKeys = getNetworkingDays(conference, { limit: Math.min(Math.max(parseInt(days, 10) || 3, 1), 14) });
+  }
+
+  const result = [];
+  for (const day of dayKeys) {
+    const { slots } = await findFreeSlots({
+      conference,
+      profileIds: [requesterProfile._id, recipientProfile._id],
+      day,
+    });
+    result.push({ day, slots });
+  }
+
+  return { timezone, slotMinutes, recipientProfile, days: result };
+}
+
+async function findOwnProfile({ telegramUser, conferenceCode }) {
+  const user = await ensureUserFromTelegram(telegramUser);
+  const conferenceId = await getConferenceIdByCode(conferenceCode);
+
+  const profile = await UserProfile.findOne({
+    telegramId: user.telegramId,
+    conference: conferenceId,
+    isActive: true,
+  });
+  if (!profile) {
+    throw new Error('NOT_IN_CONFERENCE');
+  }
+  return profile;
+}
+
+/**
+ * Time the participant blocked for themselves that has not ended yet, in time order
+ */
+async function listBlockedTimes({ telegramUser, conferenceCode }) {
+  const profile = await findOwnProfile({ telegramUser, conferenceCode });
+  const now = new Date();
+  return (profile.blockedTimes || [])
+    .filter((b) => b.endsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+/**
+ * Block [startsAt, endsAt) for meetings: it is left out of the free slots and new meetings can't be placed there.
+ * Meetings already booked in that time are kept. Blocked time that has ended is dropped on the way.
+ */
+async function blockTime({ telegramUser, conferenceCode, startsAt, endsAt }) {
+  if (!(startsAt instanceof Date) || isNaN(startsAt.getTime()) || !(endsAt instanceof Date) || isNaN(endsAt.getTime())
+    || endsAt <= startsAt) {
+    throw new Error('INVALID_TIME');
+  }
+  if (endsAt <= new Date()) {
+    throw new Error('INVALID_TIME_PAST');
+  }
+  if (endsAt - startsAt > MAX_BLOCKED_TIME_HOURS * 60 * 60 * 1000) {
+    throw new Error('BLOCKED_TIME_TOO_LONG');
+  }
+
+  const profile = await findOwnProfile({ telegramUser, conferenceCode });
+  const now = new Date();
+  const active = (profile.blockedTimes || []).filter((b) => b.endsAt > now);
+  if (active.length >= MAX_BLOCKED_TIMES) {
+    throw new Error('TOO_MANY_BLOCKED_TIMES');
+  }
+
+  profile.blockedTimes = [...active, { startsAt, endsAt }];
+  await profile.save();
+  return profile.blockedTimes[profile.blockedTimes.length - 1];
+}
+
+/**
+ * Give blocked time back to meetings
+ */
+async function unblockTime({ telegramUser, conferenceCode, blockedTimeId }) {
+  const profile = await findOwnProfile({ telegramUser, conferenceCode });
+  const { isValidObjectId } = require('../lib/conference-helper');
+  const blocked = isValidObjectId(blockedTimeId) ? profile.blockedTimes.id(blockedTimeId) : null;
+  if (!blocked) {
+    throw new Error('BLOCKED_TIME_NOT_FOUND');
+  }
+
+  blocked.deleteOne();
+  await profile.save();
+  return blocked;
 }
 
 /**
@@ -341,9 +833,9 @@ async function getAvailableTimeSlots({ telegramUser, conferenceCode, date }) {
  */
 async function notifyMeetingCreated({ meeting, requesterProfile, recipientProfile }) {
   try {
-    const { getBot } = require('../telegram/bot');
+    const { getBotInstance } = require('../telegram/bot');
     const { Conference } = require('../models/conference');
-    const bot = getBot();
+    const bot = getBotInstance();
     
     if (!bot) {
       console.warn('Bot instance not available, skipping meeting notification');
@@ -385,14 +877,166 @@ async function notifyMeetingCreated({ meeting, requesterProfile, recipientProfil
   }
 }
 
+/**
+ * Notify the other participant about a counter-offer or a reschedule request
+ */
+async function notifyMeetingProposal({ meeting, proposal, previousTime, fromProfile, toProfile }) {
+  try {
+    const { getBotInstance } = require('../telegram/bot');
+    const bot = getBotInstance();
+
+    if (!bot) {
+      console.warn('Bot instance not available, skipping meeting proposal notification');
+      return;
+    }
+
+    const conference = await Conference.findById(meeting.conference);
+    if (!conference) return;
+
+    const isReschedule = proposal.kind === 'reschedule';
+    const notificationText = (isReschedule ? `🔁 Предложение перенести встречу\n\n` : `🔁 Встречное предложение по встрече\n\n`) +
+      `📋 Конференция: ${conference.title}\n` +
+      `👤 От: ${getParticipantName(fromProfile)}\n` +
+      `🕓 Было: ${new Date(previousTime).toLocaleString('ru-RU')}\n` +
+      `⏰ Новое время: ${new Date(proposal.proposedTime).toLocaleString('ru-RU')}\n` +
+      `⏱️ Длительность: ${proposal.durationMinutes} минут\n` +
+      (proposal.meetingLocation ? `📍 Место: ${proposal.meetingLocation}\n` : '') +
+      (proposal.message ? `💬 Сообщение: ${proposal.message}\n` : '') +
+      (isReschedule ? `\nПока вы не ответите, встреча остаётся в прежнее время.` : `\nВы можете принять, предложить другое время или отклонить.`);
+
+    const answerButtons = isReschedule
+      ? [
+        [{ text: '✅ Подтвердить перенос', callback_data: `meeting:rs_ok:${meeting._id}` }],
+        [{ text: '🔁 Предложить другое время', callback_data: `meeting:counter:${meeting._id}` }],
+        [{ text: '❌ Оставить как было', callback_data: `meeting:rs_no:${meeting._id}` }],
+      ]
+      : [
+        [{ text: '✅ Принять', callback_data: `meeting:accept:${meeting._id}` }],
+        [{ text: '🔁 Предложить другое время', callback_data: `meeting:counter:${meeting._id}` }],
+        [{ text: '❌ Отклонить', callback_data: `meeting:reject:${meeting._id}` }],
+      ];
+
+    const menu = {
+      reply_markup: {
+        inline_keyboard: [
+          ...answerButtons,
+          [{ text: '📋 Мои встречи', callback_data: `meeting:list:${conference.conferenceCode}` }],
+        ],
+      },
+    };
+
+    try {
+      await bot.telegram.sendMessage(toProfile.telegramId, notificationText, menu);
+    } catch (err) {
+      console.error(`Failed to send meeting proposal notification to ${toProfile.telegramId}:`, err.message);
+    }
+  } catch (err) {
+    console.error('Error notifying about meeting proposal:', err);
+    // Don't throw - notification failure shouldn't break the proposal
+  }
+}
+
+/**
+ * Tell the author of a counter-offer / reschedule request how the other side answered
+ */
+async function notifyProposalAnswered({ meeting, proposal, accepted }) {
+  try {
+    const { getBotInstance } = require('../telegram/bot');
+    const bot = getBotInstance();
+
+    if (!bot) {
+      console.warn('Bot instance not available, skipping meeting proposal notification');
+      return;
+    }
+
+    const conference = await Conference.findById(meeting.conference._id || meeting.conference);
+    if (!conference) return;
+
+    const proposerIsRequester = proposal.proposedBy.toString() === meeting.requester._id.toString();
+    const proposer = proposerIsRequester ? meeting.requester : meeting.recipient;
+    const other = proposerIsRequester ? meeting.recipient : meeting.requester;
+    const proposedTime = new Date(proposal.proposedTime).toLocaleString('ru-RU');
+
+    let notificationText;
+    if (proposal.kind === 'reschedule') {
+      notificationText = accepted
+        ? `✅ ${getParticipantName(other)} подтвердил(а) перенос встречи.\n\n⏰ Новое время: ${proposedTime}`
+        : `❌ ${getParticipantName(other)} не может перенести встречу.\n\n⏰ Встреча остаётся в прежнее время: ${new Date(meeting.proposedTime).toLocaleString('ru-RU')}`;
+    } else {
+      notificationText = accepted
+        ? `✅ ${getParticipantName(other)} принял(а) ваше предложение.\n\n⏰ Время встречи: ${proposedTime}`
+        : `❌ ${getParticipantName(other)} отклонил(а) ваше предложение (${proposedTime}).`;
+    }
+
+    try {
+      await bot.telegram.sendMessage(proposer.telegramId, notificationText, {
+        reply_markup: {
+          inline_keyboard: [[{ text: '📋 Мои встречи', callback_data: `meeting:list:${conference.conferenceCode}` }]],
+        },
+      });
+    } catch (err) {
+      console.error(`Failed to send proposal answer notification to ${proposer.telegramId}:`, err.message);
+    }
+  } catch (err) {
+    console.error('Error notifying about proposal answer:', err);
+  }
+}
+
+/**
+ * Send both participants the agreed meeting as an .ics file, so it can be added to their calendar.
+ * Sent again after a reschedule: the same UID with a higher SEQUENCE updates the existing entry.
+ */
+async function notifyMeetingAccepted({ meeting }) {
+  try {
+    const { getBotInstance } = require('../telegram/bot');
+    const { buildMeetingIcs } = require('./calendar.service');
+    const { getConferenceTimezone, toDayKey, formatDayKey, formatTime } = require('../lib/networking-hours');
+    const bot = getBotInstance();
+
+    if (!bot) {
+      console.warn('Bot instance not available, skipping meeting calendar file');
+      return;
+    }
+
+    const conference = await Conference.findById(meeting.conference._id || meeting.conference);
+    if (!conference) return;
+
+    const timezone = getConferenceTimezone(conference);
+    const time = `${formatDayKey(toDayKey(meeting.proposedTime, timezone))} ${formatTime(meeting.proposedTime, timezone)} (${timezone})`;
+    const pairs = [
+      { to: meeting.requester, other: meeting.recipient },
+      { to: meeting.recipient, other: meeting.requester },
+    ];
+
+    for (const { to, other } of pairs) {
+      try {
+        const ics = await buildMeetingIcs({ meeting, forProfileId: to._id });
+        await bot.telegram.sendDocument(
+          to.telegramId,
+          { source: Buffer.from(ics, 'utf8'), filename: `meeting-${meeting._id}.ics` },
+          {
+            caption: `📅 Встреча с ${getParticipantName(other)}: ${time}` +
+              (meeting.meetingLocation ? `\n📍 ${meeting.meetingLocation}` : '') +
+              `\n\nОткройте файл, чтобы добавить встречу в календарь.`,
+          }
+        );
+      } catch (err) {
+        console.error(`Failed to send meeting calendar file to ${to.telegramId}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('Error sending meeting calendar file:', err);
+  }
+}
+
 /**
  * Notify participants when a meeting is cancelled
  */
 async function notifyMeetingCancelled({ meeting }) {
   try {
-    const { getBot } = require('../telegram/bot');
+    const { getBotInstance } = require('../telegram/bot');
     const { Conference } = require('../models/conference');
-    const bot = getBot();
+    const bot = getBotInstance();
     
     if (!bot) {
       console.warn('Bot instance not available, skipping meeting cancellation notification');
@@ -451,9 +1095,9 @@ async function notifyMeetingCancelled({ meeting }) {
  */
 async function notifyMeetingStarting({ meeting }) {
   try {
-    const { getBot } = require('../telegram/bot');
+    const { getBotInstance } = require('../telegram/bot');
     const { Conference } = require('../models/conference');
-    const bot = getBot();
+    const bot = getBotInstance();
     
     if (!bot) {
       console.warn('Bot instance not available, skipping meeting start notification');
@@ -529,12 +1173,125 @@ async function notifyMeetingStarting({ meeting }) {
   }
 }
 
+/**
+ * Send one message per participant; buildMessage(self, other) returns { text, menu }
+ */
+async function sendToBothParticipants({ bot, meeting, buildMessage, logLabel }) {
+  const pairs = [
+    { self: meeting.requester, other: meeting.recipient },
+    { self: meeting.recipient, other: meeting.requester },
+  ];
+
+  for (const { self, other } of pairs) {
+    if (!self || !self.telegramId) continue;
+    const { text, menu } = buildMessage(self, other);
+    try {
+      await bot.telegram.sendMessage(self.telegramId, text, menu);
+    } catch (err) {
+      console.error(`Failed to send ${logLabel} to ${self.telegramId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Remind participants shortly before an accepted meeting (called by the reminder scheduler)
+ */
+async function notifyMeetingReminder({ meeting, minutesBefore }) {
+  try {
+    const { getBotInstance } = require('../telegram/bot');
+    const { Conference } = require('../models/conference');
+    const bot = getBotInstance();
+
+    if (!bot) {
+      console.warn('Bot instance not available, skipping meeting reminder');
+      return;
+    }
+
+    const conference = await Conference.findById(meeting.conference);
+    if (!conference) return;
+
+    const meetingTime = new Date(meeting.proposedTime).toLocaleString('ru-RU');
+
+    await sendToBothParticipants({
+      bot,
+      meeting,
+      logLabel: 'meeting reminder',
+      buildMessage: (self, other) => ({
+        text: `🔔 Встреча через ${minutesBefore} мин.\n\n` +
+          `📋 Конференция: ${conference.title}\n` +
+          `👤 С: ${`${other.firstName || ''} ${other.lastName || ''}`.trim() || 'Участник'}\n` +
+          `⏰ Время: ${meetingTime}\n` +
+          `⏱️ Длительность: ${meeting.durationMinutes} минут\n` +
+          (meeting.meetingLocation ? `📍 Место: ${meeting.meetingLocation}\n` : ''),
+        menu: {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '📋 Мои встречи', callback_data: `meeting:list:${conference.conferenceCode}` }],
+            ],
+          },
+        },
+      }),
+    });
+  } catch (err) {
+    console.error('Error sending meeting reminder:', err);
+  }
+}
+
+/**
+ * Ask participants whether the meeting took place once it is over (called by the reminder scheduler)
+ */
+async function notifyMeetingFollowUp({ meeting }) {
+  try {
+    const { getBotInstance } = require('../telegram/bot');
+    const { Conference } = require('../models/conference');
+    const bot = getBotInstance();
+
+    if (!bot) {
+      console.warn('Bot instance not available, skipping meeting follow-up');
+      return;
+    }
+
+    const conference = await Conference.findById(meeting.conference);
+    if (!conference) return;
+
+    await sendToBothParticipants({
+      bot,
+      meeting,
+      logLabel: 'meeting follow-up',
+      buildMessage: (self, other) => ({
+        text: `🤝 Встреча с ${`${other.firstName || ''} ${other.lastName || ''}`.trim() || 'участником'} должна была закончиться.\n\n` +
+          `Отметить её как завершённую?`,
+        menu: {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '✅ Отметить как завершённую', callback_data: `meeting:complete:${meeting._id}:${conference.conferenceCode}` }],
+              [{ text: '📋 Мои встречи', callback_data: `meeting:list:${conference.conferenceCode}` }],
+            ],
+          },
+        },
+      }),
+    });
+  } catch (err) {
+    console.error('Error sending meeting follow-up:', err);
+  }
+}
+
 module.exports = {
   requestMeeting,
   acceptMeeting,
   rejectMeeting,
+  proposeMeetingTime,
+  respondToReschedule,
   cancelMeeting,
   listMeetings,
   getAvailableTimeSlots,
+  getMutualAvailability,
+  listBlockedTimes,
+  blockTime,
+  unblockTime,
+  getOpenProposal,
+  getAwaitingParticipant,
   notifyMeetingStarting,
+  notifyMeetingReminder,
+  notifyMeetingFollowUp,
 };
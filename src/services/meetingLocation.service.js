@@ -0,0 +1,251 @@
+const { MeetingLocation } = require('../models/meetingLocation');
+const { Meeting } = require('../models/meeting');
+const { Conference } = require('../models/conference');
+const { getNetworkingSettings, getDaySlots } = require('../lib/networking-hours');
+
+// Longest meeting allowed by the Meeting model, bounds the overlap lookup
+const MAX_MEETING_DURATION_MINUTES = 120;
+
+async function getConferenceForModerator({ moderatorUser, conferenceCode }) {
+  const { isConferenceAdminFor } = require('./conference.service');
+
+  const conference = await Conference.findOne({ conferenceCode });
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  const isAdmin = await isConferenceAdminFor({ user: moderatorUser, conference });
+  if (!isAdmin) {
+    throw new Error('ACCESS_DENIED');
+  }
+
+  return conference;
+}
+
+async function findConferenceLocation(conferenceId, locationId) {
+  const { isValidObjectId } = require('../lib/conference-helper');
+  if (!isValidObjectId(locationId)) {
+    throw new Error('LOCATION_NOT_FOUND');
+  }
+
+  const location = await MeetingLocation.findOne({ _id: locationId, conference: conferenceId });
+  if (!location) {
+    throw new Error('LOCATION_NOT_FOUND');
+  }
+  return location;
+}
+
+/**
+ * Active locations of a conference in display order
+ */
+async function getActiveLocations(conferenceId, { session = null } = {}) {
+  return MeetingLocation.find({ conference: conferenceId, isActive: true }).sort({ sortOrder: 1, name: 1 }).session(session);
+}
+
+/**
+ * List all locations of a conference, including deactivated ones (organizer view)
+ */
+async function listMeetingLocations({ moderatorUser, conferenceCode }) {
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+  return MeetingLocation.find({ conference: conference._id }).sort({ isActive: -1, sortOrder: 1, name: 1 });
+}
+
+/**
+ * Add a networking spot (table, lounge) to a conference
+ */
+async function createMeetingLocation({ moderatorUser, conferenceCode, payload }) {
+  const { validate, meetingLocationSchema } = require('../lib/validation');
+
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+  const validated = validate(payload || {}, meetingLocationSchema.fork(['name'], (s) => s.required()));
+
+  return MeetingLocation.create({
+    conference: conference._id,
+    name: validated.name,
+    description: validated.description || undefined,
+    capacity: validated.capacity || 1,
+    sortOrder: validated.sortOrder || 0,
+    isActive: validated.isActive !== undefined ? validated.isActive : true,
+  });
+}
+
+/**
+ * Update a location. Meetings already booked there are kept, even if the capacity shrinks.
+ */
+async function updateMeetingLocation({ moderatorUser, conferenceCode, locationId, payload }) {
+  const { validate, meetingLocationSchema } = require('../lib/validation');
+
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+  const location = await findConferenceLocation(conference._id, locationId);
+  const validated = validate(payload || {}, meetingLocationSchema);
+
+  if (validated.name !== undefined) location.name = validated.name;
+  if (validated.description !== undefined) location.description = validated.description || undefined;
+  if (validated.capacity !== undefined) location.capacity = validated.capacity;
+  if (validated.sortOrder !== undefined) location.sortOrder = validated.sortOrder;
+  if (validated.isActive !== undefined) location.isActive = validated.isActive;
+
+  await location.save();
+  return location;
+}
+
+/**
+ * Remove a location from booking. It is only deactivated, so past and already
+ * booked meetings still show where they take place.
+ */
+async function deleteMeetingLocation({ moderatorUser, conferenceCode, locationId }) {
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+  const location = await findConferenceLocation(conference._id, locationId);
+
+  if (location.isActive) {
+    location.isActive = false;
+    await location.save();
+  }
+  return location;
+}
+
+/**
+ * Pending/accepted meetings with a location that overlap [proposedTime, proposedTime + duration)
+ */
+async function findOverlappingBookings({ conferenceId, proposedTime, durationMinutes, excludeMeetingId = null, session = null }) {
+  const start = proposedTime.getTime();
+  const end = start + durationMinutes * 60 * 1000;
+
+  const query = {
+    conference: conferenceId,
+    status: { $in: ['pending', 'accepted'] },
+    location: { $ne: null },
+    proposedTime: {
+      $gt: new Date(start - MAX_MEETING_DURATION_MINUTES * 60 * 1000),
+      $lt: new Date(end),
+    },
+  };
+  if (excludeMeetingId) {
+    query._id = { $ne: excludeMeetingId };
+  }
+
+  const meetings = await Meeting.find(query).select('location proposedTime durationMinutes').session(session);
+  return meetings.filter((m) => m.proposedTime.getTime() + (m.durationMinutes || 30) * 60 * 1000 > start);
+}
+
+/**
+ * Active locations with their remaining capacity at the given time: [{ location, free }].
+ * Pending requests hold their spot too, like they block the participants' time.
+ */
+async function findFreeLocations({ conferenceId, proposedTime, durationMinutes, excludeMeetingId = null, session = null }) {
+  const locations = await getActiveLocations(conferenceId, { session });
+  if (!locations.length) return [];
+
+  const bookings = await findOverlappingBookings({ conferenceId, proposedTime, durationMinutes, excludeMeetingId, session });
+  const used = new Map();
+  for (const b of bookings) {
+    const key = b.location.toString();
+    used.set(key, (used.get(key) || 0) + 1);
+  }
+
+  return locations
+    .map((location) => ({ location, free: location.capacity - (used.get(location._id.toString()) || 0) }))
+    .filter((item) => item.free > 0);
+}
+
+/**
+ * Pick a spot out of the free ones:
+ * - locationId: the spot chosen by the user, LOCATION_FULL if it is taken
+ * - preferredLocationId: keep this spot if it is still free, otherwise pick another one
+ * - neither: the first free spot in display order
+ */
+async function pickLocation({ conferenceId, free, locationId, preferredLocationId }) {
+  if (locationId) {
+    const location = await findConferenceLocation(conferenceId, locationId);
+    if (!location.isActive) {
+      throw new Error('LOCATION_NOT_FOUND');
+    }
+    if (!free.some((item) => item.location._id.equals(location._id))) {
+      throw new Error('LOCATION_FULL');
+    }
+    return location;
+  }
+
+  if (preferredLocationId) {
+    const preferred = free.find((item) => item.location._id.equals(preferredLocationId));
+    if (preferred) return preferred.location;
+  }
+
+  if (!free.length) {
+    throw new Error('NO_LOCATION_AVAILABLE');
+  }
+  return free[0].location;
+}
+
+/**
+ * Book the location for a meeting (see pickLocation for how it is chosen).
+ * Returns null when the conference has no locations (the free-text meeting place is used then),
+ * throws NO_LOCATION_AVAILABLE when every spot is full.
+ *
+ * Call it in the transaction that saves the meeting (src/lib/mongo.js withTransaction): the booked
+ * spot gets its bookingVersion bumped there, so of two concurrent bookings of the same spot one hits
+ * a write conflict and is retried against the new count instead of overbooking it.
+ */
+async function assignMeetingLocation({ conferenceId, proposedTime, durationMinutes, locationId = null, preferredLocationId = null, excludeMeetingId = null, session = null }) {
+  const hasLocations = await MeetingLocation.exists({ conference: conferenceId, isActive: true }).session(session);
+  if (!hasLocations) return null;
+
+  const free = await findFreeLocations({ conferenceId, proposedTime, durationMinutes, excludeMeetingId, session });
+  const location = await pickLocation({ conferenceId, free, locationId, preferredLocationId });
+  await MeetingLocation.updateOne({ _id: location._id }, { $inc: { bookingVersion: 1 } }, { session });
+  return location;
+}
+
+/**
+ * Per-location schedule of one day for the organizer dashboard.
+ * Returns { day, timezone, slotMinutes, locations, rows: [{ time, cells: [{ meetings, free }] }] },
+ * cells follow the order of `locations`.
+ */
+async function getLocationSchedule({ conference, day }) {
+  const { timezone, slotMinutes } = getNetworkingSettings(conference);
+  const locations = await MeetingLocation.find({ conference: conference._id }).sort({ isActive: -1, sortOrder: 1, name: 1 });
+  const slots = getDaySlots(conference, day);
+
+  let meetings = [];
+  if (locations.length && slots.length) {
+    const dayStart = slots[0];
+    const dayEnd = new Date(slots[slots.length - 1].getTime() + slotMinutes * 60 * 1000);
+    meetings = await Meeting.find({
+      conference: conference._id,
+      status: { $in: ['pending', 'accepted', 'completed'] },
+      location: { $in: locations.map((l) => l._id) },
+      proposedTime: {
+        $gt: new Date(dayStart.getTime() - MAX_MEETING_DURATION_MINUTES * 60 * 1000),
+        $lt: dayEnd,
+      },
+    }).populate('requester recipient');
+  }
+
+  const rows = slots.map((slot) => {
+    const slotStart = slot.getTime();
+    const slotEnd = slotStart + slotMinutes * 60 * 1000;
+    const cells = locations.map((location) => {
+      const cellMeetings = meetings.filter((m) => {
+        const start = m.proposedTime.getTime();
+        const end = start + (m.durationMinutes || 30) * 60 * 1000;
+        return m.location.equals(location._id) && start < slotEnd && end > slotStart;
+      });
+      const booked = cellMeetings.filter((m) => m.status !== 'completed').length;
+      return { meetings: cellMeetings, free: location.isActive ? Math.max(0, location.capacity - booked) : 0 };
+    });
+    return { time: slot, cells };
+  });
+
+  return { day, timezone, slotMinutes, locations, rows };
+}
+
+module.exports = {
+  getActiveLocations,
+  listMeetingLocations,
+  createMeetingLocation,
+  updateMeetingLocation,
+  deleteMeetingLocation,
+  findFreeLocations,
+  assignMeetingLocation,
+  getLocationSchedule,
+};
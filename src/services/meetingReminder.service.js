@@ -0,0 +1,157 @@
+const { Meeting } = require('../models/meeting');
+
+const DEFAULT_LEAD_MINUTES = [15, 0];
+const DEFAULT_FOLLOW_UP_MINUTES = 5;
+// Reminders that could not be delivered in time (e.g. all instances were down) are dropped after this
+const FOLLOW_UP_MAX_DELAY_MS = 12 * 60 * 60 * 1000;
+const MAX_MEETING_DURATION_MS = 120 * 60 * 1000;
+
+/**
+ * Lead times in minutes before the start; 0 means "at start".
+ * Configured with MEETING_REMINDER_MINUTES, e.g. "30,15,0".
+ */
+function getReminderLeadMinutes() {
+  const raw = process.env.MEETING_REMINDER_MINUTES;
+  if (!raw) return DEFAULT_LEAD_MINUTES;
+  const values = raw
+    .split(',')
+    .map((x) => parseInt(x.trim(), 10))
+    .filter((x) => Number.isInteger(x) && x >= 0);
+  return values.length ? [...new Set(values)] : DEFAULT_LEAD_MINUTES;
+}
+
+/**
+ * Minutes after the end to ask "mark completed?" (MEETING_FOLLOW_UP_MINUTES, negative disables it)
+ */
+function getFollowUpMinutes() {
+  const value = parseInt(process.env.MEETING_FOLLOW_UP_MINUTES, 10);
+  return Number.isInteger(value) ? value : DEFAULT_FOLLOW_UP_MINUTES;
+}
+
+function reminderKey(leadMinutes) {
+  return leadMinutes === 0 ? 'start' : `before_${leadMinutes}`;
+}
+
+function getMeetingEnd(meeting) {
+  return new Date(meeting.proposedTime.getTime() + (meeting.durationMinutes || 30) * 60 * 1000);
+}
+
+/**
+ * Atomically mark a reminder as sent. Returns false if it was already claimed
+ * (by an earlier tick or another instance), so every reminder goes out at most once.
+ */
+async function claimReminder(meetingId, key) {
+  const result = await Meeting.updateOne(
+    { _id: meetingId, 'sentReminders.key': { $ne: key } },
+    { $push: { sentReminders: { key, sentAt: new Date() } } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Pending requests nobody answered before the proposed time can no longer happen
+ */
+async function expirePendingMeetings(now = new Date()) {
+  const result = await Meeting.updateMany(
+    { status: 'pending', proposedTime: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Send every reminder whose time has come and that was not sent yet.
+ * Works from persisted state only, so a late tick or a restart catches up instead of skipping.
+ */
+async function processMeetingReminders(now = new Date()) {
+  const { notifyMeetingReminder, notifyMeetingStarting, notifyMeetingFollowUp } = require('./meeting.service');
+  let sent = 0;
+
+  const leadMinutesList = getReminderLeadMinutes();
+  for (const leadMinutes of leadMinutesList) {
+    const key = reminderKey(leadMinutes);
+    const leadMs = leadMinutes * 60 * 1000;
+    // If a shorter "before" reminder is already due too, this one is redundant (e.g. a meeting accepted 10 min ahead)
+    const shorterLeads = leadMinutesList.filter((l) => l > 0 && l < leadMinutes);
+    const nextLeadMs = shorterLeads.length ? Math.max(...shorterLeads) * 60 * 1000 : 0;
+
+    // Due: start - lead <= now. Still relevant: before the start ("before_N") or before the end ("start").
+    const query = {
+      status: 'accepted',
+      'sentReminders.key': { $ne: key },
+      proposedTime: leadMinutes === 0
+        ? { $lte: now, $gt: new Date(now.getTime() - MAX_MEETING_DURATION_MS) }
+        : { $lte: new Date(now.getTime() + leadMs), $gt: now },
+    };
+
+    const meetings = await Meeting.find(query).populate('requester recipient');
+    for (const meeting of meetings) {
+      if (leadMinutes === 0 && getMeetingEnd(meeting) <= now) continue;
+      if (!(await claimReminder(meeting._id, key))) continue;
+
+      if (leadMinutes === 0) {
+        await notifyMeetingStarting({ meeting });
+      } else {
+        const remainingMs = meeting.proposedTime.getTime() - now.getTime();
+        if (nextLeadMs && remainingMs <= nextLeadMs) continue;
+        await notifyMeetingReminder({ meeting, minutesBefore: Math.ceil(remainingMs / 60000) });
+      }
+      sent += 1;
+    }
+  }
+
+  const followUpMinutes = getFollowUpMinutes();
+  if (followUpMinutes >= 0) {
+    const followUpMs = followUpMinutes * 60 * 1000;
+    const meetings = await Meeting.find({
+      status: 'accepted',
+      'sentReminders.key': { $ne: 'follow_up' },
+      proposedTime: {
+        $lte: new Date(now.getTime() - followUpMs),
+        $gt: new Date(now.getTime() - followUpMs - MAX_MEETING_DURATION_MS - FOLLOW_UP_MAX_DELAY_MS),
+      },
+    }).populate('requester recipient');
+
+    for (const meeting of meetings) {
+      const dueAt = getMeetingEnd(meeting).getTime() + followUpMs;
+      if (dueAt > now.getTime() || now.getTime() - dueAt > FOLLOW_UP_MAX_DELAY_MS) continue;
+      if (!(await claimReminder(meeting._id, 'follow_up'))) continue;
+
+      await notifyMeetingFollowUp({ meeting });
+      sent += 1;
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Start the meeting reminder job (replaces the old ±1 minute polling scheduler).
+ * Runs on one instance at a time thanks to the lease in src/lib/scheduler.js.
+ */
+function startMeetingReminderScheduler() {
+  const { startLeasedJob } = require('../lib/scheduler');
+
+  const job = startLeasedJob({
+    name: 'meeting-reminders',
+    intervalMs: 30 * 1000,
+    run: async () => {
+      const now = new Date();
+      const expired = await expirePendingMeetings(now);
+      const sent = await processMeetingReminders(now);
+      if (expired || sent) {
+        console.log(`[Meeting Scheduler] reminders sent: ${sent}, pending meetings expired: ${expired}`);
+      }
+    },
+  });
+
+  console.log('✅ Meeting reminder scheduler started');
+  return job;
+}
+
+module.exports = {
+  startMeetingReminderScheduler,
+  processMeetingReminders,
+  expirePendingMeetings,
+  getReminderLeadMinutes,
+};
@@ -0,0 +1,327 @@
+const { Meeting } = require('../models/meeting');
+const { Conference } = require('../models/conference');
+const { UserProfile } = require('../models/userProfile');
+const { Question } = require('../models/question');
+const { Session } = require('../models/session');
+const { getConferenceIdByCode } = require('../lib/conference-helper');
+const { ensureUserFromTelegram } = require('./conference.service');
+const {
+  TIME_PATTERN,
+  getConferenceTimezone,
+  toDayKey,
+  addDays,
+  zonedTime,
+  formatTime,
+  formatDayKey,
+} = require('../lib/networking-hours');
+
+const DEFAULT_DIGEST_TIME = '08:00';
+// A digest that could not go out in the morning (e.g. all instances were down) is skipped after this
+const DIGEST_MAX_DELAY_MS = 3 * 60 * 60 * 1000;
+const MAX_OWN_QUESTIONS = 10;
+
+/**
+ * Local time of the morning digest ('HH:mm' in the conference timezone), configured with DAILY_DIGEST_TIME
+ */
+function getDigestTime() {
+  const raw = (process.env.DAILY_DIGEST_TIME || '').trim();
+  return TIME_PATTERN.test(raw) ? raw : DEFAULT_DIGEST_TIME;
+}
+
+function getParticipantName(profile) {
+  return profile ? `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || 'Участник' : 'Участник';
+}
+
+async function getActiveProfile({ telegramUser, conferenceCode }) {
+  const user = await ensureUserFromTelegram(telegramUser);
+  const conferenceId = await getConferenceIdByCode(conferenceCode);
+
+  const profile = await UserProfile.findOne({
+    telegramId: user.telegramId,
+    conference: conferenceId,
+    isActive: true,
+  });
+  if (!profile) {
+    throw new Error('NOT_IN_CONFERENCE');
+  }
+  return profile;
+}
+
+/**
+ * Everything a participant has on one conference day:
+ * - timeline: accepted and pending meetings of the day and sessions they speak at, in time order
+ * - incomingRequests: upcoming meeting requests (or counter-offers) waiting for their answer
+ * - polls: active polls they have not voted in
+ * - questions: their latest questions with moderation/answer status
+ */
+async function collectMyDay({ profile, conference, day = null, now = new Date() }) {
+  const { getAwaitingParticipant } = require('./meeting.service');
+  const { getPollsForConference } = require('./poll.service');
+
+  const timezone = getConferenceTimezone(conference);
+  const dayKey = day || toDayKey(now, timezone);
+  const dayStart = zonedTime(dayKey, '00:00', timezone);
+  const dayEnd = zonedTime(addDays(dayKey, 1), '00:00', timezone);
+
+  const meetings = await Meeting.find({
+    conference: conference._id,
+    status: { $in: ['pending', 'accepted'] },
+    $or: [{ requester: profile._id }, { recipient: profile._id }],
+    // The day itself plus everything still ahead (for requests waiting for an answer)
+    proposedTime: { $gte: new Date(Math.min(dayStart.getTime(), now.getTime())) },
+  })
+    .populate('requester', 'firstName lastName telegramId')
+    .populate('recipient', 'firstName lastName telegramId')
+    .sort({ proposedTime: 1 });
+
+  const isAwaitingMe = (meeting) => {
+    const awaiting = getAwaitingParticipant(meeting);
+    return Boolean(awaiting && awaiting._id.equals(profile._id));
+  };
+
+  const timeline = meetings
+    .filter((m) => m.proposedTime >= dayStart && m.proposedTime < dayEnd)
+    .map((m) => ({
+      type: 'meeting',
+      startsAt: m.proposedTime,
+      endsAt: new Date(m.proposedTime.getTime() + (m.durationMinutes || 30) * 60 * 1000),
+      status: m.status,
+      awaitingMe: m.status === 'pending' && isAwaitingMe(m),
+      other: m.requester._id.equals(profile._id) ? m.recipient : m.requester,
+      location: m.meetingLocation || null,
+      meeting: m,
+    }));
+
+  const sessions = await Session.find({
+    conference: conference._id,
+    speakers: profile._id,
+    startsAt: { $lt: dayEnd },
+    endsAt: { $gt: dayStart },
+  }).sort({ startsAt: 1 });
+  for (const s of sessions) {
+    timeline.push({ type: 'session', startsAt: s.startsAt, endsAt: s.endsAt, location: s.room || null, session: s });
+  }
+  timeline.sort((a, b) => a.startsAt - b.startsAt);
+
+  const incomingRequests = meetings.filter((m) => m.status === 'pending' && m.proposedTime > now && isAwaitingMe(m));
+
+  const { polls } = await getPollsForConference({ conferenceCode: conference.conferenceCode, userProfileId: profile._id });
+
+  const questions = await Question.find({ conference: conference._id, author: profile._id })
+    .sort({ createdAt: -1 })
+    .limit(MAX_OWN_QUESTIONS);
+
+  return { conference, profile, timezone, day: dayKey, timeline, incomingRequests, polls, questions };
+}
+
+/**
+ * "My day" of the current user in a conference (today in the conference timezone unless `day` is given)
+ */
+async function getMyDay({ telegramUser, conferenceCode, day = null, now = new Date() }) {
+  const profile = await getActiveProfile({ telegramUser, conferenceCode });
+  const conference = await Conference.findById(profile.conference);
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+  return collectMyDay({ profile, conference, day, now });
+}
+
+/**
+ * Turn the morning digest on or off for one conference
+ */
+async function setDailyDigest({ telegramUser, conferenceCode, enabled }) {
+  const profile = await getActiveProfile({ telegramUser, conferenceCode });
+  profile.dailyDigestEnabled = Boolean(enabled);
+  await profile.save();
+  return profile;
+}
+
+function isMyDayEmpty(myDay) {
+  return !myDay.timeline.length && !myDay.incomingRequests.length && !myDay.polls.length;
+}
+
+const QUESTION_STATUS_LABELS = {
+  pending: '⏳ на модерации',
+  approved: '✅ одобрен',
+  rejected: '❌ отклонён',
+};
+
+/**
+ * Telegram text of a "My day" view (bot screen and morning digest)
+ */
+function formatMyDayText(myDay, { title = '🗓️ Мой день' } = {}) {
+  const { conference, timezone, day, timeline, incomingRequests, polls, questions } = myDay;
+  const lines = [`${title} — ${formatDayKey(day)}`, `📋 ${conference.title}`, `🕒 Время: ${timezone}`, ''];
+
+  if (timeline.length) {
+    lines.push('📌 Расписание:');
+    for (const item of timeline) {
+      const time = `${formatTime(item.startsAt, timezone)}–${formatTime(item.endsAt, timezone)}`;
+      const place = item.location ? ` · 📍 ${item.location}` : '';
+      if (item.type === 'session') {
+        lines.push(`• ${time} 🎤 Ваше выступление: ${item.session.title}${place}`);
+      } else {
+        const status = item.status === 'accepted' ? '✅' : (item.awaitingMe ? '⏳ ждёт вашего ответа' : '⏳ ожидает ответа');
+        lines.push(`• ${time} 🤝 ${getParticipantName(item.other)} ${status}${place}`);
+      }
+    }
+  } else {
+    lines.push('📌 На этот день встреч нет.');
+  }
+
+  if (incomingRequests.length) {
+    lines.push('', `📨 Ждут вашего ответа (${incomingRequests.length}):`);
+    for (const m of incomingRequests) {
+      const other = m.requester._id.equals(myDay.profile._id) ? m.recipient : m.requester;
+      const when = toDayKey(m.proposedTime, timezone) === day
+        ? formatTime(m.proposedTime, timezone)
+        : `${formatDayKey(toDayKey(m.proposedTime, timezone))} ${formatTime(m.proposedTime, timezone)}`;
+      lines.push(`• ${getParticipantName(other)} — ${when}`);
+    }
+  }
+
+  if (polls.length) {
+    lines.push('', `📊 Опросы без вашего голоса (${polls.length}):`);
+    for (const p of polls) {
+      lines.push(`• ${p.question}`);
+    }
+  }
+
+  if (questions.length) {
+    lines.push('', '❓ Ваши вопросы:');
+    for (const q of questions) {
+      const status = q.isAnswered ? '💬 есть ответ' : (QUESTION_STATUS_LABELS[q.status] || q.status);
+      const text = q.text.length > 60 ? `${q.text.slice(0, 57)}...` : q.text;
+      lines.push(`• ${text} — ${status}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Send the morning digest to every opted-in participant whose local digest time has come today.
+ * The day is claimed on the profile first, so a digest goes out at most once even with several instances.
+ */
+async function processDailyDigests(now = new Date()) {
+  const profiles = await UserProfile.find({ dailyDigestEnabled: true, isActive: true });
+  if (!profiles.length) return 0;
+
+  const conferenceIds = [...new Set(profiles.map((p) => p.conference.toString()))];
+  const conferences = await Conference.find({ _id: { $in: conferenceIds }, isEnded: false });
+  const conferenceById = new Map(conferences.map((c) => [c._id.toString(), c]));
+  const digestTime = getDigestTime();
+
+  let sent = 0;
+  for (const profile of profiles) {
+    const conference = conferenceById.get(profile.conference.toString());
+    if (!conference) continue;
+
+    const timezone = getConferenceTimezone(conference);
+    const today = toDayKey(now, timezone);
+    if (profile.dailyDigestLastSentDay === today) continue;
+    // Only on the conference days, when these are known
+    if (conference.startsAt && toDayKey(conference.startsAt, timezone) > today) continue;
+    if (conference.endsAt && toDayKey(conference.endsAt, timezone) < today) continue;
+
+    const sendAt = zonedTime(today, digestTime, timezone);
+    if (now < sendAt || now.getTime() - sendAt.getTime() > DIGEST_MAX_DELAY_MS) continue;
+
+    const claimed = await UserProfile.updateOne(
+      { _id: profile._id, dailyDigestLastSentDay: { $ne: today } },
+      { $set: { dailyDigestLastSentDay: today } }
+    );
+    if (claimed.modifiedCount !== 1) continue;
+
+    let delivered = false;
+    try {
+      const myDay = await collectMyDay({ profile, conference, day: today, now });
+      if (isMyDayEmpty(myDay)) continue;
+      delivered = await sendDailyDigest({ myDay });
+    } catch (err) {
+      console.error(`Failed to build daily digest for profile ${profile._id}:`, err);
+    }
+
+    if (delivered) {
+      sent += 1;
+    } else {
+      await releaseDigestClaim(profile, today);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Give the claimed day back after a failed digest, so the next run retries it
+ * (until DIGEST_MAX_DELAY_MS after the digest time has passed)
+ */
+async function releaseDigestClaim(profile, day) {
+  const previousDay = profile.dailyDigestLastSentDay;
+  try {
+    await UserProfile.updateOne(
+      { _id: profile._id, dailyDigestLastSentDay: day },
+      previousDay ? { $set: { dailyDigestLastSentDay: previousDay } } : { $unset: { dailyDigestLastSentDay: 1 } }
+    );
+  } catch (err) {
+    console.error(`Failed to release daily digest claim for profile ${profile._id}:`, err);
+  }
+}
+
+async function sendDailyDigest({ myDay }) {
+  const { getBotInstance } = require('../telegram/bot');
+  const bot = getBotInstance();
+  if (!bot) {
+    console.warn('Bot instance not available, skipping daily digest');
+    return false;
+  }
+
+  const code = myDay.conference.conferenceCode;
+  try {
+    await bot.telegram.sendMessage(
+      myDay.profile.telegramId,
+      formatMyDayText(myDay, { title: '☀️ Доброе утро! Ваш день' }),
+      {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🗓️ Открыть «Мой день»', callback_data: `myday:conf:${code}` }],
+            [{ text: '🔕 Отключить утреннюю сводку', callback_data: `myday:digest:${code}:off` }],
+          ],
+        },
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error(`Failed to send daily digest to ${myDay.profile.telegramId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Start the morning digest job. Runs on one instance at a time thanks to the lease in src/lib/scheduler.js.
+ */
+function startDailyDigestScheduler() {
+  const { startLeasedJob } = require('../lib/scheduler');
+
+  const job = startLeasedJob({
+    name: 'daily-digest',
+    intervalMs: 5 * 60 * 1000,
+    run: async () => {
+      const sent = await processDailyDigests(new Date());
+      if (sent) {
+        console.log(`[Daily Digest] digests sent: ${sent}`);
+      }
+    },
+  });
+
+  console.log('✅ Daily digest scheduler started');
+  return job;
+}
+
+module.exports = {
+  getDigestTime,
+  getMyDay,
+  setDailyDigest,
+  formatMyDayText,
+  processDailyDigests,
+  startDailyDigestScheduler,
+};
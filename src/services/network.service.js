@@ -0,0 +1,263 @@
+const { Conference } = require('../models/conference');
+const { UserProfile } = require('../models/userProfile');
+const { Meeting } = require('../models/meeting');
+const { Connection } = require('../models/connection');
+const { MeetingChatMessage } = require('../models/meetingChat');
+const { buildGraphml } = require('../lib/graphml');
+
+const ROLES = ['speaker', 'investor', 'organizer', 'participant'];
+const ESTABLISHED_MEETING_STATUSES = ['accepted', 'completed'];
+const DEFAULT_TOP_CONNECTORS = 10;
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function displayName(profile) {
+  return `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || (profile.username ? `@${profile.username}` : 'Участник');
+}
+
+/**
+ * Roles a participant counts under in the role matrix; no special role = 'participant'
+ */
+function rolesOf(profile) {
+  const roles = (profile.roles || []).filter((r) => ROLES.includes(r) && r !== 'participant');
+  return roles.length ? roles : ['participant'];
+}
+
+/**
+ * Graph of conference participants linked by meetings, meeting chats and contact exchanges.
+ *
+ * An edge is established by an accepted or held meeting, a chat message in one of their meetings,
+ * or an accepted contact exchange. Requests that were not (yet) accepted are kept as `requests`
+ * and only make an edge with `includeRequests`.
+ */
+async function buildNetworkGraph({ conferenceId, includeRequests = false }) {
+  const conference = await Conference.findById(conferenceId).select('_id title conferenceCode').lean();
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  const [profiles, meetings, connections] = await Promise.all([
+    UserProfile.find({ conference: conference._id, isActive: true })
+      .select('firstName lastName username roles')
+      .lean(),
+    Meeting.find({ conference: conference._id }).select('requester recipient status').lean(),
+    Connection.find({ conference: conference._id }).select('user1 user2 status').lean(),
+  ]);
+
+  const chatCounts = await MeetingChatMessage.aggregate([
+    { $match: { meeting: { $in: meetings.map((m) => m._id) } } },
+    { $group: { _id: '$meeting', messages: { $sum: 1 } } },
+  ]);
+  const messagesByMeeting = new Map(chatCounts.map((c) => [c._id.toString(), c.messages]));
+
+  const nodes = new Map(profiles.map((p) => [p._id.toString(), {
+    id: p._id.toString(),
+    name: displayName(p),
+    username: p.username || null,
+    roles: rolesOf(p),
+  }]));
+
+  const links = new Map();
+  const addLink = (a, b, field, amount = 1) => {
+    const source = a.toString();
+    const target = b.toString();
+    // Inactive (left) participants and self-links are not part of the network
+    if (source === target || !nodes.has(source) || !nodes.has(target)) return;
+
+    const key = pairKey(source, target);
+    if (!links.has(key)) {
+      const [first, second] = source < target ? [source, target] : [target, source];
+      links.set(key, { source: first, target: second, meetings: 0, chatMessages: 0, connection: false, requests: 0 });
+    }
+    const link = links.get(key);
+    link[field] = field === 'connection' ? true : link[field] + amount;
+  };
+
+  for (const meeting of meetings) {
+    if (!meeting.requester || !meeting.recipient) continue;
+    addLink(meeting.requester, meeting.recipient, ESTABLISHED_MEETING_STATUSES.includes(meeting.status) ? 'meetings' : 'requests');
+    const messages = messagesByMeeting.get(meeting._id.toString());
+    if (messages) {
+      addLink(meeting.requester, meeting.recipient, 'chatMessages', messages);
+    }
+  }
+  for (const connection of connections) {
+    addLink(connection.user1, connection.user2, connection.status === 'accepted' ? 'connection' : 'requests');
+  }
+
+  const edges = [];
+  for (const link of links.values()) {
+    const established = link.meetings > 0 || link.chatMessages > 0 || link.connection;
+    if (!established && !includeRequests) continue;
+    edges.push({
+      ...link,
+      established,
+      // Distinct interactions: each meeting, the contact exchange, the chat, each open request
+      weight: link.meetings + (link.connection ? 1 : 0) + (link.chatMessages > 0 ? 1 : 0) + (includeRequests ? link.requests : 0),
+    });
+  }
+
+  return {
+    conference: { id: conference._id, title: conference.title, conferenceCode: conference.conferenceCode },
+    includeRequests,
+    nodes: [...nodes.values()],
+    edges,
+  };
+}
+
+/**
+ * Connected components (as arrays of node ids), largest first
+ */
+function findComponents(nodeIds, adjacency) {
+  const seen = new Set();
+  const components = [];
+  for (const start of nodeIds) {
+    if (seen.has(start)) continue;
+    const component = [];
+    const stack = [start];
+    seen.add(start);
+    while (stack.length) {
+      const id = stack.pop();
+      component.push(id);
+      for (const next of adjacency.get(id)) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    components.push(component);
+  }
+  return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Metrics of a graph from buildNetworkGraph: density, degrees, top connectors, isolated participants,
+ * components and the role-to-role interaction matrix (number of linked pairs between role groups).
+ */
+function analyzeNetworkGraph(graph, { top = DEFAULT_TOP_CONNECTORS } = {}) {
+  const adjacency = new Map(graph.nodes.map((n) => [n.id, new Set()]));
+  const weights = new Map(graph.nodes.map((n) => [n.id, 0]));
+  for (const edge of graph.edges) {
+    adjacency.get(edge.source).add(edge.target);
+    adjacency.get(edge.target).add(edge.source);
+    weights.set(edge.source, weights.get(edge.source) + edge.weight);
+    weights.set(edge.target, weights.get(edge.target) + edge.weight);
+  }
+
+  const n = graph.nodes.length;
+  const m = graph.edges.length;
+  const degreeOf = (id) => adjacency.get(id).size;
+
+  const byId = new Map(graph.nodes.map((node) => [node.id, node]));
+  const describe = (node) => ({
+    id: node.id,
+    name: node.name,
+    username: node.username,
+    roles: node.roles,
+    degree: degreeOf(node.id),
+    weight: weights.get(node.id),
+  });
+
+  const topConnectors = graph.nodes
+    .filter((node) => degreeOf(node.id) > 0)
+    .sort((a, b) => degreeOf(b.id) - degreeOf(a.id) || weights.get(b.id) - weights.get(a.id))
+    .slice(0, top)
+    .map(describe);
+
+  const isolated = graph.nodes.filter((node) => degreeOf(node.id) === 0).map(describe);
+
+  const matrix = {};
+  for (const role of ROLES) {
+    matrix[role] = {};
+    for (const other of ROLES) matrix[role][other] = 0;
+  }
+  for (const edge of graph.edges) {
+    for (const a of byId.get(edge.source).roles) {
+      for (const b of byId.get(edge.target).roles) {
+        matrix[a][b] += 1;
+        if (a !== b) matrix[b][a] += 1;
+      }
+    }
+  }
+  const roleCounts = {};
+  for (const role of ROLES) {
+    roleCounts[role] = graph.nodes.filter((node) => node.roles.includes(role)).length;
+  }
+
+  const components = findComponents(graph.nodes.map((node) => node.id), adjacency).filter((c) => c.length > 1);
+
+  return {
+    stats: {
+      participants: n,
+      links: m,
+      density: n > 1 ? Math.round(((2 * m) / (n * (n - 1))) * 10000) / 10000 : 0,
+      averageDegree: n > 0 ? Math.round(((2 * m) / n) * 100) / 100 : 0,
+      connectedParticipants: n - isolated.length,
+      isolatedParticipants: isolated.length,
+      components: components.length,
+      largestComponent: components.length ? components[0].length : 0,
+    },
+    topConnectors,
+    isolated,
+    roleMatrix: { roles: ROLES, participants: roleCounts, links: matrix },
+  };
+}
+
+/**
+ * Export for external tools: GraphML, or node-link JSON (the layout d3 and networkx read)
+ */
+function exportNetworkGraph(graph, format) {
+  const analysis = analyzeNetworkGraph(graph, { top: 0 });
+  const degree = new Map(graph.nodes.map((node) => [node.id, 0]));
+  for (const edge of graph.edges) {
+    degree.set(edge.source, degree.get(edge.source) + 1);
+    degree.set(edge.target, degree.get(edge.target) + 1);
+  }
+
+  if (format === 'graphml') {
+    return buildGraphml({
+      graphId: graph.conference.conferenceCode,
+      nodes: graph.nodes.map((node) => ({
+        id: node.id,
+        attributes: { label: node.name, username: node.username, roles: node.roles, degree: degree.get(node.id) },
+      })),
+      edges: graph.edges.map((edge) => ({
+        source: edge.source,
+        target: edge.target,
+        attributes: {
+          weight: edge.weight,
+          meetings: edge.meetings,
+          chatMessages: edge.chatMessages,
+          connection: edge.connection,
+          requests: edge.requests,
+          established: edge.established,
+        },
+      })),
+    });
+  }
+
+  if (format === 'json') {
+    return {
+      directed: false,
+      multigraph: false,
+      graph: {
+        conference: graph.conference,
+        includeRequests: graph.includeRequests,
+        stats: analysis.stats,
+      },
+      nodes: graph.nodes.map((node) => ({ ...node, degree: degree.get(node.id) })),
+      links: graph.edges,
+    };
+  }
+
+  throw new Error('VALIDATION_ERROR: format must be graphml or json');
+}
+
+module.exports = {
+  buildNetworkGraph,
+  analyzeNetworkGraph,
+  exportNetworkGraph,
+};
@@ -0,0 +1,67 @@
+const { Notification } = require('../models/notification');
+const { User } = require('../models/user');
+const { emitToUser } = require('../lib/realtime');
+
+const NOTIFICATIONS_PAGE_SIZE = 50;
+
+/**
+ * Create an in-app notification for the user with this Telegram ID and push it to their open web app.
+ * Users who never started the bot or opened the web app have no account yet and are skipped.
+ */
+async function createNotification({ telegramId, type, title, body = null, data = null }) {
+  const user = await User.findOne({ telegramId: String(telegramId) }).select('_id telegramId');
+  if (!user) return null;
+
+  const notification = await Notification.create({
+    user: user._id,
+    type,
+    title,
+    body: body || undefined,
+    data: data || undefined,
+  });
+
+  const unreadCount = await Notification.countDocuments({ user: user._id, isRead: false });
+  emitToUser(user.telegramId, 'notification:new', { notification: notification.toObject(), unreadCount });
+
+  return notification;
+}
+
+/**
+ * Latest notifications of a user, newest first, with the number of unread ones
+ */
+async function listNotifications({ userId, limit = NOTIFICATIONS_PAGE_SIZE }) {
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find({ user: userId }).sort({ createdAt: -1 }).limit(limit),
+    Notification.countDocuments({ user: userId, isRead: false }),
+  ]);
+  return { notifications, unreadCount };
+}
+
+async function markNotificationRead({ userId, notificationId }) {
+  const { isValidObjectId } = require('../lib/conference-helper');
+  if (!isValidObjectId(notificationId)) {
+    throw new Error('NOTIFICATION_NOT_FOUND');
+  }
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, user: userId },
+    { $set: { isRead: true } },
+    { new: true }
+  );
+  if (!notification) {
+    throw new Error('NOTIFICATION_NOT_FOUND');
+  }
+  return notification;
+}
+
+async function markAllNotificationsRead({ userId }) {
+  const result = await Notification.updateMany({ user: userId, isRead: false }, { $set: { isRead: true } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  createNotification,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
@@ -71,21 +71,34 @@ async function createPoll({ moderatorUser, conferenceCode, payload }) {
     voters: [],
   }));
 
+  // Optional agenda session the poll is shown for on the second screen
+  const { resolveConferenceSessionId } = require('./session.service');
+  const sessionId = await resolveConferenceSessionId(conferenceId, validated.sessionId);
+
   // Use conferenceId (ObjectId) for all DB operations
   const poll = new Poll({
     conference: conferenceId,
     question: validated.question,
     options: optionsWithIds,
     isActive: true,
+    session: sessionId,
   });
 
-  await poll.save();
+  const { withTransaction } = require('../lib/mongo');
+  const { incrementUsage } = require('./subscription.service');
+  const { incrementConferenceCounter } = require('./limit.service');
+  await withTransaction(async (session) => {
+    await poll.save({ session });
+    await incrementConferenceCounter({ conferenceId, counter: 'polls', session });
+    await incrementUsage({ counter: 'pollsCreated', conferenceId, session });
+  });
 
   // Use conferenceId (ObjectId) for real-time events
   emitToConference(conferenceId, 'poll-created', {
     id: poll._id,
     question: poll.question,
     options: poll.options,
+    session: poll.session || null,
   });
 
   // Notify all users in the conference about the new poll
@@ -141,6 +154,9 @@ async function voteInPoll({ telegramUser, pollId, optionId }) {
       $addToSet: {
         'options.$.voters': profile._id,
       },
+      $push: {
+        votes: { profile: profile._id, optionId, votedAt: new Date() },
+      },
     }
   );
 
@@ -280,6 +296,10 @@ async function updatePoll({ moderatorUser, pollId, payload }) {
       voters: poll.options[idx]?.voters || [], // Preserve existing voters
     }));
   }
+  if (validated.sessionId !== undefined) {
+    const { resolveConferenceSessionId } = require('./session.service');
+    poll.session = await resolveConferenceSessionId(conference._id, validated.sessionId);
+  }
 
   await poll.save();
 
@@ -14,7 +14,7 @@ function parseMainAdminIdsFromEnv() {
     .filter(Boolean);
 }
 
-async function askQuestion({ telegramUser, conferenceCode, text, targetSpeakerProfileId = null }) {
+async function askQuestion({ telegramUser, conferenceCode, text, targetSpeakerProfileId = null, sessionId = null }) {
   const { validate, questionSchema } = require('../lib/validation');
   
   // Validate input data
@@ -57,6 +57,10 @@ async function askQuestion({ telegramUser, conferenceCode, text, targetSpeakerPr
     }
   }
 
+  // Optional agenda session the question is asked in
+  const { resolveConferenceSessionId } = require('./session.service');
+  const questionSessionId = await resolveConferenceSessionId(conferenceId, sessionId);
+
   // Check limits
   const { canCreateQuestion } = require('./limit.service');
   const limitCheck = await canCreateQuestion(conferenceId);
@@ -77,9 +81,17 @@ async function askQuestion({ telegramUser, conferenceCode, text, targetSpeakerPr
     text: validatedText,
     status: 'pending',
     targetSpeaker: targetSpeakerProfileId || null,
+    session: questionSessionId,
   });
 
-  await question.save();
+  const { withTransaction } = require('../lib/mongo');
+  const { incrementUsage } = require('./subscription.service');
+  const { incrementConferenceCounter } = require('./limit.service');
+  await withTransaction(async (session) => {
+    await question.save({ session });
+    await incrementConferenceCounter({ conferenceId, counter: 'questions', session });
+    await incrementUsage({ counter: 'questionsCreated', conferenceId, session });
+  });
 
   // Use conferenceId (ObjectId) for real-time events
   emitToConference(conferenceId, 'question-created', {
@@ -89,6 +101,7 @@ async function askQuestion({ telegramUser, conferenceCode, text, targetSpeakerPr
     status: question.status,
     createdAt: question.createdAt,
     targetSpeaker: targetSpeakerProfileId,
+    session: question.session || null,
   });
 
   // Notify admins about new question
@@ -171,6 +184,7 @@ async function approveQuestion({ moderatorUser, conferenceCode, questionId }) {
     text: question.text,
     status: question.status,
     createdAt: question.createdAt,
+    session: question.session || null,
   });
 
   return { conference, question };
@@ -216,6 +230,7 @@ async function rejectQuestion({ moderatorUser, conferenceCode, questionId }) {
     text: question.text,
     status: question.status,
     createdAt: question.createdAt,
+    session: question.session || null,
   });
 
   return { conference, question };
@@ -323,6 +338,41 @@ async function listQuestionsForSpeaker({ speakerUser, conferenceCode }) {
   return { conference, questions, speakerProfile };
 }
 
+/**
+ * Upvote an approved question, or take the upvote back (participants of its conference)
+ */
+async function toggleQuestionUpvote({ telegramUser, questionId }) {
+  const { isValidObjectId } = require('../lib/conference-helper');
+  const user = await ensureUserFromTelegram(telegramUser);
+
+  if (!isValidObjectId(questionId)) {
+    throw new Error('QUESTION_NOT_FOUND');
+  }
+
+  const question = await Question.findById(questionId);
+  if (!question || question.status !== 'approved') {
+    throw new Error('QUESTION_NOT_FOUND');
+  }
+
+  const profile = await UserProfile.findOne({
+    telegramId: user.telegramId,
+    conference: question.conference,
+    isActive: true,
+  });
+  if (!profile) {
+    throw new Error('NOT_IN_CONFERENCE');
+  }
+
+  const hasUpvoted = question.upvoters.some((id) => id.equals(profile._id));
+  const updated = await Question.findByIdAndUpdate(
+    question._id,
+    hasUpvoted ? { $pull: { upvoters: profile._id } } : { $addToSet: { upvoters: profile._id } },
+    { new: true }
+  );
+
+  return { question: updated, profile, hasUpvoted: !hasUpvoted };
+}
+
 /**
  * List speakers in a conference
  */
@@ -420,6 +470,7 @@ module.exports = {
   rejectQuestion,
   answerQuestion,
   listQuestionsForSpeaker,
+  toggleQuestionUpvote,
   listSpeakers,
 };
 
@@ -4,6 +4,7 @@ const { Question } = require('../models/question');
 const { Poll } = require('../models/poll');
 const { Meeting } = require('../models/meeting');
 const { getConferenceIdByCode } = require('../lib/conference-helper');
+const { getConferenceTimezone } = require('../lib/networking-hours');
 const { ensureUserFromTelegram, userIsMainAdmin, isConferenceAdminFor } = require('./conference.service');
 
 /**
@@ -64,11 +65,33 @@ async function generateOrganizerReport({ telegramUser, conferenceCode }) {
   ]);
   const voteCount = totalVotes.length > 0 ? totalVotes[0].total : 0;
 
+  // Results of every poll, per option
+  const polls = await Poll.find({ conference: conferenceId }).sort({ createdAt: 1 }).select('question options isActive');
+  const pollResults = polls.map((poll) => {
+    const votes = poll.options.reduce((sum, o) => sum + (o.voters ? o.voters.length : 0), 0);
+    return {
+      question: poll.question,
+      isActive: poll.isActive,
+      totalVotes: votes,
+      options: poll.options.map((o) => {
+        const optionVotes = o.voters ? o.voters.length : 0;
+        return {
+          text: o.text,
+          votes: optionVotes,
+          percent: votes > 0 ? Math.round((optionVotes / votes) * 1000) / 10 : 0,
+        };
+      }),
+    };
+  });
+
   // Get meetings stats
   const totalMeetings = await Meeting.countDocuments({ conference: conferenceId });
   const acceptedMeetings = await Meeting.countDocuments({ conference: conferenceId, status: 'accepted' });
   const completedMeetings = await Meeting.countDocuments({ conference: conferenceId, status: 'completed' });
   const pendingMeetings = await Meeting.countDocuments({ conference: conferenceId, status: 'pending' });
+  const rejectedMeetings = await Meeting.countDocuments({ conference: conferenceId, status: 'rejected' });
+  const cancelledMeetings = await Meeting.countDocuments({ conference: conferenceId, status: 'cancelled' });
+  const expiredMeetings = await Meeting.countDocuments({ conference: conferenceId, status: 'expired' });
 
   // Calculate engagement metrics
   const participantsWithQuestions = await Question.distinct('author', { conference: conferenceId });
@@ -101,6 +124,7 @@ async function generateOrganizerReport({ telegramUser, conferenceCode }) {
       status: conference.isEnded ? 'Завершена' : conference.isActive ? 'Активна' : 'Остановлена',
       startsAt: conference.startsAt,
       endsAt: conference.endsAt,
+      timezone: getConferenceTimezone(conference),
     },
     participants: {
       total: participants.length,
@@ -121,12 +145,22 @@ async function generateOrganizerReport({ telegramUser, conferenceCode }) {
       total: totalPolls,
       active: activePolls,
       totalVotes: voteCount,
+      items: pollResults,
     },
     meetings: {
       total: totalMeetings,
       accepted: acceptedMeetings,
       completed: completedMeetings,
       pending: pendingMeetings,
+      rejected: rejectedMeetings,
+      cancelled: cancelledMeetings,
+      expired: expiredMeetings,
+      // Requested -> accepted (incl. already held) -> held
+      funnel: {
+        requested: totalMeetings,
+        accepted: acceptedMeetings + completedMeetings,
+        completed: completedMeetings,
+      },
     },
     engagement: {
       engagedParticipants: engagedParticipants.size,
@@ -0,0 +1,211 @@
+const { Session } = require('../models/session');
+const { Conference } = require('../models/conference');
+const { UserProfile } = require('../models/userProfile');
+
+async function getConferenceForModerator({ moderatorUser, conferenceCode }) {
+  const { isConferenceAdminFor } = require('./conference.service');
+
+  const conference = await Conference.findOne({ conferenceCode });
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  const isAdmin = await isConferenceAdminFor({ user: moderatorUser, conference });
+  if (!isAdmin) {
+    throw new Error('ACCESS_DENIED');
+  }
+
+  return conference;
+}
+
+/**
+ * Session of a conference by ID, SESSION_NOT_FOUND if it belongs to another conference
+ */
+async function findConferenceSession(conferenceId, sessionId) {
+  const { isValidObjectId } = require('../lib/conference-helper');
+  if (!isValidObjectId(sessionId)) {
+    throw new Error('SESSION_NOT_FOUND');
+  }
+
+  const session = await Session.findOne({ _id: sessionId, conference: conferenceId });
+  if (!session) {
+    throw new Error('SESSION_NOT_FOUND');
+  }
+  return session;
+}
+
+/**
+ * Speaker profiles must be active participants of the same conference
+ */
+async function resolveSpeakers(conferenceId, speakerProfileIds) {
+  const ids = [...new Set(speakerProfileIds.map((id) => id.toString()))];
+  if (!ids.length) return [];
+
+  const profiles = await UserProfile.find({ _id: { $in: ids }, conference: conferenceId, isActive: true });
+  if (profiles.length !== ids.length) {
+    throw new Error('SPEAKER_NOT_FOUND');
+  }
+  return profiles;
+}
+
+async function markAsSpeakers(profiles) {
+  if (!profiles.length) return;
+  await UserProfile.updateMany(
+    { _id: { $in: profiles.map((p) => p._id) } },
+    { $addToSet: { roles: 'speaker' } }
+  );
+}
+
+function applySessionFields(session, validated) {
+  if (validated.title !== undefined) session.title = validated.title;
+  if (validated.description !== undefined) session.description = validated.description || undefined;
+  if (validated.track !== undefined) session.track = validated.track || undefined;
+  if (validated.room !== undefined) session.room = validated.room || undefined;
+  if (validated.startsAt !== undefined) session.startsAt = validated.startsAt;
+  if (validated.endsAt !== undefined) session.endsAt = validated.endsAt;
+
+  if (session.endsAt <= session.startsAt) {
+    throw new Error('VALIDATION_ERROR: Время окончания должно быть позже времени начала');
+  }
+}
+
+/**
+ * Agenda of a conference in time order, speakers populated
+ */
+async function listSessions({ conferenceCode }) {
+  const conference = await Conference.findOne({ conferenceCode });
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  const sessions = await Session.find({ conference: conference._id })
+    .sort({ startsAt: 1, room: 1 })
+    .populate('speakers');
+  return { conference, sessions };
+}
+
+/**
+ * Add a session to the agenda. Speakers get the 'speaker' role, so questions can be addressed to them.
+ */
+async function createSession({ moderatorUser, conferenceCode, payload }) {
+  const { validate, sessionSchema } = require('../lib/validation');
+
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+  const validated = validate(payload || {}, sessionSchema.fork(['title', 'startsAt', 'endsAt'], (s) => s.required()));
+
+  const speakers = await resolveSpeakers(conference._id, validated.speakerProfileIds || []);
+
+  const session = new Session({ conference: conference._id, speakers: speakers.map((p) => p._id) });
+  applySessionFields(session, validated);
+  await session.save();
+  await markAsSpeakers(speakers);
+
+  return session.populate('speakers');
+}
+
+/**
+ * Update a session (partial payload)
+ */
+async function updateSession({ moderatorUser, conferenceCode, sessionId, payload }) {
+  const { validate, sessionSchema } = require('../lib/validation');
+
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+  const session = await findConferenceSession(conference._id, sessionId);
+  const validated = validate(payload || {}, sessionSchema);
+
+  applySessionFields(session, validated);
+
+  let speakers = [];
+  if (validated.speakerProfileIds !== undefined) {
+    speakers = await resolveSpeakers(conference._id, validated.speakerProfileIds);
+    session.speakers = speakers.map((p) => p._id);
+  }
+
+  await session.save();
+  await markAsSpeakers(speakers);
+
+  return session.populate('speakers');
+}
+
+/**
+ * Remove a session. Its questions and polls stay in the conference, unscoped.
+ */
+async function deleteSession({ moderatorUser, conferenceCode, sessionId }) {
+  const { Question } = require('../models/question');
+  const { Poll } = require('../models/poll');
+
+  const conference = await getConferenceForModerator({ moderatorUser, conferenceCode });
+  const session = await findConferenceSession(conference._id, sessionId);
+
+  await Question.updateMany({ session: session._id }, { $unset: { session: 1 } });
+  await Poll.updateMany({ session: session._id }, { $unset: { session: 1 } });
+  await Session.deleteOne({ _id: session._id });
+
+  return session;
+}
+
+/**
+ * Sessions running at `now`, optionally only in one room
+ */
+async function getRunningSessions({ conferenceId, now = new Date(), room = null }) {
+  const query = {
+    conference: conferenceId,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+  };
+  if (room) {
+    query.room = room;
+  }
+  return Session.find(query).sort({ startsAt: 1, room: 1 }).populate('speakers');
+}
+
+/**
+ * What is on now and what comes next: { conference, current, next }
+ */
+async function getNowAndNext({ conferenceCode, now = new Date(), limit = 3 }) {
+  const conference = await Conference.findOne({ conferenceCode });
+  if (!conference) {
+    throw new Error('CONFERENCE_NOT_FOUND');
+  }
+
+  const current = await getRunningSessions({ conferenceId: conference._id, now });
+  const next = await Session.find({ conference: conference._id, startsAt: { $gt: now } })
+    .sort({ startsAt: 1, room: 1 })
+    .limit(limit)
+    .populate('speakers');
+
+  return { conference, current, next };
+}
+
+/**
+ * Session scope for second screen lists.
+ * - session: 'current' (sessions running now, optionally in `room`) or a session ID
+ * Returns { sessions, sessionIds }: items of these sessions and unscoped items are shown.
+ */
+async function resolveSessionFilter({ conferenceId, session, room = null, now = new Date() }) {
+  const sessions = session === 'current'
+    ? await getRunningSessions({ conferenceId, now, room })
+    : [await findConferenceSession(conferenceId, session)];
+
+  return { sessions, sessionIds: sessions.map((s) => s._id) };
+}
+
+/**
+ * Validate an optional session reference for a question or poll of the conference
+ */
+async function resolveConferenceSessionId(conferenceId, sessionId) {
+  if (!sessionId) return null;
+  const session = await findConferenceSession(conferenceId, sessionId);
+  return session._id;
+}
+
+module.exports = {
+  listSessions,
+  createSession,
+  updateSession,
+  deleteSession,
+  getRunningSessions,
+  getNowAndNext,
+  resolveSessionFilter,
+  resolveConferenceSessionId,
+};
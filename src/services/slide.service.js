@@ -21,6 +21,10 @@ async function assertConferenceAdmin({ user, conference }) {
   }
 }
 
+/**
+ * Show a custom slide on the second screen. Needs the customBranding plan feature;
+ * clearing the slide is always allowed.
+ */
 async function setSlide({ moderatorUser, conferenceCode, url, title }) {
   const { validate, slideSchema } = require('../lib/validation');
   
@@ -37,6 +41,8 @@ async function setSlide({ moderatorUser, conferenceCode, url, title }) {
   }
 
   await assertConferenceAdmin({ user: moderatorUser, conference });
+  const { assertFeatureEnabled } = require('../lib/feature-gate');
+  await assertFeatureEnabled('customBranding', conference._id);
 
   conference.currentSlideUrl = validatedUrl;
   conference.currentSlideTitle = validatedTitle || '';
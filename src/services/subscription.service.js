@@ -0,0 +1,322 @@
+const { Subscription } = require('../models/subscription');
+const { TariffPlan } = require('../models/tariffPlan');
+const { Conference } = require('../models/conference');
+const { UserProfile } = require('../models/userProfile');
+const { User } = require('../models/user');
+const { withTransaction } = require('../lib/mongo');
+const { getConferenceTimezone, toDayKey, formatDayKey } = require('../lib/networking-hours');
+
+const USAGE_COUNTERS = ['conferencesCreated', 'participantsAdded', 'pollsCreated', 'questionsCreated', 'meetingsCreated'];
+const DEFAULT_WARNING_DAYS = [7, 1];
+// Unpaid renewals keep the plan for this long after nextPaymentAt
+const PAYMENT_GRACE_MS = 3 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days before the end of a subscription to warn its owners.
+ * Configured with SUBSCRIPTION_WARNING_DAYS, e.g. "14,3,1".
+ */
+function getWarningDays() {
+  const raw = process.env.SUBSCRIPTION_WARNING_DAYS;
+  if (!raw) return DEFAULT_WARNING_DAYS;
+  const values = raw
+    .split(',')
+    .map((x) => parseInt(x.trim(), 10))
+    .filter((x) => Number.isInteger(x) && x > 0);
+  return values.length ? [...new Set(values)].sort((a, b) => b - a) : DEFAULT_WARNING_DAYS;
+}
+
+/**
+ * A trial converts to a regular subscription if it is paid: the provider has a recurring
+ * subscription for it, or a payment came in after it started
+ */
+function isPaid(subscription) {
+  return Boolean(subscription.paymentSubscriptionId)
+    || Boolean(subscription.lastPaymentAt && subscription.lastPaymentAt >= subscription.startsAt);
+}
+
+/**
+ * When the subscription stops giving access, null if never
+ */
+function getEffectiveEnd(subscription) {
+  if (subscription.status === 'trial' && subscription.trialEndsAt && !isPaid(subscription)) {
+    if (!subscription.endsAt || subscription.trialEndsAt < subscription.endsAt) {
+      return subscription.trialEndsAt;
+    }
+  }
+  return subscription.endsAt || null;
+}
+
+/**
+ * Subscription that pays for a resource: the conference's own one, else the one of its owner
+ * (same resolution as limit checks). Null on the implicit default plan.
+ */
+async function findBillingSubscription({ conferenceId = null, userId = null }) {
+  const { getConferenceSubscription, getUserSubscription } = require('./limit.service');
+
+  const subscription = conferenceId
+    ? await getConferenceSubscription(conferenceId)
+    : await getUserSubscription(userId);
+
+  if (!subscription || subscription.isDefault || !subscription._id) {
+    return null;
+  }
+  return subscription;
+}
+
+/**
+ * Count a created resource on the paying subscription.
+ * Pass the `session` of the transaction that creates the resource (see withTransaction in src/lib/mongo.js).
+ */
+async function incrementUsage({ counter, conferenceId = null, userId = null, amount = 1, session = null }) {
+  if (!USAGE_COUNTERS.includes(counter)) {
+    throw new Error(`Unknown usage counter: ${counter}`);
+  }
+
+  const subscription = await findBillingSubscription({ conferenceId, userId });
+  if (!subscription) return null;
+
+  await Subscription.updateOne(
+    { _id: subscription._id },
+    { $inc: { [`usage.${counter}`]: amount } },
+    { session }
+  );
+  return subscription._id;
+}
+
+/**
+ * Who hears about a subscription: admins of its conference, or the user it belongs to
+ */
+async function getSubscriptionAudience(subscription) {
+  if (subscription.conferenceId) {
+    const conference = await Conference.findById(subscription.conferenceId);
+    if (!conference) return { conference: null, telegramIds: [] };
+
+    const admins = await UserProfile.find({ _id: { $in: conference.admins || [] } }).select('telegramId');
+    return { conference, telegramIds: [...new Set(admins.map((p) => p.telegramId))] };
+  }
+
+  const user = subscription.userId ? await User.findById(subscription.userId) : null;
+  return { conference: null, telegramIds: user ? [user.telegramId] : [] };
+}
+
+function describeSubscription(subscription, conference) {
+  const plan = subscription.tariffPlan?.displayName || subscription.tariffPlan?.name || 'тариф';
+  return conference ? `«${plan}» для конференции «${conference.title}»` : `«${plan}»`;
+}
+
+async function notifyAudience(subscription, buildText) {
+  const { getBotInstance } = require('../telegram/bot');
+  const bot = getBotInstance();
+  if (!bot) {
+    console.warn('Bot instance not available, skipping subscription notification');
+    return 0;
+  }
+
+  const { conference, telegramIds } = await getSubscriptionAudience(subscription);
+  const text = buildText(conference);
+
+  let sent = 0;
+  for (const telegramId of telegramIds) {
+    try {
+      await bot.telegram.sendMessage(telegramId, text);
+      sent += 1;
+    } catch (err) {
+      console.error(`Failed to send subscription notification to ${telegramId}:`, err.message);
+    }
+  }
+  return sent;
+}
+
+function formatDate(date, conference) {
+  return formatDayKey(toDayKey(date, getConferenceTimezone(conference)));
+}
+
+/**
+ * Expire a subscription and move its owner to the default plan.
+ * Returns the new default-plan subscription, the expired one if there is nothing to downgrade to,
+ * or null if another tick/instance already expired it.
+ */
+async function expireSubscription(subscription, now = new Date()) {
+  const defaultPlan = await TariffPlan.findOne({ isDefault: true, isActive: true });
+
+  const result = await withTransaction(async (session) => {
+    const expired = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: { $in: ['active', 'trial'] } },
+      { $set: { status: 'expired', expiredAt: now } },
+      { new: true, session }
+    );
+    if (!expired) return null;
+
+    if (!defaultPlan || expired.tariffPlan.equals(defaultPlan._id)) {
+      return { expired, downgraded: null };
+    }
+
+    const [downgraded] = await Subscription.create([{
+      userId: expired.userId,
+      conferenceId: expired.conferenceId,
+      tariffPlan: defaultPlan._id,
+      status: 'active',
+      startsAt: now,
+      endsAt: null,
+      downgradedFrom: expired._id,
+    }], { session });
+    return { expired, downgraded };
+  });
+  if (!result) return null;
+
+  const { invalidateLimitsCache } = require('./limit.service');
+  invalidateLimitsCache({ conferenceId: subscription.conferenceId, userId: subscription.userId });
+
+  await subscription.populate('tariffPlan');
+  await notifyAudience(subscription, (conference) => {
+    const lines = [`⛔ Подписка ${describeSubscription(subscription, conference)} закончилась.`];
+    if (result.downgraded) {
+      lines.push(`Теперь действует тариф «${defaultPlan.displayName}» с его ограничениями.`);
+    }
+    return lines.join('\n');
+  });
+
+  return result.downgraded || result.expired;
+}
+
+/**
+ * Trials whose trial period is over: paid ones become regular subscriptions, the rest expire
+ */
+async function processEndedTrials(now) {
+  const trials = await Subscription.find({ status: 'trial', trialEndsAt: { $lte: now } }).populate('tariffPlan');
+
+  let converted = 0;
+  let expired = 0;
+  for (const subscription of trials) {
+    if (!isPaid(subscription)) {
+      if (await expireSubscription(subscription, now)) expired += 1;
+      continue;
+    }
+
+    const result = await Subscription.updateOne(
+      { _id: subscription._id, status: 'trial' },
+      { $set: { status: 'active' } }
+    );
+    if (result.modifiedCount !== 1) continue;
+
+    converted += 1;
+    const { invalidateLimitsCache } = require('./limit.service');
+    invalidateLimitsCache({ conferenceId: subscription.conferenceId, userId: subscription.userId });
+    await notifyAudience(subscription, (conference) =>
+      `✅ Пробный период закончился, подписка ${describeSubscription(subscription, conference)} продолжает действовать.`);
+  }
+  return { converted, expired };
+}
+
+/**
+ * Subscriptions past their end date, and renewals left unpaid for longer than the grace period
+ */
+async function processExpiredSubscriptions(now) {
+  const ended = await Subscription.find({
+    status: { $in: ['active', 'trial'] },
+    endsAt: { $ne: null, $lte: now },
+  });
+
+  const overdue = await Subscription.find({
+    status: 'active',
+    nextPaymentAt: { $lte: new Date(now.getTime() - PAYMENT_GRACE_MS) },
+  });
+  const unpaid = overdue.filter((s) => !s.lastPaymentAt || s.lastPaymentAt < s.nextPaymentAt);
+
+  let expired = 0;
+  for (const subscription of [...ended, ...unpaid]) {
+    if (await expireSubscription(subscription, now)) expired += 1;
+  }
+  return expired;
+}
+
+/**
+ * Warn owners before a subscription (or an unpaid trial) ends. Only the closest due warning is sent,
+ * each at most once per end date.
+ */
+async function sendExpiryWarnings(now) {
+  const warningDays = getWarningDays();
+  const horizon = new Date(now.getTime() + Math.max(...warningDays) * DAY_MS);
+
+  const subscriptions = await Subscription.find({
+    status: { $in: ['active', 'trial'] },
+    $or: [
+      { endsAt: { $gt: now, $lte: horizon } },
+      { status: 'trial', trialEndsAt: { $gt: now, $lte: horizon } },
+    ],
+  }).populate('tariffPlan');
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    const end = getEffectiveEnd(subscription);
+    if (!end || end <= now) continue;
+
+    const dueDays = warningDays.filter((d) => end.getTime() - now.getTime() <= d * DAY_MS);
+    if (!dueDays.length) continue;
+    const days = Math.min(...dueDays);
+
+    const key = `${days}d:${end.getTime()}`;
+    const claimed = await Subscription.updateOne(
+      { _id: subscription._id, 'sentWarnings.key': { $ne: key } },
+      { $push: { sentWarnings: { key, sentAt: now } } }
+    );
+    if (claimed.modifiedCount !== 1) continue;
+
+    const isTrialEnd = subscription.status === 'trial' && end.getTime() === subscription.trialEndsAt?.getTime();
+    sent += await notifyAudience(subscription, (conference) => [
+      isTrialEnd
+        ? `⚠️ Пробный период подписки ${describeSubscription(subscription, conference)} заканчивается ${formatDate(end, conference)}.`
+        : `⚠️ Подписка ${describeSubscription(subscription, conference)} заканчивается ${formatDate(end, conference)}.`,
+      'После этого будет действовать бесплатный тариф с его ограничениями. Продлите подписку, чтобы сохранить возможности.',
+    ].join('\n'));
+  }
+  return sent;
+}
+
+/**
+ * One pass of the subscription lifecycle: end trials, expire and downgrade, warn before expiry
+ */
+async function processSubscriptionLifecycle(now = new Date()) {
+  const trials = await processEndedTrials(now);
+  const expired = await processExpiredSubscriptions(now);
+  const warnings = await sendExpiryWarnings(now);
+
+  return {
+    trialsConverted: trials.converted,
+    expired: trials.expired + expired,
+    warnings,
+  };
+}
+
+/**
+ * Start the subscription lifecycle job. Runs on one instance at a time thanks to the lease in src/lib/scheduler.js.
+ */
+function startSubscriptionLifecycleScheduler() {
+  const { startLeasedJob } = require('../lib/scheduler');
+
+  const job = startLeasedJob({
+    name: 'subscription-lifecycle',
+    intervalMs: 10 * 60 * 1000,
+    run: async () => {
+      const stats = await processSubscriptionLifecycle(new Date());
+      if (stats.trialsConverted || stats.expired || stats.warnings) {
+        console.log(`[Subscriptions] trials converted: ${stats.trialsConverted}, expired: ${stats.expired}, warnings sent: ${stats.warnings}`);
+      }
+    },
+  });
+
+  console.log('✅ Subscription lifecycle scheduler started');
+  return job;
+}
+
+module.exports = {
+  USAGE_COUNTERS,
+  getWarningDays,
+  getEffectiveEnd,
+  findBillingSubscription,
+  incrementUsage,
+  expireSubscription,
+  processSubscriptionLifecycle,
+  startSubscriptionLifecycleScheduler,
+};
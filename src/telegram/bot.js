@@ -36,7 +36,7 @@ const {
 } = require('../services/poll.service');
 const { validate, userProfileSchema } = require('../lib/validation');
 const { upsertProfileForConference } = require('../services/profile.service');
-const { searchProfiles } = require('../services/matching.service');
+const { searchProfiles, recommendProfiles } = require('../services/matching.service');
 const {
   getUserRoles,
   getMainMenu,
@@ -66,14 +66,19 @@ const {
   getMeetingDateMenu,
 } = require('./menus');
 
-// In-memory state for various flows (conference selection, question input, etc.)
-const userState = new Map();
+// Conversation state for multi-step flows (conference selection, question input, etc.)
+const { createSessionStore } = require('./session-store');
+const { requireBotFeature, getFeatureMap, FEATURES } = require('../lib/feature-gate');
+const userState = createSessionStore();
+
+// Slot buttons shown when picking a meeting time (4 per row)
+const MAX_SLOT_BUTTONS = 24;
 
 /**
  * Clear all state for a user
  */
 async function clearUserState(telegramId) {
-  userState.delete(telegramId);
+  await userState.delete(telegramId);
   // Clear onboarding state from database
   const { clearOnboardingState } = require('../services/onboarding.service');
   try {
@@ -124,6 +129,34 @@ function initBot() {
     await clearUserState(ctx.from.id);
     
     const user = await ensureUserFromTelegram(ctx.from);
+
+    // Deep link with an access code: https://t.me/<bot>?start=ac_<CODE>
+    const { ACCESS_CODE_DEEP_LINK_PREFIX, findConferenceByAccessCode } = require('../services/accessCode.service');
+    if (ctx.payload && ctx.payload.startsWith(ACCESS_CODE_DEEP_LINK_PREFIX)) {
+      const accessCode = ctx.payload.slice(ACCESS_CODE_DEEP_LINK_PREFIX.length);
+      try {
+        const targetConference = await findConferenceByAccessCode(accessCode);
+        const { conference } = await joinConference({
+          telegramUser: ctx.from,
+          code: targetConference.conferenceCode,
+          accessCode,
+        });
+        await ctx.reply(
+          `✅ Вы присоединились к конференции "${conference.title}"!\n\nКод: ${conference.conferenceCode}`,
+          await getMainMenu(ctx.from)
+        );
+      } catch (err) {
+        console.error('Error in access code deep link', err);
+        const { formatErrorMessage } = require('../services/handler.service');
+        const errorMsg = err.message === 'CONFERENCE_NOT_FOUND'
+          ? '❌ Конференция не найдена или завершена.'
+          : formatErrorMessage(err);
+        await ctx.reply(errorMsg, await getMainMenu(ctx.from));
+      }
+      await ctx.reply('Используйте кнопки ниже для быстрого доступа:', getReplyKeyboard());
+      return;
+    }
+
     const roles = await getUserRoles(ctx.from);
 
     let welcomeText = '👋 Добро пожаловать в конференционный нетворкинг-бот!\n\n';
@@ -197,7 +230,7 @@ function initBot() {
   bot.action('menu:join_conference', async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear ALL previous state (both userState and onboardingState)
-    userState.set(ctx.from.id, { flow: 'join_conference' });
+    await userState.set(ctx.from.id, { flow: 'join_conference' });
     await ctx.editMessageText(
       '➕ Присоединение к конференции\n\nВведите код конференции:',
       { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: 'menu:main' }]] } }
@@ -255,7 +288,7 @@ function initBot() {
 
   bot.action('menu:onboarding', async (ctx) => {
     await ctx.answerCbQuery();
-    userState.delete(ctx.from.id); // Clear userState only
+    await userState.delete(ctx.from.id); // Clear userState only
     const { getGlobalProfile } = require('../services/profile.service');
     const globalProfile = await getGlobalProfile(ctx.from.id);
     
@@ -355,7 +388,7 @@ function initBot() {
       roles: '✏️ Обновление ролей\n\nВыбери свою роль на конференции:',
     };
     
-    userState.set(ctx.from.id, { flow: 'update_profile', field });
+    await userState.set(ctx.from.id, { flow: 'update_profile', field });
     
     if (field === 'roles') {
       await ctx.editMessageText(
@@ -439,7 +472,7 @@ function initBot() {
         data: updatedData,
       });
 
-      userState.delete(ctx.from.id);
+      await userState.delete(ctx.from.id);
 
       await ctx.editMessageText(
         '✅ Профиль заполнен!\n\n' +
@@ -456,7 +489,7 @@ function initBot() {
         const globalProfile = await getGlobalProfile(ctx.from.id);
         if (globalProfile && globalProfile.onboardingCompleted) {
           // Profile was saved successfully, just state was already cleared
-          userState.delete(ctx.from.id);
+          await userState.delete(ctx.from.id);
           await ctx.editMessageText(
             '✅ Профиль заполнен!\n\n' +
             'Теперь тебе будет проще находить подходящих людей для нетворкинга.\n\n' +
@@ -492,7 +525,7 @@ function initBot() {
       );
     }
 
-    userState.set(ctx.from.id, { flow: 'find_participants', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'find_participants', step: 'select_conference' });
     await ctx.editMessageText(
       '🔍 Поиск участников\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'find:conf')
@@ -551,11 +584,50 @@ function initBot() {
     }
   });
 
+  // Recommendations ("Recommended for me"), paginated
+  bot.action(/^search:rec:(.+):(\d+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const conferenceCode = ctx.match[1];
+    const page = parseInt(ctx.match[2], 10);
+    await clearUserState(ctx.from.id);
+
+    try {
+      const recommendation = await recommendProfiles({
+        telegramUser: ctx.from,
+        conferenceCode,
+        page,
+        pageSize: 5,
+      });
+
+      if (!recommendation.total) {
+        return safeEditMessageText(
+          ctx,
+          '⭐ Рекомендации\n\nПока не нашлось подходящих участников.\n\n' +
+            '💡 Заполните в профиле интересы, что вы предлагаете и что ищете — так мы сможем подобрать людей точнее.',
+          getSearchFilterMenu(conferenceCode)
+        );
+      }
+
+      const { processRecommendationResults } = require('../services/handler.service');
+      const result = await processRecommendationResults({
+        recommendation,
+        conferenceCode,
+        searcherTelegramId: ctx.from.id,
+        getSearchFilterMenu,
+      });
+
+      await safeEditMessageText(ctx, result.text, result.menu);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getSearchFilterMenu(conferenceCode));
+    }
+  });
+
   bot.action(/^search:text:(.+)$/, async (ctx) => {
     await ctx.answerCbQuery();
     const conferenceCode = ctx.match[1];
     await clearUserState(ctx.from.id);
-    userState.set(ctx.from.id, { flow: 'search_text', conferenceCode, step: 'enter_text' });
+    await userState.set(ctx.from.id, { flow: 'search_text', conferenceCode, step: 'enter_text' });
     await ctx.reply(
       `🔍 Поиск по тексту\n\nВведите текст для поиска (интересы, предложения, поиск):`,
       { reply_markup: { inline_keyboard: [[{ text: '◀️ Назад', callback_data: `find:conf:${conferenceCode}` }]] } }
@@ -575,7 +647,7 @@ function initBot() {
       );
     }
 
-    userState.set(ctx.from.id, { flow: 'ask_question', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'ask_question', step: 'select_conference' });
     await ctx.editMessageText(
       '❓ Задать вопрос\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'ask:conf')
@@ -586,13 +658,33 @@ function initBot() {
     await ctx.answerCbQuery();
     const conferenceCode = ctx.match[1];
     // Update state, but keep the flow (this is a continuation of ask_question)
-    const currentState = userState.get(ctx.from.id);
-    if (currentState && currentState.flow === 'ask_question') {
-      userState.set(ctx.from.id, { flow: 'ask_question', conferenceCode, step: 'enter_question' });
-    } else {
+    const currentState = await userState.get(ctx.from.id);
+    if (!currentState || currentState.flow !== 'ask_question') {
       await clearUserState(ctx.from.id);
-      userState.set(ctx.from.id, { flow: 'ask_question', conferenceCode, step: 'enter_question' });
     }
+
+    try {
+      // While the agenda is running, the question can be attached to one of the current sessions
+      const { getRunningSessions } = require('../services/session.service');
+      const { getConferenceIdByCode } = require('../lib/conference-helper');
+      const sessions = await getRunningSessions({ conferenceId: await getConferenceIdByCode(conferenceCode) });
+
+      if (sessions.length) {
+        await userState.set(ctx.from.id, { flow: 'ask_question', conferenceCode, step: 'select_session' });
+        const buttons = sessions.map((s) => [{
+          text: `🎤 ${s.title}${s.room ? ` (${s.room})` : ''}`,
+          callback_data: `ask:sess:${s._id}`,
+        }]);
+        buttons.push([{ text: '🌐 Ко всей конференции', callback_data: 'ask:sess:none' }]);
+        buttons.push([{ text: '◀️ Назад', callback_data: 'menu:ask_question' }]);
+        return ctx.reply('❓ Задать вопрос\n\nСейчас идёт программа. К какой сессии ваш вопрос?', { reply_markup: { inline_keyboard: buttons } });
+      }
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      return handleHandlerError(ctx, err, getUserMenu());
+    }
+
+    await userState.set(ctx.from.id, { flow: 'ask_question', conferenceCode, step: 'enter_question' });
     // Use reply instead of editMessageText for text input flows
     await ctx.reply(
       `❓ Задать вопрос в конференцию\n\nВведите ваш вопрос:`,
@@ -600,6 +692,173 @@ function initBot() {
     );
   });
 
+  bot.action(/^ask:sess:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const state = await userState.get(ctx.from.id);
+    if (!state || state.flow !== 'ask_question' || !state.conferenceCode) {
+      return ctx.reply('❌ Сессия устарела. Начните заново.', getUserMenu());
+    }
+
+    const sessionId = ctx.match[1] === 'none' ? null : ctx.match[1];
+    await userState.set(ctx.from.id, { ...state, step: 'enter_question', sessionId });
+    await ctx.editMessageText(
+      `❓ Задать вопрос${sessionId ? ' к сессии' : ' в конференцию'}\n\nВведите ваш вопрос:`,
+      { reply_markup: { inline_keyboard: [[{ text: '◀️ Назад', callback_data: 'menu:ask_question' }]] } }
+    );
+  });
+
+  // ========== MY DAY ==========
+
+  bot.action('menu:my_day', async (ctx) => {
+    await ctx.answerCbQuery();
+    await clearUserState(ctx.from.id);
+    const user = await ensureUserFromTelegram(ctx.from);
+    const conferences = await listConferencesForUser(user);
+
+    if (!conferences.length) {
+      return ctx.editMessageText('❌ Сначала присоединитесь к конференции.', getUserMenu());
+    }
+
+    await ctx.editMessageText(
+      '🗓️ Мой день\n\nВыберите конференцию:',
+      getConferenceSelectionMenu(conferences, 'myday:conf')
+    );
+  });
+
+  /**
+   * Personal timeline of today: meetings, requests waiting for an answer, polls and own questions
+   */
+  async function showMyDay(ctx, conferenceCode) {
+    const { getMyDay, formatMyDayText } = require('../services/myDay.service');
+    const myDay = await getMyDay({ telegramUser: ctx.from, conferenceCode });
+
+    const buttons = myDay.incomingRequests.slice(0, 5).map((m) => {
+      const other = m.requester._id.equals(myDay.profile._id) ? m.recipient : m.requester;
+      const name = `${other.firstName || ''} ${other.lastName || ''}`.trim() || 'Участник';
+      return [{ text: `📨 Ответить: ${name}`, callback_data: `meeting:details:${m._id}:${conferenceCode}` }];
+    });
+    if (myDay.polls.length) {
+      buttons.push([{ text: '📊 Проголосовать', callback_data: `polls:conf:${conferenceCode}` }]);
+    }
+    buttons.push([{ text: '🤝 Мои встречи', callback_data: `meeting:list:${conferenceCode}` }]);
+    buttons.push([myDay.profile.dailyDigestEnabled
+      ? { text: '🔕 Отключить утреннюю сводку', callback_data: `myday:digest:${conferenceCode}:off` }
+      : { text: '🔔 Присылать утреннюю сводку', callback_data: `myday:digest:${conferenceCode}:on` }]);
+    buttons.push([{ text: '🔄 Обновить', callback_data: `myday:conf:${conferenceCode}` }]);
+    buttons.push([{ text: '◀️ Назад', callback_data: 'menu:my_day' }]);
+
+    await safeEditMessageText(ctx, formatMyDayText(myDay), { reply_markup: { inline_keyboard: buttons } });
+  }
+
+  bot.action(/^myday:conf:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    try {
+      await showMyDay(ctx, ctx.match[1]);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  bot.action(/^myday:digest:(.+):(on|off)$/, async (ctx) => {
+    const [, conferenceCode, mode] = ctx.match;
+    const { setDailyDigest, getDigestTime } = require('../services/myDay.service');
+    const { handleHandlerError } = require('../services/handler.service');
+    try {
+      await setDailyDigest({ telegramUser: ctx.from, conferenceCode, enabled: mode === 'on' });
+    } catch (err) {
+      await ctx.answerCbQuery();
+      return handleHandlerError(ctx, err, getUserMenu());
+    }
+
+    await ctx.answerCbQuery(mode === 'on'
+      ? `🔔 Сводка будет приходить в ${getDigestTime()} по времени конференции`
+      : '🔕 Утренняя сводка отключена');
+    try {
+      await showMyDay(ctx, conferenceCode);
+    } catch (err) {
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  // ========== AGENDA ==========
+
+  async function showAgendaConferenceSelection(ctx, reply) {
+    await clearUserState(ctx.from.id);
+    const user = await ensureUserFromTelegram(ctx.from);
+    const conferences = await listConferencesForUser(user);
+
+    if (!conferences.length) {
+      return reply('❌ Сначала присоединитесь к конференции.', getUserMenu());
+    }
+
+    await reply(
+      '📅 Программа\n\nВыберите конференцию:',
+      getConferenceSelectionMenu(conferences, 'agenda:conf')
+    );
+  }
+
+  bot.action('menu:agenda', async (ctx) => {
+    await ctx.answerCbQuery();
+    await showAgendaConferenceSelection(ctx, (text, extra) => ctx.editMessageText(text, extra));
+  });
+
+  bot.hears('📅 Программа', async (ctx) => {
+    await showAgendaConferenceSelection(ctx, (text, extra) => ctx.reply(text, extra));
+  });
+
+  /**
+   * "Now and next" view of the conference agenda, times in the conference timezone
+   */
+  bot.action(/^agenda:conf:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const conferenceCode = ctx.match[1];
+    const backMenu = { reply_markup: { inline_keyboard: [
+      [{ text: '🔄 Обновить', callback_data: `agenda:conf:${conferenceCode}` }],
+      [{ text: '❓ Задать вопрос', callback_data: `ask:conf:${conferenceCode}` }],
+      [{ text: '◀️ Назад', callback_data: 'menu:agenda' }],
+    ] } };
+
+    try {
+      const { getNowAndNext } = require('../services/session.service');
+      const { getConferenceTimezone, formatTime, formatDayKey, toDayKey } = require('../lib/networking-hours');
+      const now = new Date();
+      const { conference, current, next } = await getNowAndNext({ conferenceCode, now });
+      const timezone = getConferenceTimezone(conference);
+      const today = toDayKey(now, timezone);
+
+      const formatSession = (s) => {
+        const day = toDayKey(s.startsAt, timezone);
+        const speakers = (s.speakers || [])
+          .map((p) => `${p.firstName || ''} ${p.lastName || ''}`.trim())
+          .filter(Boolean)
+          .join(', ');
+        let line = `• ${day !== today ? `${formatDayKey(day)} ` : ''}${formatTime(s.startsAt, timezone)}–${formatTime(s.endsAt, timezone)} ${s.title}`;
+        const where = [s.room, s.track].filter(Boolean).join(', ');
+        if (where) line += ` (${where})`;
+        if (speakers) line += `\n   🎤 ${speakers}`;
+        return line;
+      };
+
+      let text = `📅 Программа «${conference.title}»\n🕒 Время: ${timezone}\n\n`;
+      if (!current.length && !next.length) {
+        text += 'Предстоящих сессий нет.';
+      } else {
+        text += current.length
+          ? `🔴 Сейчас:\n${current.map(formatSession).join('\n')}\n\n`
+          : '🔴 Сейчас: перерыв\n\n';
+        if (next.length) {
+          text += `⏭️ Далее:\n${next.map(formatSession).join('\n')}`;
+        }
+      }
+
+      await safeEditMessageText(ctx, text.trim(), backMenu);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
   bot.action('menu:polls', async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear previous state
@@ -613,14 +872,14 @@ function initBot() {
       );
     }
 
-    userState.set(ctx.from.id, { flow: 'polls', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'polls', step: 'select_conference' });
     await ctx.editMessageText(
       '📊 Опросы\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'polls:conf')
     );
   });
 
-  bot.action(/^polls:conf:(.+)$/, async (ctx) => {
+  bot.action(/^polls:conf:(.+)$/, requireBotFeature('pollsEnabled'), async (ctx) => {
     await ctx.answerCbQuery();
     const conferenceCode = ctx.match[1];
     try {
@@ -755,16 +1014,15 @@ function initBot() {
         `• ${c.title}\n  Код: ${c.conferenceCode}\n  Статус: ${c.isEnded ? 'Завершена' : 'Активна'}`
       ).join('\n\n');
 
-    const buttons = conferences
-      .filter((c) => c && c.conferenceCode) // Filter out invalid conferences
-      .map((c) => {
-        const row = [Markup.button.callback(`⚙️ ${c.title}`, `admin:conf:${c.conferenceCode}`)];
-        const secondScreenUrl = getSecondScreenUrl(c.conferenceCode);
-        if (secondScreenUrl) {
-          row.push(Markup.button.url('📺', secondScreenUrl));
-        }
-        return row;
-      });
+    const buttons = [];
+    for (const c of conferences.filter((c) => c && c.conferenceCode)) { // Filter out invalid conferences
+      const row = [Markup.button.callback(`⚙️ ${c.title}`, `admin:conf:${c.conferenceCode}`)];
+      const secondScreenUrl = getSecondScreenUrl(c.conferenceCode);
+      if (secondScreenUrl && (await getFeatureMap(c._id)).secondScreenEnabled) {
+        row.push(Markup.button.url('📺', secondScreenUrl));
+      }
+      buttons.push(row);
+    }
     buttons.push([Markup.button.callback('◀️ Назад', 'menu:conference_admin')]);
 
     await ctx.editMessageText(`📋 Ваши конференции:\n\n${text}\n\n📺 - открыть второй экран`, Markup.inlineKeyboard(buttons));
@@ -792,7 +1050,7 @@ function initBot() {
 
       const buttons = [];
       const secondScreenUrl = getSecondScreenUrl(conferenceCode);
-      if (secondScreenUrl) {
+      if (secondScreenUrl && (await getFeatureMap(conference._id)).secondScreenEnabled) {
         buttons.push([Markup.button.url('📺 Открыть второй экран', secondScreenUrl)]);
       }
       buttons.push([Markup.button.callback('◀️ Назад', 'menu:my_conferences')]);
@@ -804,6 +1062,16 @@ function initBot() {
     }
   });
 
+  // Locked menu buttons: explain which plan includes the feature
+  bot.action(/^feature:info:(\w+):(.+)$/, async (ctx) => {
+    const [, feature, conferenceCode] = ctx.match;
+    if (!FEATURES[feature]) {
+      return ctx.answerCbQuery();
+    }
+    return requireBotFeature(feature, { getConferenceCode: () => conferenceCode })(ctx, () =>
+      ctx.answerCbQuery('✅ Функция уже доступна на вашем тарифе. Откройте меню конференции заново.', { show_alert: true }));
+  });
+
   bot.action(/^admin:conf:(.+)$/, async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear state when returning to conference management
@@ -815,11 +1083,11 @@ function initBot() {
     }
     await ctx.editMessageText(
       `⚙️ Управление конференцией\n\nНазвание: ${conference.title}\nКод: ${conferenceCode}\nСтатус: ${conference.isEnded ? 'Завершена' : conference.isActive ? 'Активна' : 'Остановлена'}\n\nВыберите действие:`,
-      getConferenceManagementMenu(conferenceCode)
+      getConferenceManagementMenu(conferenceCode, await getFeatureMap(conference._id))
     );
   });
 
-  bot.action(/^admin:polls:(.+)$/, async (ctx) => {
+  bot.action(/^admin:polls:(.+)$/, requireBotFeature('pollsEnabled'), async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id);
     const conferenceCode = ctx.match[1];
@@ -908,11 +1176,11 @@ function initBot() {
     }
   });
 
-  bot.action(/^admin:create_poll:(.+)$/, async (ctx) => {
+  bot.action(/^admin:create_poll:(.+)$/, requireBotFeature('pollsEnabled'), async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear ALL previous state before setting new one
     const conferenceCode = ctx.match[1];
-    userState.set(ctx.from.id, { flow: 'create_poll', conferenceCode, step: 'enter_question' });
+    await userState.set(ctx.from.id, { flow: 'create_poll', conferenceCode, step: 'enter_question' });
     // Use reply instead of editMessageText for text input flows
     await ctx.reply(
       '📊 Создание опроса\n\nВведите вопрос:',
@@ -924,7 +1192,7 @@ function initBot() {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear ALL previous state before setting new one
     const pollId = ctx.match[1];
-    userState.set(ctx.from.id, { flow: 'edit_poll', pollId, step: 'enter_question' });
+    await userState.set(ctx.from.id, { flow: 'edit_poll', pollId, step: 'enter_question' });
     // Use reply instead of editMessageText for text input flows
     await ctx.reply(
       '✏️ Редактирование опроса\n\nВведите новый вопрос (или "-" чтобы пропустить):',
@@ -1015,7 +1283,7 @@ function initBot() {
       return ctx.editMessageText('❌ У вас нет конференций.', getConferenceAdminMenu());
     }
 
-    userState.set(ctx.from.id, { flow: 'moderate_questions', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'moderate_questions', step: 'select_conference' });
     await ctx.editMessageText(
       '❓ Модерация вопросов\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'moderate:conf')
@@ -1144,6 +1412,129 @@ function initBot() {
     }
   });
 
+  // ========== ACCESS CODES (private conferences) ==========
+  async function showAccessCodes(ctx, conferenceCode, notice = '') {
+    const { listAccessCodes, getAccessCodeStatus, getAccessCodeDeepLink } = require('../services/accessCode.service');
+    const user = await ensureUserFromTelegram(ctx.from);
+    const codes = await listAccessCodes({ moderatorUser: user, conferenceCode });
+
+    const statusLabels = {
+      active: '🟢',
+      revoked: '🚫',
+      expired: '⌛',
+      exhausted: '⛔',
+    };
+
+    let text = notice ? `${notice}\n\n` : '';
+    text += `🔑 Коды доступа\n\nКонференция: ${conferenceCode}\n`;
+    text += `Всего кодов: ${codes.length}\n\n`;
+
+    const shown = codes.slice(0, 15);
+    if (!shown.length) {
+      text += 'Кодов пока нет. Создайте первый код ниже.';
+    } else {
+      shown.forEach((c) => {
+        const uses = c.maxUses ? `${c.usedCount}/${c.maxUses}` : `${c.usedCount}/∞`;
+        const expires = c.expiresAt ? `, до ${c.expiresAt.toLocaleDateString('ru-RU')}` : '';
+        text += `${statusLabels[getAccessCodeStatus(c)]} ${c.code} — ${uses}${expires}\n`;
+      });
+      if (codes.length > shown.length) {
+        text += `\n…и ещё ${codes.length - shown.length}. Полный список — в экспорте CSV.`;
+      }
+      const firstActive = shown.find((c) => getAccessCodeStatus(c) === 'active');
+      const link = firstActive && getAccessCodeDeepLink(firstActive.code, ctx.botInfo && ctx.botInfo.username);
+      if (link) {
+        text += `\n\n🔗 Ссылка для приглашения:\n${link}`;
+      }
+    }
+
+    const buttons = [
+      [
+        { text: '➕ 1 код', callback_data: `admin:codes_gen:1:${conferenceCode}` },
+        { text: '➕ 10 кодов', callback_data: `admin:codes_gen:10:${conferenceCode}` },
+      ],
+      [{ text: '♾️ Многоразовый код', callback_data: `admin:codes_gen:multi:${conferenceCode}` }],
+    ];
+    shown
+      .filter((c) => getAccessCodeStatus(c) === 'active')
+      .slice(0, 5)
+      .forEach((c) => {
+        buttons.push([{ text: `🚫 Отозвать ${c.code}`, callback_data: `admin:code_rev:${conferenceCode}:${c._id}` }]);
+      });
+    if (codes.length) {
+      buttons.push([{ text: '📥 Экспорт CSV', callback_data: `admin:codes_export:${conferenceCode}` }]);
+    }
+    buttons.push([{ text: '◀️ Назад', callback_data: `admin:conf:${conferenceCode}` }]);
+
+    await ctx.editMessageText(text, { reply_markup: { inline_keyboard: buttons } });
+  }
+
+  bot.action(/^admin:codes:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    await clearUserState(ctx.from.id);
+    const conferenceCode = ctx.match[1];
+    try {
+      await showAccessCodes(ctx, conferenceCode);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getConferenceManagementMenu(conferenceCode));
+    }
+  });
+
+  // Quick presets: single-use codes (1 or 10) or one code without a usage limit
+  bot.action(/^admin:codes_gen:(1|10|multi):(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const preset = ctx.match[1];
+    const conferenceCode = ctx.match[2];
+    try {
+      const { generateAccessCodes } = require('../services/accessCode.service');
+      const user = await ensureUserFromTelegram(ctx.from);
+      const created = await generateAccessCodes({
+        moderatorUser: user,
+        conferenceCode,
+        count: preset === 'multi' ? 1 : parseInt(preset, 10),
+        maxUses: preset === 'multi' ? null : 1,
+      });
+      await showAccessCodes(ctx, conferenceCode, `✅ Создано кодов: ${created.length}`);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getConferenceManagementMenu(conferenceCode));
+    }
+  });
+
+  bot.action(/^admin:code_rev:(.+):([a-f0-9]{24})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const conferenceCode = ctx.match[1];
+    const accessCodeId = ctx.match[2];
+    try {
+      const { revokeAccessCode } = require('../services/accessCode.service');
+      const user = await ensureUserFromTelegram(ctx.from);
+      const accessCode = await revokeAccessCode({ moderatorUser: user, conferenceCode, accessCodeId });
+      await showAccessCodes(ctx, conferenceCode, `🚫 Код ${accessCode.code} отозван`);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getConferenceManagementMenu(conferenceCode));
+    }
+  });
+
+  bot.action(/^admin:codes_export:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const conferenceCode = ctx.match[1];
+    try {
+      const { listAccessCodes, buildAccessCodesCsv } = require('../services/accessCode.service');
+      const user = await ensureUserFromTelegram(ctx.from);
+      const codes = await listAccessCodes({ moderatorUser: user, conferenceCode });
+      const csv = buildAccessCodesCsv(codes, { botUsername: ctx.botInfo && ctx.botInfo.username });
+      await ctx.replyWithDocument({
+        source: Buffer.from(csv, 'utf8'),
+        filename: `access-codes-${conferenceCode}-${Date.now()}.csv`,
+      });
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getConferenceManagementMenu(conferenceCode));
+    }
+  });
+
   bot.action(/^admin:slides:(.+)$/, async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id);
@@ -1186,11 +1577,11 @@ function initBot() {
   });
 
   // Set slide - enter URL
-  bot.action(/^admin:set_slide:(.+)$/, async (ctx) => {
+  bot.action(/^admin:set_slide:(.+)$/, requireBotFeature('customBranding'), async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear ALL previous state before setting new one
     const conferenceCode = ctx.match[1];
-    userState.set(ctx.from.id, { flow: 'set_slide', conferenceCode, step: 'enter_url' });
+    await userState.set(ctx.from.id, { flow: 'set_slide', conferenceCode, step: 'enter_url' });
     // Use reply instead of editMessageText for text input flows
     await ctx.reply(
       `🖼️ Установка слайда\n\nВведите URL слайда (изображение или веб-страница) и опционально название через пробел:\n\nПример: https://example.com/slide.png Название слайда`,
@@ -1257,7 +1648,7 @@ function initBot() {
   bot.action('menu:admin_create_conference', async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear ALL previous state before setting new one
-    userState.set(ctx.from.id, { flow: 'create_conference', step: 'enter_title' });
+    await userState.set(ctx.from.id, { flow: 'create_conference', step: 'enter_title' });
     // Use reply instead of editMessageText for text input flows
     await ctx.reply(
       '➕ Создание конференции\n\nВведите название конференции:',
@@ -1353,7 +1744,7 @@ function initBot() {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id);
     const conferenceCode = ctx.match[1];
-    userState.set(ctx.from.id, { flow: 'assign_admin', conferenceCode, step: 'enter_telegram_id' });
+    await userState.set(ctx.from.id, { flow: 'assign_admin', conferenceCode, step: 'enter_telegram_id' });
     await ctx.reply(
       `➕ Назначение администратора\n\nВведите Telegram ID пользователя (число):`,
       { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `admin:manage_admins:conf:${conferenceCode}` }]] } }
@@ -1515,7 +1906,7 @@ function initBot() {
 
   bot.hears('➕ Присоединиться', async (ctx) => {
     await clearUserState(ctx.from.id); // Clear ALL previous state
-    userState.set(ctx.from.id, { flow: 'join_conference' });
+    await userState.set(ctx.from.id, { flow: 'join_conference' });
     await ctx.reply(
       '➕ Присоединение к конференции\n\nВведите код конференции:',
       { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: 'menu:main' }]] } }
@@ -1542,7 +1933,7 @@ function initBot() {
       return ctx.reply('❌ Сначала присоединитесь к конференции.', getReplyKeyboard());
     }
 
-    userState.set(ctx.from.id, { flow: 'find_participants', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'find_participants', step: 'select_conference' });
     await ctx.reply(
       '🔍 Поиск участников\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'find:conf')
@@ -1557,7 +1948,7 @@ function initBot() {
       return ctx.reply('❌ Сначала присоединитесь к конференции.', getReplyKeyboard());
     }
 
-    userState.set(ctx.from.id, { flow: 'ask_question', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'ask_question', step: 'select_conference' });
     await ctx.reply(
       '❓ Задать вопрос\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'ask:conf')
@@ -1572,7 +1963,7 @@ function initBot() {
       return ctx.reply('❌ Сначала присоединитесь к конференции.', getReplyKeyboard());
     }
 
-    userState.set(ctx.from.id, { flow: 'polls', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'polls', step: 'select_conference' });
     await ctx.reply(
       '📊 Опросы\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'polls:conf')
@@ -1585,7 +1976,7 @@ function initBot() {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear ALL previous state before setting new one
     const conferenceCode = ctx.match[1];
-    userState.set(ctx.from.id, { flow: 'edit_conference', conferenceCode, step: 'enter_title' });
+    await userState.set(ctx.from.id, { flow: 'edit_conference', conferenceCode, step: 'enter_title' });
     // Use reply instead of editMessageText for text input flows
     await ctx.reply(
       `✏️ Редактирование конференции\n\nВведите новое название (или "-" чтобы пропустить):`,
@@ -1672,7 +2063,7 @@ function initBot() {
     }
     await ctx.editMessageText(
       `⚙️ Управление конференцией\n\nНазвание: ${conference.title}\nКод: ${conferenceCode}\nСтатус: ${conference.isEnded ? 'Завершена' : conference.isActive ? 'Активна' : 'Остановлена'}\n\nВыберите действие:`,
-      getConferenceManagementMenu(conferenceCode)
+      getConferenceManagementMenu(conferenceCode, await getFeatureMap(conference._id))
     );
   });
 
@@ -1687,7 +2078,7 @@ function initBot() {
       return ctx.editMessageText('❌ У вас нет конференций.', getConferenceAdminMenu());
     }
 
-    userState.set(ctx.from.id, { flow: 'manage_participants', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'manage_participants', step: 'select_conference' });
     await ctx.editMessageText(
       '👥 Управление участниками\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'participants:conf')
@@ -1832,7 +2223,7 @@ function initBot() {
       return ctx.editMessageText('❌ У вас нет конференций.', getSpeakerMenu());
     }
 
-    userState.set(ctx.from.id, { flow: 'speaker_questions', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'speaker_questions', step: 'select_conference' });
     await ctx.editMessageText(
       '❓ Вопросы для спикера\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'speaker:questions:conf')
@@ -1870,7 +2261,7 @@ function initBot() {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear ALL previous state before setting new one
     const [, conferenceCode, questionId] = ctx.match;
-    userState.set(ctx.from.id, { flow: 'answer_question', conferenceCode, questionId, step: 'enter_answer' });
+    await userState.set(ctx.from.id, { flow: 'answer_question', conferenceCode, questionId, step: 'enter_answer' });
     // Use reply instead of editMessageText for text input flows
     await ctx.reply(
       '💬 Ответ на вопрос\n\nВведите ваш ответ:',
@@ -1890,14 +2281,14 @@ function initBot() {
       return ctx.editMessageText('❌ У вас нет конференций.', getSpeakerMenu());
     }
 
-    userState.set(ctx.from.id, { flow: 'speaker_polls', step: 'select_conference' });
+    await userState.set(ctx.from.id, { flow: 'speaker_polls', step: 'select_conference' });
     await ctx.editMessageText(
       '📊 Управление опросами\n\nВыберите конференцию:',
       getConferenceSelectionMenu(conferences, 'speaker:polls:conf')
     );
   });
 
-  bot.action(/^speaker:polls:conf:(.+)$/, async (ctx) => {
+  bot.action(/^speaker:polls:conf:(.+)$/, requireBotFeature('pollsEnabled'), async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear state when navigating to polls list
     const conferenceCode = ctx.match[1];
@@ -1943,11 +2334,11 @@ function initBot() {
     );
   });
 
-  bot.action(/^speaker:create_poll:(.+)$/, async (ctx) => {
+  bot.action(/^speaker:create_poll:(.+)$/, requireBotFeature('pollsEnabled'), async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id); // Clear ALL previous state before setting new one
     const conferenceCode = ctx.match[1];
-    userState.set(ctx.from.id, { flow: 'create_poll', conferenceCode, step: 'enter_question' });
+    await userState.set(ctx.from.id, { flow: 'create_poll', conferenceCode, step: 'enter_question' });
     // Use reply instead of editMessageText for text input flows
     await ctx.reply(
       '📊 Создание опроса\n\nВведите вопрос:',
@@ -1965,7 +2356,7 @@ function initBot() {
       if (speakers.length === 0) {
         // No speakers, ask general question
         await clearUserState(ctx.from.id); // Clear previous state
-        userState.set(ctx.from.id, { flow: 'ask_question', conferenceCode, step: 'enter_question', targetSpeaker: null });
+        await userState.set(ctx.from.id, { flow: 'ask_question', conferenceCode, step: 'enter_question', targetSpeaker: null });
         // Use reply instead of editMessageText for text input flows
         await ctx.reply(
           `❓ Задать вопрос в конференцию\n\nВ этой конференции нет спикеров. Введите ваш вопрос:`,
@@ -1989,7 +2380,7 @@ function initBot() {
     await clearUserState(ctx.from.id); // Clear ALL previous state before setting new one
     const [, conferenceCode, targetId] = ctx.match;
     const targetSpeaker = targetId === 'all' ? null : targetId;
-    userState.set(ctx.from.id, { flow: 'ask_question', conferenceCode, step: 'enter_question', targetSpeaker });
+    await userState.set(ctx.from.id, { flow: 'ask_question', conferenceCode, step: 'enter_question', targetSpeaker });
     await ctx.editMessageText(
       `❓ Задать вопрос${targetSpeaker ? ' спикеру' : ' (для всех спикеров)'}\n\nВведите ваш вопрос:`,
       { reply_markup: { inline_keyboard: [[{ text: '◀️ Назад', callback_data: 'menu:ask_question' }]] } }
@@ -1998,6 +2389,114 @@ function initBot() {
 
   // ========== MEETINGS (1:1 TIME SLOTS) ==========
   
+  // ========== CONTACTS (connections) ==========
+  async function buildContactsScreen(telegramUser) {
+    const { listConnections, getProfileContact } = require('../services/connection.service');
+    const { contacts, incoming, outgoing } = await listConnections({ telegramUser });
+
+    const nameOf = (p) => `${p.firstName || ''} ${p.lastName || ''}`.trim() || 'Участник';
+    let text = '📇 Мои контакты\n\n';
+
+    if (!contacts.length && !incoming.length && !outgoing.length) {
+      text += 'У вас пока нет контактов.\n\nНайдите участников через "🔍 Найти участников" и предложите обменяться контактами.';
+    }
+
+    if (contacts.length) {
+      text += contacts
+        .map((c, idx) => `${idx + 1}. ${nameOf(c.profile)} — ${getProfileContact(c.profile)}` +
+          (c.conference ? `\n   📋 ${c.conference.title}` : ''))
+        .join('\n');
+      text += '\n\n';
+    }
+
+    if (incoming.length) {
+      text += `📨 Входящие запросы: ${incoming.length}\n`;
+    }
+    if (outgoing.length) {
+      text += `⏳ Ожидают ответа: ${outgoing.map((c) => nameOf(c.profile)).join(', ')}\n`;
+    }
+
+    const buttons = incoming.slice(0, 10).map((c) => [
+      { text: `✅ ${nameOf(c.profile)}`, callback_data: `conn:accept:${c.connection._id}` },
+      { text: '❌', callback_data: `conn:reject:${c.connection._id}` },
+    ]);
+    buttons.push([{ text: '◀️ Главное меню', callback_data: 'menu:main' }]);
+
+    return { text: text.trim(), extra: { reply_markup: { inline_keyboard: buttons } } };
+  }
+
+  bot.action('menu:contacts', async (ctx) => {
+    await ctx.answerCbQuery();
+    await clearUserState(ctx.from.id);
+    try {
+      const { text, extra } = await buildContactsScreen(ctx.from);
+      await safeEditMessageText(ctx, text, extra);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  bot.hears('📇 Мои контакты', async (ctx) => {
+    await clearUserState(ctx.from.id);
+    try {
+      const { text, extra } = await buildContactsScreen(ctx.from);
+      await ctx.reply(text, extra);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  bot.action(/^conn:req:([a-f0-9]{24})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    try {
+      const { requestConnection } = require('../services/connection.service');
+      const { connection, targetProfile } = await requestConnection({
+        telegramUser: ctx.from,
+        targetProfileId: ctx.match[1],
+      });
+      const name = `${targetProfile.firstName || ''} ${targetProfile.lastName || ''}`.trim() || 'Участник';
+      // A counter-request accepts the pending one: contacts have already been sent to both sides
+      const text = connection.status === 'accepted'
+        ? `🤝 ${name} тоже хотел(а) обменяться контактами — контакт установлен!`
+        : `✅ Запрос на обмен контактами отправлен: ${name}.\n\nКогда участник примет запрос, вы получите его Telegram-контакт.`;
+      await ctx.reply(text, { reply_markup: { inline_keyboard: [[{ text: '📇 Мои контакты', callback_data: 'menu:contacts' }]] } });
+    } catch (err) {
+      const { formatErrorMessage } = require('../services/handler.service');
+      await ctx.reply(formatErrorMessage(err));
+    }
+  });
+
+  bot.action(/^conn:accept:([a-f0-9]{24})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    try {
+      const { acceptConnection } = require('../services/connection.service');
+      await acceptConnection({ telegramUser: ctx.from, connectionId: ctx.match[1] });
+      // Contacts are delivered to both sides by the service notification
+      await safeEditMessageText(ctx, '✅ Запрос принят. Контакты отправлены вам обоим.', {
+        reply_markup: { inline_keyboard: [[{ text: '📇 Мои контакты', callback_data: 'menu:contacts' }]] },
+      });
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  bot.action(/^conn:reject:([a-f0-9]{24})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    try {
+      const { rejectConnection } = require('../services/connection.service');
+      await rejectConnection({ telegramUser: ctx.from, connectionId: ctx.match[1] });
+      await safeEditMessageText(ctx, '❌ Запрос на обмен контактами отклонён.', {
+        reply_markup: { inline_keyboard: [[{ text: '📇 Мои контакты', callback_data: 'menu:contacts' }]] },
+      });
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
   bot.action('menu:meetings', async (ctx) => {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id);
@@ -2071,10 +2570,10 @@ function initBot() {
       }
       
       const conferenceCode = profile.conference.conferenceCode || profile.conference;
-      userState.set(ctx.from.id, { flow: 'request_meeting', conferenceCode, recipientProfileId, step: 'enter_date' });
+      await userState.set(ctx.from.id, { flow: 'request_meeting', conferenceCode, recipientProfileId, step: 'enter_date' });
       await ctx.editMessageText(
         '🤝 Запрос встречи\n\n📅 Выберите дату встречи:',
-        getMeetingDateMenu(conferenceCode)
+        await getMeetingDateMenu(conferenceCode)
       );
     } catch (err) {
       console.error('Error in meeting:select', err);
@@ -2087,54 +2586,219 @@ function initBot() {
     await ctx.answerCbQuery();
     await clearUserState(ctx.from.id);
     const [, conferenceCode, recipientProfileId] = ctx.match;
-    userState.set(ctx.from.id, { flow: 'request_meeting', conferenceCode, recipientProfileId, step: 'enter_date' });
+    await userState.set(ctx.from.id, { flow: 'request_meeting', conferenceCode, recipientProfileId, step: 'enter_date' });
     await ctx.editMessageText(
       '🤝 Запрос встречи\n\n📅 Выберите дату встречи:',
-      getMeetingDateMenu(conferenceCode)
+      await getMeetingDateMenu(conferenceCode)
     );
   });
 
-  // Handle date selection for meetings
-  bot.action(/^meeting:date:(.+):(today|tomorrow|nextweek|manual)$/, async (ctx) => {
-    await ctx.answerCbQuery();
-    const [, conferenceCode, dateOption] = ctx.match;
-    const state = userState.get(ctx.from.id);
-    
-    if (!state || state.flow !== 'request_meeting' || state.step !== 'enter_date') {
-      return ctx.reply('❌ Неверное состояние. Начните заново.', await getMainMenu(ctx.from));
-    }
+  /**
+   * Remember the chosen day (in the conference timezone) and ask for the time,
+   * showing the networking hours of that day
+   */
+  async function selectMeetingDay(ctx, state, day, reply) {
+    const { Conference } = require('../models/conference');
+    const { getNetworkingSettings, getDayWindows, toDayKey, formatTime, formatDayKey } = require('../lib/networking-hours');
+    const conference = await Conference.findOne({ conferenceCode: state.conferenceCode });
+    const { timezone } = getNetworkingSettings(conference);
+    const cancelMenu = { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }]] } };
 
-    let selectedDate;
-    if (dateOption === 'today') {
-      selectedDate = new Date();
-    } else if (dateOption === 'tomorrow') {
-      selectedDate = new Date();
-      selectedDate.setDate(selectedDate.getDate() + 1);
-    } else if (dateOption === 'nextweek') {
-      selectedDate = new Date();
-      selectedDate.setDate(selectedDate.getDate() + 7);
-    } else if (dateOption === 'manual') {
-      userState.set(ctx.from.id, { ...state, step: 'enter_date_manual' });
-      await ctx.editMessageText(
-        '📅 Введите дату в формате ДД.ММ.ГГГГ или ДД.ММ\nНапример: 25.12.2024 или 25.12',
-        { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${conferenceCode}` }]] } }
-      );
-      return;
+    if (day < toDayKey(new Date(), timezone)) {
+      return reply('❌ Нельзя выбрать прошедшую дату.', cancelMenu);
     }
 
-    selectedDate.setHours(0, 0, 0, 0);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    if (selectedDate < today) {
-      return ctx.editMessageText('❌ Нельзя выбрать прошедшую дату.', getMeetingDateMenu(conferenceCode));
+    const windows = conference ? getDayWindows(conference, day) : [];
+    if (!windows.length) {
+      return reply(`❌ ${formatDayKey(day)} нет времени для встреч. Выберите другую дату.`, await getMeetingDateMenu(state.conferenceCode));
     }
 
-    userState.set(ctx.from.id, { ...state, selectedDate: selectedDate.toISOString(), step: 'enter_time' });
-    await ctx.editMessageText(
-      `✅ Дата выбрана: ${selectedDate.toLocaleDateString('ru-RU')}\n\n⏰ Введите время встречи в формате ЧЧ:ММ\nНапример: 14:30`,
-      { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${conferenceCode}` }]] } }
+    // Offer only the times that are free for both participants
+    const { getMutualAvailability } = require('../services/meeting.service');
+    let slots;
+    try {
+      const { days } = await getMutualAvailability({
+        telegramUser: ctx.from,
+        conferenceCode: state.conferenceCode,
+        recipientProfileId: state.recipientProfileId,
+        date: day,
+      });
+      slots = days[0] ? days[0].slots : [];
+    } catch (err) {
+      console.error('Error in getMutualAvailability', err);
+      const { formatErrorMessage } = require('../services/handler.service');
+      return reply(formatErrorMessage(err), cancelMenu);
+    }
+    if (!slots.length) {
+      return reply(
+        `😔 ${formatDayKey(day)} нет времени, свободного у вас обоих. Выберите другую дату.`,
+        await getMeetingDateMenu(state.conferenceCode)
+      );
+    }
+
+    const hours = windows.map((w) => `${formatTime(w.start, timezone)}–${formatTime(w.end, timezone)}`).join(', ');
+    const slotButtons = [];
+    slots.slice(0, MAX_SLOT_BUTTONS).forEach((slot, i) => {
+      if (i % 4 === 0) slotButtons.push([]);
+      slotButtons[slotButtons.length - 1].push({
+        text: formatTime(slot, timezone),
+        callback_data: `meeting:pick:${Math.floor(slot.getTime() / 1000)}`,
+      });
+    });
+
+    await userState.set(ctx.from.id, { ...state, selectedDay: day, step: 'enter_time' });
+    return reply(
+      `✅ Дата выбрана: ${formatDayKey(day)}\n🕘 Время для встреч: ${hours} (${timezone})\n\n` +
+      `🤝 Время, свободное у вас обоих — выберите слот` +
+      (slots.length > MAX_SLOT_BUTTONS ? ` (показаны первые ${MAX_SLOT_BUTTONS} из ${slots.length})` : '') +
+      `.\nИли введите время вручную в формате ЧЧ:ММ`,
+      { reply_markup: { inline_keyboard: [...slotButtons, ...cancelMenu.reply_markup.inline_keyboard] } }
     );
+  }
+
+  /**
+   * Create the meeting request collected in the request_meeting flow
+   */
+  async function submitMeetingRequest(ctx, state, proposedTime, locationId = null) {
+    const { getConferenceTimezone, formatTime, formatDayKey, toDayKey } = require('../lib/networking-hours');
+    try {
+      const { requestMeeting } = require('../services/meeting.service');
+      const { Conference } = require('../models/conference');
+      const { meeting } = await requestMeeting({
+        telegramUser: ctx.from,
+        conferenceCode: state.conferenceCode,
+        recipientProfileId: state.recipientProfileId,
+        proposedTime,
+        locationId,
+      });
+
+      const conference = await Conference.findById(meeting.conference);
+      const timezone = getConferenceTimezone(conference);
+      await clearUserState(ctx.from.id);
+      await ctx.reply(
+        `✅ Запрос на встречу отправлен!\n\nВремя: ${formatDayKey(toDayKey(proposedTime, timezone))} ${formatTime(proposedTime, timezone)} (${timezone})\nДлительность: ${meeting.durationMinutes} минут` +
+        (meeting.meetingLocation ? `\nМесто: ${meeting.meetingLocation}` : ''),
+        await getMainMenu(ctx.from)
+      );
+    } catch (err) {
+      console.error('Error in request_meeting flow', err);
+      let errorMsg = '❌ Ошибка при создании запроса на встречу.';
+      if (err.message === 'TIME_CONFLICT') {
+        errorMsg = '❌ У вас или у получателя уже есть встреча в это время.';
+      } else if (err.message === 'INVALID_TIME_PAST') {
+        errorMsg = '❌ Нельзя запланировать встречу в прошлом.';
+      } else if (err.message === 'RECIPIENT_NOT_FOUND') {
+        errorMsg = '❌ Получатель не найден.';
+      } else if (['OUTSIDE_NETWORKING_HOURS', 'TIME_BLOCKED', 'LOCATION_FULL', 'NO_LOCATION_AVAILABLE', 'LOCATION_NOT_FOUND'].includes(err.message)) {
+        const { formatErrorMessage } = require('../services/handler.service');
+        errorMsg = formatErrorMessage(err);
+      }
+      await ctx.reply(errorMsg, { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }]] } });
+    }
+  }
+
+  /**
+   * Free bookable spots at the given time as buttons, or null when the conference has no locations
+   */
+  async function getLocationButtons(conference, proposedTime, durationMinutes, callbackPrefix) {
+    const { getActiveLocations, findFreeLocations } = require('../services/meetingLocation.service');
+    const { getNetworkingSettings } = require('../lib/networking-hours');
+    if (!conference || !(await getActiveLocations(conference._id)).length) {
+      return null;
+    }
+
+    const free = await findFreeLocations({
+      conferenceId: conference._id,
+      proposedTime,
+      durationMinutes: durationMinutes || getNetworkingSettings(conference).slotMinutes,
+    });
+    return free.slice(0, MAX_SLOT_BUTTONS).map(({ location, free: left }) => [{
+      text: `📍 ${location.name}` + (location.capacity > 1 ? ` (свободно ${left})` : ''),
+      callback_data: `${callbackPrefix}${location._id}`,
+    }]);
+  }
+
+  /**
+   * Time is known: let the user pick a spot if the conference has bookable locations, otherwise send the request
+   */
+  async function chooseMeetingLocation(ctx, state, proposedTime) {
+    const { Conference } = require('../models/conference');
+    const conference = await Conference.findOne({ conferenceCode: state.conferenceCode });
+    const locationButtons = await getLocationButtons(conference, proposedTime, null, 'meeting:loc:');
+    if (!locationButtons) {
+      return submitMeetingRequest(ctx, state, proposedTime);
+    }
+
+    const cancelButton = [{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }];
+    if (!locationButtons.length) {
+      return ctx.reply('😔 На это время все места для встреч заняты. Выберите другое время.', {
+        reply_markup: { inline_keyboard: [cancelButton] },
+      });
+    }
+
+    await userState.set(ctx.from.id, { ...state, proposedTime: proposedTime.toISOString(), step: 'choose_location' });
+    return ctx.reply('📍 Выберите место встречи:', {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🎲 Любое свободное', callback_data: 'meeting:loc:auto' }],
+          ...locationButtons,
+          cancelButton,
+        ],
+      },
+    });
+  }
+
+  // Slot picked from the mutual availability list (unix seconds)
+  bot.action(/^meeting:pick:(\d+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const state = await userState.get(ctx.from.id);
+    if (!state || state.flow !== 'request_meeting' || state.step !== 'enter_time') {
+      return ctx.reply('❌ Неверное состояние. Начните заново.', await getMainMenu(ctx.from));
+    }
+    await chooseMeetingLocation(ctx, state, new Date(parseInt(ctx.match[1], 10) * 1000));
+  });
+
+  // Spot picked for a new meeting request ('auto' = first free one)
+  bot.action(/^meeting:loc:(auto|[0-9a-f]{24})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const state = await userState.get(ctx.from.id);
+    if (!state || state.flow !== 'request_meeting' || state.step !== 'choose_location') {
+      return ctx.reply('❌ Неверное состояние. Начните заново.', await getMainMenu(ctx.from));
+    }
+    const locationId = ctx.match[1] === 'auto' ? null : ctx.match[1];
+    await submitMeetingRequest(ctx, state, new Date(state.proposedTime), locationId);
+  });
+
+  // Handle date selection for meetings
+  bot.action(/^meeting:date:(.+):(today|tomorrow|nextweek|manual|\d{4}-\d{2}-\d{2})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const [, conferenceCode, dateOption] = ctx.match;
+    const state = await userState.get(ctx.from.id);
+    
+    if (!state || state.flow !== 'request_meeting' || state.step !== 'enter_date') {
+      return ctx.reply('❌ Неверное состояние. Начните заново.', await getMainMenu(ctx.from));
+    }
+
+    if (dateOption === 'manual') {
+      await userState.set(ctx.from.id, { ...state, step: 'enter_date_manual' });
+      await ctx.editMessageText(
+        '📅 Введите дату в формате ДД.ММ.ГГГГ или ДД.ММ\nНапример: 25.12.2024 или 25.12',
+        { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${conferenceCode}` }]] } }
+      );
+      return;
+    }
+
+    // Quick options are counted from "today" in the conference timezone
+    let day = dateOption;
+    if (['today', 'tomorrow', 'nextweek'].includes(dateOption)) {
+      const { Conference } = require('../models/conference');
+      const { getConferenceTimezone, toDayKey, addDays } = require('../lib/networking-hours');
+      const conference = await Conference.findOne({ conferenceCode });
+      const today = toDayKey(new Date(), getConferenceTimezone(conference));
+      day = addDays(today, { today: 0, tomorrow: 1, nextweek: 7 }[dateOption]);
+    }
+
+    await selectMeetingDay(ctx, state, day, (text, extra) => ctx.editMessageText(text, extra));
   });
 
   bot.action(/^meeting:list:(.+)$/, async (ctx) => {
@@ -2184,6 +2848,7 @@ function initBot() {
         rejected: '❌ Отклонена',
         cancelled: '🚫 Отменена',
         completed: '✅ Завершена',
+        expired: '⌛ Истекла (не подтверждена вовремя)',
       }[meeting.status] || meeting.status;
 
       // Get chat URL if meeting is active
@@ -2207,8 +2872,10 @@ function initBot() {
         `С кем: ${otherPerson.firstName} ${otherPerson.lastName || ''}\n` +
         `Время: ${new Date(meeting.proposedTime).toLocaleString('ru-RU')}\n` +
         `Длительность: ${meeting.durationMinutes} минут\n` +
+        (meeting.meetingLocation ? `Место: ${meeting.meetingLocation}\n` : '') +
         `Статус: ${statusText}\n` +
-        (meeting.message ? `Сообщение: ${meeting.message}\n` : '');
+        (meeting.message ? `Сообщение: ${meeting.message}\n` : '') +
+        formatMeetingProposals(meeting, user.telegramId);
 
       await ctx.editMessageText(text, getMeetingDetailsMenu(meeting, conferenceCode, user.telegramId, chatUrl));
     } catch (err) {
@@ -2234,6 +2901,9 @@ function initBot() {
       let errorMsg = '❌ Ошибка при принятии встречи.';
       if (err.message === 'TIME_CONFLICT') {
         errorMsg = '❌ У вас уже есть встреча в это время.';
+      } else if (err.message === 'TIME_BLOCKED') {
+        const { formatErrorMessage } = require('../services/handler.service');
+        errorMsg = formatErrorMessage(err);
       }
       await ctx.editMessageText(errorMsg, getUserMenu());
     }
@@ -2275,53 +2945,220 @@ function initBot() {
     }
   });
 
+  /**
+   * Negotiation history for the meeting details screen (last rounds only)
+   */
+  function formatMeetingProposals(meeting, userTelegramId) {
+    const proposals = meeting.proposals || [];
+    // Nothing to show until somebody proposed another time
+    if (proposals.length < 2 && !proposals.some((p) => p.kind === 'reschedule')) return '';
+
+    const kindLabels = { initial: 'запрос', counter: 'встречное предложение', reschedule: 'перенос' };
+    const statusLabels = { pending: '⏳ ждёт ответа', accepted: '✅ принято', declined: '❌ отклонено', superseded: '↪️ заменено' };
+
+    let text = '\n🔁 История предложений:\n';
+    proposals.slice(-5).forEach((p) => {
+      const author = p.proposedBy.toString() === meeting.requester._id.toString() ? meeting.requester : meeting.recipient;
+      const authorLabel = author.telegramId === userTelegramId ? 'Вы' : (author.firstName || 'Участник');
+      text += `• ${new Date(p.proposedTime).toLocaleString('ru-RU')}, ${p.durationMinutes || meeting.durationMinutes} мин` +
+        (p.meetingLocation ? `, ${p.meetingLocation}` : '') +
+        ` — ${authorLabel}, ${kindLabels[p.kind] || p.kind}: ${statusLabels[p.status] || p.status}\n`;
+    });
+    return text;
+  }
+
+  /**
+   * Send the collected counter-offer / reschedule request and finish the flow
+   */
+  async function submitMeetingProposal(ctx, state, meetingLocation, locationId = null) {
+    const { proposeMeetingTime } = require('../services/meeting.service');
+    const backMenu = { reply_markup: { inline_keyboard: [[{ text: '◀️ Назад', callback_data: `meeting:details:${state.meetingId}:${state.conferenceCode}` }]] } };
+    try {
+      const { proposal } = await proposeMeetingTime({
+        telegramUser: ctx.from,
+        meetingId: state.meetingId,
+        proposedTime: new Date(state.proposedTime),
+        durationMinutes: state.durationMinutes,
+        meetingLocation,
+        locationId,
+      });
+      await clearUserState(ctx.from.id);
+      await ctx.reply(
+        `✅ Предложение отправлено! Ждём ответа другого участника.\n\n` +
+        `Время: ${new Date(proposal.proposedTime).toLocaleString('ru-RU')}\n` +
+        `Длительность: ${proposal.durationMinutes} минут` +
+        (proposal.meetingLocation ? `\nМесто: ${proposal.meetingLocation}` : ''),
+        backMenu
+      );
+    } catch (err) {
+      console.error('Error in propose_meeting_time flow', err);
+      const { formatErrorMessage } = require('../services/handler.service');
+      await clearUserState(ctx.from.id);
+      await ctx.reply(formatErrorMessage(err), backMenu);
+    }
+  }
+
+  // Counter-offer for a pending meeting or reschedule of an accepted one
+  bot.action(/^meeting:counter:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const meetingId = ctx.match[1];
+    try {
+      const { Meeting } = require('../models/meeting');
+      const { isValidObjectId } = require('../lib/conference-helper');
+      const meeting = isValidObjectId(meetingId) ? await Meeting.findById(meetingId).populate('conference') : null;
+      if (!meeting || !meeting.conference) {
+        throw new Error('MEETING_NOT_FOUND');
+      }
+
+      const conferenceCode = meeting.conference.conferenceCode;
+      await clearUserState(ctx.from.id);
+      await userState.set(ctx.from.id, { flow: 'propose_meeting_time', meetingId, conferenceCode, step: 'enter_datetime' });
+      await ctx.editMessageText(
+        (meeting.status === 'accepted' ? '🔁 Перенос встречи\n\n' : '🔁 Встречное предложение\n\n') +
+        `Сейчас: ${new Date(meeting.proposedTime).toLocaleString('ru-RU')}, ${meeting.durationMinutes} минут\n\n` +
+        '📅 Введите новую дату и время в формате ДД.ММ ЧЧ:ММ\nНапример: 25.12 14:30\n\nИли только время ЧЧ:ММ — тогда дата останется прежней.',
+        { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:details:${meetingId}:${conferenceCode}` }]] } }
+      );
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  bot.action(/^meeting:pdur:(\d+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const state = await userState.get(ctx.from.id);
+    if (!state || state.flow !== 'propose_meeting_time' || state.step !== 'choose_duration') {
+      return ctx.reply('❌ Неверное состояние. Начните заново.', await getMainMenu(ctx.from));
+    }
+
+    const durationMinutes = parseInt(ctx.match[1], 10);
+    await userState.set(ctx.from.id, { ...state, durationMinutes, step: 'enter_location' });
+
+    // Conferences with bookable locations: choose one of the free spots instead of typing a place
+    const { Conference } = require('../models/conference');
+    const conference = await Conference.findOne({ conferenceCode: state.conferenceCode });
+    const locationButtons = await getLocationButtons(conference, new Date(state.proposedTime), durationMinutes, 'meeting:ploc:');
+    if (locationButtons) {
+      const cancelButton = [{ text: '◀️ Отмена', callback_data: `meeting:details:${state.meetingId}:${state.conferenceCode}` }];
+      if (!locationButtons.length) {
+        await clearUserState(ctx.from.id);
+        return ctx.editMessageText('😔 На это время все места для встреч заняты. Предложите другое время.', {
+          reply_markup: { inline_keyboard: [cancelButton] },
+        });
+      }
+      return ctx.editMessageText('📍 Выберите место встречи:', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '⏭ Оставить текущее место, если свободно', callback_data: 'meeting:ploc:skip' }],
+            ...locationButtons,
+            cancelButton,
+          ],
+        },
+      });
+    }
+
+    await ctx.editMessageText(
+      '📍 Введите место встречи (например, «Стенд 12» или «Кофе-зона у зала B»).',
+      {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '⏭ Оставить место без изменений', callback_data: 'meeting:ploc:skip' }],
+            [{ text: '◀️ Отмена', callback_data: `meeting:details:${state.meetingId}:${state.conferenceCode}` }],
+          ],
+        },
+      }
+    );
+  });
+
+  bot.action('meeting:ploc:skip', async (ctx) => {
+    await ctx.answerCbQuery();
+    const state = await userState.get(ctx.from.id);
+    if (!state || state.flow !== 'propose_meeting_time' || state.step !== 'enter_location') {
+      return ctx.reply('❌ Неверное состояние. Начните заново.', await getMainMenu(ctx.from));
+    }
+    await submitMeetingProposal(ctx, state, undefined);
+  });
+
+  bot.action(/^meeting:ploc:([0-9a-f]{24})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const state = await userState.get(ctx.from.id);
+    if (!state || state.flow !== 'propose_meeting_time' || state.step !== 'enter_location') {
+      return ctx.reply('❌ Неверное состояние. Начните заново.', await getMainMenu(ctx.from));
+    }
+    await submitMeetingProposal(ctx, state, undefined, ctx.match[1]);
+  });
+
+  bot.action(/^meeting:rs_(ok|no):(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const [, answer, meetingId] = ctx.match;
+    try {
+      const { respondToReschedule } = require('../services/meeting.service');
+      const { Conference } = require('../models/conference');
+      const accept = answer === 'ok';
+      const { meeting } = await respondToReschedule({ telegramUser: ctx.from, meetingId, accept });
+      const conference = await Conference.findById(meeting.conference);
+      await ctx.editMessageText(
+        accept
+          ? `✅ Перенос подтверждён!\n\nНовое время: ${new Date(meeting.proposedTime).toLocaleString('ru-RU')}`
+          : `👌 Встреча остаётся в прежнее время: ${new Date(meeting.proposedTime).toLocaleString('ru-RU')}`,
+        { reply_markup: { inline_keyboard: [[{ text: '◀️ Назад', callback_data: `meeting:list:${conference.conferenceCode}` }]] } }
+      );
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
   bot.action(/^meeting:slots:(.+)$/, async (ctx) => {
     await ctx.answerCbQuery();
     const conferenceCode = ctx.match[1];
     try {
       const { getAvailableTimeSlots } = require('../services/meeting.service');
-      // Get slots for today and tomorrow
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-
-      const todaySlots = await getAvailableTimeSlots({ telegramUser: ctx.from, conferenceCode, date: today });
-      const tomorrowSlots = await getAvailableTimeSlots({ telegramUser: ctx.from, conferenceCode, date: tomorrow });
+      const { Conference } = require('../models/conference');
+      const { getNetworkingDays, formatTime, formatDayKey } = require('../lib/networking-hours');
+      // Get slots for the next two networking days
+      const conference = await Conference.findOne({ conferenceCode });
+      const days = conference ? getNetworkingDays(conference, { limit: 2 }) : [];
+      const results = [];
+      for (const day of days) {
+        results.push(await getAvailableTimeSlots({ telegramUser: ctx.from, conferenceCode, date: day }));
+      }
 
       let text = '⏰ Доступные временные слоты\n\n';
       
-      if (todaySlots.slots.length === 0 && tomorrowSlots.slots.length === 0) {
-        text += '❌ Нет доступных слотов на сегодня и завтра.\n\n';
-        text += `📅 У вас запланировано встреч:\n`;
-        text += `Сегодня: ${todaySlots.meetings.length}\n`;
-        text += `Завтра: ${tomorrowSlots.meetings.length}`;
-      } else {
-        if (todaySlots.slots.length > 0) {
-          text += `📅 Сегодня (${today.toLocaleDateString('ru-RU')}):\n`;
-          todaySlots.slots.slice(0, 10).forEach((slot) => {
-            text += `  • ${slot.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' })}\n`;
+      if (!results.some((r) => r.slots.length > 0)) {
+        text += '❌ Нет доступных слотов в ближайшие дни нетворкинга.\n';
+        if (results.length) {
+          text += `\n📅 У вас запланировано встреч:\n`;
+          results.forEach((r) => {
+            text += `${formatDayKey(r.day)}: ${r.meetings.length}\n`;
           });
-          if (todaySlots.slots.length > 10) {
-            text += `  ... и ещё ${todaySlots.slots.length - 10} слотов\n`;
-          }
-          text += '\n';
         }
-
-        if (tomorrowSlots.slots.length > 0) {
-          text += `📅 Завтра (${tomorrow.toLocaleDateString('ru-RU')}):\n`;
-          tomorrowSlots.slots.slice(0, 10).forEach((slot) => {
-            text += `  • ${slot.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' })}\n`;
+      } else {
+        results.forEach((r) => {
+          if (!r.slots.length) return;
+          text += `📅 ${formatDayKey(r.day)} (${r.timezone}):\n`;
+          r.slots.slice(0, 10).forEach((slot) => {
+            text += `  • ${formatTime(slot, r.timezone)}\n`;
           });
-          if (tomorrowSlots.slots.length > 10) {
-            text += `  ... и ещё ${tomorrowSlots.slots.length - 10} слотов\n`;
+          if (r.slots.length > 10) {
+            text += `  ... и ещё ${r.slots.length - 10} слотов\n`;
           }
-        }
+          text += '\n';
+        });
       }
 
       await ctx.editMessageText(
         text,
-        { reply_markup: { inline_keyboard: [[{ text: '◀️ Назад', callback_data: `meeting:menu:${conferenceCode}` }]] } }
+        {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '🚫 Заблокировать время', callback_data: `meeting:blocks:${conferenceCode}` }],
+              [{ text: '◀️ Назад', callback_data: `meeting:menu:${conferenceCode}` }],
+            ],
+          },
+        }
       );
     } catch (err) {
       console.error('Error in meeting:slots', err);
@@ -2333,6 +3170,169 @@ function initBot() {
     }
   });
 
+  /**
+   * Personal blocked time: free slots of the next networking days can be blocked for meetings,
+   * blocked ones given back
+   */
+  async function showBlockedTimes(ctx, conferenceCode) {
+    const { listBlockedTimes, getAvailableTimeSlots } = require('../services/meeting.service');
+    const { Conference } = require('../models/conference');
+    const { getConferenceTimezone, getNetworkingDays, formatTime, formatDayKey, toDayKey } = require('../lib/networking-hours');
+
+    const conference = await Conference.findOne({ conferenceCode });
+    if (!conference) {
+      throw new Error('CONFERENCE_NOT_FOUND');
+    }
+    const timezone = getConferenceTimezone(conference);
+    const blocked = await listBlockedTimes({ telegramUser: ctx.from, conferenceCode });
+    const formatAt = (date) => `${formatDayKey(toDayKey(date, timezone))} ${formatTime(date, timezone)}`;
+
+    let text = '🚫 Заблокированное время\n\nВ это время вам не предложат встречу и не смогут её назначить.\n\n';
+    text += blocked.length
+      ? blocked.map((b) => `• ${formatAt(b.startsAt)} – ${formatTime(b.endsAt, timezone)}`).join('\n')
+      : 'Пока ничего не заблокировано.';
+    text += '\n\nНажмите на свободный слот, чтобы заблокировать его, или на заблокированный, чтобы снять блок.';
+
+    const buttons = blocked.slice(0, 10).map((b) => [
+      { text: `✅ Снять: ${formatAt(b.startsAt)}`, callback_data: `meeting:unblock:${conferenceCode}:${b._id}` },
+    ]);
+
+    const freeSlots = [];
+    for (const day of getNetworkingDays(conference, { limit: 2 })) {
+      const { slots } = await getAvailableTimeSlots({ telegramUser: ctx.from, conferenceCode, date: day });
+      freeSlots.push(...slots);
+    }
+    const slotButtons = freeSlots.slice(0, 12).map((slot) => ({
+      text: `🚫 ${formatAt(slot)}`,
+      callback_data: `meeting:block:${conferenceCode}:${Math.floor(slot.getTime() / 1000)}`,
+    }));
+    for (let i = 0; i < slotButtons.length; i += 2) {
+      buttons.push(slotButtons.slice(i, i + 2));
+    }
+    buttons.push([{ text: '◀️ Назад', callback_data: `meeting:slots:${conferenceCode}` }]);
+
+    await ctx.editMessageText(text, { reply_markup: { inline_keyboard: buttons } });
+  }
+
+  bot.action(/^meeting:blocks:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    try {
+      await showBlockedTimes(ctx, ctx.match[1]);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  bot.action(/^meeting:block:(.+):(\d+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const conferenceCode = ctx.match[1];
+    try {
+      const { blockTime } = require('../services/meeting.service');
+      const { Conference } = require('../models/conference');
+      const { getNetworkingSettings } = require('../lib/networking-hours');
+      const conference = await Conference.findOne({ conferenceCode });
+      if (!conference) {
+        throw new Error('CONFERENCE_NOT_FOUND');
+      }
+      const startsAt = new Date(parseInt(ctx.match[2], 10) * 1000);
+      const endsAt = new Date(startsAt.getTime() + getNetworkingSettings(conference).slotMinutes * 60 * 1000);
+      await blockTime({ telegramUser: ctx.from, conferenceCode, startsAt, endsAt });
+      await showBlockedTimes(ctx, conferenceCode);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  bot.action(/^meeting:unblock:(.+):([a-f0-9]{24})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const conferenceCode = ctx.match[1];
+    try {
+      const { unblockTime } = require('../services/meeting.service');
+      await unblockTime({ telegramUser: ctx.from, conferenceCode, blockedTimeId: ctx.match[2] });
+      await showBlockedTimes(ctx, conferenceCode);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  /**
+   * Personal calendar feed link with subscription instructions
+   */
+  async function showCalendarFeed(ctx, conferenceCode, token) {
+    const { getCalendarFeedUrl } = require('../services/calendar.service');
+    await ctx.editMessageText(
+      '📆 Календарь встреч\n\n' +
+      'Подпишитесь на эту ссылку в Google Calendar, Apple Calendar или Outlook («Добавить календарь по URL») — ' +
+      'принятые встречи всех ваших конференций появятся там и будут обновляться при переносе или отмене.\n\n' +
+      `${getCalendarFeedUrl(token)}\n\n` +
+      '🔒 Ссылка личная: по ней видны ваши встречи. Если она попала к посторонним, создайте новую.',
+      {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🔄 Создать новую ссылку', callback_data: `meeting:calreset:${conferenceCode}` }],
+            [{ text: '◀️ Назад', callback_data: `meeting:menu:${conferenceCode}` }],
+          ],
+        },
+      }
+    );
+  }
+
+  bot.action(/^meeting:calendar:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    try {
+      const { getOrCreateCalendarToken } = require('../services/calendar.service');
+      const token = await getOrCreateCalendarToken({ telegramUser: ctx.from });
+      await showCalendarFeed(ctx, ctx.match[1], token);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  bot.action(/^meeting:calreset:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery('Старая ссылка больше не работает');
+    try {
+      const { resetCalendarToken } = require('../services/calendar.service');
+      const token = await resetCalendarToken({ telegramUser: ctx.from });
+      await showCalendarFeed(ctx, ctx.match[1], token);
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
+  // Single meeting as an .ics file
+  bot.action(/^meeting:ics:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    try {
+      const { Meeting } = require('../models/meeting');
+      const { isValidObjectId } = require('../lib/conference-helper');
+      const { buildMeetingIcs } = require('../services/calendar.service');
+      const meeting = isValidObjectId(ctx.match[1]) ? await Meeting.findById(ctx.match[1]).populate('requester recipient') : null;
+      if (!meeting || !meeting.requester || !meeting.recipient) {
+        throw new Error('MEETING_NOT_FOUND');
+      }
+
+      const user = await ensureUserFromTelegram(ctx.from);
+      const self = [meeting.requester, meeting.recipient].find((p) => p.telegramId === user.telegramId);
+      if (!self) {
+        throw new Error('NOT_PARTICIPANT');
+      }
+
+      const ics = await buildMeetingIcs({ meeting, forProfileId: self._id });
+      await ctx.replyWithDocument(
+        { source: Buffer.from(ics, 'utf8'), filename: `meeting-${meeting._id}.ics` },
+        { caption: '📅 Откройте файл, чтобы добавить встречу в календарь.' }
+      );
+    } catch (err) {
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getUserMenu());
+    }
+  });
+
   bot.action(/^meeting:complete:(.+):(.+)$/, async (ctx) => {
     await ctx.answerCbQuery();
     const [, meetingId, conferenceCode] = ctx.match;
@@ -2391,7 +3391,11 @@ function initBot() {
     
     for (const conf of conferences.filter(c => c && c.conferenceCode)) {
       const adminUrl = getOrganizerAdminUrl(conf.conferenceCode, ctx.from.id);
-      const reportUrl = getOrganizerDashboardUrl(conf.conferenceCode, ctx.from.id);
+      // Without the dashboard feature only the admin panel (with its plan tab) is offered
+      const features = await getFeatureMap(conf._id);
+      const reportUrl = features.organizerDashboardEnabled
+        ? getOrganizerDashboardUrl(conf.conferenceCode, ctx.from.id)
+        : null;
       if (adminUrl) {
         buttons.push([Markup.button.url(`🔧 ${conf.title} (Управление)`, adminUrl)]);
         if (reportUrl) {
@@ -2440,10 +3444,17 @@ function initBot() {
       
       // Create buttons with dashboard link
       const buttons = [];
-      const dashboardUrl = getOrganizerDashboardUrl(conferenceCode, ctx.from.id);
+      const { getConferenceIdByCode } = require('../lib/conference-helper');
+      const features = await getFeatureMap(await getConferenceIdByCode(conferenceCode));
+      const dashboardUrl = features.organizerDashboardEnabled
+        ? getOrganizerDashboardUrl(conferenceCode, ctx.from.id)
+        : null;
       if (dashboardUrl) {
         buttons.push([Markup.button.url('📊 Открыть Dashboard', dashboardUrl)]);
       }
+      buttons.push([features.exportPdfEnabled
+        ? Markup.button.callback('📄 Скачать PDF', `report:pdf:${conferenceCode}`)
+        : Markup.button.callback('🔒 Скачать PDF', `feature:info:exportPdfEnabled:${conferenceCode}`)]);
       buttons.push([Markup.button.callback('◀️ Назад', 'menu:admin_report')]);
       
       try {
@@ -2467,6 +3478,26 @@ function initBot() {
     }
   });
 
+  bot.action(/^report:pdf:(.+)$/, requireBotFeature('exportPdfEnabled'), async (ctx) => {
+    await ctx.answerCbQuery('⏳ Готовим PDF...');
+    const conferenceCode = ctx.match[1];
+    try {
+      const { generateOrganizerReport } = require('../services/report.service');
+      const { renderReportPdf } = require('../lib/report-pdf');
+      await ctx.sendChatAction('upload_document');
+      const report = await generateOrganizerReport({ telegramUser: ctx.from, conferenceCode });
+      const pdf = await renderReportPdf(report);
+      await ctx.replyWithDocument(
+        { source: pdf, filename: `report-${conferenceCode}-${Date.now()}.pdf` },
+        { caption: `📊 Отчёт организатора: ${report.conference.title}` }
+      );
+    } catch (err) {
+      console.error('Error in report:pdf', err);
+      const { handleHandlerError } = require('../services/handler.service');
+      await handleHandlerError(ctx, err, getConferenceAdminMenu());
+    }
+  });
+
   // ========== TEXT HANDLERS (for flows) ==========
   
   bot.on('text', async (ctx) => {
@@ -2486,7 +3517,7 @@ function initBot() {
 
     // Check if user has any active state
     // Priority: userState first (more recent actions), then onboardingState from DB
-    const state = userState.get(ctx.from.id);
+    const state = await userState.get(ctx.from.id);
     const { getOnboardingState } = require('../services/onboarding.service');
     let onboarding = await getOnboardingState(ctx.from.id);
     // Only consider active onboarding (not completed)
@@ -2556,10 +3587,12 @@ function initBot() {
 
     // Join conference flow
     if (state && state.flow === 'join_conference') {
+      const isAccessCodeStep = state.step === 'enter_access_code';
       try {
         const { conference } = await joinConference({
           telegramUser: ctx.from,
-          code: text,
+          code: isAccessCodeStep ? state.conferenceCode : text,
+          accessCode: isAccessCodeStep ? text : undefined,
         });
         await clearUserState(ctx.from.id);
         await ctx.reply(
@@ -2567,10 +3600,21 @@ function initBot() {
           await getMainMenu(ctx.from)
         );
       } catch (err) {
+        // Private conference: ask for an access code and keep the conference in state
+        if (err.message === 'CONFERENCE_PRIVATE' && !isAccessCodeStep) {
+          await userState.set(ctx.from.id, { flow: 'join_conference', step: 'enter_access_code', conferenceCode: text });
+          return ctx.reply(
+            '🔒 Это приватная конференция.\n\nВведите код доступа, полученный от организатора:',
+            { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: 'menu:main' }]] } }
+          );
+        }
         console.error('Error in join_conference flow', err);
         let errorMsg = '❌ Не удалось присоединиться.';
         if (err.message === 'CONFERENCE_NOT_FOUND') {
           errorMsg = '❌ Конференция не найдена или завершена.';
+        } else if (err.message === 'ACCESS_CODE_INVALID') {
+          const { formatErrorMessage } = require('../services/handler.service');
+          errorMsg = formatErrorMessage(err) + '\n\nПопробуйте ввести код ещё раз:';
         }
         await ctx.reply(errorMsg, { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: 'menu:main' }]] } });
       }
@@ -2623,6 +3667,7 @@ function initBot() {
           conferenceCode: state.conferenceCode,
           text,
           targetSpeakerProfileId: state.targetSpeaker || null,
+          sessionId: state.sessionId || null,
         });
         await clearUserState(ctx.from.id);
         const targetText = state.targetSpeaker ? ' спикеру' : '';
@@ -2635,6 +3680,8 @@ function initBot() {
         let errorMsg = '❌ Не удалось отправить вопрос.';
         if (err.message === 'NOT_IN_CONFERENCE') {
           errorMsg = '❌ Сначала присоединитесь к этой конференции через кнопку "➕ Присоединиться".';
+        } else if (err.message === 'SESSION_NOT_FOUND') {
+          errorMsg = '❌ Сессия программы не найдена. Начните заново через «❓ Задать вопрос».';
         } else if (err.message && err.message.startsWith('VALIDATION_ERROR:')) {
           errorMsg = `❌ ${err.message.replace('VALIDATION_ERROR: ', '')}`;
         }
@@ -2675,7 +3722,7 @@ function initBot() {
     if (state && state.flow === 'edit_conference' && state.step === 'enter_title') {
       try {
         const title = text.trim() !== '-' ? text.trim() : null;
-        userState.set(ctx.from.id, { ...state, title, step: 'enter_description' });
+        await userState.set(ctx.from.id, { ...state, title, step: 'enter_description' });
         await ctx.reply(
           'Введите описание конференции (или "-" чтобы пропустить):',
           { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `admin:conf:${state.conferenceCode}` }]] } }
@@ -2716,7 +3763,7 @@ function initBot() {
     // Create poll flow (speaker/admin)
     if (state && state.flow === 'create_poll' && state.step === 'enter_question') {
       try {
-        userState.set(ctx.from.id, { ...state, question: text, step: 'enter_options' });
+        await userState.set(ctx.from.id, { ...state, question: text, step: 'enter_options' });
         const cancelCallback = state.conferenceCode ? 
           `admin:polls:${state.conferenceCode}` : 
           `speaker:polls:conf:${state.conferenceCode}`;
@@ -2866,7 +3913,9 @@ function initBot() {
         );
       } catch (err) {
         console.error('Error in set_slide flow', err);
-        await ctx.reply('❌ Ошибка при установке слайда.', { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `admin:slides:${state.conferenceCode}` }]] } });
+        const { formatErrorMessage } = require('../services/handler.service');
+        const errorMsg = err.message === 'FEATURE_NOT_AVAILABLE' ? formatErrorMessage(err) : '❌ Ошибка при установке слайда.';
+        await ctx.reply(errorMsg, { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `admin:slides:${state.conferenceCode}` }]] } });
       }
       return;
     }
@@ -2884,27 +3933,15 @@ function initBot() {
         const [, day, month, year] = match;
         const currentYear = new Date().getFullYear();
         const selectedYear = year ? parseInt(year) : currentYear;
-        const selectedDate = new Date(selectedYear, parseInt(month) - 1, parseInt(day));
+        // Calendar date only; the conference timezone is applied once the time is known
+        const selectedDate = new Date(Date.UTC(selectedYear, parseInt(month) - 1, parseInt(day)));
         
-        if (isNaN(selectedDate.getTime())) {
+        if (isNaN(selectedDate.getTime()) || selectedDate.getUTCDate() !== parseInt(day) || selectedDate.getUTCMonth() !== parseInt(month) - 1) {
           await ctx.reply('❌ Неверная дата.', { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }]] } });
           return;
         }
 
-        selectedDate.setHours(0, 0, 0, 0);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (selectedDate < today) {
-          await ctx.reply('❌ Нельзя выбрать прошедшую дату.', { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }]] } });
-          return;
-        }
-
-        userState.set(ctx.from.id, { ...state, selectedDate: selectedDate.toISOString(), step: 'enter_time' });
-        await ctx.reply(
-          `✅ Дата выбрана: ${selectedDate.toLocaleDateString('ru-RU')}\n\n⏰ Введите время встречи в формате ЧЧ:ММ\nНапример: 14:30`,
-          { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }]] } }
-        );
+        await selectMeetingDay(ctx, state, selectedDate.toISOString().slice(0, 10), (replyText, extra) => ctx.reply(replyText, extra));
         return;
       } catch (err) {
         console.error('Error in enter_date_manual flow', err);
@@ -2914,7 +3951,7 @@ function initBot() {
     }
 
     // Request meeting flow - enter time (after date was selected)
-    if (state && state.flow === 'request_meeting' && state.step === 'enter_time' && state.selectedDate) {
+    if (state && state.flow === 'request_meeting' && state.step === 'enter_time' && state.selectedDay) {
       try {
         // Parse time: HH:MM
         const match = text.trim().match(/^(\d{1,2}):(\d{2})$/);
@@ -2932,56 +3969,87 @@ function initBot() {
           return;
         }
 
-        // Parse the selected date (stored as ISO string)
-        // Important: When we parse an ISO string, it's interpreted as UTC
-        // But we want to interpret user input as local server time
-        // So we need to extract the date components and create a new Date in local timezone
-        const baseDate = new Date(state.selectedDate);
-        
-        // Get date components in local timezone to avoid UTC interpretation issues
-        const year = baseDate.getFullYear();
-        const month = baseDate.getMonth();
-        const day = baseDate.getDate();
-        
-        // Create a new Date in local timezone with the specified date and time
-        // This ensures the time is interpreted as local server time, not UTC
-        const proposedTime = new Date(year, month, day, hourNum, minuteNum, 0, 0);
-        
-        // Log for debugging (can be removed in production)
-        const serverTZ = Intl.DateTimeFormat().resolvedOptions().timeZone;
-        console.log(`[Meeting Time] User input: ${hourNum}:${minuteNum.toString().padStart(2, '0')}, Server TZ: ${serverTZ}, Local: ${proposedTime.toLocaleString('ru-RU', { timeZone: serverTZ })}, UTC: ${proposedTime.toISOString()}`);
+        // The selected day and the entered time are wall-clock values in the conference timezone
+        const { Conference } = require('../models/conference');
+        const { getConferenceTimezone, zonedTime } = require('../lib/networking-hours');
+        const conference = await Conference.findOne({ conferenceCode: state.conferenceCode });
+        const timeText = `${String(hourNum).padStart(2, '0')}:${String(minuteNum).padStart(2, '0')}`;
+        const proposedTime = zonedTime(state.selectedDay, timeText, getConferenceTimezone(conference));
 
         if (isNaN(proposedTime.getTime())) {
           await ctx.reply('❌ Неверная дата или время.', { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }]] } });
           return;
         }
 
-        const { requestMeeting } = require('../services/meeting.service');
-        const { meeting } = await requestMeeting({
-          telegramUser: ctx.from,
-          conferenceCode: state.conferenceCode,
-          recipientProfileId: state.recipientProfileId,
-          proposedTime,
-          durationMinutes: 30,
-        });
-
-        await clearUserState(ctx.from.id);
-        await ctx.reply(
-          `✅ Запрос на встречу отправлен!\n\nВремя: ${proposedTime.toLocaleString('ru-RU')}\nДлительность: 30 минут`,
-          await getMainMenu(ctx.from)
-        );
+        await chooseMeetingLocation(ctx, state, proposedTime);
       } catch (err) {
         console.error('Error in request_meeting flow', err);
-        let errorMsg = '❌ Ошибка при создании запроса на встречу.';
-        if (err.message === 'TIME_CONFLICT') {
-          errorMsg = '❌ У вас или у получателя уже есть встреча в это время.';
-        } else if (err.message === 'INVALID_TIME_PAST') {
-          errorMsg = '❌ Нельзя запланировать встречу в прошлом.';
-        } else if (err.message === 'RECIPIENT_NOT_FOUND') {
-          errorMsg = '❌ Получатель не найден.';
+        await ctx.reply('❌ Ошибка при создании запроса на встречу.', { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }]] } });
+      }
+      return;
+    }
+
+    // Counter-offer / reschedule flow - new date and time
+    if (state && state.flow === 'propose_meeting_time' && state.step === 'enter_datetime') {
+      const cancelMenu = { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:details:${state.meetingId}:${state.conferenceCode}` }]] } };
+      // DD.MM[.YYYY] HH:MM, or only HH:MM to keep the current date
+      const match = text.trim().match(/^(?:(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?\s+)?(\d{1,2}):(\d{2})$/);
+      if (!match) {
+        await ctx.reply('❌ Неверный формат. Используйте: ДД.ММ ЧЧ:ММ или ЧЧ:ММ\nНапример: 25.12 14:30', cancelMenu);
+        return;
+      }
+
+      const [, dayPart, month, year, hour, minute] = match;
+      const hourNum = parseInt(hour, 10);
+      const minuteNum = parseInt(minute, 10);
+      if (hourNum > 23 || minuteNum > 59) {
+        await ctx.reply('❌ Неверное время. Часы: 0-23, минуты: 0-59.', cancelMenu);
+        return;
+      }
+
+      // Wall-clock time in the conference timezone, like the meeting request flow
+      const { Meeting } = require('../models/meeting');
+      const { getConferenceTimezone, toDayKey, zonedTime, formatDayKey } = require('../lib/networking-hours');
+      const meeting = await Meeting.findById(state.meetingId).populate('conference');
+      const timezone = getConferenceTimezone(meeting && meeting.conference);
+      const dayKey = dayPart
+        ? `${year || new Date().getFullYear()}-${String(month).padStart(2, '0')}-${String(dayPart).padStart(2, '0')}`
+        : toDayKey(meeting ? meeting.proposedTime : new Date(), timezone);
+      const timeText = `${String(hourNum).padStart(2, '0')}:${minute}`;
+      const proposedTime = zonedTime(dayKey, timeText, timezone);
+
+      if (isNaN(proposedTime.getTime())) {
+        await ctx.reply('❌ Неверная дата или время.', cancelMenu);
+        return;
+      }
+      if (proposedTime <= new Date()) {
+        await ctx.reply('❌ Нельзя запланировать встречу в прошлом.', cancelMenu);
+        return;
+      }
+
+      await userState.set(ctx.from.id, { ...state, proposedTime: proposedTime.toISOString(), step: 'choose_duration' });
+      await ctx.reply(
+        `✅ Время: ${formatDayKey(dayKey)} ${timeText} (${timezone})\n\n⏱️ Выберите длительность встречи:`,
+        {
+          reply_markup: {
+            inline_keyboard: [
+              [15, 30, 45, 60].map((m) => ({ text: `${m} мин`, callback_data: `meeting:pdur:${m}` })),
+              [{ text: '◀️ Отмена', callback_data: `meeting:details:${state.meetingId}:${state.conferenceCode}` }],
+            ],
+          },
         }
-        await ctx.reply(errorMsg, { reply_markup: { inline_keyboard: [[{ text: '◀️ Отмена', callback_data: `meeting:request:${state.conferenceCode}` }]] } });
+      );
+      return;
+    }
+
+    // Counter-offer / reschedule flow - location
+    if (state && state.flow === 'propose_meeting_time' && state.step === 'enter_location') {
+      const location = text.trim();
+      if (location.length > 200) {
+        await ctx.reply('❌ Слишком длинное место встречи (максимум 200 символов).');
+        return;
       }
+      await submitMeetingProposal(ctx, state, location);
       return;
     }
 
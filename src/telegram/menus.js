@@ -115,11 +115,14 @@ function getUserMenu() {
   return Markup.inlineKeyboard([
     [Markup.button.webApp('🚀 Открыть приложение', getWebAppUrl())],
     [Markup.button.callback('📋 Мои конференции', 'menu:my_conferences')],
+    [Markup.button.callback('🗓️ Мой день', 'menu:my_day')],
     [Markup.button.callback('➕ Присоединиться', 'menu:join_conference')],
     [Markup.button.callback('👤 Заполнить профиль', 'menu:onboarding')],
     [Markup.button.callback('👁️ Мой профиль', 'menu:view_profile')],
     [Markup.button.callback('🔍 Найти участников', 'menu:find_participants')],
     [Markup.button.callback('🤝 Встречи 1:1', 'menu:meetings')],
+    [Markup.button.callback('📇 Мои контакты', 'menu:contacts')],
+    [Markup.button.callback('📅 Программа', 'menu:agenda')],
     [Markup.button.callback('❓ Задать вопрос', 'menu:ask_question')],
     [Markup.button.callback('📊 Опросы', 'menu:polls')],
     [Markup.button.callback('◀️ Главное меню', 'menu:main')],
@@ -228,6 +231,7 @@ function getReplyKeyboard() {
     ['📋 Мои конференции', '➕ Присоединиться'],
     ['👤 Профиль', '🔍 Найти участников'],
     ['❓ Задать вопрос', '📊 Опросы'],
+    ['📅 Программа', '📇 Мои контакты'],
   ])
     .resize()
     .persistent();
@@ -241,9 +245,13 @@ function removeReplyKeyboard() {
 }
 
 /**
- * Conference management menu (for conference admins)
+ * Conference management menu (for conference admins).
+ * `features` (see getFeatureMap in src/lib/feature-gate.js) locks the buttons of features
+ * the conference plan does not include; without it every button is shown.
  */
-function getConferenceManagementMenu(conferenceCode) {
+function getConferenceManagementMenu(conferenceCode, features = null) {
+  const isEnabled = (feature) => !features || features[feature] !== false;
+
   const buttons = [
     [
       Markup.button.callback('✏️ Редактировать', `admin:edit_conf:${conferenceCode}`),
@@ -256,19 +264,24 @@ function getConferenceManagementMenu(conferenceCode) {
     [Markup.button.callback('🗑️ Удалить', `admin:delete_conf:${conferenceCode}`)],
     [
       Markup.button.callback('❓ Модерация вопросов', `admin:moderate:${conferenceCode}`),
-      Markup.button.callback('📊 Опросы', `admin:polls:${conferenceCode}`)
+      isEnabled('pollsEnabled')
+        ? Markup.button.callback('📊 Опросы', `admin:polls:${conferenceCode}`)
+        : Markup.button.callback('🔒 Опросы', `feature:info:pollsEnabled:${conferenceCode}`)
     ],
     [
       Markup.button.callback('🖼️ Слайды', `admin:slides:${conferenceCode}`),
       Markup.button.callback('👥 Участники', `admin:participants:${conferenceCode}`)
     ],
+    [Markup.button.callback('🔑 Коды доступа', `admin:codes:${conferenceCode}`)],
     [Markup.button.callback('📊 Отчёт организатора', `report:conf:${conferenceCode}`)],
   ];
 
   // Add second screen button if URL can be generated
   const secondScreenUrl = getSecondScreenUrl(conferenceCode);
-  if (secondScreenUrl) {
+  if (secondScreenUrl && isEnabled('secondScreenEnabled')) {
     buttons.push([Markup.button.url('📺 Открыть второй экран', secondScreenUrl)]);
+  } else if (secondScreenUrl) {
+    buttons.push([Markup.button.callback('🔒 Второй экран', `feature:info:secondScreenEnabled:${conferenceCode}`)]);
   }
 
   buttons.push([Markup.button.callback('◀️ Назад', 'menu:conference_admin')]);
@@ -339,6 +352,7 @@ function getParticipantSelectionMenu(participants, actionPrefix) {
  */
 function getSearchFilterMenu(conferenceCode) {
   return Markup.inlineKeyboard([
+    [Markup.button.callback('⭐ Рекомендовано для меня', `search:rec:${conferenceCode}:1`)],
     [Markup.button.callback('👥 Все участники', `search:filter:${conferenceCode}:all`)],
     [Markup.button.callback('🎤 Спикеры', `search:filter:${conferenceCode}:speaker`)],
     [Markup.button.callback('💰 Инвесторы', `search:filter:${conferenceCode}:investor`)],
@@ -375,6 +389,7 @@ function getMeetingMenu(conferenceCode) {
     [Markup.button.callback('➕ Запросить встречу', `meeting:request:${conferenceCode}`)],
     [Markup.button.callback('📋 Мои встречи', `meeting:list:${conferenceCode}`)],
     [Markup.button.callback('⏰ Доступные слоты', `meeting:slots:${conferenceCode}`)],
+    [Markup.button.callback('📆 Календарь (ICS)', `meeting:calendar:${conferenceCode}`)],
     [Markup.button.callback('◀️ Назад', 'menu:main')],
   ]);
 }
@@ -394,6 +409,7 @@ function getMeetingListMenu(meetings, conferenceCode, userTelegramId) {
       rejected: '❌',
       cancelled: '🚫',
       completed: '✅',
+      expired: '⌛',
     }[m.status] || '❓';
     return [Markup.button.callback(
       `${statusEmoji} ${otherPerson} - ${new Date(m.proposedTime).toLocaleString('ru-RU', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`,
@@ -413,11 +429,15 @@ function getMeetingDetailsMenu(meeting, conferenceCode, userTelegramId, chatUrl
   const meetingTime = new Date(meeting.proposedTime);
   const meetingEndTime = new Date(meetingTime.getTime() + meeting.durationMinutes * 60 * 1000);
 
+  const { getOpenProposal, getAwaitingParticipant } = require('../services/meeting.service');
+  const awaiting = getAwaitingParticipant(meeting);
+  const isAwaitingUser = Boolean(awaiting && awaiting.telegramId === userTelegramId);
+
   if (meeting.status === 'pending') {
-    const isRecipient = meeting.recipient.telegramId === userTelegramId;
-    if (isRecipient) {
-      // User is recipient
+    if (isAwaitingUser) {
+      // The current offer is addressed to this user
       buttons.push([Markup.button.callback('✅ Принять', `meeting:accept:${meeting._id}`)]);
+      buttons.push([Markup.button.callback('🔁 Предложить другое время', `meeting:counter:${meeting._id}`)]);
       buttons.push([Markup.button.callback('❌ Отклонить', `meeting:reject:${meeting._id}`)]);
     }
     buttons.push([Markup.button.callback('🚫 Отменить', `meeting:cancel:${meeting._id}`)]);
@@ -429,8 +449,19 @@ function getMeetingDetailsMenu(meeting, conferenceCode, userTelegramId, chatUrl
     if (now >= meetingTime && now < meetingEndTime) {
       buttons.push([Markup.button.callback('✅ Отметить как завершённую', `meeting:complete:${meeting._id}:${conferenceCode}`)]);
     } else if (now < meetingTime) {
+      const reschedule = getOpenProposal(meeting);
+      if (reschedule && isAwaitingUser) {
+        buttons.push([Markup.button.callback('✅ Подтвердить перенос', `meeting:rs_ok:${meeting._id}`)]);
+        buttons.push([Markup.button.callback('❌ Оставить как было', `meeting:rs_no:${meeting._id}`)]);
+      }
+      if (!reschedule || isAwaitingUser) {
+        buttons.push([Markup.button.callback('🔁 Перенести', `meeting:counter:${meeting._id}`)]);
+      }
       buttons.push([Markup.button.callback('🚫 Отменить', `meeting:cancel:${meeting._id}`)]);
     }
+    if (now < meetingEndTime) {
+      buttons.push([Markup.button.callback('📅 Добавить в календарь', `meeting:ics:${meeting._id}`)]);
+    }
   }
   buttons.push([Markup.button.callback('◀️ Назад', `meeting:list:${conferenceCode}`)]);
   return Markup.inlineKeyboard(buttons);
@@ -463,26 +494,30 @@ function getMeetingParticipantMenu(participants, conferenceCode) {
 }
 
 /**
- * Meeting date selection menu with quick options
+ * Meeting date selection menu.
+ * With configured networking hours it lists the upcoming networking days,
+ * otherwise quick options (today / tomorrow / next week) in the conference timezone.
  */
-function getMeetingDateMenu(conferenceCode) {
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const nextWeek = new Date(today);
-  nextWeek.setDate(nextWeek.getDate() + 7);
-  
-  const formatDate = (date) => {
-    return date.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric' });
-  };
-  
-  return Markup.inlineKeyboard([
-    [{ text: `📅 Сегодня (${formatDate(today)})`, callback_data: `meeting:date:${conferenceCode}:today` }],
-    [{ text: `📅 Завтра (${formatDate(tomorrow)})`, callback_data: `meeting:date:${conferenceCode}:tomorrow` }],
-    [{ text: `📅 Через неделю (${formatDate(nextWeek)})`, callback_data: `meeting:date:${conferenceCode}:nextweek` }],
-    [{ text: '📝 Ввести дату вручную', callback_data: `meeting:date:${conferenceCode}:manual` }],
-    [{ text: '◀️ Отмена', callback_data: `meeting:request:${conferenceCode}` }],
-  ]);
+async function getMeetingDateMenu(conferenceCode) {
+  const { getNetworkingSettings, getNetworkingDays, toDayKey, addDays, formatDayKey } = require('../lib/networking-hours');
+  const conference = await Conference.findOne({ conferenceCode });
+  const settings = getNetworkingSettings(conference);
+
+  const buttons = [];
+  if (conference && settings.isConfigured) {
+    getNetworkingDays(conference, { limit: 7 }).forEach((day) => {
+      buttons.push([{ text: `📅 ${formatDayKey(day)}`, callback_data: `meeting:date:${conferenceCode}:${day}` }]);
+    });
+  } else {
+    const today = toDayKey(new Date(), settings.timezone);
+    buttons.push([{ text: `📅 Сегодня (${formatDayKey(today)})`, callback_data: `meeting:date:${conferenceCode}:today` }]);
+    buttons.push([{ text: `📅 Завтра (${formatDayKey(addDays(today, 1))})`, callback_data: `meeting:date:${conferenceCode}:tomorrow` }]);
+    buttons.push([{ text: `📅 Через неделю (${formatDayKey(addDays(today, 7))})`, callback_data: `meeting:date:${conferenceCode}:nextweek` }]);
+  }
+
+  buttons.push([{ text: '📝 Ввести дату вручную', callback_data: `meeting:date:${conferenceCode}:manual` }]);
+  buttons.push([{ text: '◀️ Отмена', callback_data: `meeting:request:${conferenceCode}` }]);
+  return Markup.inlineKeyboard(buttons);
 }
 
 module.exports = {
@@ -0,0 +1,82 @@
+/**
+ * Conversation state storage for multi-step bot flows.
+ * Every store exposes the same async API: get(telegramId), set(telegramId, state), delete(telegramId).
+ *
+ * BOT_SESSION_STORE=mongo (default) keeps state in MongoDB, so flows survive restarts
+ * and are shared between replicas; BOT_SESSION_STORE=memory is meant for local development.
+ * Abandoned flows expire after BOT_SESSION_TTL_MINUTES (default 120) of inactivity.
+ */
+
+const DEFAULT_TTL_MINUTES = 120;
+
+function getSessionTtlMs() {
+  const minutes = parseInt(process.env.BOT_SESSION_TTL_MINUTES, 10);
+  return (minutes > 0 ? minutes : DEFAULT_TTL_MINUTES) * 60 * 1000;
+}
+
+function createMemorySessionStore({ ttlMs = getSessionTtlMs() } = {}) {
+  const sessions = new Map();
+
+  return {
+    async get(telegramId) {
+      const entry = sessions.get(String(telegramId));
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        sessions.delete(String(telegramId));
+        return undefined;
+      }
+      return entry.state;
+    },
+
+    async set(telegramId, state) {
+      sessions.set(String(telegramId), { state, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(telegramId) {
+      sessions.delete(String(telegramId));
+    },
+  };
+}
+
+function createMongoSessionStore({ ttlMs = getSessionTtlMs() } = {}) {
+  const { BotSession } = require('../models/botSession');
+
+  return {
+    async get(telegramId) {
+      // The TTL monitor runs about once a minute, so filter by expiresAt as well
+      const session = await BotSession.findOne({
+        telegramId: String(telegramId),
+        expiresAt: { $gt: new Date() },
+      }).lean();
+      return session ? session.state : undefined;
+    },
+
+    async set(telegramId, state) {
+      await BotSession.updateOne(
+        { telegramId: String(telegramId) },
+        { $set: { state, expiresAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true }
+      );
+    },
+
+    async delete(telegramId) {
+      await BotSession.deleteOne({ telegramId: String(telegramId) });
+    },
+  };
+}
+
+function createSessionStore(type = process.env.BOT_SESSION_STORE || 'mongo') {
+  if (type === 'memory') {
+    return createMemorySessionStore();
+  }
+  if (type !== 'mongo') {
+    console.warn(`Unknown BOT_SESSION_STORE="${type}", falling back to "mongo"`);
+  }
+  return createMongoSessionStore();
+}
+
+module.exports = {
+  createSessionStore,
+  createMemorySessionStore,
+  createMongoSessionStore,
+};
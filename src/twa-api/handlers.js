@@ -1,79 +1,14 @@
-const crypto = require('crypto');
 const { ensureUserFromTelegram } = require('../services/conference.service');
-const { getGlobalProfile, updateGlobalProfile } = require('../services/profile.service');
+const { updateGlobalProfile } = require('../services/profile.service');
 const { listConferencesForUser, getConferenceById } = require('../services/conference.service');
 const { getAccessPhase, filterProfileByAccess, ACCESS_PHASES } = require('../services/access.service');
 const { UserProfile } = require('../models/userProfile');
 const { Conference } = require('../models/conference');
-
-/**
- * Verify Telegram Web App initData
- * @param {string} initData - Raw initData from Telegram.WebApp
- * @param {string} botToken - Telegram Bot Token
- * @returns {Object|null} - User data if valid, null otherwise
- */
-function verifyInitData(initData, botToken) {
-  if (!initData) return null;
-
-  const urlParams = new URLSearchParams(initData);
-  const hash = urlParams.get('hash');
-  urlParams.delete('hash');
-
-  const dataCheckString = Array.from(urlParams.entries())
-    .map(([key, value]) => `${key}=${value}`)
-    .sort()
-    .join('\n');
-
-  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
-  const calculatedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
-
-  if (calculatedHash !== hash) return null;
-
-  try {
-    const userStr = urlParams.get('user');
-    return JSON.parse(userStr);
-  } catch (e) {
-    return null;
-  }
-}
-
-/**
- * Handle TWA Authentication
- */
-async function handleAuth(req, res) {
-  const { initData } = req.body;
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
-
-  const tgUser = verifyInitData(initData, botToken);
-  if (!tgUser) {
-    return res.status(401).json({ error: 'Invalid authentication data' });
-  }
-
-  try {
-    const user = await ensureUserFromTelegram(tgUser);
-    const profile = await getGlobalProfile(user.telegramId);
-
-    res.json({
-      user: {
-        id: user.telegramId,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        username: user.username,
-      },
-      profile: profile || { 
-        firstName: user.firstName, 
-        lastName: user.lastName, 
-        username: user.username,
-        onboardingCompleted: false,
-        isIncomplete: true // Flag for TWA to show confirmation
-      },
-      token: 'mock-session-token', 
-    });
-  } catch (err) {
-    console.error('TWA Auth Error:', err);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-}
+const { User } = require('../models/user');
+const { getMutualAvailability, listBlockedTimes, blockTime, unblockTime } = require('../services/meeting.service');
+const { getMyDay, setDailyDigest } = require('../services/myDay.service');
+const { DAY_KEY_PATTERN } = require('../lib/networking-hours');
+const { getFeatureMap } = require('../lib/feature-gate');
 
 /**
  * Get User Dashboard Data
@@ -88,8 +23,10 @@ async function getDashboardData(req, res) {
     // Get access phase for each conference
     const enrichedConferences = await Promise.all(conferences.map(async (c) => {
       const userProfile = await UserProfile.findOne({ telegramId: user.telegramId, conference: c._id });
-      const accessPhase = getAccessPhase(c, userProfile);
-      
+      const accessPhase = getAccessPhase(c, userProfile, user);
+      // Lets the mini app hide what the conference plan does not include
+      const features = await getFeatureMap(c._id);
+
       return {
         id: c._id,
         code: c.conferenceCode,
@@ -97,6 +34,7 @@ async function getDashboardData(req, res) {
         status: c.isEnded ? 'ended' : 'active',
         endsAt: c.endsAt,
         accessPhase,
+        features,
       };
     }));
 
@@ -139,7 +77,8 @@ async function getParticipants(req, res) {
     const userProfile = await UserProfile.findOne({ telegramId, conference: conf._id });
     if (!userProfile) return res.status(403).json({ error: 'Not a member of this conference' });
 
-    const accessPhase = getAccessPhase(conf, userProfile);
+    const user = await User.findOne({ telegramId });
+    const accessPhase = getAccessPhase(conf, userProfile, user);
     
     // Find all active profiles in conference
     const allProfiles = await UserProfile.find({ 
@@ -161,10 +100,264 @@ async function getParticipants(req, res) {
   }
 }
 
+/**
+ * Telegram-style user object for services, from the stored user
+ * (services sync name fields from it, so they must not be blanked)
+ */
+async function getTelegramUser(telegramId) {
+  const user = await User.findOne({ telegramId: String(telegramId) });
+  return user
+    ? { id: parseInt(user.telegramId, 10), username: user.username, first_name: user.firstName, last_name: user.lastName }
+    : { id: parseInt(telegramId, 10) };
+}
+
+/**
+ * Get time slots that are free for both the current user and another participant
+ * Query: conferenceCode, recipientProfileId, date (YYYY-MM-DD, optional), days (optional, default 3)
+ */
+async function getMeetingAvailability(req, res) {
+  const { telegramId } = req.user;
+  const { conferenceCode, recipientProfileId, date, days } = req.query;
+
+  if (!conferenceCode || !recipientProfileId) {
+    return res.status(400).json({ error: 'conferenceCode and recipientProfileId are required' });
+  }
+  if (date && !DAY_KEY_PATTERN.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  try {
+    const availability = await getMutualAvailability({
+      telegramUser: await getTelegramUser(telegramId),
+      conferenceCode,
+      recipientProfileId,
+      date: date || null,
+      days,
+    });
+
+    res.json({
+      timezone: availability.timezone,
+      slotMinutes: availability.slotMinutes,
+      days: availability.days.map((d) => ({
+        date: d.day,
+        slots: d.slots.map((slot) => slot.toISOString()),
+      })),
+    });
+  } catch (err) {
+    if (err.message === 'CONFERENCE_NOT_FOUND' || err.message === 'RECIPIENT_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message === 'NOT_IN_CONFERENCE') {
+      return res.status(403).json({ error: 'Not a member of this conference' });
+    }
+    if (err.message === 'CANNOT_MEET_YOURSELF') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Meeting Availability Error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+function mapBlockedTime(blocked) {
+  return { id: blocked._id, startsAt: blocked.startsAt, endsAt: blocked.endsAt };
+}
+
+function sendBlockedTimeError(res, err) {
+  if (err.message === 'CONFERENCE_NOT_FOUND' || err.message === 'BLOCKED_TIME_NOT_FOUND') {
+    return res.status(404).json({ error: err.message });
+  }
+  if (err.message === 'NOT_IN_CONFERENCE') {
+    return res.status(403).json({ error: 'Not a member of this conference' });
+  }
+  if (['INVALID_TIME', 'INVALID_TIME_PAST', 'BLOCKED_TIME_TOO_LONG', 'TOO_MANY_BLOCKED_TIMES'].includes(err.message)) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error('Blocked Time Error:', err);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+/**
+ * Time the current user blocked for meetings (not ended yet)
+ * Query: conferenceCode
+ */
+async function getBlockedTimes(req, res) {
+  const { telegramId } = req.user;
+  const { conferenceCode } = req.query;
+
+  if (!conferenceCode) {
+    return res.status(400).json({ error: 'conferenceCode is required' });
+  }
+
+  try {
+    const blocked = await listBlockedTimes({ telegramUser: await getTelegramUser(telegramId), conferenceCode });
+    res.json({ blockedTimes: blocked.map(mapBlockedTime) });
+  } catch (err) {
+    sendBlockedTimeError(res, err);
+  }
+}
+
+/**
+ * Block time for meetings: no slots are offered there and meetings can't be placed in it
+ * Body: { conferenceCode, startsAt, endsAt } (ISO dates, at most 24 hours)
+ */
+async function handleBlockTime(req, res) {
+  const { telegramId } = req.user;
+  const { conferenceCode, startsAt, endsAt } = req.body || {};
+
+  if (!conferenceCode || !startsAt || !endsAt) {
+    return res.status(400).json({ error: 'conferenceCode, startsAt and endsAt are required' });
+  }
+
+  try {
+    const blocked = await blockTime({
+      telegramUser: await getTelegramUser(telegramId),
+      conferenceCode,
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+    });
+    res.status(201).json({ blockedTime: mapBlockedTime(blocked) });
+  } catch (err) {
+    sendBlockedTimeError(res, err);
+  }
+}
+
+/**
+ * Give blocked time back to meetings
+ * Query: conferenceCode
+ */
+async function handleUnblockTime(req, res) {
+  const { telegramId } = req.user;
+  const { conferenceCode } = req.query;
+
+  if (!conferenceCode) {
+    return res.status(400).json({ error: 'conferenceCode is required' });
+  }
+
+  try {
+    await unblockTime({ telegramUser: await getTelegramUser(telegramId), conferenceCode, blockedTimeId: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    sendBlockedTimeError(res, err);
+  }
+}
+
+function mapTimelinePerson(profile) {
+  return profile ? { id: profile._id, firstName: profile.firstName, lastName: profile.lastName } : null;
+}
+
+/**
+ * Personal timeline of one conference day
+ * Query: conferenceCode, date (YYYY-MM-DD in the conference timezone, optional, default today)
+ */
+async function getMyDayTimeline(req, res) {
+  const { telegramId } = req.user;
+  const { conferenceCode, date } = req.query;
+
+  if (!conferenceCode) {
+    return res.status(400).json({ error: 'conferenceCode is required' });
+  }
+  if (date && !DAY_KEY_PATTERN.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  try {
+    const myDay = await getMyDay({
+      telegramUser: await getTelegramUser(telegramId),
+      conferenceCode,
+      day: date || null,
+    });
+
+    res.json({
+      date: myDay.day,
+      timezone: myDay.timezone,
+      dailyDigestEnabled: Boolean(myDay.profile.dailyDigestEnabled),
+      timeline: myDay.timeline.map((item) => (item.type === 'session'
+        ? {
+          type: 'session',
+          startsAt: item.startsAt,
+          endsAt: item.endsAt,
+          location: item.location,
+          session: { id: item.session._id, title: item.session.title, track: item.session.track || null },
+        }
+        : {
+          type: 'meeting',
+          startsAt: item.startsAt,
+          endsAt: item.endsAt,
+          location: item.location,
+          meetingId: item.meeting._id,
+          status: item.status,
+          awaitingMe: item.awaitingMe,
+          with: mapTimelinePerson(item.other),
+        })),
+      incomingRequests: myDay.incomingRequests.map((m) => ({
+        meetingId: m._id,
+        proposedTime: m.proposedTime,
+        durationMinutes: m.durationMinutes,
+        from: mapTimelinePerson(m.requester._id.equals(myDay.profile._id) ? m.recipient : m.requester),
+        message: m.message || null,
+      })),
+      polls: myDay.polls.map((p) => ({
+        id: p._id,
+        question: p.question,
+        options: p.options.map((opt) => ({ id: opt.id, text: opt.text })),
+      })),
+      questions: myDay.questions.map((q) => ({
+        id: q._id,
+        text: q.text,
+        status: q.status,
+        isAnswered: q.isAnswered,
+        answer: q.answer || null,
+        createdAt: q.createdAt,
+      })),
+    });
+  } catch (err) {
+    if (err.message === 'CONFERENCE_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message === 'NOT_IN_CONFERENCE') {
+      return res.status(403).json({ error: 'Not a member of this conference' });
+    }
+    console.error('My Day Error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Turn the morning digest on or off
+ * Body: { conferenceCode, enabled }
+ */
+async function handleDailyDigest(req, res) {
+  const { telegramId } = req.user;
+  const { conferenceCode, enabled } = req.body || {};
+
+  if (!conferenceCode || typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'conferenceCode and boolean enabled are required' });
+  }
+
+  try {
+    const profile = await setDailyDigest({ telegramUser: await getTelegramUser(telegramId), conferenceCode, enabled });
+    res.json({ dailyDigestEnabled: profile.dailyDigestEnabled });
+  } catch (err) {
+    if (err.message === 'CONFERENCE_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message === 'NOT_IN_CONFERENCE') {
+      return res.status(403).json({ error: 'Not a member of this conference' });
+    }
+    console.error('Daily Digest Error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 module.exports = {
-  handleAuth,
   getDashboardData,
   handleUpdateProfile,
   getParticipants,
+  getMeetingAvailability,
+  getBlockedTimes,
+  handleBlockTime,
+  handleUnblockTime,
+  getMyDayTimeline,
+  handleDailyDigest,
   // listUserChats,
 };
@@ -1,29 +1,32 @@
 const express = require('express');
-const { handleAuth, getDashboardData, handleUpdateProfile, getParticipants } = require('./handlers');
+const { twaAuthMiddleware } = require('../lib/twa-auth');
+const {
+  getDashboardData,
+  handleUpdateProfile,
+  getParticipants,
+  getMeetingAvailability,
+  getBlockedTimes,
+  handleBlockTime,
+  handleUnblockTime,
+  getMyDayTimeline,
+  handleDailyDigest,
+} = require('./handlers');
 
 const router = express.Router();
 
-/**
- * Middleware to verify TWA user (simple version for now)
- */
-function twaAuthMiddleware(req, res, next) {
-  // In a real app, this would check a JWT or verify initData
-  // For now, we expect X-Telegram-Id header (in dev) or validated req.body.user from auth
-  const telegramId = req.headers['x-telegram-id'];
-  if (!telegramId) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  req.user = { telegramId };
-  next();
-}
-
-// Public route for authentication
-router.post('/auth', handleAuth);
+// Sign-in, refresh and logout are the web app API's auth routes, so both APIs answer the same way
+router.use('/auth', require('../webapp-api/routes/auth'));
 
 // Protected routes
 router.get('/dashboard', twaAuthMiddleware, getDashboardData);
 router.post('/profile', twaAuthMiddleware, handleUpdateProfile);
 router.get('/participants', twaAuthMiddleware, getParticipants);
+router.get('/meetings/availability', twaAuthMiddleware, getMeetingAvailability);
+router.get('/meetings/blocked-times', twaAuthMiddleware, getBlockedTimes);
+router.post('/meetings/blocked-times', twaAuthMiddleware, handleBlockTime);
+router.delete('/meetings/blocked-times/:id', twaAuthMiddleware, handleUnblockTime);
+router.get('/my-day', twaAuthMiddleware, getMyDayTimeline);
+router.post('/my-day/digest', twaAuthMiddleware, handleDailyDigest);
 
 module.exports = {
   twaApiRouter: router,
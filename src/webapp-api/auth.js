@@ -0,0 +1,15 @@
+const { userIsMainAdmin } = require('../services/conference.service');
+
+/**
+ * Express middleware that only lets main admins through. Must run after twaAuthMiddleware.
+ */
+function mainAdminMiddleware(req, res, next) {
+  if (!req.user || !userIsMainAdmin({ telegramId: req.user.telegramId })) {
+    return res.status(403).json({ error: 'Main admin access required' });
+  }
+  next();
+}
+
+module.exports = {
+  mainAdminMiddleware,
+};
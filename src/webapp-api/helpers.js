@@ -0,0 +1,183 @@
+const { User } = require('../models/user');
+const { UserProfile } = require('../models/userProfile');
+const { featureErrorBody } = require('../lib/feature-gate');
+const { getAccessPhase } = require('../services/access.service');
+
+/**
+ * Service error codes and how the web app API reports them
+ */
+const SERVICE_ERRORS = {
+  CONFERENCE_CODE_REQUIRED: [400, 'conferenceCode is required'],
+  CONFERENCE_NOT_FOUND: [404, 'Conference not found'],
+  CONFERENCE_PRIVATE: [403, 'Access code is required', 'ACCESS_CODE_REQUIRED'],
+  ACCESS_CODE_INVALID: [403, 'Access code is invalid, expired or used up'],
+  ACCESS_CODE_NOT_FOUND: [404, 'Access code not found'],
+  ACCESS_DENIED: [403, 'Access denied'],
+  NOT_IN_CONFERENCE: [403, 'Not a member of this conference'],
+  PROFILE_NOT_FOUND: [404, 'Profile not found'],
+  TARGET_USER_NOT_FOUND: [404, 'User not found'],
+  CANNOT_CONNECT_YOURSELF: [400, 'Cannot send a request to yourself'],
+  CONNECTION_NOT_FOUND: [404, 'Request not found'],
+  CONNECTION_ALREADY_EXISTS: [409, 'Chat request already exists'],
+  CONNECTION_ALREADY_REQUESTED: [409, 'Chat request already exists'],
+  CONNECTION_REJECTED: [409, 'Chat request was rejected'],
+  CONNECTION_ALREADY_PROCESSED: [409, 'Request was already answered'],
+  NO_ACTIVE_CHAT: [403, 'No active chat session'],
+  MESSAGE_NOT_FOUND: [404, 'Message not found'],
+  MESSAGE_NOT_OWN: [403, 'Only the sender can change a message'],
+  MESSAGE_DELETED: [409, 'Message was deleted'],
+  EDIT_WINDOW_EXPIRED: [403, 'Message can no longer be edited or deleted'],
+  POLL_NOT_FOUND: [404, 'Poll not found'],
+  POLL_INACTIVE: [400, 'Poll is closed'],
+  INVALID_OPTION: [404, 'Option not found'],
+  ALREADY_VOTED: [409, 'You have already voted in this poll'],
+  QUESTION_NOT_FOUND: [404, 'Question not found'],
+  NOTIFICATION_NOT_FOUND: [404, 'Notification not found'],
+};
+
+/**
+ * Conference codes are lowercase; the web app used to upper-case them
+ */
+function normalizeConferenceCode(code) {
+  return typeof code === 'string' ? code.trim().toLowerCase() : '';
+}
+
+/**
+ * Telegram-style user object for services. Without verified initData (development bypass)
+ * it is built from the stored user, since services sync name fields from it.
+ */
+async function getTelegramUser(req) {
+  if (req.user.telegramUser) return req.user.telegramUser;
+
+  const user = await User.findOne({ telegramId: req.user.telegramId });
+  return user
+    ? { id: parseInt(user.telegramId, 10), username: user.username, first_name: user.firstName, last_name: user.lastName }
+    : { id: parseInt(req.user.telegramId, 10) };
+}
+
+function profileName(profile) {
+  if (!profile) return '';
+  return `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || (profile.username ? `@${profile.username}` : 'Участник');
+}
+
+/**
+ * Role shown in the web app: the first special role of the profile, else 'participant'
+ */
+function profileRole(profile) {
+  const roles = (profile && profile.roles) || [];
+  return roles.find((r) => r !== 'participant') || 'participant';
+}
+
+// Global profile fields the web app reads and edits as they are stored
+const PROFILE_TEXT_FIELDS = [
+  'bio', 'about', 'company', 'position', 'country', 'region', 'city',
+  'email', 'phone', 'telegram', 'whatsapp',
+];
+
+/**
+ * Global profile as the web app shows it. `lookingFor` is one text there and a list in the bot,
+ * `avatarUrl` is the bot's `photoUrl`.
+ */
+function mapProfile(user, globalProfile) {
+  const profile = {
+    firstName: (globalProfile && globalProfile.firstName) || user.firstName,
+    lastName: (globalProfile && globalProfile.lastName) || user.lastName,
+    username: user.username,
+  };
+  for (const field of PROFILE_TEXT_FIELDS) {
+    profile[field] = globalProfile ? globalProfile[field] : undefined;
+  }
+  profile.lookingFor = globalProfile && globalProfile.lookingFor ? globalProfile.lookingFor.join('\n') : '';
+  profile.interests = globalProfile ? globalProfile.interests : [];
+  profile.avatarUrl = globalProfile ? globalProfile.photoUrl : undefined;
+  profile.onboardingCompleted = Boolean(globalProfile && globalProfile.onboardingCompleted);
+  profile.isIncomplete = !profile.onboardingCompleted;
+  return profile;
+}
+
+/**
+ * Conference as the web app shows it (it calls the title `name`)
+ */
+function mapConference(conference, extra = {}) {
+  return {
+    id: conference._id,
+    code: conference.conferenceCode,
+    name: conference.title,
+    description: conference.description,
+    startsAt: conference.startsAt,
+    endsAt: conference.endsAt,
+    isActive: conference.isActive && !conference.isEnded,
+    isPrivate: conference.access === 'private',
+    location: conference.location,
+    day: conference.day,
+    duration: conference.duration,
+    repeat: conference.repeat,
+    coverImage: conference.coverImage,
+    tags: conference.tags,
+    ...extra,
+  };
+}
+
+/**
+ * Participant limit of the conference plan, null when unlimited
+ */
+async function getParticipantLimit(conferenceId) {
+  const { getLimits } = require('../services/limit.service');
+  const limits = await getLimits(null, conferenceId);
+  return limits.maxParticipantsPerConference > 0 ? limits.maxParticipantsPerConference : null;
+}
+
+/**
+ * Conferences the user has joined, newest first, with their access phase and role
+ */
+async function listMyConferences(user) {
+  const profiles = await UserProfile.find({ telegramId: user.telegramId, isActive: true })
+    .populate('conference')
+    .sort({ createdAt: -1 });
+
+  return Promise.all(profiles.filter((p) => p.conference).map(async (p) => mapConference(p.conference, {
+    accessPhase: getAccessPhase(p.conference, p, user),
+    myRole: profileRole(p),
+    maxParticipants: await getParticipantLimit(p.conference._id),
+  })));
+}
+
+/**
+ * Send the HTTP response for an error thrown by a service. Unknown errors are logged as `context` and become 500.
+ */
+function sendServiceError(res, err, context) {
+  if (err.message && err.message.startsWith('VALIDATION_ERROR')) {
+    return res.status(400).json({ error: err.message.replace(/^VALIDATION_ERROR:\s*/, ''), code: 'VALIDATION_ERROR' });
+  }
+  if (err.message === 'FEATURE_NOT_AVAILABLE') {
+    return res.status(403).json(featureErrorBody(err.details));
+  }
+  if (err.message === 'LIMIT_EXCEEDED') {
+    return res.status(403).json({ error: 'Limit exceeded', code: 'LIMIT_EXCEEDED', details: err.details });
+  }
+
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: err.message, code: 'VALIDATION_ERROR' });
+  }
+
+  const known = SERVICE_ERRORS[err.message];
+  if (known) {
+    const [status, message, code = err.message] = known;
+    return res.status(status).json({ error: message, code });
+  }
+
+  console.error(`${context} error:`, err);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = {
+  normalizeConferenceCode,
+  getTelegramUser,
+  profileName,
+  profileRole,
+  PROFILE_TEXT_FIELDS,
+  mapProfile,
+  mapConference,
+  listMyConferences,
+  sendServiceError,
+};
@@ -0,0 +1,30 @@
+const express = require('express');
+const { twaAuthMiddleware } = require('../lib/twa-auth');
+
+const router = express.Router();
+
+// Sign in, token refresh and logout authenticate per route
+router.use('/auth', require('./routes/auth'));
+
+// Payment routes authenticate per route: the provider webhook has no Telegram user
+router.use('/payment', require('./routes/payment'));
+
+// Everything else needs a verified Telegram user
+router.use(twaAuthMiddleware);
+router.use('/profile', require('./routes/profile'));
+router.use('/users', require('./routes/users'));
+router.use('/conferences', require('./routes/conferences'));
+router.use('/participants', require('./routes/participants'));
+router.use('/polls', require('./routes/polls'));
+router.use('/questions', require('./routes/questions'));
+router.use('/chat', require('./routes/chat'));
+router.use('/chat-requests', require('./routes/chatRequests'));
+router.use('/notifications', require('./routes/notifications'));
+
+router.use((req, res) => {
+  res.status(404).json({ error: `Route ${req.method} ${req.originalUrl} not found` });
+});
+
+module.exports = {
+  webappApiRouter: router,
+};
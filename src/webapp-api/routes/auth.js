@@ -0,0 +1,108 @@
+const express = require('express');
+const { ensureUserFromTelegram } = require('../../services/conference.service');
+const { getGlobalProfile } = require('../../services/profile.service');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  setUserBanned,
+} = require('../../services/authSession.service');
+const { verifyInitData, sendAuthError, twaAuthMiddleware } = require('../../lib/twa-auth');
+const { mainAdminMiddleware } = require('../auth');
+const { mapProfile, listMyConferences } = require('../helpers');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth
+ * Body: { initData }
+ * Returns: { user, profile, conferences, accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt }
+ */
+router.post('/', async (req, res) => {
+  const { initData } = req.body;
+  if (!initData) return res.status(400).json({ error: 'initData is required' });
+
+  try {
+    let tgUser;
+    // In development with no real bot token, accept any initData
+    if (process.env.NODE_ENV === 'development' && !process.env.TELEGRAM_BOT_TOKEN) {
+      tgUser = JSON.parse(new URLSearchParams(initData).get('user') || '{}');
+      if (!tgUser.id) tgUser = { id: 12345, first_name: 'Dev', last_name: 'User', username: 'dev_user' };
+    } else {
+      tgUser = verifyInitData(initData, process.env.TELEGRAM_BOT_TOKEN);
+    }
+
+    const user = await ensureUserFromTelegram(tgUser);
+    const tokens = await createSession({ user, userAgent: req.headers['user-agent'] });
+    const [globalProfile, conferences] = await Promise.all([
+      getGlobalProfile(user.telegramId),
+      listMyConferences(user),
+    ]);
+
+    res.json({
+      user: {
+        id: user.telegramId,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        username: user.username,
+      },
+      profile: mapProfile(user, globalProfile),
+      conferences,
+      ...tokens,
+    });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Returns new tokens; the refresh token sent is no longer valid.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    res.json(await refreshSession({ refreshToken: req.body.refreshToken }));
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Body: { refreshToken? }
+ * Revokes the session of the access token (or of the refresh token sent, if it is the caller's).
+ */
+router.post('/logout', twaAuthMiddleware, async (req, res) => {
+  try {
+    const { sessionId, telegramId } = req.user;
+    const revoked = sessionId
+      ? await revokeSession({ sessionId, telegramId })
+      : await revokeSession({ refreshToken: req.body.refreshToken, telegramId });
+    res.json({ success: true, revoked });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+/**
+ * POST /api/auth/admin/users/:telegramId/ban
+ * POST /api/auth/admin/users/:telegramId/unban
+ * Main admins only. A ban revokes all sessions of the user and blocks signing in.
+ */
+router.post('/admin/users/:telegramId/:action(ban|unban)', twaAuthMiddleware, mainAdminMiddleware, async (req, res) => {
+  try {
+    const { user, revokedSessions } = await setUserBanned({
+      telegramId: req.params.telegramId,
+      banned: req.params.action === 'ban',
+    });
+    res.json({ telegramId: user.telegramId, isBanned: user.isBanned, revokedSessions });
+  } catch (err) {
+    if (err.message === 'USER_NOT_FOUND') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    sendAuthError(res, err);
+  }
+});
+
+module.exports = router;
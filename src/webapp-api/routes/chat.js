@@ -0,0 +1,173 @@
+const express = require('express');
+const {
+  listChats,
+  getChatMessages,
+  markChatRead,
+  sendChatMessage,
+  editChatMessage,
+  deleteChatMessage,
+  mapMessageFor,
+  mapReadMarker,
+} = require('../../services/chat.service');
+const { getTelegramUser, normalizeConferenceCode, profileName, sendServiceError } = require('../helpers');
+
+const router = express.Router();
+
+/**
+ * GET /api/chat/list?conferenceCode=X
+ * Conversations with accepted contacts, optionally in one conference
+ */
+router.get('/list', async (req, res) => {
+  try {
+    const chats = await listChats({
+      telegramUser: await getTelegramUser(req),
+      conferenceCode: normalizeConferenceCode(req.query.conferenceCode) || null,
+    });
+
+    res.json({
+      chats: chats.map(({ connection, conference, profile, lastMessage, unreadCount }) => ({
+        chatRequestId: connection._id,
+        conferenceCode: conference ? conference.conferenceCode : null,
+        conferenceName: conference ? conference.title : null,
+        other: {
+          id: profile.telegramId,
+          name: profileName(profile),
+          username: profile.username,
+          avatarUrl: profile.photoUrl,
+        },
+        lastMessage: lastMessage
+          ? { text: lastMessage.deletedAt ? null : lastMessage.text, time: lastMessage.createdAt, isDeleted: Boolean(lastMessage.deletedAt) }
+          : null,
+        unreadCount,
+      })),
+    });
+  } catch (err) {
+    sendServiceError(res, err, 'Get chats');
+  }
+});
+
+/**
+ * GET /api/chat/messages?withTelegramId=X&conferenceCode=Y[&before=<messageId>|&after=<messageId>][&limit=50]
+ * One page of messages with another participant, oldest first: the latest page, or the page
+ * before / after a message. hasMoreBefore / hasMoreAfter tell whether to keep paging.
+ * Also returns the read markers of both sides ({ messageId, readAt } or null).
+ * Nothing is marked read; use POST /api/chat/read.
+ */
+router.get('/messages', async (req, res) => {
+  const { withTelegramId, before, after } = req.query;
+  const conferenceCode = normalizeConferenceCode(req.query.conferenceCode);
+  if (!withTelegramId || !conferenceCode) {
+    return res.status(400).json({ error: 'withTelegramId and conferenceCode are required' });
+  }
+  if (before && after) {
+    return res.status(400).json({ error: 'Use either before or after' });
+  }
+
+  try {
+    const { messages, readMarkers, hasMoreBefore, hasMoreAfter, myProfile } = await getChatMessages({
+      telegramUser: await getTelegramUser(req),
+      conferenceCode,
+      withTelegramId,
+      before: before || null,
+      after: after || null,
+      limit: req.query.limit,
+    });
+    const peerReadAt = readMarkers.theirs ? readMarkers.theirs.lastReadAt : null;
+
+    res.json({
+      messages: messages.map((m) => mapMessageFor(m, myProfile._id, { peerReadAt })),
+      hasMoreBefore,
+      hasMoreAfter,
+      readMarkers: { mine: mapReadMarker(readMarkers.mine), theirs: mapReadMarker(readMarkers.theirs) },
+    });
+  } catch (err) {
+    sendServiceError(res, err, 'Get messages');
+  }
+});
+
+/**
+ * POST /api/chat/read
+ * Body: { withTelegramId, conferenceCode, upToMessageId? }
+ * Moves my read marker up to the message (default: the latest one); the other side gets a read receipt.
+ * Returns the marker, or null when it was already there.
+ */
+router.post('/read', async (req, res) => {
+  const { withTelegramId } = req.body;
+  const conferenceCode = normalizeConferenceCode(req.body.conferenceCode);
+  if (!withTelegramId || !conferenceCode) {
+    return res.status(400).json({ error: 'withTelegramId and conferenceCode are required' });
+  }
+
+  try {
+    const marker = await markChatRead({
+      telegramUser: await getTelegramUser(req),
+      conferenceCode,
+      withTelegramId,
+      upToMessageId: req.body.upToMessageId || null,
+    });
+    res.json({ success: true, marker: mapReadMarker(marker) });
+  } catch (err) {
+    sendServiceError(res, err, 'Read messages');
+  }
+});
+
+/**
+ * POST /api/chat/message
+ * Body: { toTelegramId, conferenceCode, text, replyToId? }
+ */
+router.post('/message', async (req, res) => {
+  const { toTelegramId } = req.body;
+  const conferenceCode = normalizeConferenceCode(req.body.conferenceCode);
+  if (!toTelegramId || !conferenceCode) {
+    return res.status(400).json({ error: 'toTelegramId and conferenceCode are required' });
+  }
+
+  try {
+    const { message, myProfile } = await sendChatMessage({
+      telegramUser: await getTelegramUser(req),
+      conferenceCode,
+      toTelegramId,
+      text: req.body.text,
+      replyToId: req.body.replyToId || null,
+    });
+    res.status(201).json({ success: true, message: mapMessageFor(message, myProfile._id) });
+  } catch (err) {
+    sendServiceError(res, err, 'Send message');
+  }
+});
+
+/**
+ * PATCH /api/chat/messages/:id
+ * Body: { text }
+ * Edit an own message within CHAT_EDIT_WINDOW_MINUTES of sending
+ */
+router.patch('/messages/:id', async (req, res) => {
+  try {
+    const { message, myProfile } = await editChatMessage({
+      telegramUser: await getTelegramUser(req),
+      messageId: req.params.id,
+      text: req.body.text,
+    });
+    res.json({ success: true, message: mapMessageFor(message, myProfile._id) });
+  } catch (err) {
+    sendServiceError(res, err, 'Edit message');
+  }
+});
+
+/**
+ * DELETE /api/chat/messages/:id
+ * Delete an own message within CHAT_EDIT_WINDOW_MINUTES of sending; it stays as a "deleted" tombstone
+ */
+router.delete('/messages/:id', async (req, res) => {
+  try {
+    const { message, myProfile } = await deleteChatMessage({
+      telegramUser: await getTelegramUser(req),
+      messageId: req.params.id,
+    });
+    res.json({ success: true, message: mapMessageFor(message, myProfile._id) });
+  } catch (err) {
+    sendServiceError(res, err, 'Delete message');
+  }
+});
+
+module.exports = router;
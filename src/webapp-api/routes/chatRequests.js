@@ -0,0 +1,104 @@
+const express = require('express');
+const { UserProfile } = require('../../models/userProfile');
+const { getConferenceIdByCode } = require('../../lib/conference-helper');
+const {
+  requestConnection,
+  acceptConnection,
+  rejectConnection,
+  listConnections,
+} = require('../../services/connection.service');
+const { getTelegramUser, normalizeConferenceCode, profileName, sendServiceError } = require('../helpers');
+
+const router = express.Router();
+
+// Chat requests of the web app are the bot's contact exchange requests (Connection)
+
+function mapSide(profile) {
+  return { name: profileName(profile), telegramId: profile.telegramId, avatarUrl: profile.photoUrl };
+}
+
+/**
+ * POST /api/chat-requests/send
+ * Body: { toTelegramId, conferenceCode, message? }
+ * A request to someone who already asked us accepts theirs.
+ */
+router.post('/send', async (req, res) => {
+  const { toTelegramId, message } = req.body;
+  const conferenceCode = normalizeConferenceCode(req.body.conferenceCode);
+  if (!toTelegramId || !conferenceCode) {
+    return res.status(400).json({ error: 'toTelegramId and conferenceCode are required' });
+  }
+
+  try {
+    const conferenceId = await getConferenceIdByCode(conferenceCode);
+    const target = await UserProfile.findOne({ telegramId: String(toTelegramId), conference: conferenceId }).select('_id');
+    if (!target) throw new Error('TARGET_USER_NOT_FOUND');
+
+    const { connection } = await requestConnection({
+      telegramUser: await getTelegramUser(req),
+      targetProfileId: target._id,
+      message,
+    });
+    res.status(201).json({ success: true, chatRequestId: connection._id, status: connection.status });
+  } catch (err) {
+    sendServiceError(res, err, 'Send chat request');
+  }
+});
+
+/**
+ * GET /api/chat-requests?conferenceCode=X
+ * Pending and accepted requests of the user, incoming and outgoing
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { contacts, incoming, outgoing } = await listConnections({
+      telegramUser: await getTelegramUser(req),
+      conferenceCode: normalizeConferenceCode(req.query.conferenceCode) || null,
+    });
+
+    const requests = [...incoming, ...outgoing, ...contacts]
+      .filter(({ conference }) => conference)
+      .map(({ connection, conference }) => ({
+        id: connection._id,
+        isMine: connection.user1.telegramId === req.user.telegramId,
+        status: connection.status,
+        message: connection.message,
+        conference: { name: conference.title, code: conference.conferenceCode },
+        from: mapSide(connection.user1),
+        to: mapSide(connection.user2),
+        createdAt: connection.createdAt,
+      }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({ requests });
+  } catch (err) {
+    sendServiceError(res, err, 'Get chat requests');
+  }
+});
+
+/**
+ * POST /api/chat-requests/:id/accept
+ */
+router.post('/:id/accept', async (req, res) => {
+  try {
+    await acceptConnection({ telegramUser: await getTelegramUser(req), connectionId: req.params.id });
+    res.json({ success: true, status: 'accepted' });
+  } catch (err) {
+    sendServiceError(res, err, 'Accept chat request');
+  }
+});
+
+/**
+ * POST /api/chat-requests/:id/reject
+ * As in the bot, the requester is not notified.
+ */
+router.post('/:id/reject', async (req, res) => {
+  try {
+    await rejectConnection({ telegramUser: await getTelegramUser(req), connectionId: req.params.id });
+    res.json({ success: true, status: 'rejected' });
+  } catch (err) {
+    sendServiceError(res, err, 'Reject chat request');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const { Conference } = require('../../models/conference');
+const { UserProfile } = require('../../models/userProfile');
+const { GlobalUserProfile } = require('../../models/globalUserProfile');
+const {
+  ensureUserFromTelegram,
+  createConference,
+  joinConference,
+} = require('../../services/conference.service');
+const { generateAccessCodes, listAccessCodes, revokeAccessCode } = require('../../services/accessCode.service');
+const { getAccessPhase } = require('../../services/access.service');
+const {
+  getTelegramUser,
+  normalizeConferenceCode,
+  mapConference,
+  listMyConferences,
+  sendServiceError,
+} = require('../helpers');
+
+const router = express.Router();
+
+/**
+ * GET /api/conferences
+ * Conferences the user has joined.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await ensureUserFromTelegram(await getTelegramUser(req));
+    res.json({ conferences: await listMyConferences(user) });
+  } catch (err) {
+    sendServiceError(res, err, 'Get conferences');
+  }
+});
+
+/**
+ * POST /api/conferences/create
+ * Body: { name, description, location, startsAt, endsAt, tags, duration, repeat, day, isPrivate }
+ * Creates a conference within the creator's plan limits; the creator joins it as organizer and admin.
+ */
+router.post('/create', async (req, res) => {
+  const { name, description, location, startsAt, endsAt, tags, duration, repeat, day, isPrivate, coverImage } = req.body;
+
+  try {
+    const telegramUser = await getTelegramUser(req);
+    const conference = await createConference({
+      createdByUser: telegramUser,
+      payload: {
+        title: name,
+        description,
+        access: isPrivate ? 'private' : 'public',
+        startsAt: startsAt || undefined,
+        endsAt: endsAt || undefined,
+        location,
+        coverImage,
+        tags,
+        day,
+        duration,
+        repeat,
+      },
+    });
+
+    // The creator joins as organizer and becomes a conference admin (also of private conferences,
+    // so this does not go through joinConference)
+    const { copyGlobalProfileToConference } = require('../../services/profile.service');
+    const telegramId = String(telegramUser.id);
+    const profile = (await copyGlobalProfileToConference({ telegramId, conferenceId: conference._id }))
+      || new UserProfile({
+        telegramId,
+        conference: conference._id,
+        firstName: telegramUser.first_name,
+        lastName: telegramUser.last_name,
+        username: telegramUser.username,
+      });
+    profile.isActive = true;
+    if (!profile.roles.includes('organizer')) profile.roles.push('organizer');
+    conference.admins.push(profile._id);
+
+    const { withTransaction } = require('../../lib/mongo');
+    const { incrementConferenceCounter, invalidateLimitsCache } = require('../../services/limit.service');
+    const { incrementUsage } = require('../../services/subscription.service');
+    await withTransaction(async (session) => {
+      await profile.save({ session });
+      await conference.save({ session });
+      await incrementConferenceCounter({ conferenceId: conference._id, counter: 'participants', session });
+      await incrementUsage({ counter: 'participantsAdded', conferenceId: conference._id, session });
+    });
+    invalidateLimitsCache({ conferenceId: conference._id });
+
+    res.status(201).json({ success: true, conference: mapConference(conference, { myRole: 'organizer' }) });
+  } catch (err) {
+    sendServiceError(res, err, 'Create conference');
+  }
+});
+
+/**
+ * POST /api/conferences/join
+ * Body: { conferenceCode, accessCode? }
+ * Private conferences require a valid access code for the first join.
+ */
+router.post('/join', async (req, res) => {
+  const code = normalizeConferenceCode(req.body.conferenceCode);
+  if (!code) return res.status(400).json({ error: 'conferenceCode is required' });
+
+  try {
+    const { conference, profile, user } = await joinConference({
+      telegramUser: await getTelegramUser(req),
+      code,
+      accessCode: req.body.accessCode || null,
+    });
+
+    res.json({
+      success: true,
+      conference: mapConference(conference, { accessPhase: getAccessPhase(conference, profile, user) }),
+    });
+  } catch (err) {
+    sendServiceError(res, err, 'Join conference');
+  }
+});
+
+/**
+ * GET /api/conferences/:code/access-codes
+ * Access codes of a conference (conference admins)
+ */
+router.get('/:code/access-codes', async (req, res) => {
+  try {
+    const moderatorUser = await ensureUserFromTelegram(await getTelegramUser(req));
+    const accessCodes = await listAccessCodes({ moderatorUser, conferenceCode: normalizeConferenceCode(req.params.code) });
+    res.json({ accessCodes });
+  } catch (err) {
+    sendServiceError(res, err, 'Get access codes');
+  }
+});
+
+/**
+ * POST /api/conferences/:code/access-codes
+ * Body: { count?, maxUses?, expiresAt? }
+ */
+router.post('/:code/access-codes', async (req, res) => {
+  try {
+    const moderatorUser = await ensureUserFromTelegram(await getTelegramUser(req));
+    const accessCodes = await generateAccessCodes({
+      moderatorUser,
+      conferenceCode: normalizeConferenceCode(req.params.code),
+      count: req.body.count,
+      maxUses: req.body.maxUses,
+      expiresAt: req.body.expiresAt,
+    });
+    res.status(201).json({ success: true, accessCodes });
+  } catch (err) {
+    sendServiceError(res, err, 'Create access codes');
+  }
+});
+
+/**
+ * DELETE /api/conferences/:code/access-codes/:id
+ * Revokes an access code. Existing participants keep access.
+ */
+router.delete('/:code/access-codes/:id', async (req, res) => {
+  try {
+    const moderatorUser = await ensureUserFromTelegram(await getTelegramUser(req));
+    const accessCode = await revokeAccessCode({
+      moderatorUser,
+      conferenceCode: normalizeConferenceCode(req.params.code),
+      accessCodeId: req.params.id,
+    });
+    res.json({ success: true, accessCode });
+  } catch (err) {
+    sendServiceError(res, err, 'Revoke access code');
+  }
+});
+
+/**
+ * GET /api/conferences/:code
+ * Details of one conference, with its first admin as organizer.
+ */
+router.get('/:code', async (req, res) => {
+  try {
+    const user = await ensureUserFromTelegram(await getTelegramUser(req));
+    const conference = await Conference.findOne({ conferenceCode: normalizeConferenceCode(req.params.code) });
+    if (!conference) throw new Error('CONFERENCE_NOT_FOUND');
+
+    const [myProfile, organizerProfile] = await Promise.all([
+      UserProfile.findOne({ telegramId: user.telegramId, conference: conference._id }),
+      conference.admins.length ? UserProfile.findById(conference.admins[0]) : null,
+    ]);
+
+    let organizer = null;
+    if (organizerProfile) {
+      const globalProfile = await GlobalUserProfile.findOne({ telegramId: organizerProfile.telegramId });
+      organizer = {
+        firstName: organizerProfile.firstName,
+        lastName: organizerProfile.lastName,
+        avatarUrl: organizerProfile.photoUrl,
+        position: globalProfile ? globalProfile.position : undefined,
+        company: globalProfile ? globalProfile.company : undefined,
+      };
+    }
+
+    res.json({
+      conference: mapConference(conference, {
+        organizer,
+        accessPhase: getAccessPhase(conference, myProfile, user),
+      }),
+    });
+  } catch (err) {
+    sendServiceError(res, err, 'Get conference');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const { User } = require('../../models/user');
+const {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require('../../services/notification.service');
+const { sendServiceError } = require('../helpers');
+
+const router = express.Router();
+
+async function getUserId(req) {
+  const user = await User.findOne({ telegramId: req.user.telegramId }).select('_id');
+  return user ? user._id : null;
+}
+
+/**
+ * GET /api/notifications
+ * Latest notifications, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = await getUserId(req);
+    if (!userId) return res.json({ notifications: [], unreadCount: 0 });
+
+    res.json(await listNotifications({ userId }));
+  } catch (err) {
+    sendServiceError(res, err, 'Get notifications');
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const userId = await getUserId(req);
+    if (userId) await markAllNotificationsRead({ userId });
+    res.json({ success: true });
+  } catch (err) {
+    sendServiceError(res, err, 'Read notifications');
+  }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    const userId = await getUserId(req);
+    if (!userId) throw new Error('NOTIFICATION_NOT_FOUND');
+
+    await markNotificationRead({ userId, notificationId: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    sendServiceError(res, err, 'Read notification');
+  }
+});
+
+module.exports = router;
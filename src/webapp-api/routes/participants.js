@@ -0,0 +1,73 @@
+const express = require('express');
+const { Conference } = require('../../models/conference');
+const { UserProfile } = require('../../models/userProfile');
+const { GlobalUserProfile } = require('../../models/globalUserProfile');
+const { User } = require('../../models/user');
+const { getAccessPhase, ACCESS_PHASES } = require('../../services/access.service');
+const { normalizeConferenceCode, profileName, profileRole, sendServiceError } = require('../helpers');
+
+const router = express.Router();
+
+/**
+ * GET /api/participants?conferenceCode=X
+ * Active participants of a conference the user has joined. After the free and grace
+ * periods names are masked and details hidden until the user pays.
+ */
+router.get('/', async (req, res) => {
+  const conferenceCode = normalizeConferenceCode(req.query.conferenceCode);
+  if (!conferenceCode) return res.status(400).json({ error: 'conferenceCode is required' });
+
+  try {
+    const { telegramId } = req.user;
+    const conference = await Conference.findOne({ conferenceCode });
+    if (!conference) throw new Error('CONFERENCE_NOT_FOUND');
+
+    const [myProfile, user] = await Promise.all([
+      UserProfile.findOne({ telegramId, conference: conference._id, isActive: true }),
+      User.findOne({ telegramId }),
+    ]);
+    if (!myProfile) throw new Error('NOT_IN_CONFERENCE');
+
+    const accessPhase = getAccessPhase(conference, myProfile, user);
+    const isRestricted = accessPhase === ACCESS_PHASES.PAYMENT_REQUIRED;
+
+    const profiles = await UserProfile.find({
+      conference: conference._id,
+      isActive: true,
+      telegramId: { $ne: telegramId },
+    });
+    const globalProfiles = isRestricted
+      ? []
+      : await GlobalUserProfile.find({ telegramId: { $in: profiles.map((p) => p.telegramId) } });
+    const globalByTelegramId = new Map(globalProfiles.map((g) => [g.telegramId, g]));
+
+    const participants = profiles.map((p) => {
+      if (isRestricted) {
+        return {
+          id: p._id,
+          displayName: p.firstName ? `${p.firstName} ***` : 'Участник ***',
+          role: profileRole(p),
+          isRestricted: true,
+        };
+      }
+      const globalProfile = globalByTelegramId.get(p.telegramId);
+      return {
+        id: p._id,
+        userId: p.telegramId,
+        displayName: profileName(p),
+        role: profileRole(p),
+        company: globalProfile ? globalProfile.company : undefined,
+        bio: globalProfile ? globalProfile.bio : undefined,
+        interests: p.interests,
+        avatarUrl: p.photoUrl,
+        isRestricted: false,
+      };
+    });
+
+    res.json({ participants, accessPhase });
+  } catch (err) {
+    sendServiceError(res, err, 'Get participants');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,435 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Payment } = require('../../models/payment');
+const { Conference } = require('../../models/conference');
+const { User } = require('../../models/user');
+const { twaAuthMiddleware: authMiddleware } = require('../../lib/twa-auth');
+const { mainAdminMiddleware } = require('../auth');
+const { normalizeConferenceCode } = require('../helpers');
+const { getPaymentProvider, handleWebhook, syncPaymentStatus, refundPayment } = require('../../payments');
+
+const router = express.Router();
+
+const PRICE_AMOUNT = 24900; // 249 ₽ in kopecks
+const CURRENCY = 'RUB';
+const REPORT_PAGE_SIZE = 50;
+const REPORT_MAX_PAGE_SIZE = 200;
+
+/**
+ * POST /api/payment/initiate
+ * Body: { conferenceCode }
+ * Creates a payment order with the configured payment provider (see src/payments).
+ * Returns a payment URL for the user to complete payment.
+ */
+router.post('/initiate', authMiddleware, async (req, res) => {
+  const { conferenceCode } = req.body;
+
+  try {
+    const user = await User.findOne({ telegramId: req.user.telegramId });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const conf = conferenceCode
+      ? await Conference.findOne({ conferenceCode: normalizeConferenceCode(conferenceCode) })
+      : null;
+
+    // Check if user already has active paid access
+    if (user.hasPaidAccess && user.paidAccessUntil > new Date()) {
+      return res.json({ alreadyPaid: true, paidUntil: user.paidAccessUntil });
+    }
+
+    const provider = getPaymentProvider();
+    const order = await Payment.create({
+      user: user._id,
+      conference: conf?._id,
+      amount: PRICE_AMOUNT,
+      currency: CURRENCY,
+      provider: provider.name,
+      statusHistory: [{ to: 'pending', source: 'initiate' }],
+    });
+
+    let created;
+    try {
+      created = await provider.createPayment({
+        orderId: order._id.toString(),
+        amount: PRICE_AMOUNT,
+        currency: CURRENCY,
+        description: `Доступ к Social Connections – ${conf?.title || 'Все конференции'}`,
+        returnUrl: `${process.env.PAYMENT_REDIRECT_URL || 'https://payment.example.com'}?orderId=${order._id}`,
+        metadata: { telegramId: user.telegramId, conferenceId: conf?._id?.toString() },
+      });
+    } catch (err) {
+      console.error('Payment provider error:', err.message, err.details || '');
+      order.transitionTo('failed', { source: 'initiate', reason: err.message });
+      await order.save();
+      return res.status(502).json({ error: 'Payment provider unavailable' });
+    }
+
+    order.providerOrderId = created.providerOrderId;
+    order.providerPaymentUrl = created.paymentUrl;
+    await order.save();
+
+    res.json({
+      orderId: order._id,
+      amount: PRICE_AMOUNT,
+      currency: CURRENCY,
+      paymentUrl: order.providerPaymentUrl,
+    });
+  } catch (err) {
+    console.error('Payment initiate error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/payment/callback/:provider?
+ * Webhook called by the payment provider. The provider adapter verifies the request
+ * (signature or re-fetch from the provider API); each provider event is applied once.
+ */
+router.post('/callback/:provider?', async (req, res) => {
+  try {
+    const result = await handleWebhook({ providerName: req.params.provider, req });
+    if (result.duplicate) {
+      return res.json({ received: true, duplicate: true });
+    }
+    res.json({ received: true, outcome: result.event.outcome });
+  } catch (err) {
+    if (err.message === 'UNKNOWN_PAYMENT_PROVIDER') {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+    if (err.message === 'INVALID_WEBHOOK_SIGNATURE') {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    if (err.message === 'INVALID_WEBHOOK_PAYLOAD') {
+      return res.status(400).json({ error: 'Invalid webhook payload' });
+    }
+    console.error('Payment callback error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/payment/orders/:orderId
+ * Returns the current user's order, re-checking a pending one with the provider.
+ */
+router.get('/orders/:orderId', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.orderId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const user = await User.findOne({ telegramId: req.user.telegramId });
+    if (!user) return res.status(404).json({ error: 'Order not found' });
+    const order = await Payment.findOne({ _id: req.params.orderId, user: user._id });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    try {
+      await syncPaymentStatus(order);
+    } catch (err) {
+      // The stored status is still valid, the webhook will catch up
+      console.error('Payment sync error:', err.message);
+    }
+
+    res.json({
+      orderId: order._id,
+      status: order.status,
+      amount: order.amount,
+      currency: order.currency,
+      paidAt: order.paidAt,
+    });
+  } catch (err) {
+    console.error('Payment order error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/payment/status
+ * Returns the current user's payment / access status.
+ */
+router.get('/status', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ telegramId: req.user.telegramId });
+    const hasPaidAccess = Boolean(user && user.hasPaidAccess);
+    res.json({
+      hasPaidAccess,
+      paidAccessUntil: user ? user.paidAccessUntil : null,
+      isActive: hasPaidAccess && user.paidAccessUntil > new Date(),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/payment/history
+ * The current user's payments, newest first, with their refunds.
+ */
+router.get('/history', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ telegramId: req.user.telegramId });
+    if (!user) return res.json({ payments: [] });
+
+    const payments = await Payment.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('conference', 'conferenceCode title');
+
+    res.json({
+      payments: payments.map((p) => ({
+        orderId: p._id,
+        amount: p.amount,
+        currency: p.currency,
+        status: p.status,
+        conference: p.conference ? { code: p.conference.conferenceCode, name: p.conference.title } : null,
+        createdAt: p.createdAt,
+        paidAt: p.paidAt,
+        refundedAmount: p.refundedAmount || 0,
+        refunds: p.refunds.map((r) => ({
+          amount: r.amount,
+          status: r.status,
+          reason: r.reason,
+          createdAt: r.createdAt,
+        })),
+      })),
+    });
+  } catch (err) {
+    console.error('Payment history error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/payment/admin/:orderId/refund
+ * Body: { amount? (minor units, default: everything still refundable), reason?, revokeAccess? }
+ * Refunds a payment through its provider (main admins only).
+ * Paid access is revoked on a full refund, or when revokeAccess is true.
+ */
+router.post('/admin/:orderId/refund', authMiddleware, mainAdminMiddleware, async (req, res) => {
+  const { amount, reason, revokeAccess } = req.body;
+
+  try {
+    if (!mongoose.isValidObjectId(req.params.orderId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (amount !== undefined && amount !== null && !Number.isInteger(amount)) {
+      return res.status(400).json({ error: 'amount must be an integer in minor units' });
+    }
+    if (revokeAccess !== undefined && typeof revokeAccess !== 'boolean') {
+      return res.status(400).json({ error: 'revokeAccess must be a boolean' });
+    }
+
+    const order = await Payment.findById(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const adminUser = await User.findOne({ telegramId: req.user.telegramId });
+    if (!adminUser) return res.status(404).json({ error: 'User not found' });
+
+    const result = await refundPayment({
+      payment: order,
+      amount: amount ?? null,
+      reason: typeof reason === 'string' ? reason.trim().slice(0, 250) || null : null,
+      adminUser,
+      revokeAccess: revokeAccess ?? null,
+    });
+
+    res.json({
+      orderId: result.payment._id,
+      status: result.payment.status,
+      amount: result.payment.amount,
+      refundedAmount: result.payment.refundedAmount,
+      refund: {
+        id: result.refund._id,
+        amount: result.refund.amount,
+        status: result.refund.status,
+        reason: result.refund.reason,
+      },
+      accessRevoked: result.accessRevoked,
+    });
+  } catch (err) {
+    if (err.message === 'PAYMENT_NOT_REFUNDABLE') {
+      return res.status(409).json({ error: 'Payment cannot be refunded' });
+    }
+    if (err.message === 'REFUND_CONFLICT') {
+      return res.status(409).json({ error: 'Another refund of this payment is in progress, try again' });
+    }
+    if (err.message === 'INVALID_REFUND_AMOUNT') {
+      return res.status(400).json({ error: 'Refund amount exceeds the refundable amount' });
+    }
+    if (err.message === 'PAYMENT_PROVIDER_ERROR' || err.message === 'UNKNOWN_PAYMENT_PROVIDER') {
+      console.error('Payment refund provider error:', err.message, err.details || '');
+      return res.status(502).json({ error: 'Payment provider unavailable' });
+    }
+    console.error('Payment refund error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses a report date. A date without time in `to` means the whole day.
+ */
+function parseReportDate(value, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+/**
+ * Builds the Payment query of the admin report from query params.
+ * Returns { query } or { error }.
+ */
+async function buildReportQuery({ user, conference, status, from, to }) {
+  const query = {};
+
+  if (user) {
+    const search = String(user).trim().replace(/^@/, '');
+    const pattern = new RegExp(escapeRegExp(search), 'i');
+    const users = await User.find({
+      $or: [
+        { telegramId: search },
+        { username: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+      ],
+    }).select('_id').limit(500);
+    query.user = { $in: users.map((u) => u._id) };
+  }
+
+  if (conference) {
+    const conf = await Conference.findOne({ conferenceCode: normalizeConferenceCode(String(conference)) }).select('_id');
+    if (!conf) return { error: 'Conference not found' };
+    query.conference = conf._id;
+  }
+
+  if (status) {
+    const statuses = String(status).split(',').map((x) => x.trim()).filter(Boolean);
+    const known = Object.keys(Payment.STATUS_TRANSITIONS);
+    if (statuses.some((x) => !known.includes(x))) {
+      return { error: `status must be one of: ${known.join(', ')}` };
+    }
+    query.status = { $in: statuses };
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) {
+      const fromDate = parseReportDate(String(from));
+      if (!fromDate) return { error: 'Invalid from date' };
+      query.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = parseReportDate(String(to), { endOfDay: true });
+      if (!toDate) return { error: 'Invalid to date' };
+      query.createdAt.$lt = toDate;
+    }
+  }
+
+  return { query };
+}
+
+function toMajorUnits(amount) {
+  return ((amount || 0) / 100).toFixed(2);
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheet apps from evaluating user-provided text as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  ['order_id', (p) => p._id],
+  ['created_at', (p) => p.createdAt?.toISOString()],
+  ['paid_at', (p) => p.paidAt?.toISOString()],
+  ['status', (p) => p.status],
+  ['amount', (p) => toMajorUnits(p.amount)],
+  ['refunded_amount', (p) => toMajorUnits(p.refundedAmount)],
+  ['currency', (p) => p.currency],
+  ['provider', (p) => p.provider],
+  ['provider_order_id', (p) => p.providerOrderId],
+  ['telegram_id', (p) => p.user?.telegramId],
+  ['username', (p) => p.user?.username],
+  ['name', (p) => (p.user ? `${p.user.firstName || ''} ${p.user.lastName || ''}`.trim() : '')],
+  ['conference_code', (p) => p.conference?.conferenceCode],
+  ['conference_name', (p) => p.conference?.title],
+];
+
+/**
+ * GET /api/payment/admin/payments?user=&conference=&status=&from=&to=&page=&limit=&format=csv
+ * Payments report for main admins.
+ * - user: Telegram ID, @username or name
+ * - status: comma-separated statuses
+ * - from / to: ISO dates (createdAt range, `to` inclusive for plain dates)
+ * - format=csv: all matching payments as a CSV file (pagination ignored)
+ */
+router.get('/admin/payments', authMiddleware, mainAdminMiddleware, async (req, res) => {
+  try {
+    const { query, error } = await buildReportQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const find = () => Payment.find(query)
+      .sort({ createdAt: -1 })
+      .populate('user', 'telegramId username firstName lastName')
+      .populate('conference', 'conferenceCode title');
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="payments-${new Date().toISOString().slice(0, 10)}.csv"`);
+      // BOM, so spreadsheet apps detect UTF-8 (Cyrillic names)
+      res.write('\uFEFF' + CSV_COLUMNS.map(([name]) => name).join(',') + '\r\n');
+      for await (const p of find().cursor()) {
+        res.write(CSV_COLUMNS.map(([, get]) => csvCell(get(p))).join(',') + '\r\n');
+      }
+      return res.end();
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || REPORT_PAGE_SIZE, 1), REPORT_MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [payments, total, totals] = await Promise.all([
+      find().skip((page - 1) * limit).limit(limit),
+      Payment.countDocuments(query),
+      Payment.aggregate([
+        { $match: query },
+        { $group: { _id: '$currency', amount: { $sum: '$amount' }, refunded: { $sum: '$refundedAmount' } } },
+      ]),
+    ]);
+
+    res.json({
+      payments: payments.map((p) => ({
+        orderId: p._id,
+        createdAt: p.createdAt,
+        paidAt: p.paidAt,
+        status: p.status,
+        amount: p.amount,
+        refundedAmount: p.refundedAmount || 0,
+        currency: p.currency,
+        provider: p.provider,
+        providerOrderId: p.providerOrderId,
+        user: p.user ? {
+          telegramId: p.user.telegramId,
+          username: p.user.username,
+          firstName: p.user.firstName,
+          lastName: p.user.lastName,
+        } : null,
+        conference: p.conference ? { code: p.conference.conferenceCode, name: p.conference.title } : null,
+        refunds: p.refunds,
+      })),
+      total,
+      page,
+      limit,
+      totals: totals.map((t) => ({ currency: t._id, amount: t.amount, refunded: t.refunded })),
+    });
+  } catch (err) {
+    console.error('Payments report error:', err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { Poll } = require('../../models/poll');
+const { UserProfile } = require('../../models/userProfile');
+const { getConferenceIdByCode, isValidObjectId } = require('../../lib/conference-helper');
+const { requireFeature } = require('../../lib/feature-gate');
+const { voteInPoll } = require('../../services/poll.service');
+const { getTelegramUser, normalizeConferenceCode, sendServiceError } = require('../helpers');
+
+const router = express.Router();
+
+function mapOptions(poll, profileId = null) {
+  const totalVotes = poll.options.reduce((sum, o) => sum + o.voters.length, 0);
+  const options = poll.options.map((o) => ({
+    id: o.id,
+    text: o.text,
+    votes: o.voters.length,
+    percent: totalVotes > 0 ? Math.round((o.voters.length / totalVotes) * 100) : 0,
+    hasVoted: Boolean(profileId) && o.voters.some((v) => v.equals(profileId)),
+  }));
+  return { totalVotes, options };
+}
+
+async function pollConferenceId(req) {
+  const poll = isValidObjectId(req.params.pollId) ? await Poll.findById(req.params.pollId).select('conference') : null;
+  if (!poll) throw new Error('CONFERENCE_NOT_FOUND');
+  return poll.conference;
+}
+
+/**
+ * GET /api/polls?conferenceCode=X
+ * Polls of a conference, newest first, with the user's votes
+ */
+router.get('/', requireFeature('pollsEnabled', {
+  getConferenceId: (req) => getConferenceIdByCode(normalizeConferenceCode(req.query.conferenceCode)),
+}), async (req, res) => {
+  try {
+    const conferenceId = await getConferenceIdByCode(normalizeConferenceCode(req.query.conferenceCode));
+    const [polls, profile] = await Promise.all([
+      Poll.find({ conference: conferenceId }).sort({ createdAt: -1 }),
+      UserProfile.findOne({ telegramId: req.user.telegramId, conference: conferenceId }).select('_id'),
+    ]);
+
+    res.json({
+      polls: polls.map((p) => ({
+        id: p._id,
+        question: p.question,
+        isActive: p.isActive,
+        ...mapOptions(p, profile && profile._id),
+      })),
+    });
+  } catch (err) {
+    sendServiceError(res, err, 'Get polls');
+  }
+});
+
+/**
+ * POST /api/polls/:pollId/vote
+ * Body: { optionId }
+ * One vote per participant; a vote cannot be changed (as in the bot).
+ */
+router.post('/:pollId/vote', requireFeature('pollsEnabled', { getConferenceId: pollConferenceId }), async (req, res) => {
+  const optionId = Number(req.body.optionId);
+  if (!Number.isInteger(optionId)) return res.status(400).json({ error: 'optionId is required' });
+
+  try {
+    const { poll, profile } = await voteInPoll({
+      telegramUser: await getTelegramUser(req),
+      pollId: req.params.pollId,
+      optionId,
+    });
+
+    res.json({ success: true, ...mapOptions(poll, profile._id) });
+  } catch (err) {
+    sendServiceError(res, err, 'Vote');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { GlobalUserProfile } = require('../../models/globalUserProfile');
+const { ensureUserFromTelegram } = require('../../services/conference.service');
+const { getGlobalProfile, updateGlobalProfile } = require('../../services/profile.service');
+const { getTelegramUser, mapProfile, PROFILE_TEXT_FIELDS, sendServiceError } = require('../helpers');
+
+const router = express.Router();
+
+/**
+ * Profile updates from the web app body, in the stored shape
+ */
+function buildProfileUpdates(body) {
+  const updates = {};
+  for (const field of ['firstName', 'lastName', 'interests', ...PROFILE_TEXT_FIELDS]) {
+    if (body[field] !== undefined) updates[field] = body[field];
+  }
+  if (body.lookingFor !== undefined) {
+    updates.lookingFor = Array.isArray(body.lookingFor)
+      ? body.lookingFor
+      : String(body.lookingFor || '').split('\n').map((x) => x.trim()).filter(Boolean);
+  }
+  if (body.avatarUrl !== undefined) updates.photoUrl = body.avatarUrl;
+  if (typeof body.onboardingCompleted === 'boolean') updates.onboardingCompleted = body.onboardingCompleted;
+  return updates;
+}
+
+/**
+ * GET /api/profile
+ * Returns the current user's global profile.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await ensureUserFromTelegram(await getTelegramUser(req));
+    const globalProfile = await getGlobalProfile(user.telegramId);
+    res.json({ profile: mapProfile(user, globalProfile) });
+  } catch (err) {
+    sendServiceError(res, err, 'Get profile');
+  }
+});
+
+/**
+ * POST /api/profile
+ * Create or update the user's global profile (the one the bot copies into conferences).
+ * Body: profile fields
+ */
+router.post('/', async (req, res) => {
+  try {
+    const user = await ensureUserFromTelegram(await getTelegramUser(req));
+    if (!(await getGlobalProfile(user.telegramId))) {
+      await GlobalUserProfile.create({
+        telegramId: user.telegramId,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        username: user.username,
+      });
+    }
+
+    const globalProfile = await updateGlobalProfile(user.telegramId, buildProfileUpdates(req.body || {}));
+    res.json({ success: true, profile: mapProfile(user, globalProfile) });
+  } catch (err) {
+    sendServiceError(res, err, 'Profile update');
+  }
+});
+
+module.exports = router;
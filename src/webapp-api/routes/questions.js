@@ -0,0 +1,84 @@
+const express = require('express');
+const { Question } = require('../../models/question');
+const { UserProfile } = require('../../models/userProfile');
+const { getConferenceIdByCode } = require('../../lib/conference-helper');
+const { askQuestion, toggleQuestionUpvote } = require('../../services/question.service');
+const { getTelegramUser, normalizeConferenceCode, profileName, sendServiceError } = require('../helpers');
+
+const router = express.Router();
+
+/**
+ * GET /api/questions?conferenceCode=X
+ * Approved questions plus the user's own ones, most upvoted first
+ */
+router.get('/', async (req, res) => {
+  const conferenceCode = normalizeConferenceCode(req.query.conferenceCode);
+  if (!conferenceCode) return res.status(400).json({ error: 'conferenceCode is required' });
+
+  try {
+    const conferenceId = await getConferenceIdByCode(conferenceCode);
+    const profile = await UserProfile.findOne({ telegramId: req.user.telegramId, conference: conferenceId }).select('_id');
+    const myProfileId = profile ? profile._id : null;
+
+    const questions = await Question.find({
+      conference: conferenceId,
+      $or: [{ status: 'approved' }, ...(myProfileId ? [{ author: myProfileId }] : [])],
+    }).populate('author', 'firstName lastName username');
+
+    questions.sort((a, b) => b.upvoters.length - a.upvoters.length || b.createdAt - a.createdAt);
+
+    res.json({
+      questions: questions.map((q) => ({
+        id: q._id,
+        text: q.text,
+        status: q.status,
+        authorFirstName: q.author ? q.author.firstName : undefined,
+        authorName: q.author ? profileName(q.author) : '',
+        isMyQuestion: Boolean(myProfileId && q.author && q.author._id.equals(myProfileId)),
+        upvotes: q.upvoters.length,
+        hasUpvoted: Boolean(myProfileId) && q.upvoters.some((id) => id.equals(myProfileId)),
+        isAnswered: q.isAnswered,
+        answer: q.answer || null,
+        createdAt: q.createdAt,
+      })),
+    });
+  } catch (err) {
+    sendServiceError(res, err, 'Get questions');
+  }
+});
+
+/**
+ * POST /api/questions
+ * Body: { conferenceCode, text }
+ * The question goes to moderation, as questions asked in the bot.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { question } = await askQuestion({
+      telegramUser: await getTelegramUser(req),
+      conferenceCode: normalizeConferenceCode(req.body.conferenceCode),
+      text: req.body.text,
+    });
+    res.status(201).json({ success: true, question: { id: question._id, status: question.status } });
+  } catch (err) {
+    sendServiceError(res, err, 'Ask question');
+  }
+});
+
+/**
+ * POST /api/questions/:id/upvote
+ * Toggle the upvote on an approved question.
+ */
+router.post('/:id/upvote', async (req, res) => {
+  try {
+    const { question, hasUpvoted } = await toggleQuestionUpvote({
+      telegramUser: await getTelegramUser(req),
+      questionId: req.params.id,
+    });
+    res.json({ success: true, upvotes: question.upvoters.length, hasUpvoted });
+  } catch (err) {
+    sendServiceError(res, err, 'Upvote question');
+  }
+});
+
+module.exports = router;
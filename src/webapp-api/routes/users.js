@@ -0,0 +1,58 @@
+const express = require('express');
+const { GlobalUserProfile } = require('../../models/globalUserProfile');
+const { profileName } = require('../helpers');
+
+const router = express.Router();
+
+const SEARCH_LIMIT = 50;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * GET /api/users?search=
+ * Users who have completed onboarding, for networking outside of a conference.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = {
+      onboardingCompleted: true,
+      telegramId: { $ne: req.user.telegramId }, // Don't show self
+    };
+
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+      query.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { position: pattern },
+        { company: pattern },
+        { bio: pattern },
+        { interests: pattern },
+      ];
+    }
+
+    const profiles = await GlobalUserProfile.find(query).sort({ updatedAt: -1 }).limit(SEARCH_LIMIT);
+
+    res.json({
+      users: profiles.map((p) => ({
+        id: p._id,
+        userId: p.telegramId,
+        displayName: profileName(p),
+        role: p.position || 'Member',
+        company: p.company,
+        bio: p.bio,
+        interests: p.interests,
+        avatarUrl: p.photoUrl,
+        isRestricted: false, // Global search shows public info
+      })),
+    });
+  } catch (err) {
+    console.error('Get users search error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const { AUTH_ERRORS, authenticateCredentials } = require('../lib/twa-auth');
+const { TWA_NAMESPACE, userRoom, sessionRoom, emitToUser } = require('../lib/realtime');
+const { getChatParticipants, markChatRead, mapReadMarker } = require('../services/chat.service');
+const { getTelegramUser, normalizeConferenceCode } = require('./helpers');
+
+// setTimeout cannot wait longer than ~24.8 days; such a connection is re-checked then
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// A chat allowed for typing events is checked again after this, so a rejected request stops them
+const TYPING_CHECK_TTL_MS = 60 * 1000;
+
+/**
+ * Mini app namespace. Every connection joins its user's room; services push there
+ * with emitToUser (src/lib/realtime.js):
+ * - chat:message, chat:message-updated, chat:read — direct messages, edits/deletions and read receipts
+ * - chat-request:updated — a chat request was sent, accepted or rejected
+ * - notification:new — in-app notification with the new unread count
+ * Clients send chat:typing and chat:read themselves.
+ *
+ * A connection lives no longer than its access token: revoking the session or banning the user
+ * closes it at once (src/services/authSession.service.js), and it is closed when the token expires,
+ * so the client reconnects with a refreshed one.
+ */
+function initTwaSocket(io) {
+  const twaNamespace = io.of(TWA_NAMESPACE);
+
+  twaNamespace.use(async (socket, next) => {
+    const { token, initData, telegramId } = socket.handshake.auth || {};
+
+    try {
+      socket.user = await authenticateCredentials({
+        accessToken: token,
+        initData,
+        devTelegramId: telegramId,
+      });
+      next();
+    } catch (err) {
+      if (AUTH_ERRORS[err.message]) {
+        return next(new Error(err.message));
+      }
+      console.error('Error in /twa socket auth', err);
+      return next(new Error('Authentication failed'));
+    }
+  });
+
+  twaNamespace.on('connection', (socket) => {
+    socket.join(userRoom(socket.user.telegramId));
+
+    if (socket.user.sessionId) {
+      socket.join(sessionRoom(socket.user.sessionId));
+      const ttl = Math.min(socket.user.expiresAt.getTime() - Date.now(), MAX_TIMER_MS);
+      const expiryTimer = setTimeout(() => socket.disconnect(true), Math.max(ttl, 0));
+      socket.on('disconnect', () => clearTimeout(expiryTimer));
+    }
+
+    // Chats this socket may send typing events to: chat key -> when to check again
+    const allowedChats = new Map();
+
+    socket.on('chat:typing', async ({ conferenceCode, toTelegramId, isTyping } = {}) => {
+      const code = normalizeConferenceCode(conferenceCode);
+      if (!code || !toTelegramId) return;
+      const chatKey = `${code}:${toTelegramId}`;
+
+      try {
+        const checkAgainAt = allowedChats.get(chatKey);
+        if (!checkAgainAt || checkAgainAt <= Date.now()) {
+          await getChatParticipants({
+            telegramUser: await getTelegramUser(socket),
+            conferenceCode: code,
+            otherTelegramId: toTelegramId,
+          });
+          allowedChats.set(chatKey, Date.now() + TYPING_CHECK_TTL_MS);
+        }
+
+        emitToUser(toTelegramId, 'chat:typing', {
+          conferenceCode: code,
+          withTelegramId: socket.user.telegramId,
+          isTyping: Boolean(isTyping),
+        });
+      } catch (err) {
+        // Not an active chat (or no such conference): typing events are simply dropped
+      }
+    });
+
+    socket.on('chat:read', async ({ conferenceCode, withTelegramId, upToMessageId } = {}, callback) => {
+      const done = typeof callback === 'function' ? callback : () => {};
+      const code = normalizeConferenceCode(conferenceCode);
+      if (!code || !withTelegramId) {
+        return done({ error: 'withTelegramId and conferenceCode are required' });
+      }
+
+      try {
+        const marker = await markChatRead({
+          telegramUser: await getTelegramUser(socket),
+          conferenceCode: code,
+          withTelegramId,
+          upToMessageId: upToMessageId || null,
+        });
+        done({ success: true, marker: mapReadMarker(marker) });
+      } catch (err) {
+        if (err.message === 'NO_ACTIVE_CHAT' || err.message === 'NOT_IN_CONFERENCE' || err.message === 'MESSAGE_NOT_FOUND'
+          || err.message === 'TARGET_USER_NOT_FOUND' || err.message === 'CONFERENCE_NOT_FOUND') {
+          return done({ error: err.message });
+        }
+        console.error('Error in chat:read socket handler', err);
+        done({ error: 'Internal server error' });
+      }
+    });
+  });
+}
+
+module.exports = {
+  initTwaSocket,
+};
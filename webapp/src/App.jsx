@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import ProfileForm from './components/ProfileForm';
 import PaymentModal from './components/PaymentModal';
 import MemberProfileModal from './components/MemberProfileModal';
@@ -28,9 +28,27 @@ import ConferenceChatListView from './views/ConferenceChatListView';
 import ConferenceChatDetailView from './views/ConferenceChatDetailView';
 
 import { api } from './services/api';
+import { connectRealtime, disconnectRealtime, emitRealtime } from './services/realtime';
 import { RU as t } from './constants/locales';
 import './App.css';
 
+// Fresh latest page (polling): replaces what it covers, older loaded pages are kept
+const mergeLatestPage = (messages, page) => {
+  if (page.length === 0) return page;
+  const pageIds = new Set(page.map(m => m.id));
+  const pageStart = new Date(page[0].time);
+  return [...messages.filter(m => !pageIds.has(m.id) && new Date(m.time) < pageStart), ...page];
+};
+
+// A message was edited or deleted: keep its read state, refresh the quotes of it
+const applyMessageUpdate = (messages, message) => messages.map((m) => {
+  if (m.id === message.id) return { ...m, ...message, isRead: m.isRead };
+  if (m.replyTo?.id === message.id) {
+    return { ...m, replyTo: { ...m.replyTo, text: message.text, isDeleted: message.isDeleted } };
+  }
+  return m;
+});
+
 const App = () => {
   const [user, setUser] = useState(null);
   const [profile, setProfile] = useState(null);
@@ -43,6 +61,9 @@ const App = () => {
   const [isScannerOpen, setIsScannerOpen] = useState(false);
   const [isNotificationsOpen, setIsNotificationsOpen] = useState(false);
   const [manualCode, setManualCode] = useState('');
+  // Private conference waiting for an access code: { code, error }
+  const [privateJoin, setPrivateJoin] = useState(null);
+  const [accessCodeInput, setAccessCodeInput] = useState('');
   const [isChatRequestOpen, setIsChatRequestOpen] = useState(false);
   const [pendingRequest, setPendingRequest] = useState(null);
   const [isInChat, setIsInChat] = useState(false);
@@ -53,6 +74,8 @@ const App = () => {
   const [requestStatuses, setRequestStatuses] = useState({});
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [realtimeConnected, setRealtimeConnected] = useState(false);
+  const [isOtherTyping, setIsOtherTyping] = useState(false);
 
   // ── Conference-scoped state ─────────────────────────────────────────────
   const [participants, setParticipants] = useState([]);
@@ -60,6 +83,8 @@ const App = () => {
   const [questions, setQuestions] = useState([]);
   const [chatList, setChatList] = useState([]);
   const [chatMessages, setChatMessages] = useState([]);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
   const [globalUsers, setGlobalUsers] = useState([]);
 
   // ── SVG Icons ─────────────────────────────────────────────────────────────
@@ -195,30 +220,78 @@ const App = () => {
     }
   };
 
+  // Loading messages does not mark them read; the open chat is marked read explicitly
+  const markChatRead = useCallback((otherId, conferenceCode) => {
+    if (!emitRealtime('chat:read', { conferenceCode, withTelegramId: otherId })) {
+      api.markChatRead(otherId, conferenceCode).catch((err) => console.error('Mark read error:', err));
+    }
+    setChatList(prev => prev.map(c => (
+      c.conferenceCode === conferenceCode && String(c.other?.id) === String(otherId) ? { ...c, unreadCount: 0 } : c
+    )));
+  }, []);
+
   const handleSelectChat = async (chat) => {
     setSelectedConfChat(chat);
+    setIsOtherTyping(false);
     if (chat?.other?.id && activeConference?.code) {
       try {
         const data = await api.getChatMessages(chat.other.id, activeConference.code);
         setChatMessages(data.messages || []);
+        setHasOlderMessages(Boolean(data.hasMoreBefore));
+        markChatRead(chat.other.id, activeConference.code);
       } catch (err) {
         console.error('Fetch messages error:', err);
       }
     }
   };
 
-  const handleSendMessage = async (userId, text) => {
+  const handleLoadOlderMessages = async () => {
+    const otherId = selectedConfChat?.other?.id;
+    if (!otherId || !activeConference?.code || !hasOlderMessages || isLoadingOlder || chatMessages.length === 0) return;
+    setIsLoadingOlder(true);
+    try {
+      const data = await api.getChatMessages(otherId, activeConference.code, { before: chatMessages[0].id });
+      setChatMessages(prev => {
+        const loaded = new Set(prev.map(m => m.id));
+        return [...(data.messages || []).filter(m => !loaded.has(m.id)), ...prev];
+      });
+      setHasOlderMessages(Boolean(data.hasMoreBefore));
+    } catch (err) {
+      console.error('Fetch older messages error:', err);
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  };
+
+  // Errors are shown by the chat view
+  const handleEditMessage = async (messageId, text) => {
+    const { message } = await api.editMessage(messageId, text);
+    setChatMessages(prev => applyMessageUpdate(prev, message));
+  };
+
+  const handleDeleteMessage = async (messageId) => {
+    const { message } = await api.deleteMessage(messageId);
+    setChatMessages(prev => applyMessageUpdate(prev, message));
+  };
+
+  const handleSendMessage = async (userId, text, replyToId = null) => {
     const targetUserId = userId || selectedConfChat?.other?.id;
     if (!targetUserId || !activeConference?.code) return;
     try {
-      await api.sendMessage(targetUserId, activeConference.code, text);
-      const data = await api.getChatMessages(targetUserId, activeConference.code);
-      setChatMessages(data.messages || []);
+      const { message } = await api.sendMessage(targetUserId, activeConference.code, text, replyToId);
+      // Also comes back as a chat:message event when connected
+      setChatMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
     } catch (err) {
       console.error('Send message error:', err);
     }
   };
 
+  const handleTyping = useCallback((isTyping) => {
+    const otherId = selectedConfChat?.other?.id;
+    if (!otherId || !activeConference?.code) return;
+    emitRealtime('chat:typing', { conferenceCode: activeConference.code, toTelegramId: otherId, isTyping });
+  }, [selectedConfChat, activeConference]);
+
   const handleSendChatRequest = async (member) => {
     if (!activeConference?.code) return;
     setRequestStatuses(prev => ({ ...prev, [member.id]: 'pending' }));
@@ -254,20 +327,31 @@ const App = () => {
   };
 
   // ── Conference Navigation ─────────────────────────────────────────────────
-  const joinConference = async (conf) => {
+  const joinConference = async (conf, accessCode) => {
     if (typeof conf === 'string') {
       try {
-        const data = await api.joinConference(conf);
+        const data = await api.joinConference(conf, accessCode);
         conf = data.conference;
       } catch (err) {
+        if (err.code === 'ACCESS_CODE_REQUIRED' || err.code === 'ACCESS_CODE_INVALID') {
+          setPrivateJoin({
+            code: conf,
+            error: err.code === 'ACCESS_CODE_INVALID' ? 'Код недействителен, истёк или уже использован' : null,
+          });
+          setIsScannerOpen(true);
+          return false;
+        }
         console.error('Join error:', err);
         conf = { id: Date.now(), name: `Conference ${conf}`, code: conf };
       }
     }
+    setPrivateJoin(null);
+    setAccessCodeInput('');
     setActiveConference(conf);
     setAccessPhase(conf.accessPhase || 'free');
     setActiveTab('conf_home');
     loadConferenceData(conf.code);
+    return true;
   };
 
   const leaveConference = () => {
@@ -309,12 +393,126 @@ const App = () => {
     }
   }, [authenticate, fetchConferences]);
 
+  // Polling is the fallback while the live connection is down
   useEffect(() => {
-    if (user) {
+    if (user && !realtimeConnected) {
       fetchNotifications();
       const interval = setInterval(fetchNotifications, 30000);
       return () => clearInterval(interval);
     }
+  }, [user, realtimeConnected, fetchNotifications]);
+
+  useEffect(() => {
+    const otherId = selectedConfChat?.other?.id;
+    const code = activeConference?.code;
+    if (realtimeConnected || !otherId || !code || !['messaging', 'conf_chat_detail'].includes(activeTab)) return;
+    const interval = setInterval(() => {
+      api.getChatMessages(otherId, code)
+        .then((data) => {
+          const messages = data.messages || [];
+          setChatMessages(prev => mergeLatestPage(prev, messages));
+          if (messages.length > 0 && !messages[messages.length - 1].fromSelf) markChatRead(otherId, code);
+        })
+        .catch((err) => console.error('Poll messages error:', err));
+    }, 5000);
+    return () => clearInterval(interval);
+  }, [realtimeConnected, selectedConfChat, activeConference, activeTab, markChatRead]);
+
+  // ── Live updates (/twa Socket.IO namespace) ───────────────────────────────
+  const openChatRef = useRef(null);
+  const conferenceCodeRef = useRef(null);
+  const typingTimerRef = useRef(null);
+
+  useEffect(() => {
+    conferenceCodeRef.current = activeConference?.code || null;
+    openChatRef.current = selectedConfChat?.other?.id && activeConference?.code
+      ? { otherId: String(selectedConfChat.other.id), conferenceCode: activeConference.code }
+      : null;
+  }, [selectedConfChat, activeConference]);
+
+  useEffect(() => {
+    if (!user) return;
+    const socket = connectRealtime();
+
+    const isOpenChat = ({ conferenceCode, withTelegramId }) => {
+      const open = openChatRef.current;
+      return Boolean(open) && open.conferenceCode === conferenceCode && open.otherId === String(withTelegramId);
+    };
+
+    const onConnect = () => {
+      setRealtimeConnected(true);
+      fetchNotifications(); // Catch up on what was missed while disconnected
+    };
+    const onDisconnect = () => setRealtimeConnected(false);
+
+    const onNotification = ({ notification, unreadCount: count }) => {
+      setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)]);
+      setUnreadCount(count);
+    };
+
+    const onChatMessage = ({ conferenceCode, withTelegramId, message }) => {
+      const open = isOpenChat({ conferenceCode, withTelegramId });
+      if (open) {
+        setChatMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+        if (!message.fromSelf) {
+          setIsOtherTyping(false);
+          emitRealtime('chat:read', { conferenceCode, withTelegramId });
+        }
+      }
+      setChatList(prev => prev.map(c => (
+        c.conferenceCode === conferenceCode && String(c.other?.id) === String(withTelegramId)
+          ? {
+            ...c,
+            lastMessage: { text: message.text, time: message.time },
+            unreadCount: open ? 0 : (c.unreadCount || 0) + (message.fromSelf ? 0 : 1),
+          }
+          : c
+      )));
+    };
+
+    const onTyping = (payload) => {
+      if (!isOpenChat(payload)) return;
+      setIsOtherTyping(payload.isTyping);
+      clearTimeout(typingTimerRef.current);
+      // Stop showing it if the "stopped typing" event gets lost
+      if (payload.isTyping) typingTimerRef.current = setTimeout(() => setIsOtherTyping(false), 6000);
+    };
+
+    const onMessageUpdated = (payload) => {
+      if (!isOpenChat(payload)) return;
+      setChatMessages(prev => applyMessageUpdate(prev, payload.message));
+    };
+
+    // Own messages up to the other side's read marker are read
+    const onRead = (payload) => {
+      if (!isOpenChat(payload)) return;
+      const readUpTo = new Date(payload.readUpTo);
+      setChatMessages(prev => prev.map(m => (m.fromSelf && new Date(m.time) <= readUpTo ? { ...m, isRead: true } : m)));
+    };
+
+    const onRequestUpdated = () => {
+      fetchNotifications();
+      const code = conferenceCodeRef.current;
+      if (code) {
+        api.getChatList(code)
+          .then((data) => setChatList(data.chats || []))
+          .catch((err) => console.error('Fetch chats error:', err));
+      }
+    };
+
+    socket.on('connect', onConnect);
+    socket.on('disconnect', onDisconnect);
+    socket.on('notification:new', onNotification);
+    socket.on('chat:message', onChatMessage);
+    socket.on('chat:message-updated', onMessageUpdated);
+    socket.on('chat:typing', onTyping);
+    socket.on('chat:read', onRead);
+    socket.on('chat-request:updated', onRequestUpdated);
+
+    return () => {
+      clearTimeout(typingTimerRef.current);
+      disconnectRealtime();
+    };
   }, [user, fetchNotifications]);
 
   useEffect(() => {
@@ -426,7 +624,7 @@ const App = () => {
           {isScannerOpen && (
             <div className="animate-fade-in" style={{ position: 'fixed', minHeight: '100vh', inset: 0, background: '#111111', zIndex: 3000, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', color: 'white', padding: '0' }}>
               <div style={{ position: 'absolute', top: '24px', right: '24px' }}>
-                <button className="btn-outline" style={{ background: 'white', border: 'none', width: '44px', height: '44px', borderRadius: '14px' }} onClick={() => setIsScannerOpen(false)}>
+                <button className="btn-outline" style={{ background: 'white', border: 'none', width: '44px', height: '44px', borderRadius: '14px' }} onClick={() => { setIsScannerOpen(false); setPrivateJoin(null); setAccessCodeInput(''); }}>
                   <svg width="24" height="24" viewBox="0 0 24 24" style={{minWidth:"24px"}} fill="none" stroke="black" strokeWidth="2.5"><path d="M18 6 6 18M6 6l12 12"/></svg>
                 </button>
               </div>
@@ -445,28 +643,61 @@ const App = () => {
                 <div style={{ width: '100%', borderTop: '1px solid rgba(255,255,255,0.1)', paddingTop: '32px' }}>
                   <div style={{ fontSize: '11px', fontWeight: 800, color: '#a0aec0', textTransform: 'uppercase', letterSpacing: '1px', marginBottom: '16px', textAlign: 'center' }}>или введите код вручную</div>
 
-                  <div style={{ display: 'flex', gap: '10px' }}>
-                    <input
-                      className="form-input"
-                      placeholder="Код конференции"
-                      value={manualCode}
-                      onChange={(e) => setManualCode(e.target.value)}
-                      style={{ background: 'rgba(255,255,255,0.05)', border: '1.5px solid rgba(255,255,255,0.1)', color: 'white', flex: 1, height: '54px' }}
-                    />
-                    <button
-                      className="btn-solid"
-                      style={{ background: 'white', color: 'black', width: 'auto', padding: '0 24px', height: '54px' }}
-                      onClick={() => {
-                        if (manualCode.trim()) {
-                          joinConference(manualCode.trim().toUpperCase());
-                          setIsScannerOpen(false);
-                          setManualCode('');
-                        }
-                      }}
-                    >
-                      Вход
-                    </button>
-                  </div>
+                  {privateJoin ? (
+                    <>
+                      <div style={{ fontSize: '13px', color: '#a0aec0', textAlign: 'center', marginBottom: '12px' }}>
+                        🔒 Конференция {privateJoin.code} приватная. Введите код доступа от организатора
+                      </div>
+                      {privateJoin.error && (
+                        <div style={{ fontSize: '13px', color: '#fc8181', textAlign: 'center', marginBottom: '12px' }}>{privateJoin.error}</div>
+                      )}
+                      <div style={{ display: 'flex', gap: '10px' }}>
+                        <input
+                          className="form-input"
+                          placeholder="Код доступа"
+                          value={accessCodeInput}
+                          onChange={(e) => setAccessCodeInput(e.target.value)}
+                          style={{ background: 'rgba(255,255,255,0.05)', border: '1.5px solid rgba(255,255,255,0.1)', color: 'white', flex: 1, height: '54px' }}
+                        />
+                        <button
+                          className="btn-solid"
+                          style={{ background: 'white', color: 'black', width: 'auto', padding: '0 24px', height: '54px' }}
+                          onClick={async () => {
+                            if (accessCodeInput.trim()) {
+                              const joined = await joinConference(privateJoin.code, accessCodeInput.trim().toUpperCase());
+                              if (joined) setIsScannerOpen(false);
+                            }
+                          }}
+                        >
+                          Вход
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                      <input
+                        className="form-input"
+                        placeholder="Код конференции"
+                        value={manualCode}
+                        onChange={(e) => setManualCode(e.target.value)}
+                        style={{ background: 'rgba(255,255,255,0.05)', border: '1.5px solid rgba(255,255,255,0.1)', color: 'white', flex: 1, height: '54px' }}
+                      />
+                      <button
+                        className="btn-solid"
+                        style={{ background: 'white', color: 'black', width: 'auto', padding: '0 24px', height: '54px' }}
+                        onClick={async () => {
+                          if (manualCode.trim()) {
+                            const code = manualCode.trim().toUpperCase();
+                            setManualCode('');
+                            const joined = await joinConference(code);
+                            if (joined) setIsScannerOpen(false);
+                          }
+                        }}
+                      >
+                        Вход
+                      </button>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -538,8 +769,15 @@ const App = () => {
                 <ConferenceChatDetailView
                   chat={selectedConfChat}
                   messages={chatMessages}
+                  isOtherTyping={isOtherTyping}
+                  onTyping={handleTyping}
+                  hasOlderMessages={hasOlderMessages}
+                  isLoadingOlder={isLoadingOlder}
+                  onLoadOlder={handleLoadOlderMessages}
                   onBack={() => setActiveTab('conf_chats')}
                   onSendMessage={handleSendMessage}
+                  onEditMessage={handleEditMessage}
+                  onDeleteMessage={handleDeleteMessage}
                 />
               )}
             </>
@@ -587,11 +825,20 @@ const App = () => {
           <NotificationsDrawer
             onClose={() => setIsNotificationsOpen(false)}
             notifications={notifications}
-            onOpenRequest={(req) => {
-              setPendingRequest(req);
-              setIsChatRequestOpen(true);
+            onOpenRequest={async ({ notificationId, chatRequestId }) => {
               setIsNotificationsOpen(false);
-              api.markNotificationRead(req.notificationId).catch(() => {});
+              api.markNotificationRead(notificationId).then(fetchNotifications).catch(() => {});
+              try {
+                const { requests } = await api.getChatRequests();
+                const request = (requests || []).find(r => String(r.id) === String(chatRequestId));
+                // Already answered requests have nothing to open
+                if (request && !request.isMine && request.status === 'pending') {
+                  setPendingRequest(request);
+                  setIsChatRequestOpen(true);
+                }
+              } catch (err) {
+                console.error('Fetch chat request error:', err);
+              }
             }}
             onMarkAllRead={() => {
               api.markAllNotificationsRead().then(fetchNotifications);
@@ -1,7 +1,25 @@
 import React from 'react';
 import { RU as t } from '../../constants/locales';
 
-const NotificationsDrawer = ({ onClose, onOpenRequest, Icon }) => (
+const TYPE_ICONS = {
+  chat_request: ['🤝', 'var(--accent-purple)'],
+  request_accepted: ['✅', 'var(--accent-green)'],
+  request_rejected: ['🚫', '#edf2f7'],
+  new_message: ['💬', 'var(--accent-blue)'],
+  poll_started: ['📊', 'var(--accent-orange)'],
+  conference_ending: ['⏰', 'var(--accent-blue)'],
+};
+
+const formatTime = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { day: 'numeric', month: 'short' });
+};
+
+const NotificationsDrawer = ({ notifications = [], onClose, onOpenRequest, onMarkAllRead, Icon }) => (
   <>
     <div className="drawer-overlay" onClick={onClose} />
     <div className="drawer" style={{ background: '#f8fafc', padding: '32px 24px' }}>
@@ -12,39 +30,41 @@ const NotificationsDrawer = ({ onClose, onOpenRequest, Icon }) => (
         </button>
       </div>
 
-      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
-        <div style={{ marginBottom: '8px' }}>
-          <div style={{ fontSize: '11px', fontWeight: 800, color: '#a0aec0', textTransform: 'uppercase', letterSpacing: '0.8px', marginBottom: '12px' }}>Сегодня</div>
-          <div className="card-soft" style={{ background: 'white', padding: '20px', borderRadius: '24px', border: 'none', marginBottom: '8px' }}>
-            <div style={{ display: 'flex', gap: '14px', alignItems: 'flex-start' }}>
-              <div style={{ width: '40px', height: '40px', borderRadius: '12px', background: 'var(--accent-blue)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '18px', flexShrink: 0 }}>💬</div>
-              <div>
-                <div style={{ fontSize: '15px', fontWeight: 600, color: 'var(--primary-text)', lineHeight: 1.4, marginBottom: '4px' }}>Tech Summit SF</div>
-                <div style={{ fontSize: '13px', color: '#718096', fontWeight: 500 }}>Начнется через 30 минут. Приготовьтесь!</div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', overflowY: 'auto' }} className="no-scrollbar">
+        {notifications.length > 0 ? notifications.map((n) => {
+          const [icon, iconBg] = TYPE_ICONS[n.type] || ['🔔', 'var(--accent-blue)'];
+          const isRequest = n.type === 'chat_request' && n.data?.connectionId;
+          return (
+            <div
+              key={n._id}
+              className="card-soft"
+              style={{ background: 'white', padding: '20px', borderRadius: '24px', border: 'none', cursor: isRequest ? 'pointer' : 'default', opacity: n.isRead ? 0.7 : 1 }}
+              onClick={isRequest ? () => onOpenRequest({ notificationId: n._id, chatRequestId: n.data.connectionId }) : undefined}
+            >
+              <div style={{ display: 'flex', gap: '14px', alignItems: 'flex-start' }}>
+                <div style={{ width: '40px', height: '40px', borderRadius: '12px', background: iconBg, display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '18px', flexShrink: 0 }}>{icon}</div>
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontSize: '15px', fontWeight: n.isRead ? 500 : 700, color: 'var(--primary-text)', lineHeight: 1.4, marginBottom: '4px' }}>{n.title}</div>
+                  {n.body && <div style={{ fontSize: '13px', color: '#718096', fontWeight: 500 }}>{n.body}</div>}
+                  <div style={{ fontSize: '10px', color: '#a0aec0', fontWeight: 600, marginTop: '6px' }}>{formatTime(n.createdAt)}</div>
+                </div>
               </div>
             </div>
+          );
+        }) : (
+          <div style={{ textAlign: 'center', padding: '40px 20px', color: '#a0aec0', fontSize: '14px' }}>
+            Уведомлений пока нет
           </div>
-        </div>
+        )}
+      </div>
 
-        <div style={{ cursor: 'pointer' }} onClick={() => onOpenRequest({ sender: 'Алекс Рид', conference: 'Tech Summit SF' })}>
-          <div style={{ fontSize: '11px', fontWeight: 800, color: '#a0aec0', textTransform: 'uppercase', letterSpacing: '0.8px', marginBottom: '12px' }}>Вчера</div>
-          <div className="card-soft" style={{ background: 'white', padding: '20px', borderRadius: '24px', border: 'none' }}>
-            <div style={{ display: 'flex', gap: '14px', alignItems: 'flex-start' }}>
-              <div style={{ width: '40px', height: '40px', borderRadius: '12px', background: 'var(--accent-purple)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '18px', flexShrink: 0 }}>🤝</div>
-              <div>
-                <div style={{ fontSize: '15px', fontWeight: 600, color: 'var(--primary-text)', lineHeight: 1.4, marginBottom: '4px' }}>Запрос на встречу</div>
-                <div style={{ fontSize: '13px', color: '#718096', fontWeight: 500 }}>Алекс Рид хочет обсудить ваш проект.</div>
-              </div>
-            </div>
-          </div>
+      {notifications.some(n => !n.isRead) && (
+        <div style={{ marginTop: 'auto', paddingTop: '24px' }}>
+          <button className="btn-outline" style={{ border: 'none', background: 'transparent', color: '#a0aec0', fontSize: '14px', fontWeight: 600 }} onClick={onMarkAllRead}>
+            Отметить все как прочитанные
+          </button>
         </div>
-      </div>
-      
-      <div style={{ marginTop: 'auto', paddingTop: '24px' }}>
-        <button className="btn-outline" style={{ border: 'none', background: 'transparent', color: '#a0aec0', fontSize: '14px', fontWeight: 600 }}>
-          Очистить все уведомления
-        </button>
-      </div>
+      )}
     </div>
   </>
 );
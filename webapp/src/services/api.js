@@ -1,16 +1,19 @@
 /**
- * TWA Backend API Client
- * Base URL: http://localhost:4000/api (or your deployed URL)
- * 
- * Set VITE_API_URL in your .env to override the base URL in production.
+ * Web app API client
+ * Base URL: /api of the main service (served together with the web app)
+ *
+ * Set VITE_API_URL in your .env to use a different server.
  */
 
-const BASE_URL = 'https://social-connection-prja.onrender.com/api';
+const BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
 class ApiClient {
   constructor() {
     this.telegramId = '';
     this.initData = '';
+    this.accessToken = '';
+    this.refreshToken = '';
+    this._refreshing = null;
   }
 
   /** Call once after Telegram.WebApp is ready */
@@ -20,12 +23,48 @@ class ApiClient {
     this.telegramId = String(tg?.initDataUnsafe?.user?.id || '');
   }
 
-  async _request(method, path, body) {
-    const headers = {
-      'Content-Type': 'application/json',
-      'X-Telegram-Init-Data': this.initData,
-      'X-Telegram-Id': this.telegramId, // Dev bypass
-    };
+  _setTokens(data) {
+    if (data?.accessToken) this.accessToken = data.accessToken;
+    if (data?.refreshToken) this.refreshToken = data.refreshToken;
+  }
+
+  /** New tokens for an expired access token; concurrent requests share one refresh */
+  async _refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this._request('POST', '/auth/refresh', { refreshToken: this.refreshToken }, { retry: false })
+        .then((data) => { this._setTokens(data); })
+        .catch((err) => {
+          // Fall back to sending initData with every request
+          this.accessToken = '';
+          this.refreshToken = '';
+          throw err;
+        })
+        .finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  /** New tokens if there is a refresh token; resolves false otherwise */
+  async refreshTokens() {
+    if (!this.refreshToken) return false;
+    await this._refresh();
+    return true;
+  }
+
+  /** Handshake credentials for the /twa Socket.IO namespace */
+  getSocketAuth() {
+    if (this.accessToken) return { token: this.accessToken };
+    return { initData: this.initData, telegramId: this.telegramId };
+  }
+
+  async _request(method, path, body, { retry = true } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.accessToken) {
+      headers.Authorization = `Bearer ${this.accessToken}`;
+    } else {
+      headers['X-Telegram-Init-Data'] = this.initData;
+      headers['X-Telegram-Id'] = this.telegramId; // Dev bypass
+    }
 
     const res = await fetch(`${BASE_URL}${path}`, {
       method,
@@ -34,13 +73,34 @@ class ApiClient {
     });
 
     const data = await res.json().catch(() => ({}));
-    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    if (res.status === 401 && retry && this.refreshToken
+      && ['TOKEN_EXPIRED', 'SESSION_REVOKED', 'INVALID_TOKEN'].includes(data.code)) {
+      await this._refresh().catch(() => {});
+      return this._request(method, path, body, { retry: false });
+    }
+    if (!res.ok) {
+      const err = new Error(data.error || `HTTP ${res.status}`);
+      err.status = res.status;
+      err.code = data.code;
+      throw err;
+    }
     return data;
   }
 
   // ── Auth ──────────────────────────────────────────────────────────────────
-  authenticate(initData) {
-    return this._request('POST', '/auth', { initData });
+  async authenticate(initData) {
+    const data = await this._request('POST', '/auth', { initData });
+    this._setTokens(data);
+    return data;
+  }
+
+  async logout() {
+    try {
+      await this._request('POST', '/auth/logout', { refreshToken: this.refreshToken }, { retry: false });
+    } finally {
+      this.accessToken = '';
+      this.refreshToken = '';
+    }
   }
 
   // ── Conferences ────────────────────────────────────────────────────────────
@@ -52,8 +112,8 @@ class ApiClient {
     return this._request('POST', '/conferences/create', data);
   }
 
-  joinConference(conferenceCode) {
-    return this._request('POST', '/conferences/join', { conferenceCode });
+  joinConference(conferenceCode, accessCode) {
+    return this._request('POST', '/conferences/join', { conferenceCode, accessCode });
   }
 
   // ── Participants ───────────────────────────────────────────────────────────
@@ -103,12 +163,29 @@ class ApiClient {
     return this._request('GET', `/chat/list${qs}`);
   }
 
-  getChatMessages(withTelegramId, conferenceCode) {
-    return this._request('GET', `/chat/messages?withTelegramId=${withTelegramId}&conferenceCode=${conferenceCode}`);
+  // Latest page by default; { before } / { after } (message id) page through the history
+  getChatMessages(withTelegramId, conferenceCode, { before, after, limit } = {}) {
+    const params = new URLSearchParams({ withTelegramId, conferenceCode });
+    if (before) params.set('before', before);
+    if (after) params.set('after', after);
+    if (limit) params.set('limit', limit);
+    return this._request('GET', `/chat/messages?${params}`);
+  }
+
+  sendMessage(toTelegramId, conferenceCode, text, replyToId = null) {
+    return this._request('POST', '/chat/message', { toTelegramId, conferenceCode, text, replyToId });
+  }
+
+  editMessage(messageId, text) {
+    return this._request('PATCH', `/chat/messages/${messageId}`, { text });
+  }
+
+  deleteMessage(messageId) {
+    return this._request('DELETE', `/chat/messages/${messageId}`);
   }
 
-  sendMessage(toTelegramId, conferenceCode, text) {
-    return this._request('POST', '/chat/message', { toTelegramId, conferenceCode, text });
+  markChatRead(withTelegramId, conferenceCode, upToMessageId = null) {
+    return this._request('POST', '/chat/read', { withTelegramId, conferenceCode, upToMessageId });
   }
 
   // ── Chat Requests ─────────────────────────────────────────────────────────
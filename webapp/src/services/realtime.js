@@ -0,0 +1,59 @@
+/**
+ * Live updates from the /twa Socket.IO namespace of the main service
+ *
+ * Events: chat:message, chat:typing, chat:read, chat-request:updated, notification:new.
+ * While the socket is down the app falls back to polling the REST API.
+ */
+
+import { io } from 'socket.io-client';
+import { api } from './api';
+
+// Same server as the API: the origin of an absolute VITE_API_URL, else the page origin
+const API_URL = import.meta.env.VITE_API_URL || '';
+const SOCKET_URL = /^https?:\/\//.test(API_URL) ? `${new URL(API_URL).origin}/twa` : '/twa';
+
+const AUTH_RETRY_ERRORS = ['TOKEN_EXPIRED', 'SESSION_REVOKED', 'INVALID_TOKEN'];
+
+let socket = null;
+
+export function connectRealtime() {
+  if (socket) return socket;
+
+  socket = io(SOCKET_URL, {
+    // Called on every (re)connect, so a refreshed token is picked up
+    auth: (cb) => cb(api.getSocketAuth()),
+  });
+
+  const reconnectWithFreshToken = async () => {
+    try {
+      await api.refreshTokens();
+    } catch {
+      // No valid session: the next attempt sends initData
+    }
+    setTimeout(() => socket?.connect(), 1000);
+  };
+
+  // Neither a rejected handshake nor a server-side disconnect (access token expired,
+  // session revoked) is retried by Socket.IO itself
+  socket.on('connect_error', (err) => {
+    if (AUTH_RETRY_ERRORS.includes(err.message)) reconnectWithFreshToken();
+  });
+  socket.on('disconnect', (reason) => {
+    if (reason === 'io server disconnect') reconnectWithFreshToken();
+  });
+
+  return socket;
+}
+
+export function disconnectRealtime() {
+  if (!socket) return;
+  socket.disconnect();
+  socket = null;
+}
+
+export function emitRealtime(event, payload, callback) {
+  if (!socket?.connected) return false;
+  if (callback) socket.emit(event, payload, callback);
+  else socket.emit(event, payload);
+  return true;
+}
@@ -1,22 +1,137 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { RU as t } from '../constants/locales';
 
-const ConferenceChatDetailView = ({ chat, messages = [], onBack, onSendMessage }) => {
+const TYPING_IDLE_MS = 3000;
+const LOAD_OLDER_THRESHOLD_PX = 80;
+
+const canChange = (msg) => msg.fromSelf && !msg.isDeleted && msg.editableUntil && new Date(msg.editableUntil) > new Date();
+
+const actionButtonStyle = { border: 'none', background: 'transparent', color: 'var(--primary-solid)', fontSize: '11px', fontWeight: 700, padding: '4px 6px', cursor: 'pointer' };
+
+const ConferenceChatDetailView = ({
+  chat,
+  messages = [],
+  isOtherTyping = false,
+  hasOlderMessages = false,
+  isLoadingOlder = false,
+  onLoadOlder,
+  onBack,
+  onSendMessage,
+  onEditMessage,
+  onDeleteMessage,
+  onTyping,
+}) => {
   const [inputText, setInputText] = useState('');
+  const [selectedMessageId, setSelectedMessageId] = useState(null);
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [actionError, setActionError] = useState('');
   const scrollRef = useRef(null);
+  const typingTimerRef = useRef(null);
+  const isTypingRef = useRef(false);
+  const lastMessageIdRef = useRef(null);
+  const loadOlderRef = useRef(null); // { firstId, scrollHeight } when older messages were requested
 
+  // New message at the bottom: scroll down. Older page added on top: keep what was on screen.
   useEffect(() => {
-    if (scrollRef.current) {
-      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    const el = scrollRef.current;
+    if (!el) return;
+    const firstId = messages[0]?.id;
+    const lastId = messages[messages.length - 1]?.id;
+
+    if (loadOlderRef.current && firstId !== loadOlderRef.current.firstId) {
+      el.scrollTop += el.scrollHeight - loadOlderRef.current.scrollHeight;
+      loadOlderRef.current = null;
+    } else if (lastId !== lastMessageIdRef.current) {
+      el.scrollTop = el.scrollHeight;
     }
+    lastMessageIdRef.current = lastId;
   }, [messages]);
 
-  const handleSend = () => {
+  const handleScroll = (e) => {
+    const el = e.currentTarget;
+    if (el.scrollTop > LOAD_OLDER_THRESHOLD_PX || !hasOlderMessages || isLoadingOlder || !onLoadOlder) return;
+    loadOlderRef.current = { firstId: messages[0]?.id, scrollHeight: el.scrollHeight };
+    onLoadOlder();
+  };
+
+  const setTyping = (isTyping) => {
+    if (isTypingRef.current === isTyping) return;
+    isTypingRef.current = isTyping;
+    onTyping?.(isTyping);
+  };
+
+  // "Stopped typing" is sent after a pause, on send and when leaving the chat
+  const handleInputChange = (value) => {
+    setInputText(value);
+    clearTimeout(typingTimerRef.current);
+    if (value.trim()) {
+      setTyping(true);
+      typingTimerRef.current = setTimeout(() => setTyping(false), TYPING_IDLE_MS);
+    } else {
+      setTyping(false);
+    }
+  };
+
+  useEffect(() => () => {
+    clearTimeout(typingTimerRef.current);
+    if (isTypingRef.current) onTyping?.(false);
+    isTypingRef.current = false;
+  }, [onTyping]);
+
+  const handleSend = async () => {
     if (!inputText.trim() || !chat?.other?.id) return;
-    onSendMessage(chat.other.id, inputText);
+    clearTimeout(typingTimerRef.current);
+    setTyping(false);
+    setActionError('');
+
+    if (editing) {
+      try {
+        await onEditMessage(editing.id, inputText);
+        setEditing(null);
+        setInputText('');
+      } catch (err) {
+        setActionError(err.message || 'Не удалось изменить сообщение');
+      }
+      return;
+    }
+
+    onSendMessage(chat.other.id, inputText, replyTo?.id);
+    setReplyTo(null);
     setInputText('');
   };
 
+  const handleReply = (msg) => {
+    setSelectedMessageId(null);
+    setEditing(null);
+    setReplyTo(msg);
+  };
+
+  const handleEdit = (msg) => {
+    setSelectedMessageId(null);
+    setReplyTo(null);
+    setEditing(msg);
+    setInputText(msg.text);
+  };
+
+  const handleDelete = async (msg) => {
+    setSelectedMessageId(null);
+    if (!window.confirm('Удалить сообщение?')) return;
+    setActionError('');
+    try {
+      await onDeleteMessage(msg.id);
+    } catch (err) {
+      setActionError(err.message || 'Не удалось удалить сообщение');
+    }
+  };
+
+  const cancelComposeMode = () => {
+    if (editing) setInputText('');
+    setEditing(null);
+    setReplyTo(null);
+    setActionError('');
+  };
+
   const otherUser = chat?.other || {};
 
   return (
@@ -34,49 +149,109 @@ const ConferenceChatDetailView = ({ chat, messages = [], onBack, onSendMessage }
         </div>
         <div>
           <div style={{ fontWeight: 800, color: 'var(--primary-text)', fontSize: '15px' }}>{otherUser.name}</div>
-          <div style={{ fontSize: '10px', color: '#a0aec0', fontWeight: 700 }}>{otherUser.role || 'Участник'}</div>
+          <div style={{ fontSize: '10px', color: isOtherTyping ? 'var(--primary-solid)' : '#a0aec0', fontWeight: 700 }}>
+            {isOtherTyping ? 'печатает…' : (otherUser.role || 'Участник')}
+          </div>
         </div>
       </div>
 
-      <div ref={scrollRef} style={{ flex: 1, overflowY: 'auto', padding: '16px 0' }} className="no-scrollbar">
-        {messages.length > 0 ? messages.map((msg, idx) => (
-          <div key={msg.id || idx} style={{ 
-            alignSelf: msg.isMine ? 'flex-end' : 'flex-start',
-            width: '100%',
-            display: 'flex',
-            flexDirection: 'column',
-            alignItems: msg.isMine ? 'flex-end' : 'flex-start',
-            marginBottom: '12px'
-          }}>
-            <div style={{ 
-              padding: '12px 16px', 
-              borderRadius: msg.isMine ? '18px 18px 4px 18px' : '18px 18px 18px 4px',
-              background: msg.isMine ? 'var(--primary-solid)' : 'white',
-              color: msg.isMine ? 'white' : 'var(--primary-text)',
-              fontSize: '14px',
-              fontWeight: 500,
-              boxShadow: '0 4px 15px rgba(0,0,0,0.03)',
-              maxWidth: '85%',
+      <div ref={scrollRef} style={{ flex: 1, overflowY: 'auto', padding: '16px 0' }} className="no-scrollbar" onScroll={handleScroll}>
+        {isLoadingOlder && (
+          <div style={{ textAlign: 'center', padding: '8px', color: '#a0aec0', fontSize: '12px', fontWeight: 600 }}>Загрузка…</div>
+        )}
+        {messages.length > 0 ? messages.map((msg, idx) => {
+          // fromSelf/time as returned by /api/chat/messages
+          const isMine = msg.fromSelf ?? msg.isMine;
+          const time = msg.time || msg.createdAt;
+          return (
+            <div key={msg.id || idx} style={{ 
+              alignSelf: isMine ? 'flex-end' : 'flex-start',
+              width: '100%',
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: isMine ? 'flex-end' : 'flex-start',
+              marginBottom: '12px'
             }}>
-              {msg.text}
+              <div
+                style={{
+                  padding: '12px 16px',
+                  borderRadius: isMine ? '18px 18px 4px 18px' : '18px 18px 18px 4px',
+                  background: msg.isDeleted ? 'transparent' : (isMine ? 'var(--primary-solid)' : 'white'),
+                  border: msg.isDeleted ? '1.5px dashed #e2e8f0' : 'none',
+                  color: msg.isDeleted ? '#a0aec0' : (isMine ? 'white' : 'var(--primary-text)'),
+                  fontSize: '14px',
+                  fontWeight: 500,
+                  fontStyle: msg.isDeleted ? 'italic' : 'normal',
+                  boxShadow: msg.isDeleted ? 'none' : '0 4px 15px rgba(0,0,0,0.03)',
+                  maxWidth: '85%',
+                  cursor: msg.isDeleted ? 'default' : 'pointer',
+                }}
+                onClick={() => !msg.isDeleted && setSelectedMessageId(selectedMessageId === msg.id ? null : msg.id)}
+              >
+                {msg.replyTo && (
+                  <div style={{ borderLeft: `3px solid ${isMine ? 'rgba(255,255,255,0.6)' : 'var(--primary-solid)'}`, paddingLeft: '8px', marginBottom: '6px', fontSize: '12px', opacity: 0.8 }}>
+                    <div style={{ fontWeight: 700 }}>{msg.replyTo.fromSelf ? 'Вы' : otherUser.name}</div>
+                    <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', fontStyle: msg.replyTo.isDeleted ? 'italic' : 'normal' }}>
+                      {msg.replyTo.isDeleted ? 'Сообщение удалено' : msg.replyTo.text}
+                    </div>
+                  </div>
+                )}
+                {msg.isDeleted ? 'Сообщение удалено' : msg.text}
+              </div>
+              {selectedMessageId === msg.id && (
+                <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+                  <button style={actionButtonStyle} onClick={() => handleReply(msg)}>Ответить</button>
+                  {canChange(msg) && (
+                    <>
+                      <button style={actionButtonStyle} onClick={() => handleEdit(msg)}>Изменить</button>
+                      <button style={{ ...actionButtonStyle, color: '#e53e3e' }} onClick={() => handleDelete(msg)}>Удалить</button>
+                    </>
+                  )}
+                </div>
+              )}
+              <div style={{ fontSize: '9px', color: '#a0aec0', marginTop: '4px', fontWeight: 600 }}>
+                {time ? new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}
+                {msg.editedAt && !msg.isDeleted && <span style={{ marginLeft: '4px' }}>изменено</span>}
+                {isMine && (
+                  <span style={{ marginLeft: '4px', color: msg.isRead ? 'var(--primary-solid)' : '#a0aec0' }}>
+                    {msg.isRead ? '✓✓' : '✓'}
+                  </span>
+                )}
+              </div>
             </div>
-            <div style={{ fontSize: '9px', color: '#a0aec0', marginTop: '4px', fontWeight: 600 }}>
-              {msg.createdAt ? new Date(msg.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}
-            </div>
-          </div>
-        )) : (
+          );
+        }) : (
           <div style={{ textAlign: 'center', padding: '40px 20px', color: '#a0aec0', fontSize: '14px' }}>
             Нет сообщений. Поздоровайтесь!
           </div>
         )}
       </div>
 
+      {(replyTo || editing || actionError) && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '8px 4px', borderTop: '1.5px solid #edf2f7', fontSize: '12px' }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            {(replyTo || editing) && (
+              <>
+                <div style={{ fontWeight: 700, color: 'var(--primary-solid)' }}>
+                  {editing ? 'Редактирование' : 'Ответ на сообщение'}
+                </div>
+                <div style={{ color: '#718096', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {(editing || replyTo).text}
+                </div>
+              </>
+            )}
+            {actionError && <div style={{ color: '#e53e3e', fontWeight: 600 }}>{actionError}</div>}
+          </div>
+          <button style={{ ...actionButtonStyle, color: '#a0aec0', fontSize: '16px' }} onClick={cancelComposeMode}>✕</button>
+        </div>
+      )}
+
       <div style={{ paddingTop: '16px', borderTop: '1.5px solid #edf2f7', display: 'flex', gap: '8px' }}>
         <input 
           className="form-input" 
           placeholder="Напишите..." 
           value={inputText}
-          onChange={(e) => setInputText(e.target.value)}
+          onChange={(e) => handleInputChange(e.target.value)}
           onKeyDown={(e) => e.key === 'Enter' && handleSend()}
           style={{ height: '44px', borderRadius: '22px', fontSize: '14px' }}
         />
@@ -90,7 +90,7 @@ const MessagingView = ({ onBack, currentConference, onChatStateChange, onViewPro
                 fontWeight: 500,
                 boxShadow: '0 4px 15px rgba(0,0,0,0.03)',
               }}>
-                {msg.text}
+                {msg.isDeleted ? 'Сообщение удалено' : msg.text}
               </div>
               <div style={{ fontSize: '10px', color: '#a0aec0', marginTop: '4px', fontWeight: 600, padding: '0 4px' }}>
                 {typeof msg.time === 'string' ? msg.time : new Date(msg.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}